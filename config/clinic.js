@@ -0,0 +1,39 @@
+// Clinic-wide settings
+
+// IANA timezone the clinic operates in; every date string and HH:MM time is interpreted here
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const resolveTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return timezone;
+  } catch (error) {
+    console.error(`❌ Invalid CLINIC_TIMEZONE "${timezone}", falling back to ${DEFAULT_TIMEZONE}`);
+    return DEFAULT_TIMEZONE;
+  }
+};
+
+// Resource types (see models/Resource) an appointment of each slot type needs for its whole duration
+const RESOURCE_REQUIREMENTS = {
+  'Morning Consultations': ['dental-chair'],
+  'Afternoon Procedures': ['dental-chair', 'sterilised-kit'],
+  'Evening Consultations': ['dental-chair'],
+  'Surgery': ['dental-chair', 'xray-room', 'sterilised-kit'],
+  'Emergency': ['dental-chair', 'xray-room'],
+  'Full Day Clinic': ['dental-chair'],
+  'Morning Session': ['dental-chair'],
+  'Extended Afternoon': ['dental-chair'],
+  'Short Afternoon': ['dental-chair'],
+  'Half Day': ['dental-chair'],
+  'Weekend Morning': ['dental-chair']
+};
+
+const clinicConfig = {
+  timezone: resolveTimezone(process.env.CLINIC_TIMEZONE || DEFAULT_TIMEZONE),
+  // Opening hours used as the denominator for resource utilisation
+  openingTime: '09:00',
+  closingTime: '20:00',
+  resourceRequirements: RESOURCE_REQUIREMENTS
+};
+
+module.exports = clinicConfig;
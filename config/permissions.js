@@ -0,0 +1,84 @@
+// Role-based access control: what each kind of signed-in user may do.
+// Routes ask for a permission with middleware/authorize, never for a role.
+
+const PERMISSIONS = {
+  // Every signed-in user
+  SESSIONS_SELF: 'sessions:self',
+
+  // Staff sign-in security
+  TWO_FACTOR_SELF: 'two-factor:self',
+
+  // Patient self-service
+  PROFILE_SELF: 'profile:self',
+  APPOINTMENTS_SELF: 'appointments:self',
+  WAITLIST_SELF: 'waitlist:self',
+  TREATMENT_PLANS_RESPOND: 'treatment-plans:respond',
+
+  // Doctor clinical work, always on the doctor's own patients and calendar
+  DOCTOR_PROFILE: 'doctor-profile:manage',
+  APPOINTMENTS_CONDUCT: 'appointments:conduct',
+  SCHEDULES_OWN: 'schedules:manage-own',
+  LEAVES_OWN: 'leaves:manage-own',
+  PRESCRIPTIONS_WRITE: 'prescriptions:write',
+  CLINICAL_NOTES_WRITE: 'clinical-notes:write',
+  TREATMENT_PLANS_WRITE: 'treatment-plans:write',
+  WAITLIST_READ_OWN: 'waitlist:read-own',
+  MEDICINES_SEARCH: 'medicines:search',
+
+  // Pharmacy
+  PHARMACIST_PROFILE: 'pharmacist-profile:read',
+  DISPENSING: 'dispensing:manage',
+
+  // Front desk and administration
+  PATIENTS_READ: 'patients:read',
+  QUEUE_MANAGE: 'queue:manage',
+  RESOURCES_READ: 'resources:read',
+  RESOURCES_MANAGE: 'resources:manage',
+  LEAVES_READ: 'leaves:read',
+  LEAVES_MANAGE: 'leaves:manage',
+  MEDICINES_READ: 'medicines:read',
+  MEDICINES_MANAGE: 'medicines:manage',
+  INVENTORY_ADJUST: 'inventory:adjust',
+  PURCHASING_MANAGE: 'purchasing:manage',
+  STAFF_MANAGE: 'staff:manage',
+  UPLOADS_MANAGE: 'uploads:manage',
+  ADMINS_MANAGE: 'admins:manage'
+};
+
+const P = PERMISSIONS;
+
+const ROLE_PERMISSIONS = {
+  admin: [
+    P.SESSIONS_SELF, P.TWO_FACTOR_SELF, P.PATIENTS_READ, P.QUEUE_MANAGE,
+    P.RESOURCES_READ, P.RESOURCES_MANAGE, P.LEAVES_READ, P.LEAVES_MANAGE,
+    P.MEDICINES_READ, P.MEDICINES_MANAGE, P.INVENTORY_ADJUST, P.PURCHASING_MANAGE,
+    P.STAFF_MANAGE, P.UPLOADS_MANAGE, P.ADMINS_MANAGE
+  ],
+  receptionist: [
+    P.SESSIONS_SELF, P.TWO_FACTOR_SELF, P.PATIENTS_READ, P.QUEUE_MANAGE, P.RESOURCES_READ,
+    P.LEAVES_READ
+  ],
+  doctor: [
+    P.SESSIONS_SELF, P.TWO_FACTOR_SELF, P.DOCTOR_PROFILE, P.APPOINTMENTS_CONDUCT,
+    P.SCHEDULES_OWN, P.LEAVES_OWN, P.PRESCRIPTIONS_WRITE, P.CLINICAL_NOTES_WRITE,
+    P.TREATMENT_PLANS_WRITE, P.WAITLIST_READ_OWN, P.MEDICINES_SEARCH, P.PATIENTS_READ
+  ],
+  pharmacist: [
+    P.SESSIONS_SELF, P.TWO_FACTOR_SELF, P.PHARMACIST_PROFILE, P.DISPENSING, P.MEDICINES_READ
+  ],
+  patient: [
+    P.SESSIONS_SELF, P.PROFILE_SELF, P.APPOINTMENTS_SELF, P.WAITLIST_SELF, P.TREATMENT_PLANS_RESPOND
+  ]
+};
+
+// Permissions granted to a role; unknown roles get none
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission
+};
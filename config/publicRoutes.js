@@ -0,0 +1,44 @@
+// API routes that are deliberately served without authorize().
+// Any other /api route must declare its permissions; scripts/check-route-auth.js
+// fails when a route is neither protected nor listed here.
+
+const PUBLIC_ROUTES = [
+  // Sign-up, sign-in and account recovery happen before there is a token
+  { method: 'POST', path: '/api/auth/register', reason: 'Patient self sign-up' },
+  { method: 'POST', path: '/api/auth/login', reason: 'Patient sign-in' },
+  { method: 'POST', path: '/api/auth/universal-login', reason: 'Sign-in for every account type' },
+  { method: 'POST', path: '/api/auth/doctor/login', reason: 'Doctor sign-in' },
+  { method: 'POST', path: '/api/auth/pharmacist/login', reason: 'Pharmacist sign-in' },
+  { method: 'POST', path: '/api/pharmacist-auth/login', reason: 'Pharmacist sign-in' },
+  { method: 'GET', path: '/api/auth/google', reason: 'Google OAuth redirect' },
+  { method: 'GET', path: '/api/auth/google/signup', reason: 'Google OAuth redirect' },
+  { method: 'GET', path: '/api/auth/google/callback', reason: 'Google OAuth callback' },
+  { method: 'GET', path: '/api/auth/verify', reason: 'Validates the bearer token itself' },
+  { method: 'POST', path: '/api/auth/refresh', reason: 'Gated by the refresh token; the access token may have expired' },
+  { method: 'POST', path: '/api/auth/forgot-password', reason: 'Account recovery' },
+  { method: 'POST', path: '/api/auth/verify-password-reset-otp', reason: 'Account recovery, gated by emailed OTP' },
+  { method: 'POST', path: '/api/auth/reset-password-with-otp', reason: 'Account recovery, gated by emailed OTP' },
+  { method: 'POST', path: '/api/auth/reset-password', reason: 'Account recovery, gated by reset token' },
+  { method: 'POST', path: '/api/auth/send-verification-otp', reason: 'Email verification during sign-up' },
+  { method: 'POST', path: '/api/auth/verify-email-otp', reason: 'Email verification during sign-up' },
+  { method: 'GET', path: '/api/auth/check-email-verification', reason: 'Email verification during sign-up' },
+
+  // Links sent by email or subscribed to by calendar apps carry their own secret token
+  { method: 'GET', path: '/api/appointments/doctor/calendar/:token.ics', reason: 'Calendar feed, gated by feed token' },
+  { method: 'GET', path: '/api/appointments/respond/:token', reason: 'Reminder link, gated by response token' },
+  { method: 'POST', path: '/api/appointments/respond/:token', reason: 'Reminder link, gated by response token' },
+
+  // Doctor directory shown to patients before booking
+  { method: 'GET', path: '/api/doctors', reason: 'Public doctor directory' },
+  { method: 'GET', path: '/api/doctors/:id', reason: 'Public doctor directory' }
+];
+
+// Whether a method and full route path is on the public allowlist
+const isPublicRoute = (method, path) => PUBLIC_ROUTES.some(route =>
+  route.method === method.toUpperCase() && route.path === path
+);
+
+module.exports = {
+  PUBLIC_ROUTES,
+  isPublicRoute
+};
@@ -0,0 +1,124 @@
+const jwt = require('jsonwebtoken');
+const sessionService = require('../services/sessionService');
+const { PERMISSIONS, getPermissions } = require('../config/permissions');
+
+const KNOWN_PERMISSIONS = new Set(Object.values(PERMISSIONS));
+
+// All an account may do while an admin requires 2FA it has not set up yet
+const TWO_FACTOR_SETUP_PERMISSIONS = [PERMISSIONS.TWO_FACTOR_SELF, PERMISSIONS.SESSIONS_SELF];
+
+// Expose the signed-in account on the request under the names route handlers already use
+const attachPrincipal = (req, { role, userType, account, session }) => {
+  req.principal = {
+    id: account._id,
+    role,
+    userType,
+    account,
+    sessionId: session._id,
+    permissions: getPermissions(role)
+  };
+
+  if (role === 'doctor') {
+    req.doctor = account;
+  } else if (role === 'pharmacist') {
+    req.pharmacist = account;
+  } else if (role === 'patient') {
+    req.patient = account;
+  } else {
+    req.admin = account;
+  }
+
+  req.user = role === 'patient'
+    ? account
+    : {
+      id: account._id,
+      role,
+      userType: role,
+      firstName: account.firstName,
+      lastName: account.lastName,
+      email: account.email
+    };
+};
+
+// Middleware that lets the request through only if the signed-in user holds every listed permission
+const authorize = (...permissions) => {
+  permissions.forEach(permission => {
+    if (!KNOWN_PERMISSIONS.has(permission)) {
+      throw new Error(`Unknown permission "${permission}"`);
+    }
+  });
+
+  const middleware = async (req, res, next) => {
+    try {
+      // Stacked authorize() calls verify the token once
+      if (!req.principal) {
+        const token = req.header('Authorization')?.replace('Bearer ', '');
+        if (!token) {
+          return res.status(401).json({
+            success: false,
+            message: 'No token, authorization denied'
+          });
+        }
+
+        let decoded;
+        try {
+          decoded = jwt.verify(token, process.env.JWT_SECRET);
+        } catch (jwtError) {
+          return res.status(401).json({
+            success: false,
+            message: jwtError.name === 'TokenExpiredError' ? 'Token has expired' : 'Token is not valid'
+          });
+        }
+
+        // Tokens are only honoured while the session they were issued for is active
+        const resolved = await sessionService.authenticate(decoded);
+        if (!resolved) {
+          return res.status(401).json({
+            success: false,
+            message: 'Token is not valid'
+          });
+        }
+        if (!resolved.isActive) {
+          return res.status(403).json({
+            success: false,
+            message: 'Account has been deactivated'
+          });
+        }
+
+        attachPrincipal(req, resolved);
+      }
+
+      const missing = permissions.filter(permission => !req.principal.permissions.includes(permission));
+      if (missing.length > 0) {
+        console.log(`🚫 ${req.principal.role} ${req.principal.id} denied ${req.method} ${req.originalUrl} (needs ${missing.join(', ')})`);
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to perform this action'
+        });
+      }
+
+      if (req.principal.account.needsTwoFactorSetup?.() &&
+        !permissions.every(permission => TWO_FACTOR_SETUP_PERMISSIONS.includes(permission))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Set up two-factor authentication to continue',
+          code: 'TWO_FACTOR_SETUP_REQUIRED'
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('❌ Authorization middleware error:', error);
+      res.status(401).json({
+        success: false,
+        message: 'Authentication failed'
+      });
+    }
+  };
+
+  // Kept on the handler so the route inventory can see each route's policy
+  middleware.permissions = permissions;
+  return middleware;
+};
+
+module.exports = authorize;
@@ -1,24 +1,85 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const twoFactorPlugin = require('./plugins/twoFactor');
 
+// Clinic staff who sign in to the admin dashboard; role decides their permissions (see config/permissions.js)
 const adminSchema = new mongoose.Schema({
   firstName: {
     type: String,
-    default: 'Admin'
+    required: [true, 'First name is required'],
+    trim: true,
+    maxlength: [50, 'First name cannot exceed 50 characters']
   },
   lastName: {
     type: String,
-    default: 'User'
+    required: [true, 'Last name is required'],
+    trim: true,
+    maxlength: [50, 'Last name cannot exceed 50 characters']
   },
   email: {
     type: String,
-    default: 'admin@gmail.com'
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters']
   },
   role: {
     type: String,
+    enum: ['admin', 'receptionist'],
     default: 'admin'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLogin: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
   }
 }, {
   timestamps: true
 });
 
-module.exports = mongoose.model('Admin', adminSchema);
\ No newline at end of file
+// Optional TOTP second sign-in step
+adminSchema.plugin(twoFactorPlugin);
+
+// Hash password before saving
+adminSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare password method
+adminSchema.methods.comparePassword = async function(candidatePassword) {
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Update last login
+adminSchema.methods.updateLastLogin = async function() {
+  this.lastLogin = new Date();
+  return await this.save();
+};
+
+// Static method to find by email
+adminSchema.statics.findByEmail = function(email) {
+  return this.findOne({ email: email.toLowerCase() });
+};
+
+module.exports = mongoose.model('Admin', adminSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { timeToMinutes, rangesOverlap } = require('../utils/slotGenerator');
+const { formatDate, getDayRange, toDayStart, getClinicToday, toClinicDateTime } = require('../utils/dateUtils');
 
 const appointmentSchema = new mongoose.Schema({
   patientId: {
@@ -42,9 +44,15 @@ const appointmentSchema = new mongoose.Schema({
       'Weekend Morning'
     ]
   },
+  procedure: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 50
+  },
   status: {
     type: String,
-    enum: ['scheduled', 'confirmed', 'completed', 'cancelled'],
+    enum: ['scheduled', 'confirmed', 'completed', 'cancelled', 'no-show'],
     default: 'scheduled'
   },
   symptoms: {
@@ -57,10 +65,59 @@ const appointmentSchema = new mongoose.Schema({
     trim: true,
     maxlength: 1000
   },
+  // Chairs, rooms and kits allocated for the appointment's time range
+  resources: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource'
+  }],
   isEmergency: {
     type: Boolean,
     default: false
   },
+  // Set when leave or a clinic closure is added over an already-booked appointment
+  requiresReschedule: {
+    type: Boolean,
+    default: false
+  },
+  rescheduleRequiredReason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  blockedByLeaveId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Leave'
+  },
+  // Set when the patient confirms attendance from a reminder link (status is left for the doctor)
+  patientConfirmedAt: Date,
+  // Set when the doctor starts the visit; 'confirmed' alone does not mean started, doctor reschedules use it too
+  startedAt: Date,
+  noShowMarkedAt: Date,
+  noShowMarkedBy: {
+    type: String,
+    enum: ['doctor', 'system']
+  },
+  // Incremented whenever the time or status changes so calendar clients replace the old event
+  calendarSequence: {
+    type: Number,
+    default: 0
+  },
+  // Reminder emails scheduled for this appointment and their delivery status
+  reminders: [{
+    offsetHours: Number,
+    scheduledFor: Date,
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScheduledJob'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed', 'cancelled', 'skipped'],
+      default: 'pending'
+    },
+    sentAt: Date,
+    error: String
+  }],
   bookingDate: {
     type: Date,
     default: Date.now
@@ -77,6 +134,7 @@ const appointmentSchema = new mongoose.Schema({
 appointmentSchema.index({ doctorId: 1, appointmentDate: 1, startTime: 1 });
 appointmentSchema.index({ patientId: 1, appointmentDate: 1 });
 appointmentSchema.index({ appointmentDate: 1, status: 1 });
+appointmentSchema.index({ appointmentDate: 1, resources: 1 });
 
 // Compound unique index to prevent double booking of same slot
 appointmentSchema.index(
@@ -90,25 +148,15 @@ appointmentSchema.index(
 // Update lastUpdated before saving
 appointmentSchema.pre('save', function(next) {
   this.lastUpdated = new Date();
+  if (!this.isNew && this.isModified('appointmentDate startTime endTime status')) {
+    this.calendarSequence = (this.calendarSequence || 0) + 1;
+  }
   next();
 });
 
 // Virtual for formatted appointment date
 appointmentSchema.virtual('formattedDate').get(function() {
-  // Use UTC methods to avoid timezone shifts
-  const year = this.appointmentDate.getUTCFullYear();
-  const month = this.appointmentDate.getUTCMonth();
-  const day = this.appointmentDate.getUTCDate();
-  
-  // Create a new date in local timezone for formatting
-  const localDate = new Date(year, month, day);
-  
-  return localDate.toLocaleDateString('en-US', {
-    weekday: 'long',
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
-  });
+  return formatDate(this.appointmentDate);
 });
 
 // Virtual for formatted time range
@@ -124,37 +172,100 @@ appointmentSchema.virtual('timeRange').get(function() {
   return `${formatTime(this.startTime)} - ${formatTime(this.endTime)}`;
 });
 
-// Static method to check if a slot is available
-appointmentSchema.statics.isSlotAvailable = async function(doctorId, appointmentDate, startTime, endTime) {
-  const existingAppointment = await this.findOne({
-    doctorId,
-    appointmentDate: {
-      $gte: new Date(appointmentDate.getFullYear(), appointmentDate.getMonth(), appointmentDate.getDate()),
-      $lt: new Date(appointmentDate.getFullYear(), appointmentDate.getMonth(), appointmentDate.getDate() + 1)
-    },
-    startTime,
-    endTime,
-    status: { $ne: 'cancelled' }
-  });
+// Method to get the date and time the appointment starts
+appointmentSchema.methods.getStartDateTime = function() {
+  return toClinicDateTime(this.appointmentDate, this.startTime);
+};
+
+// Method to get the date and time the appointment ends
+appointmentSchema.methods.getEndDateTime = function() {
+  return toClinicDateTime(this.appointmentDate, this.endTime);
+};
+
+// Method to check whether the doctor has started the visit
+appointmentSchema.methods.isStarted = function() {
+  return Boolean(this.startedAt);
+};
+
+// Method to clear the needs-reschedule flag once the appointment has been moved
+appointmentSchema.methods.clearRescheduleFlag = function() {
+  this.requiresReschedule = false;
+  this.rescheduleRequiredReason = undefined;
+  this.blockedByLeaveId = undefined;
+};
+
+// Method to reopen an appointment the no-show sweep flagged once the doctor sees the patient after all
+appointmentSchema.methods.clearSystemNoShow = function() {
+  if (this.status === 'no-show' && this.noShowMarkedBy === 'system') {
+    this.status = 'confirmed';
+    this.noShowMarkedAt = undefined;
+    this.noShowMarkedBy = undefined;
+  }
+};
+
+// Static method to build the query filter for appointments a doctor can still start or complete
+appointmentSchema.statics.conductableFilter = function() {
+  return {
+    $or: [
+      { status: { $in: ['scheduled', 'confirmed'] } },
+      // A late-running doctor can still see a patient the sweep marked as a no-show
+      { status: 'no-show', noShowMarkedBy: 'system' }
+    ]
+  };
+};
+
+// Static method to find active appointments overlapping a time range on a date
+appointmentSchema.statics.findConflicts = async function(doctorId, appointmentDate, startTime, endTime, excludeAppointmentId = null) {
+  const appointments = await this.getDoctorAppointments(doctorId, appointmentDate);
+  const start = timeToMinutes(startTime);
+  const end = timeToMinutes(endTime);
   
-  return !existingAppointment;
+  return appointments.filter(appointment => {
+    if (excludeAppointmentId && appointment._id.toString() === excludeAppointmentId.toString()) {
+      return false;
+    }
+    return rangesOverlap(start, end, timeToMinutes(appointment.startTime), timeToMinutes(appointment.endTime));
+  });
+};
+
+// Static method to check if a slot is available (no overlapping appointment)
+appointmentSchema.statics.isSlotAvailable = async function(doctorId, appointmentDate, startTime, endTime, excludeAppointmentId = null) {
+  const conflicts = await this.findConflicts(doctorId, appointmentDate, startTime, endTime, excludeAppointmentId);
+  return conflicts.length === 0;
 };
 
 // Static method to get doctor's appointments for a specific date
 appointmentSchema.statics.getDoctorAppointments = async function(doctorId, date) {
-  const startOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-  const endOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+  const { start, end } = getDayRange(date);
   
   return this.find({
     doctorId,
     appointmentDate: {
-      $gte: startOfDay,
-      $lt: endOfDay
+      $gte: start,
+      $lt: end
     },
     status: { $ne: 'cancelled' }
   }).sort({ startTime: 1 });
 };
 
+// Static method to get active appointments holding any resource on a specific date
+appointmentSchema.statics.getResourceBookings = function(date, excludeAppointmentId = null) {
+  const { start, end } = getDayRange(date);
+  const filter = {
+    appointmentDate: {
+      $gte: start,
+      $lt: end
+    },
+    status: { $ne: 'cancelled' },
+    'resources.0': { $exists: true }
+  };
+  if (excludeAppointmentId) {
+    filter._id = { $ne: excludeAppointmentId };
+  }
+  
+  return this.find(filter).sort({ startTime: 1 });
+};
+
 // Static method to get patient's appointments
 appointmentSchema.statics.getPatientAppointments = async function(patientId, limit = 10) {
   return this.find({
@@ -168,8 +279,7 @@ appointmentSchema.statics.getPatientAppointments = async function(patientId, lim
 
 // Static method to get upcoming appointments for a doctor
 appointmentSchema.statics.getDoctorUpcomingAppointments = async function(doctorId, limit = 10) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  const today = toDayStart(getClinicToday());
   
   return this.find({
     doctorId,
@@ -181,6 +291,27 @@ appointmentSchema.statics.getDoctorUpcomingAppointments = async function(doctorI
   .limit(limit);
 };
 
+// Static method to count a patient's appointments by outcome
+appointmentSchema.statics.getAttendanceStats = async function(patientId) {
+  const counts = await this.aggregate([
+    { $match: { patientId: new mongoose.Types.ObjectId(patientId) } },
+    { $group: { _id: '$status', count: { $sum: 1 }, lastAt: { $max: '$appointmentDate' } } }
+  ]);
+
+  const byStatus = counts.reduce((acc, row) => {
+    acc[row._id] = row;
+    return acc;
+  }, {});
+
+  return {
+    totalAppointments: counts.reduce((sum, row) => sum + row.count, 0),
+    completedCount: byStatus.completed ? byStatus.completed.count : 0,
+    cancelledCount: byStatus.cancelled ? byStatus.cancelled.count : 0,
+    noShowCount: byStatus['no-show'] ? byStatus['no-show'].count : 0,
+    lastNoShowDate: byStatus['no-show'] ? byStatus['no-show'].lastAt : null
+  };
+};
+
 const Appointment = mongoose.model('Appointment', appointmentSchema);
 
 module.exports = Appointment;
\ No newline at end of file
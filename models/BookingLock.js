@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { getDateString } = require('../utils/dateUtils');
+
+// Short-lived lock document serialising bookings for one doctor on one calendar day
+const bookingLockSchema = new mongoose.Schema({
+  // Null for the clinic-wide lock that serialises allocation of shared resources
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    default: null
+  },
+  day: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/ // YYYY-MM-DD
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One lock per doctor-day (and one clinic-wide lock per day)
+bookingLockSchema.index({ doctorId: 1, day: 1 }, { unique: true });
+
+// Let MongoDB clean up locks left behind by crashed requests
+bookingLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to build the lock key for a date
+bookingLockSchema.statics.dayKey = function(date) {
+  return getDateString(date);
+};
+
+// Static method to try to acquire the lock once; returns the owner token or null if held
+bookingLockSchema.statics.acquire = async function(doctorId, day, ttlMs = 10000) {
+  const owner = crypto.randomBytes(12).toString('hex');
+  const now = new Date();
+
+  try {
+    // Only an expired lock (or none at all) can be taken over; a live one makes the upsert collide
+    await this.findOneAndUpdate(
+      { doctorId, day, expiresAt: { $lt: now } },
+      { $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, new: true }
+    );
+    return owner;
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Static method to release a lock held by owner
+bookingLockSchema.statics.release = function(doctorId, day, owner) {
+  return this.deleteOne({ doctorId, day, owner });
+};
+
+// Static method to run fn while holding the doctor-day lock
+bookingLockSchema.statics.withLock = async function(doctorId, date, fn, options = {}) {
+  const { retries = 30, retryDelayMs = 100, ttlMs = 10000 } = options;
+  const day = this.dayKey(date);
+
+  let owner = null;
+  for (let attempt = 0; attempt <= retries && !owner; attempt++) {
+    owner = await this.acquire(doctorId, day, ttlMs);
+    if (!owner) {
+      await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+    }
+  }
+
+  if (!owner) {
+    const error = new Error('Another booking for this doctor and day is in progress. Please try again.');
+    error.code = 'BOOKING_LOCKED';
+    throw error;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await this.release(doctorId, day, owner);
+  }
+};
+
+module.exports = mongoose.model('BookingLock', bookingLockSchema);
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+
+// CDT procedure codes are a 'D' followed by four digits, e.g. D2391
+const CDT_CODE_PATTERN = /^D\d{4}$/;
+
+const SOAP_FIELDS = ['subjective', 'objective', 'assessment', 'plan'];
+
+const soapField = (label) => ({
+  type: String,
+  trim: true,
+  maxlength: [5000, `${label} cannot exceed 5000 characters`]
+});
+
+const procedurePerformedSchema = new mongoose.Schema({
+  cdtCode: {
+    type: String,
+    required: [true, 'CDT code is required'],
+    trim: true,
+    uppercase: true,
+    match: [CDT_CODE_PATTERN, 'CDT code must look like D0120']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // FDI tooth numbers the procedure was performed on
+  teeth: [{
+    type: String,
+    trim: true
+  }],
+  surfaces: [{
+    type: String,
+    trim: true,
+    uppercase: true
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+});
+
+const attachmentSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: String,
+  originalName: String,
+  size: Number,
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Caption cannot exceed 200 characters']
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Full copy of the note's content as saved by one edit
+const noteVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  subjective: String,
+  objective: String,
+  assessment: String,
+  plan: String,
+  procedures: [procedurePerformedSchema],
+  attachments: [attachmentSchema],
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now
+  },
+  changeReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Change reason cannot exceed 200 characters']
+  }
+}, { _id: false });
+
+// Text added to a note after it has been signed
+const addendumSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Addendum text is required'],
+    trim: true,
+    maxlength: [2000, 'Addendum cannot exceed 2000 characters']
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Structured clinical note for one appointment
+const clinicalNoteSchema = new mongoose.Schema({
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true,
+    unique: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  subjective: soapField('Subjective'),
+  objective: soapField('Objective'),
+  assessment: soapField('Assessment'),
+  plan: soapField('Plan'),
+  procedures: [procedurePerformedSchema],
+  attachments: [attachmentSchema],
+  version: {
+    type: Number,
+    default: 0
+  },
+  versions: [noteVersionSchema],
+  status: {
+    type: String,
+    enum: ['draft', 'signed'],
+    default: 'draft'
+  },
+  signedAt: Date,
+  signedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor'
+  },
+  addenda: [addendumSchema]
+}, {
+  timestamps: true
+});
+
+clinicalNoteSchema.index({ patientId: 1, createdAt: -1 });
+
+// Method to check whether the note has been signed off and can no longer be edited
+clinicalNoteSchema.methods.isLocked = function() {
+  return this.status === 'signed';
+};
+
+// Method to apply an edit and record it as a new version
+clinicalNoteSchema.methods.applyEdit = function(content, doctorId, changeReason) {
+  SOAP_FIELDS.forEach(field => {
+    if (content[field] !== undefined) {
+      this[field] = content[field];
+    }
+  });
+  if (content.procedures !== undefined) {
+    this.procedures = content.procedures;
+  }
+
+  this.version += 1;
+  this.versions.push({
+    version: this.version,
+    subjective: this.subjective,
+    objective: this.objective,
+    assessment: this.assessment,
+    plan: this.plan,
+    procedures: this.procedures.map(procedure => procedure.toObject()),
+    attachments: this.attachments.map(attachment => attachment.toObject()),
+    editedBy: doctorId,
+    editedAt: new Date(),
+    changeReason
+  });
+};
+
+// Static method to find the note for an appointment
+clinicalNoteSchema.statics.findByAppointment = function(appointmentId) {
+  return this.findOne({ appointmentId });
+};
+
+module.exports = mongoose.model('ClinicalNote', clinicalNoteSchema);
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const { isValidFdi, fdiToUniversal, isPrimaryTooth } = require('../utils/toothNumbering');
+
+const TOOTH_CONDITIONS = [
+  'healthy',
+  'caries',
+  'filled',
+  'crowned',
+  'root-canal-treated',
+  'fractured',
+  'impacted',
+  'implant',
+  'bridge-pontic',
+  'sealant',
+  'watch',
+  'missing',
+  'extracted'
+];
+
+// Mesial, occlusal, distal, buccal/facial, lingual/palatal, incisal
+const TOOTH_SURFACES = ['M', 'O', 'D', 'B', 'L', 'I'];
+
+const RESTORATION_TYPES = ['filling', 'crown', 'inlay', 'onlay', 'veneer', 'bridge', 'implant', 'root-canal', 'sealant'];
+
+// One observation or treatment recorded on a tooth during an appointment
+const chartEntrySchema = new mongoose.Schema({
+  toothNumber: {
+    type: String,
+    required: [true, 'Tooth number is required'],
+    validate: {
+      validator: isValidFdi,
+      message: 'Invalid FDI tooth number'
+    }
+  },
+  condition: {
+    type: String,
+    enum: TOOTH_CONDITIONS
+  },
+  // Surfaces the condition applies to; empty means the whole tooth
+  surfaces: [{
+    type: String,
+    enum: TOOTH_SURFACES
+  }],
+  restoration: {
+    type: {
+      type: String,
+      enum: RESTORATION_TYPES
+    },
+    material: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Odontogram for a patient, kept as an append-only history so any past state can be rebuilt
+const dentalChartSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true,
+    unique: true
+  },
+  entries: [chartEntrySchema]
+}, {
+  timestamps: true
+});
+
+// Method to build the per-tooth chart from entries recorded before a point in time
+dentalChartSchema.methods.getChartAsOf = function(asOf = null) {
+  const entries = this.entries
+    .filter(entry => !asOf || entry.recordedAt < asOf)
+    .sort((a, b) => a.recordedAt - b.recordedAt);
+
+  const teeth = new Map();
+
+  for (const entry of entries) {
+    if (!teeth.has(entry.toothNumber)) {
+      teeth.set(entry.toothNumber, {
+        toothNumber: entry.toothNumber,
+        universalNumber: fdiToUniversal(entry.toothNumber),
+        isPrimary: isPrimaryTooth(entry.toothNumber),
+        condition: 'healthy',
+        surfaces: {},
+        restorations: [],
+        notes: null,
+        history: []
+      });
+    }
+
+    const tooth = teeth.get(entry.toothNumber);
+
+    if (entry.condition) {
+      if (entry.surfaces.length > 0) {
+        entry.surfaces.forEach(surface => {
+          tooth.surfaces[surface] = entry.condition;
+        });
+      } else {
+        tooth.condition = entry.condition;
+        // A whole-tooth finding replaces earlier surface findings
+        tooth.surfaces = {};
+      }
+    }
+
+    if (entry.restoration && entry.restoration.type) {
+      tooth.restorations.push({
+        type: entry.restoration.type,
+        material: entry.restoration.material,
+        surfaces: entry.surfaces,
+        appointmentId: entry.appointmentId,
+        recordedAt: entry.recordedAt
+      });
+    }
+
+    if (entry.notes) {
+      tooth.notes = entry.notes;
+    }
+
+    tooth.lastRecordedAt = entry.recordedAt;
+    tooth.history.push(entry);
+  }
+
+  return [...teeth.values()].sort((a, b) => a.toothNumber.localeCompare(b.toothNumber));
+};
+
+// Static method to get a patient's chart, creating an empty one on first use
+dentalChartSchema.statics.findOrCreateForPatient = async function(patientId) {
+  return this.findOneAndUpdate(
+    { patientId },
+    { $setOnInsert: { patientId, entries: [] } },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('DentalChart', dentalChartSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const twoFactorPlugin = require('./plugins/twoFactor');
+const crypto = require('crypto');
 
 const doctorSchema = new mongoose.Schema({
   firstName: {
@@ -70,6 +72,26 @@ const doctorSchema = new mongoose.Schema({
     enum: ['active', 'inactive'],
     default: 'active'
   },
+  appointmentSettings: {
+    defaultSlotDuration: {
+      type: Number,
+      min: [5, 'Slot duration must be at least 5 minutes'],
+      max: [480, 'Slot duration cannot exceed 480 minutes'],
+      default: 30
+    },
+    bufferMinutes: {
+      type: Number,
+      min: [0, 'Buffer cannot be negative'],
+      max: [120, 'Buffer cannot exceed 120 minutes'],
+      default: 0
+    },
+    // Per-procedure overrides in minutes, e.g. { 'root-canal': 60, 'checkup': 15 }
+    procedureDurations: {
+      type: Map,
+      of: Number,
+      default: {}
+    }
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -80,6 +102,13 @@ const doctorSchema = new mongoose.Schema({
   passwordResetOTPExpires: {
     type: Date
   },
+  // Secret token in the doctor's calendar subscription URL (calendar apps can't send auth headers)
+  calendarFeedToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -92,6 +121,9 @@ const doctorSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Optional TOTP second sign-in step
+doctorSchema.plugin(twoFactorPlugin);
+
 // Hash password before saving
 doctorSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -144,6 +176,12 @@ doctorSchema.methods.clearPasswordResetOTP = function() {
   this.passwordResetOTPExpires = undefined;
 };
 
+// Generate a new calendar feed token, invalidating any previously shared feed URL
+doctorSchema.methods.generateCalendarFeedToken = function() {
+  this.calendarFeedToken = crypto.randomBytes(32).toString('hex');
+  return this.calendarFeedToken;
+};
+
 // Virtual for full name
 doctorSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
@@ -154,6 +192,7 @@ doctorSchema.set('toJSON', {
   virtuals: true,
   transform: function(doc, ret) {
     delete ret.password;
+    delete ret.calendarFeedToken;
     return ret;
   }
 });
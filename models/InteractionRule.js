@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One prescribing safety rule, imported from data/interactionRules.json or a clinic's own dataset
+const interactionRuleSchema = new mongoose.Schema({
+  ruleId: {
+    type: String,
+    required: [true, 'Rule ID is required'],
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  type: {
+    type: String,
+    enum: ['drug-allergy', 'drug-drug', 'age'],
+    required: true
+  },
+  // Drug names or name fragments the rule applies to, matched against medication names
+  drugs: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // drug-allergy: allergy substances that rule out the drugs
+  allergens: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // drug-drug: drugs that must not be combined with the rule's drugs
+  interactingDrugs: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // age: the rule applies below minAge or above maxAge
+  minAge: Number,
+  maxAge: Number,
+  severity: {
+    type: String,
+    enum: ['warning', 'blocking'],
+    default: 'warning'
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    maxlength: [300, 'Message cannot exceed 300 characters']
+  },
+  source: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+interactionRuleSchema.index({ type: 1, isActive: 1 });
+
+module.exports = mongoose.model('InteractionRule', interactionRuleSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { toDayStart } = require('../utils/dateUtils');
+const { timeToMinutes } = require('../utils/slotGenerator');
+
+// Doctor leave or clinic-wide closure that blocks booking
+const leaveSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    required: true,
+    enum: ['doctor', 'clinic'],
+    default: 'doctor'
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: function() {
+      return this.scope === 'doctor';
+    }
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['vacation', 'sick', 'conference', 'personal', 'public-holiday', 'clinic-closure', 'other'],
+    default: 'vacation'
+  },
+  // First and last calendar day covered (inclusive), stored at 00:00 UTC
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Optional partial-day window applied on every day in the range; omitted means the whole day
+  startTime: {
+    type: String,
+    match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/ // HH:MM format
+  },
+  endTime: {
+    type: String,
+    match: /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/ // HH:MM format
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  createdBy: {
+    userId: {
+      type: String
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'doctor']
+    }
+  }
+}, {
+  timestamps: true
+});
+
+leaveSchema.index({ doctorId: 1, startDate: 1, endDate: 1 });
+leaveSchema.index({ scope: 1, startDate: 1, endDate: 1 });
+
+// Validate date and time ranges
+leaveSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be on or after start date');
+  }
+  if ((this.startTime && !this.endTime) || (!this.startTime && this.endTime)) {
+    this.invalidate('endTime', 'Both start and end time are required for a partial-day leave');
+  }
+  if (this.startTime && this.endTime && timeToMinutes(this.startTime) >= timeToMinutes(this.endTime)) {
+    this.invalidate('endTime', 'Start time must be before end time');
+  }
+  next();
+});
+
+// Virtual for whether the leave covers whole days
+leaveSchema.virtual('isFullDay').get(function() {
+  return !this.startTime || !this.endTime;
+});
+
+// Method to get the blocked HH:MM window on any covered day
+leaveSchema.methods.getBlockedWindow = function() {
+  return this.isFullDay
+    ? { startTime: '00:00', endTime: '24:00' }
+    : { startTime: this.startTime, endTime: this.endTime };
+};
+
+// Static method to find active doctor leaves and clinic closures covering a date
+leaveSchema.statics.findForDoctorOnDate = function(doctorId, date) {
+  const dayStart = toDayStart(date);
+
+  return this.find({
+    status: 'active',
+    startDate: { $lte: dayStart },
+    endDate: { $gte: dayStart },
+    $or: [
+      { scope: 'clinic' },
+      { scope: 'doctor', doctorId }
+    ]
+  });
+};
+
+leaveSchema.set('toJSON', { virtuals: true });
+leaveSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Leave', leaveSchema);
@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+
+const ALLERGY_SEVERITIES = ['mild', 'moderate', 'severe', 'life-threatening'];
+
+const SMOKING_STATUSES = ['never', 'former', 'current'];
+
+const conditionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Condition name is required'],
+    trim: true,
+    maxlength: [100, 'Condition name cannot exceed 100 characters']
+  },
+  diagnosedYear: {
+    type: Number,
+    min: [1900, 'Diagnosed year is not valid']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Notes cannot exceed 300 characters']
+  }
+}, { _id: false });
+
+const allergySchema = new mongoose.Schema({
+  substance: {
+    type: String,
+    required: [true, 'Allergy substance is required'],
+    trim: true,
+    maxlength: [100, 'Substance cannot exceed 100 characters']
+  },
+  reaction: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reaction cannot exceed 200 characters']
+  },
+  severity: {
+    type: String,
+    enum: ALLERGY_SEVERITIES,
+    default: 'moderate'
+  }
+}, { _id: false });
+
+const currentMedicationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Medication name is required'],
+    trim: true,
+    maxlength: [100, 'Medication name cannot exceed 100 characters']
+  },
+  dosage: {
+    type: String,
+    trim: true
+  },
+  frequency: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  }
+}, { _id: false });
+
+// One saved version of a patient's medical history; a new document is written on every update
+const medicalHistorySchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  conditions: [conditionSchema],
+  allergies: [allergySchema],
+  medications: [currentMedicationSchema],
+  pregnancy: {
+    isPregnant: {
+      type: Boolean,
+      default: false
+    },
+    weeks: {
+      type: Number,
+      min: [0, 'Weeks cannot be negative'],
+      max: [45, 'Weeks cannot exceed 45']
+    },
+    isBreastfeeding: {
+      type: Boolean,
+      default: false
+    }
+  },
+  smoking: {
+    status: {
+      type: String,
+      enum: SMOKING_STATUSES,
+      default: 'never'
+    },
+    perDay: {
+      type: Number,
+      min: [0, 'Cigarettes per day cannot be negative']
+    },
+    quitYear: Number
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  // Appointment the intake form was filled in for, if any
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  recordedBy: {
+    role: {
+      type: String,
+      enum: ['patient', 'doctor', 'admin'],
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    }
+  }
+}, {
+  timestamps: true
+});
+
+medicalHistorySchema.index({ patientId: 1, version: -1 }, { unique: true });
+
+// Method to summarise conditions, medications and lifestyle as free text for prompts
+medicalHistorySchema.methods.getHistorySummary = function() {
+  const parts = [];
+
+  if (this.conditions.length > 0) {
+    parts.push(`Conditions: ${this.conditions.map(condition => condition.name).join(', ')}`);
+  }
+  if (this.medications.length > 0) {
+    parts.push(`Current medications: ${this.medications
+      .map(medication => [medication.name, medication.dosage, medication.frequency].filter(Boolean).join(' '))
+      .join(', ')}`);
+  }
+  if (this.pregnancy && this.pregnancy.isPregnant) {
+    parts.push(`Pregnant${this.pregnancy.weeks ? ` (${this.pregnancy.weeks} weeks)` : ''}`);
+  }
+  if (this.pregnancy && this.pregnancy.isBreastfeeding) {
+    parts.push('Breastfeeding');
+  }
+  if (this.smoking && this.smoking.status !== 'never') {
+    parts.push(this.smoking.status === 'current'
+      ? `Current smoker${this.smoking.perDay ? ` (${this.smoking.perDay}/day)` : ''}`
+      : 'Former smoker');
+  }
+
+  return parts.join('; ');
+};
+
+// Method to summarise allergies as free text for prompts and printouts
+medicalHistorySchema.methods.getAllergySummary = function() {
+  return this.allergies
+    .map(allergy => `${allergy.substance} (${allergy.severity}${allergy.reaction ? `: ${allergy.reaction}` : ''})`)
+    .join(', ');
+};
+
+// Static method to get the latest version of a patient's medical history, optionally as it stood at a past time
+medicalHistorySchema.statics.getCurrent = function(patientId, asOf = null) {
+  const query = { patientId };
+  if (asOf) {
+    query.createdAt = { $lte: asOf };
+  }
+  return this.findOne(query).sort({ version: -1 });
+};
+
+// Static method to save a new version of a patient's medical history
+medicalHistorySchema.statics.recordVersion = async function(patientId, data, recordedBy) {
+  const current = await this.getCurrent(patientId);
+
+  return this.create({
+    ...data,
+    patientId,
+    version: current ? current.version + 1 : 1,
+    recordedBy
+  });
+};
+
+module.exports = mongoose.model('MedicalHistory', medicalHistorySchema);
@@ -1,4 +1,57 @@
 const mongoose = require('mongoose');
+const StockMovement = require('./StockMovement');
+
+// Stock errors carry a code so callers can tell a shortage from a lost race
+const stockError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// One delivered lot of a medicine; stock is consumed from the lot that expires first
+const batchSchema = new mongoose.Schema({
+  lotNumber: {
+    type: String,
+    required: [true, 'Lot number is required'],
+    trim: true,
+    maxlength: [50, 'Lot number cannot exceed 50 characters']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0, 'Lot quantity cannot be negative']
+  },
+  initialQuantity: {
+    type: Number,
+    min: [0, 'Lot quantity cannot be negative']
+  },
+  expiryDate: {
+    type: Date,
+    required: [true, 'Lot expiry date is required']
+  },
+  supplier: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Supplier name cannot exceed 100 characters']
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+  // Purchase order the lot was received against
+  purchaseOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  unitCost: {
+    type: Number,
+    min: [0, 'Unit cost cannot be negative']
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const medicineSchema = new mongoose.Schema({
   name: {
@@ -39,6 +92,7 @@ const medicineSchema = new mongoose.Schema({
     default: 'INR',
     enum: ['INR', 'USD', 'EUR']
   },
+  // Total across all lots
   stockQuantity: {
     type: Number,
     required: [true, 'Stock quantity is required'],
@@ -51,16 +105,23 @@ const medicineSchema = new mongoose.Schema({
     min: [0, 'Minimum stock level cannot be negative'],
     default: 10
   },
+  // Earliest expiry among the lots still holding stock
   expiryDate: {
     type: Date,
     required: [true, 'Expiry date is required']
   },
+  batches: [batchSchema],
   manufacturer: {
     type: String,
     required: [true, 'Manufacturer is required'],
     trim: true,
     maxlength: [100, 'Manufacturer name cannot exceed 100 characters']
   },
+  // Supplier that reorder suggestions are drafted for
+  preferredSupplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
   image: {
     url: {
       type: String,
@@ -89,15 +150,103 @@ medicineSchema.index({ name: 1 });
 medicineSchema.index({ category: 1 });
 medicineSchema.index({ expiryDate: 1 });
 medicineSchema.index({ stockQuantity: 1 });
+medicineSchema.index({ 'batches.expiryDate': 1 });
+
+// Helper to build the aggregation expression for stock in unexpired lots (legacy medicines without lots use stockQuantity)
+const availableQuantityExpr = (now = new Date()) => ({
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ['$batches', []] } }, 0] },
+    {
+      $sum: {
+        $map: {
+          input: {
+            $filter: {
+              input: '$batches',
+              cond: { $gte: ['$$this.expiryDate', now] }
+            }
+          },
+          in: '$$this.quantity'
+        }
+      }
+    },
+    { $cond: [{ $gte: ['$expiryDate', now] }, '$stockQuantity', 0] }
+  ]
+});
+
+// Helper to build a filter for medicines holding stock that expires in a date range
+const lotsExpiringFilter = (from, to) => {
+  const expiryDate = {};
+  if (from) expiryDate.$gte = from;
+  if (to) expiryDate.$lte = to;
+  return {
+    $or: [
+      { batches: { $elemMatch: { quantity: { $gt: 0 }, expiryDate } } },
+      { 'batches.0': { $exists: false }, stockQuantity: { $gt: 0 }, expiryDate }
+    ]
+  };
+};
+
+// Helper to copy the stock fields of an atomically updated document onto this instance
+const syncStockFields = (medicine, updated) => {
+  ['stockQuantity', 'expiryDate', 'batches', 'lastUpdatedBy'].forEach(field => {
+    medicine[field] = updated[field];
+    medicine.unmarkModified(field);
+  });
+};
+
+// Append ledger entries for a stock change that has already been applied; a failed write shows up as drift
+const recordMovements = async (medicine, type, entries, movement = {}) => {
+  try {
+    await StockMovement.insertMany(entries.map(entry => ({
+      medicineId: medicine._id,
+      type,
+      quantity: entry.quantity,
+      batchId: entry.batchId,
+      lotNumber: entry.lotNumber,
+      balanceAfter: medicine.stockQuantity,
+      reason: movement.reason,
+      performedBy: movement.performedBy,
+      prescriptionId: movement.prescriptionId,
+      purchaseOrderId: movement.purchaseOrderId
+    })));
+  } catch (error) {
+    console.error(`❌ Failed to record ${type} movement for medicine ${medicine._id}:`, error);
+  }
+};
+
+// Virtual for stock that can still be dispensed (unexpired lots)
+medicineSchema.virtual('availableQuantity').get(function() {
+  const now = new Date();
+  if (!this.batches || this.batches.length === 0) {
+    return this.expiryDate < now ? 0 : this.stockQuantity;
+  }
+  return this.batches
+    .filter(batch => batch.expiryDate >= now)
+    .reduce((total, batch) => total + batch.quantity, 0);
+});
 
-// Virtual for checking if medicine is expired
+// Virtual for stock sitting in expired lots
+medicineSchema.virtual('expiredQuantity').get(function() {
+  const now = new Date();
+  if (!this.batches || this.batches.length === 0) {
+    return this.expiryDate < now ? this.stockQuantity : 0;
+  }
+  return this.batches
+    .filter(batch => batch.expiryDate < now)
+    .reduce((total, batch) => total + batch.quantity, 0);
+});
+
+// Virtual for checking if medicine is expired (all remaining stock is past its expiry)
 medicineSchema.virtual('isExpired').get(function() {
-  return this.expiryDate < new Date();
+  if (!this.batches || this.batches.length === 0) {
+    return this.expiryDate < new Date();
+  }
+  return this.stockQuantity > 0 && this.availableQuantity === 0;
 });
 
 // Virtual for checking if medicine is low in stock
 medicineSchema.virtual('isLowStock').get(function() {
-  return this.stockQuantity <= this.minStockLevel;
+  return this.availableQuantity <= this.minStockLevel;
 });
 
 // Virtual for checking if medicine is out of stock
@@ -114,58 +263,344 @@ medicineSchema.virtual('daysUntilExpiry').get(function() {
 
 // Pre-save middleware to ensure data consistency
 medicineSchema.pre('save', function(next) {
+  // Totals follow the lots whenever lots are edited through the document
+  if (this.batches.length > 0 && this.isModified('batches')) {
+    this.stockQuantity = this.batches.reduce((total, batch) => total + batch.quantity, 0);
+    const stocked = this.batches.filter(batch => batch.quantity > 0);
+    if (stocked.length > 0) {
+      this.expiryDate = new Date(Math.min(...stocked.map(batch => batch.expiryDate.getTime())));
+    }
+  }
   next();
 });
 
+// Static method to get the aggregation expression for dispensable stock
+medicineSchema.statics.availableQuantityExpr = availableQuantityExpr;
+
 // Static method to find medicines that need restocking
 medicineSchema.statics.findLowStock = function() {
   return this.find({
-    $expr: { $lte: ['$stockQuantity', '$minStockLevel'] }
+    $expr: { $lte: [availableQuantityExpr(), '$minStockLevel'] }
   });
 };
 
-// Static method to find expired medicines
+// Static method to find medicines holding expired stock
 medicineSchema.statics.findExpired = function() {
-  return this.find({
-    expiryDate: { $lt: new Date() }
-  });
+  return this.find(lotsExpiringFilter(null, new Date()));
 };
 
-// Static method to find medicines expiring soon (within 30 days)
+// Static method to find medicines with stock expiring soon (within 30 days)
 medicineSchema.statics.findExpiringSoon = function(days = 30) {
   const futureDate = new Date();
   futureDate.setDate(futureDate.getDate() + days);
   
-  return this.find({
-    expiryDate: { 
-      $gte: new Date(),
-      $lte: futureDate 
+  return this.find(lotsExpiringFilter(new Date(), futureDate));
+};
+
+// Static method to recompute the earliest expiry from the lots still holding stock
+medicineSchema.statics.refreshExpiryDate = function(medicineId) {
+  return this.updateOne({ _id: medicineId, 'batches.0': { $exists: true } }, [{
+    $set: {
+      expiryDate: {
+        $ifNull: [
+          {
+            $min: {
+              $map: {
+                input: { $filter: { input: '$batches', cond: { $gt: ['$$this.quantity', 0] } } },
+                in: '$$this.expiryDate'
+              }
+            }
+          },
+          '$expiryDate'
+        ]
+      }
     }
+  }]);
+};
+
+// Instance method to list unexpired lots holding stock that expires within a number of days
+medicineSchema.methods.getBatchesExpiringWithin = function(days = 30) {
+  const now = new Date();
+  const futureDate = new Date();
+  futureDate.setDate(futureDate.getDate() + days);
+  
+  return this.batches
+    .filter(batch => batch.quantity > 0 && batch.expiryDate >= now && batch.expiryDate <= futureDate)
+    .sort((a, b) => a.expiryDate - b.expiryDate);
+};
+
+// Instance method to pick unexpired lots first-expiry-first-out for a quantity
+medicineSchema.methods.allocateFefo = function(quantity) {
+  const now = new Date();
+  const lots = this.batches
+    .filter(batch => batch.quantity > 0 && batch.expiryDate >= now)
+    .sort((a, b) => a.expiryDate - b.expiryDate);
+  
+  const allocations = [];
+  let remaining = quantity;
+  for (const lot of lots) {
+    if (remaining === 0) break;
+    const take = Math.min(lot.quantity, remaining);
+    allocations.push({
+      batchId: lot._id,
+      lotNumber: lot.lotNumber,
+      expiryDate: lot.expiryDate,
+      quantity: take
+    });
+    remaining -= take;
+  }
+  
+  if (remaining > 0) {
+    throw stockError('Insufficient stock', 'INSUFFICIENT_STOCK');
+  }
+  return allocations;
+};
+
+// Instance method to move stock held without lots into an opening lot
+medicineSchema.methods.convertToBatches = async function() {
+  const current = await this.constructor.findById(this._id);
+  if (!current || current.batches.length > 0 || current.stockQuantity === 0) {
+    return;
+  }
+  
+  await this.constructor.updateOne(
+    { _id: this._id, 'batches.0': { $exists: false }, stockQuantity: current.stockQuantity },
+    {
+      $set: {
+        batches: [{
+          lotNumber: 'OPENING',
+          quantity: current.stockQuantity,
+          initialQuantity: current.stockQuantity,
+          expiryDate: current.expiryDate,
+          receivedAt: current.createdAt
+        }]
+      }
+    }
+  );
+};
+
+// Instance method to restock medicine with a new lot
+medicineSchema.methods.restock = async function(quantity, updatedBy, batch = {}, movement = {}) {
+  await this.convertToBatches();
+  await StockMovement.ensureOpeningBalance(await this.constructor.findById(this._id));
+  
+  const lot = {
+    _id: batch._id || new mongoose.Types.ObjectId(),
+    lotNumber: batch.lotNumber || `LOT-${Date.now().toString(36).toUpperCase()}`,
+    quantity,
+    initialQuantity: quantity,
+    expiryDate: batch.expiryDate || this.expiryDate,
+    supplier: batch.supplier,
+    supplierId: batch.supplierId,
+    purchaseOrderId: batch.purchaseOrderId,
+    unitCost: batch.unitCost,
+    receivedAt: new Date()
+  };
+  const update = {
+    $inc: { stockQuantity: quantity },
+    $push: { batches: lot }
+  };
+  if (updatedBy) {
+    update.$set = { lastUpdatedBy: updatedBy };
+  }
+  
+  await this.constructor.findByIdAndUpdate(this._id, update);
+  await this.constructor.refreshExpiryDate(this._id);
+  syncStockFields(this, await this.constructor.findById(this._id));
+  
+  await recordMovements(this, 'restock', [{ quantity, batchId: lot._id, lotNumber: lot.lotNumber }], movement);
+  
+  return this;
+};
+
+// Instance method to reduce stock first-expiry-first-out; returns the lots the stock was taken from
+medicineSchema.methods.reduceStock = async function(quantity, updatedBy, movement = {}) {
+  const setUpdatedBy = updatedBy ? { $set: { lastUpdatedBy: updatedBy } } : {};
+  
+  // Retry when another dispense changes the lots between reading and writing
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const current = await this.constructor.findById(this._id);
+    if (!current) {
+      throw new Error('Medicine not found');
+    }
+    await StockMovement.ensureOpeningBalance(current);
+    
+    // Medicines without lots keep the single-quantity behaviour
+    if (current.batches.length === 0) {
+      const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id, 'batches.0': { $exists: false }, stockQuantity: { $gte: quantity } },
+        { $inc: { stockQuantity: -quantity }, ...setUpdatedBy },
+        { new: true }
+      );
+      if (!updated) {
+        throw stockError('Insufficient stock', 'INSUFFICIENT_STOCK');
+      }
+      syncStockFields(this, updated);
+      await recordMovements(this, 'dispense', [{ quantity: -quantity }], movement);
+      return [];
+    }
+    
+    const allocations = current.allocateFefo(quantity);
+    
+    // Conditional update so concurrent dispensing can never take a lot below zero
+    const inc = { stockQuantity: -quantity };
+    allocations.forEach((allocation, index) => {
+      inc[`batches.$[lot${index}].quantity`] = -allocation.quantity;
+    });
+    
+    const updated = await this.constructor.findOneAndUpdate(
+      {
+        _id: this._id,
+        $and: allocations.map(allocation => ({
+          batches: { $elemMatch: { _id: allocation.batchId, quantity: { $gte: allocation.quantity } } }
+        }))
+      },
+      { $inc: inc, ...setUpdatedBy },
+      {
+        new: true,
+        arrayFilters: allocations.map((allocation, index) => ({ [`lot${index}._id`]: allocation.batchId }))
+      }
+    );
+    
+    if (updated) {
+      await this.constructor.refreshExpiryDate(this._id);
+      syncStockFields(this, await this.constructor.findById(this._id));
+      await recordMovements(this, 'dispense', allocations.map(allocation => ({
+        quantity: -allocation.quantity,
+        batchId: allocation.batchId,
+        lotNumber: allocation.lotNumber
+      })), movement);
+      return allocations;
+    }
+  }
+  
+  throw stockError('Stock changed during the update. Please try again.', 'STOCK_CHANGED');
+};
+
+// Instance method to put back stock taken by reduceStock, into the same lots
+medicineSchema.methods.returnStock = async function(quantity, allocations = [], movement = {}) {
+  const inc = { stockQuantity: quantity };
+  allocations.forEach((allocation, index) => {
+    inc[`batches.$[lot${index}].quantity`] = allocation.quantity;
   });
+  
+  await this.constructor.findByIdAndUpdate(this._id, { $inc: inc }, {
+    arrayFilters: allocations.map((allocation, index) => ({ [`lot${index}._id`]: allocation.batchId }))
+  });
+  await this.constructor.refreshExpiryDate(this._id);
+  syncStockFields(this, await this.constructor.findById(this._id));
+  
+  const entries = allocations.length > 0
+    ? allocations.map(allocation => ({ quantity: allocation.quantity, batchId: allocation.batchId, lotNumber: allocation.lotNumber }))
+    : [{ quantity }];
+  await recordMovements(this, 'return', entries, movement);
+  
+  return this;
 };
 
-// Instance method to restock medicine
-medicineSchema.methods.restock = function(quantity, updatedBy) {
-  this.stockQuantity += quantity;
-  this.lastUpdatedBy = updatedBy;
+// Instance method to correct stock by a signed quantity, on one lot for lot-tracked medicines
+medicineSchema.methods.adjustStock = async function(quantity, updatedBy, batchId = null, movement = {}) {
+  const current = await this.constructor.findById(this._id);
+  if (!current) {
+    throw new Error('Medicine not found');
+  }
+  
+  const lot = batchId ? current.batches.id(batchId) : null;
+  if (current.batches.length > 0 && !lot) {
+    throw new Error('Lot not found');
+  }
+  await StockMovement.ensureOpeningBalance(current);
   
-  return this.save();
+  const filter = { _id: this._id };
+  const inc = { stockQuantity: quantity };
+  const options = { new: true };
+  if (lot) {
+    filter.batches = { $elemMatch: { _id: lot._id, ...(quantity < 0 && { quantity: { $gte: -quantity } }) } };
+    inc['batches.$[lot].quantity'] = quantity;
+    options.arrayFilters = [{ 'lot._id': lot._id }];
+  } else {
+    filter['batches.0'] = { $exists: false };
+    if (quantity < 0) {
+      filter.stockQuantity = { $gte: -quantity };
+    }
+  }
+  
+  const updated = await this.constructor.findOneAndUpdate(
+    filter,
+    { $inc: inc, ...(updatedBy && { $set: { lastUpdatedBy: updatedBy } }) },
+    options
+  );
+  if (!updated) {
+    throw stockError('Insufficient stock', 'INSUFFICIENT_STOCK');
+  }
+  
+  await this.constructor.refreshExpiryDate(this._id);
+  syncStockFields(this, await this.constructor.findById(this._id));
+  await recordMovements(this, 'adjustment', [{
+    quantity,
+    ...(lot && { batchId: lot._id, lotNumber: lot.lotNumber })
+  }], movement);
+  
+  return this;
 };
 
-// Instance method to reduce stock
-medicineSchema.methods.reduceStock = function(quantity, updatedBy) {
-  if (this.stockQuantity < quantity) {
-    throw new Error('Insufficient stock');
+// Instance method to write off all remaining stock that has passed its expiry date; returns what was removed
+medicineSchema.methods.writeOffExpired = async function(updatedBy, movement = {}) {
+  const current = await this.constructor.findById(this._id);
+  if (!current) {
+    throw new Error('Medicine not found');
   }
+  await StockMovement.ensureOpeningBalance(current);
   
-  this.stockQuantity -= quantity;
-  this.lastUpdatedBy = updatedBy;
+  const now = new Date();
+  const setUpdatedBy = updatedBy ? { $set: { lastUpdatedBy: updatedBy } } : {};
+  const writtenOff = [];
+  
+  if (current.batches.length === 0) {
+    if (current.stockQuantity > 0 && current.expiryDate < now) {
+      const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id, 'batches.0': { $exists: false }, stockQuantity: current.stockQuantity },
+        { $inc: { stockQuantity: -current.stockQuantity }, ...setUpdatedBy }
+      );
+      if (updated) {
+        writtenOff.push({ quantity: current.stockQuantity });
+      }
+    }
+  } else {
+    const expiredLots = current.batches.filter(batch => batch.quantity > 0 && batch.expiryDate < now);
+    for (const lot of expiredLots) {
+      // Only write off the quantity that was read, so a concurrent change is not lost
+      const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id, batches: { $elemMatch: { _id: lot._id, quantity: lot.quantity } } },
+        { $inc: { stockQuantity: -lot.quantity, 'batches.$[lot].quantity': -lot.quantity }, ...setUpdatedBy },
+        { arrayFilters: [{ 'lot._id': lot._id }] }
+      );
+      if (updated) {
+        writtenOff.push({
+          quantity: lot.quantity,
+          batchId: lot._id,
+          lotNumber: lot.lotNumber,
+          expiryDate: lot.expiryDate
+        });
+      }
+    }
+  }
+  
+  if (writtenOff.length > 0) {
+    await this.constructor.refreshExpiryDate(this._id);
+    syncStockFields(this, await this.constructor.findById(this._id));
+    await recordMovements(this, 'write-off', writtenOff.map(entry => ({
+      quantity: -entry.quantity,
+      batchId: entry.batchId,
+      lotNumber: entry.lotNumber
+    })), movement);
+  }
   
-  return this.save();
+  return writtenOff;
 };
 
 // Ensure virtual fields are serialized
 medicineSchema.set('toJSON', { virtuals: true });
 medicineSchema.set('toObject', { virtuals: true });
 
-module.exports = mongoose.model('Medicine', medicineSchema);
\ No newline at end of file
+module.exports = mongoose.model('Medicine', medicineSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const twoFactorPlugin = require('./plugins/twoFactor');
 
 const pharmacistSchema = new mongoose.Schema({
   firstName: {
@@ -88,6 +89,9 @@ const pharmacistSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Optional TOTP second sign-in step
+pharmacistSchema.plugin(twoFactorPlugin);
+
 // Hash password before saving
 pharmacistSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
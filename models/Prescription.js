@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
 
 const medicationSchema = new mongoose.Schema({
+  // Clinic stock item this medication is dispensed from, if it is on the formulary
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine'
+  },
   name: {
     type: String,
     required: [true, 'Medication name is required'],
@@ -23,9 +28,131 @@ const medicationSchema = new mongoose.Schema({
   frequency: {
     type: String,
     trim: true
+  },
+  // Units to supply; set by the doctor or by the pharmacist on first dispense
+  quantity: {
+    type: Number,
+    min: [1, 'Quantity must be at least 1']
+  },
+  dispensedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Dispensed quantity cannot be negative']
+  },
+  // Stock item supplied in place of the prescribed one
+  substitution: {
+    medicineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medicine'
+    },
+    name: String,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Substitution reason cannot exceed 300 characters']
+    },
+    pharmacistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Pharmacist'
+    },
+    substitutedAt: Date
+  }
+});
+
+// One visit to the pharmacy counter; a prescription may be filled over several
+const dispensingSchema = new mongoose.Schema({
+  pharmacistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacist',
+    required: true
+  },
+  items: [{
+    medicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    medicineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medicine',
+      required: true
+    },
+    name: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    },
+    // Lots the units were taken from, first expiry first
+    batches: [{
+      _id: false,
+      batchId: mongoose.Schema.Types.ObjectId,
+      lotNumber: String,
+      expiryDate: Date,
+      quantity: Number
+    }],
+    isSubstitution: {
+      type: Boolean,
+      default: false
+    },
+    substitutionReason: String
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  dispensedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
+// Safety issue raised by the interaction checks when the prescription was saved
+const interactionIssueSchema = new mongoose.Schema({
+  ruleId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['drug-allergy', 'drug-drug', 'age']
+  },
+  severity: {
+    type: String,
+    enum: ['warning', 'blocking']
+  },
+  medication: String,
+  conflictWith: String,
+  message: String
+}, { _id: false });
+
+// Blocking issue the doctor chose to prescribe through
+const interactionOverrideSchema = new mongoose.Schema({
+  ruleId: {
+    type: String,
+    required: true
+  },
+  type: String,
+  medication: String,
+  conflictWith: String,
+  message: String,
+  reason: {
+    type: String,
+    required: [true, 'Override reason is required'],
+    trim: true,
+    maxlength: [500, 'Override reason cannot exceed 500 characters']
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  overriddenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const prescriptionSchema = new mongoose.Schema({
   appointmentId: {
     type: mongoose.Schema.Types.Mixed, // More flexible to handle different ID formats
@@ -91,7 +218,17 @@ const prescriptionSchema = new mongoose.Schema({
     type: String,
     trim: true,
     maxlength: [500, 'Notes cannot exceed 500 characters']
-  }
+  },
+  dispensingStatus: {
+    type: String,
+    enum: ['pending', 'partially-dispensed', 'dispensed'],
+    default: 'pending'
+  },
+  dispensings: [dispensingSchema],
+  dispensedAt: Date,
+  interactionWarnings: [interactionIssueSchema],
+  interactionOverrides: [interactionOverrideSchema],
+  interactionsCheckedAt: Date
 }, {
   timestamps: true
 });
@@ -102,6 +239,7 @@ prescriptionSchema.index({ patientId: 1 });
 prescriptionSchema.index({ doctorId: 1 });
 prescriptionSchema.index({ prescriptionDate: -1 });
 prescriptionSchema.index({ status: 1 });
+prescriptionSchema.index({ status: 1, dispensingStatus: 1, prescriptionDate: 1 });
 
 // Virtual for prescription age in days
 prescriptionSchema.virtual('prescriptionAge').get(function() {
@@ -130,6 +268,20 @@ prescriptionSchema.methods.addMedication = function(medication) {
   return this.save();
 };
 
+// Instance method to update the dispensing progress, completing the prescription once every line is filled
+prescriptionSchema.methods.refreshDispensingStatus = function() {
+  const isFilled = (medication) => medication.quantity && medication.dispensedQuantity >= medication.quantity;
+  const started = this.medications.some(medication => medication.dispensedQuantity > 0);
+
+  if (this.medications.length > 0 && this.medications.every(isFilled)) {
+    this.dispensingStatus = 'dispensed';
+    this.dispensedAt = new Date();
+    this.status = 'completed';
+  } else {
+    this.dispensingStatus = started ? 'partially-dispensed' : 'pending';
+  }
+};
+
 // Instance method to update status
 prescriptionSchema.methods.updateStatus = function(status) {
   this.status = status;
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+
+// One medicine ordered from the supplier
+const purchaseOrderItemSchema = new mongoose.Schema({
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true
+  },
+  // Name at the time of ordering, so the order still reads correctly if the medicine is renamed
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantityOrdered: {
+    type: Number,
+    required: [true, 'Ordered quantity is required'],
+    min: [1, 'Ordered quantity must be at least 1']
+  },
+  quantityReceived: {
+    type: Number,
+    default: 0,
+    min: [0, 'Received quantity cannot be negative']
+  },
+  unitCost: {
+    type: Number,
+    min: [0, 'Unit cost cannot be negative']
+  },
+  // Why the reorder suggestion proposed this quantity
+  suggestion: {
+    dailyConsumption: Number,
+    availableQuantity: Number,
+    minStockLevel: Number
+  }
+});
+
+// Stock received against the order in one delivery
+const receiptSchema = new mongoose.Schema({
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  supplierInvoiceNumber: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  items: [{
+    itemId: mongoose.Schema.Types.ObjectId,
+    medicineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medicine'
+    },
+    quantity: Number,
+    batchId: mongoose.Schema.Types.ObjectId,
+    lotNumber: String,
+    expiryDate: Date,
+    unitCost: Number
+  }]
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'ordered', 'partially-received', 'received', 'cancelled'],
+    default: 'draft'
+  },
+  items: {
+    type: [purchaseOrderItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'A purchase order needs at least one item'
+    }
+  },
+  expectedDeliveryDate: Date,
+  // Drafted automatically from reorder suggestions
+  isAutoDrafted: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  receipts: [receiptSchema],
+  orderedAt: Date,
+  receivedAt: Date,
+  cancelledAt: Date,
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Cancellation reason cannot exceed 300 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplierId: 1, status: 1 });
+purchaseOrderSchema.index({ 'items.medicineId': 1, status: 1 });
+
+// Statuses whose unreceived quantities count as stock on the way
+const OPEN_STATUSES = ['draft', 'ordered', 'partially-received'];
+
+// Virtual for the order value at the agreed unit costs
+purchaseOrderSchema.virtual('totalCost').get(function() {
+  return this.items.reduce((sum, item) => sum + (item.unitCost || 0) * item.quantityOrdered, 0);
+});
+
+// Static method to get the next order number, e.g. PO-202610-0007
+purchaseOrderSchema.statics.nextOrderNumber = async function(date = new Date()) {
+  const prefix = `PO-${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}-`;
+  const last = await this.findOne({ orderNumber: { $regex: `^${prefix}` } })
+    .sort({ orderNumber: -1 })
+    .select('orderNumber');
+  const sequence = last ? parseInt(last.orderNumber.slice(prefix.length)) + 1 : 1;
+  return `${prefix}${String(sequence).padStart(4, '0')}`;
+};
+
+// Static method to total the quantities still to arrive on open orders, keyed by medicine ID
+purchaseOrderSchema.statics.getQuantitiesOnOrder = async function(medicineIds) {
+  const totals = await this.aggregate([
+    { $match: { status: { $in: OPEN_STATUSES }, 'items.medicineId': { $in: medicineIds } } },
+    { $unwind: '$items' },
+    { $match: { 'items.medicineId': { $in: medicineIds } } },
+    {
+      $group: {
+        _id: '$items.medicineId',
+        quantity: { $sum: { $subtract: ['$items.quantityOrdered', '$items.quantityReceived'] } }
+      }
+    }
+  ]);
+
+  return new Map(totals.map(total => [total._id.toString(), total.quantity]));
+};
+
+// Method to move the order to received or partially-received from its item quantities
+purchaseOrderSchema.methods.refreshReceiptStatus = function() {
+  const received = this.items.every(item => item.quantityReceived >= item.quantityOrdered);
+  const started = this.items.some(item => item.quantityReceived > 0);
+
+  if (received) {
+    this.status = 'received';
+    this.receivedAt = new Date();
+  } else if (started) {
+    this.status = 'partially-received';
+  }
+};
+
+// Ensure virtual fields are serialized
+purchaseOrderSchema.set('toJSON', { virtuals: true });
+purchaseOrderSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { toDayStart } = require('../utils/dateUtils');
+
+const QUEUE_PRIORITY = {
+  emergency: 0,
+  'walk-in': 1
+};
+
+// Same-day walk-in or emergency patient waiting to be seen
+const queueEntrySchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  // Requested doctor; left empty when any doctor can see the patient
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    default: null
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ['walk-in', 'emergency'],
+    default: 'walk-in'
+  },
+  // Lower is seen first; derived from kind
+  priority: {
+    type: Number,
+    default: QUEUE_PRIORITY['walk-in']
+  },
+  // Calendar day of the queue, stored at 00:00 UTC
+  queueDate: {
+    type: Date,
+    required: true
+  },
+  tokenNumber: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  procedure: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 50
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'called', 'cancelled'],
+    default: 'waiting'
+  },
+  checkedInAt: {
+    type: Date,
+    default: Date.now
+  },
+  calledAt: Date,
+  // Appointment created when a doctor pulls the patient from the queue
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  cancelReason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  registeredBy: {
+    userId: {
+      type: String
+    },
+    role: {
+      type: String
+    }
+  }
+}, {
+  timestamps: true
+});
+
+queueEntrySchema.index({ queueDate: 1, tokenNumber: 1 }, { unique: true });
+queueEntrySchema.index({ queueDate: 1, status: 1, priority: 1, checkedInAt: 1 });
+
+// Keep priority in step with kind
+queueEntrySchema.pre('validate', function(next) {
+  if (this.isModified('kind') || this.isNew) {
+    this.priority = QUEUE_PRIORITY[this.kind];
+  }
+  next();
+});
+
+// Static method to get the next token number for a day
+queueEntrySchema.statics.nextTokenNumber = async function(date) {
+  const last = await this.findOne({ queueDate: toDayStart(date) })
+    .sort({ tokenNumber: -1 })
+    .select('tokenNumber');
+  return last ? last.tokenNumber + 1 : 1;
+};
+
+// Static method to get waiting entries for a day in the order they will be seen
+queueEntrySchema.statics.getWaiting = function(date, doctorId = null) {
+  const filter = {
+    queueDate: toDayStart(date),
+    status: 'waiting'
+  };
+  if (doctorId) {
+    // A doctor's queue includes patients who asked for them and those who will see anyone
+    filter.$or = [{ doctorId }, { doctorId: null }];
+  }
+
+  return this.find(filter).sort({ priority: 1, checkedInAt: 1 });
+};
+
+module.exports = mongoose.model('QueueEntry', queueEntrySchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Operatory or shared resource (dental chair, X-ray room, sterilised kit) that appointments occupy
+const resourceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Resource name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Resource type is required'],
+    enum: ['dental-chair', 'xray-room', 'sterilised-kit', 'other']
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Location cannot exceed 100 characters']
+  },
+  // Time the resource stays unusable after an appointment (cleaning, sterilisation)
+  turnaroundMinutes: {
+    type: Number,
+    default: 0,
+    min: [0, 'Turnaround cannot be negative'],
+    max: [240, 'Turnaround cannot exceed 240 minutes']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+resourceSchema.index({ type: 1, isActive: 1 });
+
+// Static method to get active resources, optionally of the given types
+resourceSchema.statics.findActive = function(types = null) {
+  const filter = { isActive: true };
+  if (types) {
+    filter.type = { $in: types };
+  }
+  return this.find(filter).sort({ type: 1, name: 1 });
+};
+
+module.exports = mongoose.model('Resource', resourceSchema);
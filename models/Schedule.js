@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { formatDate, getClinicToday, getDateString, getWeekBounds, addDays } = require('../utils/dateUtils');
 
 const scheduleSlotSchema = new mongoose.Schema({
   startTime: {
@@ -82,12 +83,12 @@ scheduleSchema.index({ doctorId: 1, status: 1 });
 
 // Virtual for formatted week range
 scheduleSchema.virtual('weekRange').get(function() {
-  const startDate = this.weekStartDate.toLocaleDateString('en-US', { 
+  const startDate = formatDate(this.weekStartDate, { 
     month: 'long', 
     day: 'numeric', 
     year: 'numeric' 
   });
-  const endDate = this.weekEndDate.toLocaleDateString('en-US', { 
+  const endDate = formatDate(this.weekEndDate, { 
     month: 'long', 
     day: 'numeric', 
     year: 'numeric' 
@@ -142,22 +143,33 @@ scheduleSchema.methods.getFormattedSchedule = function() {
   return formatted;
 };
 
-// Static method to get current week dates
-scheduleSchema.statics.getCurrentWeekDates = function(date = new Date()) {
-  const currentDate = new Date(date);
-  const dayOfWeek = currentDate.getDay(); // 0 = Sunday, 1 = Monday, etc.
-  
-  // Calculate Monday (start of week)
-  const monday = new Date(currentDate);
-  monday.setDate(currentDate.getDate() - ((dayOfWeek + 6) % 7));
-  monday.setHours(0, 0, 0, 0);
-  
-  // Calculate Sunday (end of week)  
-  const sunday = new Date(monday);
-  sunday.setDate(monday.getDate() + 6);
-  sunday.setHours(23, 59, 59, 999);
-  
-  return { weekStartDate: monday, weekEndDate: sunday };
+// Static method to get the Monday-Sunday week containing a calendar day (default: today at the clinic)
+scheduleSchema.statics.getCurrentWeekDates = function(date = getClinicToday()) {
+  return getWeekBounds(date);
+};
+
+// Static method to find the active schedule covering a specific date
+scheduleSchema.statics.findForDate = async function(doctorId, date) {
+  const schedules = await this.find({
+    doctorId,
+    status: 'active'
+  }).sort({ weekStartDate: -1 });
+
+  // Compare calendar days so the result doesn't depend on the server timezone
+  const day = getDateString(date);
+
+  // Return the most recent schedule that covers this date
+  for (const schedule of schedules) {
+    const weekStart = getDateString(schedule.weekStartDate);
+    const weekEnd = addDays(weekStart, 6);
+
+    if (day >= weekStart && day <= weekEnd) {
+      return schedule;
+    }
+  }
+
+  return null;
 };
 
 module.exports = mongoose.model('Schedule', scheduleSchema);
+module.exports.scheduleSlotSchema = scheduleSlotSchema;
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const Schedule = require('./Schedule');
+const { getDateString, getWeekStart, toDayStart } = require('../utils/dateUtils');
+
+const { scheduleSlotSchema } = Schedule;
+
+const MS_PER_WEEK = 7 * 24 * 60 * 60 * 1000;
+
+// Monday (UTC midnight) of the week containing date
+const getWeekStartUTC = (date) => toDayStart(getWeekStart(date));
+
+const scheduleTemplateSchema = new mongoose.Schema({
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  weeklySchedule: {
+    monday: [scheduleSlotSchema],
+    tuesday: [scheduleSlotSchema],
+    wednesday: [scheduleSlotSchema],
+    thursday: [scheduleSlotSchema],
+    friday: [scheduleSlotSchema],
+    saturday: [scheduleSlotSchema],
+    sunday: [scheduleSlotSchema]
+  },
+  // Rules deciding which weeks the template applies to
+  rules: {
+    effectiveFrom: {
+      type: Date,
+      required: [true, 'Effective from date is required'],
+      default: Date.now
+    },
+    effectiveUntil: {
+      type: Date,
+      default: null
+    },
+    // 1 = every week, 2 = every other week (counted from effectiveFrom), ...
+    weekInterval: {
+      type: Number,
+      min: [1, 'Week interval must be at least 1'],
+      max: [12, 'Week interval cannot exceed 12'],
+      default: 1
+    },
+    // Months (1-12) the template is limited to, e.g. [6, 7, 8] for summer hours; empty means all year
+    months: [{
+      type: Number,
+      min: 1,
+      max: 12
+    }]
+  },
+  // When several templates apply to the same week the highest priority wins
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  totalHours: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+scheduleTemplateSchema.index({ doctorId: 1, isActive: 1, priority: -1 });
+scheduleTemplateSchema.index({ doctorId: 1, name: 1 }, { unique: true });
+
+// Reuse the weekly hour calculation from Schedule
+scheduleTemplateSchema.methods.calculateTotalHours = Schedule.schema.methods.calculateTotalHours;
+
+// Method to check whether the template's rules cover a given date
+scheduleTemplateSchema.methods.appliesToDate = function(date) {
+  if (!this.isActive) {
+    return false;
+  }
+
+  const weekStart = getWeekStartUTC(date);
+  const anchorWeekStart = getWeekStartUTC(this.rules.effectiveFrom);
+
+  if (weekStart < anchorWeekStart) {
+    return false;
+  }
+
+  if (this.rules.effectiveUntil && getDateString(date) > getDateString(this.rules.effectiveUntil)) {
+    return false;
+  }
+
+  if (this.rules.months && this.rules.months.length > 0) {
+    const month = Number(getDateString(date).split('-')[1]);
+    if (!this.rules.months.includes(month)) {
+      return false;
+    }
+  }
+
+  const weeksSinceAnchor = Math.round((weekStart - anchorWeekStart) / MS_PER_WEEK);
+  return weeksSinceAnchor % (this.rules.weekInterval || 1) === 0;
+};
+
+// Method to copy the weekly schedule for a concrete week; slot ids are dropped so every week gets its own
+scheduleTemplateSchema.methods.copyWeeklySchedule = function() {
+  const { weeklySchedule } = this.toObject();
+
+  return Object.fromEntries(Object.entries(weeklySchedule || {}).map(([day, slots]) => [
+    day,
+    (slots || []).map(({ _id, ...slot }) => slot)
+  ]));
+};
+
+// Static method to resolve the template that applies to a date for a doctor
+scheduleTemplateSchema.statics.resolveForDate = async function(doctorId, date) {
+  const templates = await this.find({
+    doctorId,
+    isActive: true
+  }).sort({ priority: -1, updatedAt: -1 });
+
+  return templates.find(template => template.appliesToDate(date)) || null;
+};
+
+// Static method to get the Monday (UTC midnight) of the week containing date
+scheduleTemplateSchema.statics.getWeekStart = getWeekStartUTC;
+
+module.exports = mongoose.model('ScheduleTemplate', scheduleTemplateSchema);
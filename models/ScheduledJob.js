@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const scheduledJobSchema = new mongoose.Schema({
+  // Handler name registered with the job runner, e.g. 'appointment-reminder'
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Document the job belongs to, so pending jobs can be cancelled when it changes
+  referenceId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+  lockedAt: Date,
+  completedAt: Date,
+  lastError: {
+    type: String,
+    maxlength: 1000
+  }
+}, {
+  timestamps: true
+});
+
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+scheduledJobSchema.index({ referenceId: 1, type: 1, status: 1 });
+
+// Static method to atomically claim the next due job so only one worker runs it
+scheduledJobSchema.statics.claimNext = function() {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { status: 'pending', runAt: { $lte: now } },
+    { $set: { status: 'running', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Static method to put jobs left running by a crashed process back in the queue
+scheduledJobSchema.statics.recoverStale = async function(staleAfterMs) {
+  const result = await this.updateMany(
+    { status: 'running', lockedAt: { $lt: new Date(Date.now() - staleAfterMs) } },
+    { $set: { status: 'pending' }, $unset: { lockedAt: '' } }
+  );
+  return result.modifiedCount;
+};
+
+// Static method to cancel pending jobs of a type for a document
+scheduledJobSchema.statics.cancelForReference = async function(referenceId, type) {
+  const result = await this.updateMany(
+    { referenceId, type, status: 'pending' },
+    { $set: { status: 'cancelled' } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// One signed-in device. Access tokens name their session, so revoking it signs that device out
+const sessionSchema = new mongoose.Schema({
+  userType: {
+    type: String,
+    enum: ['admin', 'doctor', 'pharmacist', 'patient'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Only hashes are stored; the refresh token itself is handed to the client once
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // The token this one replaced, kept to spot a stolen refresh token being replayed
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  device: {
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Device name cannot exceed 100 characters']
+    },
+    userAgent: String,
+    ip: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userType: 1, userId: 1, revokedAt: 1 });
+
+// Let MongoDB clean up sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a refresh token secret for storage and lookup
+sessionSchema.statics.hashToken = function(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+// Static method to get a user's signed-in devices, most recently used first
+sessionSchema.statics.findActiveForUser = function(userType, userId) {
+  return this.find({
+    userType,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeForUser = async function(userType, userId, reason, exceptSessionId = null) {
+  const result = await this.updateMany(
+    {
+      userType,
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { _id: { $ne: exceptSessionId } })
+    },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+// Method to check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to sign this device out
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = ['restock', 'dispense', 'adjustment', 'write-off', 'return'];
+
+// Append-only record of one change to a medicine's stock; quantity is signed (+ in, - out)
+const stockMovementSchema = new mongoose.Schema({
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: value => Number.isInteger(value) && value !== 0,
+      message: 'Movement quantity must be a non-zero whole number'
+    }
+  },
+  batchId: mongoose.Schema.Types.ObjectId,
+  lotNumber: String,
+  // Medicine stock total right after the movement, for reading the history
+  balanceAfter: Number,
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  performedBy: {
+    role: {
+      type: String,
+      enum: ['admin', 'pharmacist', 'doctor', 'system'],
+      default: 'system'
+    },
+    id: mongoose.Schema.Types.ObjectId
+  },
+  prescriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prescription'
+  },
+  purchaseOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  // Stock that existed before the ledger was introduced
+  isOpeningBalance: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ medicineId: 1, createdAt: -1 });
+stockMovementSchema.index({ medicineId: 1, batchId: 1 });
+stockMovementSchema.index(
+  { medicineId: 1, batchId: 1, isOpeningBalance: 1 },
+  { unique: true, partialFilterExpression: { isOpeningBalance: true } }
+);
+
+// Movements are never edited or removed; corrections are new adjustment entries
+const rejectChange = function(next) {
+  next(new Error('Stock movements are append-only'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  stockMovementSchema.pre(operation, rejectChange);
+});
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Stock movements are append-only'));
+  }
+  next();
+});
+
+// Static method to record the stock a medicine held before its first ledger entry
+stockMovementSchema.statics.ensureOpeningBalance = async function(medicine) {
+  const hasMovements = await this.exists({ medicineId: medicine._id });
+  if (hasMovements) {
+    return;
+  }
+
+  const entries = medicine.batches.length > 0
+    ? medicine.batches
+      .filter(batch => batch.quantity > 0)
+      .map(batch => ({ quantity: batch.quantity, batchId: batch._id, lotNumber: batch.lotNumber }))
+    : (medicine.stockQuantity > 0 ? [{ quantity: medicine.stockQuantity }] : []);
+
+  if (entries.length === 0) {
+    return;
+  }
+
+  try {
+    await this.insertMany(entries.map(entry => ({
+      ...entry,
+      medicineId: medicine._id,
+      type: 'adjustment',
+      balanceAfter: medicine.stockQuantity,
+      reason: 'Opening balance',
+      isOpeningBalance: true
+    })), { ordered: false });
+  } catch (error) {
+    // Another request recorded the opening balance first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+// Static method to sum the ledger per medicine and lot
+stockMovementSchema.statics.getBalances = function(medicineIds = null) {
+  const match = medicineIds ? { medicineId: { $in: medicineIds } } : {};
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { medicineId: '$medicineId', batchId: '$batchId' },
+        quantity: { $sum: '$quantity' }
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
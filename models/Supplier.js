@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// A company the pharmacy buys medicines from
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Supplier name is required'],
+    trim: true,
+    maxlength: [100, 'Supplier name cannot exceed 100 characters']
+  },
+  contactPerson: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Contact person cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Address cannot exceed 300 characters']
+  },
+  gstNumber: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // Usual days between placing an order and delivery, used when suggesting reorder quantities
+  leadTimeDays: {
+    type: Number,
+    default: 7,
+    min: [0, 'Lead time cannot be negative']
+  },
+  paymentTerms: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Payment terms cannot exceed 100 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+supplierSchema.index({ name: 1 });
+supplierSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
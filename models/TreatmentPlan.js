@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+
+const treatmentStepSchema = new mongoose.Schema({
+  procedure: {
+    type: String,
+    required: [true, 'Procedure is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Procedure cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // FDI tooth numbers the step applies to, e.g. ['36', '37']
+  teeth: [{
+    type: String,
+    trim: true
+  }],
+  estimatedCost: {
+    type: Number,
+    default: 0,
+    min: [0, 'Estimated cost cannot be negative']
+  },
+  // Number of visits the step needs; it is complete once that many linked appointments are completed
+  estimatedVisits: {
+    type: Number,
+    default: 1,
+    min: [1, 'A step needs at least one visit']
+  },
+  status: {
+    type: String,
+    enum: ['planned', 'scheduled', 'completed', 'cancelled'],
+    default: 'planned'
+  },
+  appointmentIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  }],
+  prescriptionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prescription'
+  }],
+  completedAt: Date,
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+});
+
+const treatmentPhaseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Phase name is required'],
+    trim: true,
+    maxlength: [100, 'Phase name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  steps: [treatmentStepSchema]
+});
+
+// Multi-visit treatment (root canal, implant, orthodontics) a doctor plans for a patient
+const treatmentPlanSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [150, 'Title cannot exceed 150 characters']
+  },
+  diagnosis: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Diagnosis cannot exceed 1000 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  phases: [treatmentPhaseSchema],
+  status: {
+    type: String,
+    enum: ['draft', 'proposed', 'accepted', 'in-progress', 'completed', 'declined', 'cancelled'],
+    default: 'draft'
+  },
+  proposedAt: Date,
+  acceptedAt: Date,
+  declinedAt: Date,
+  declineReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  cancelledAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+treatmentPlanSchema.index({ patientId: 1, status: 1 });
+treatmentPlanSchema.index({ doctorId: 1, status: 1 });
+treatmentPlanSchema.index({ 'phases.steps.appointmentIds': 1 });
+
+// Virtual for the estimated cost of the whole plan (cancelled steps excluded)
+treatmentPlanSchema.virtual('totalEstimatedCost').get(function() {
+  return this.phases.reduce((total, phase) => total + phase.steps
+    .filter(step => step.status !== 'cancelled')
+    .reduce((phaseTotal, step) => phaseTotal + (step.estimatedCost || 0), 0), 0);
+});
+
+// Method to check whether the plan's content can still be edited
+treatmentPlanSchema.methods.isEditable = function() {
+  return ['draft', 'proposed'].includes(this.status);
+};
+
+// Method to check whether steps may be booked and linked
+treatmentPlanSchema.methods.isActive = function() {
+  return ['accepted', 'in-progress'].includes(this.status);
+};
+
+// Method to find a step and its phase by step id
+treatmentPlanSchema.methods.findStep = function(stepId) {
+  for (const phase of this.phases) {
+    const step = phase.steps.id(stepId);
+    if (step) {
+      return { phase, step };
+    }
+  }
+  return null;
+};
+
+// Method to move an accepted plan along as its steps progress
+treatmentPlanSchema.methods.refreshStatus = function() {
+  if (!this.isActive()) {
+    return;
+  }
+
+  const steps = this.phases.flatMap(phase => phase.steps).filter(step => step.status !== 'cancelled');
+
+  if (steps.length > 0 && steps.every(step => step.status === 'completed')) {
+    this.status = 'completed';
+    this.completedAt = new Date();
+  } else if (steps.some(step => ['scheduled', 'completed'].includes(step.status))) {
+    this.status = 'in-progress';
+  }
+};
+
+// Static method to find the plans an appointment is linked to
+treatmentPlanSchema.statics.findByAppointment = function(appointmentId) {
+  return this.find({ 'phases.steps.appointmentIds': appointmentId });
+};
+
+treatmentPlanSchema.set('toJSON', { virtuals: true });
+treatmentPlanSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('TreatmentPlan', treatmentPlanSchema);
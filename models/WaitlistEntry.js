@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { toDayStart, getDayRange } = require('../utils/dateUtils');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true
+  },
+  // Calendar days (inclusive) the patient is willing to come in, stored at 00:00 UTC
+  fromDate: {
+    type: Date,
+    required: [true, 'From date is required']
+  },
+  toDate: {
+    type: Date,
+    required: [true, 'To date is required']
+  },
+  procedure: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 50
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'expired', 'declined', 'cancelled'],
+    default: 'waiting'
+  },
+  // Slot currently held for this patient
+  offer: {
+    appointmentDate: Date,
+    startTime: String,
+    endTime: String,
+    slotType: String,
+    offeredAt: Date,
+    expiresAt: Date
+  },
+  // Number of offers made to this entry (declined or expired ones included)
+  offerCount: {
+    type: Number,
+    default: 0
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  }
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ doctorId: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ patientId: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+// Virtual for whether the current offer is still being held
+waitlistEntrySchema.virtual('isOfferActive').get(function() {
+  return this.status === 'offered' && this.offer && this.offer.expiresAt > new Date();
+});
+
+// Static method to find the next waiting patient for a freed slot (first come, first served)
+waitlistEntrySchema.statics.findNextForSlot = function(doctorId, appointmentDate) {
+  const dayStart = toDayStart(appointmentDate);
+
+  return this.findOne({
+    doctorId,
+    status: 'waiting',
+    fromDate: { $lte: dayStart },
+    toDate: { $gte: dayStart }
+  }).sort({ createdAt: 1 });
+};
+
+// Static method to find slots currently held by waitlist offers for a doctor on a date
+waitlistEntrySchema.statics.findActiveHolds = function(doctorId, date) {
+  const { start, end } = getDayRange(date);
+
+  return this.find({
+    doctorId,
+    status: 'offered',
+    'offer.appointmentDate': { $gte: start, $lt: end },
+    'offer.expiresAt': { $gt: new Date() }
+  });
+};
+
+waitlistEntrySchema.set('toJSON', { virtuals: true });
+waitlistEntrySchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { generateSecret, verifyCode } = require('../../utils/totp');
+
+const BACKUP_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+
+// Fields excluded from queries by default; load them with .select(TWO_FACTOR_SECRET_FIELDS)
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes';
+
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^0-9a-f]/g, ''))
+  .digest('hex');
+
+// Backup codes look like "3f9a-0c72" so they are easy to read off paper
+const generateBackupCodes = () => Array.from({ length: BACKUP_CODE_COUNT }, () => {
+  const hex = crypto.randomBytes(4).toString('hex');
+  return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+});
+
+// TOTP two-factor authentication for staff accounts (Doctor, Pharmacist, Admin)
+function twoFactorPlugin(schema) {
+  schema.add({
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // Set by an admin; the account can do nothing but enroll until 2FA is enabled
+      required: {
+        type: Boolean,
+        default: false
+      },
+      secret: {
+        type: String,
+        select: false
+      },
+      // Secret shown during enrollment, promoted to secret once a code from it is confirmed
+      pendingSecret: {
+        type: String,
+        select: false
+      },
+      backupCodes: {
+        type: [{
+          codeHash: String,
+          usedAt: Date
+        }],
+        select: false
+      },
+      // Last accepted time step, so a code cannot be used twice
+      lastUsedStep: Number,
+      failedAttempts: {
+        type: Number,
+        default: 0
+      },
+      lockedUntil: Date,
+      enabledAt: Date
+    }
+  });
+
+  // Method to start enrollment; returns the new secret to show the user
+  schema.methods.beginTwoFactorEnrollment = async function() {
+    this.twoFactor.pendingSecret = generateSecret();
+    await this.save();
+    return this.twoFactor.pendingSecret;
+  };
+
+  // Method to finish enrollment with a code from the pending secret; returns backup codes, or null if the code is wrong
+  schema.methods.confirmTwoFactorEnrollment = async function(code) {
+    const step = this.twoFactor.pendingSecret && verifyCode(this.twoFactor.pendingSecret, code);
+    if (step === null || step === undefined) {
+      return null;
+    }
+
+    this.twoFactor.secret = this.twoFactor.pendingSecret;
+    this.twoFactor.pendingSecret = undefined;
+    this.twoFactor.enabled = true;
+    this.twoFactor.enabledAt = new Date();
+    this.twoFactor.lastUsedStep = step;
+    this.twoFactor.failedAttempts = 0;
+    this.twoFactor.lockedUntil = undefined;
+
+    const codes = generateBackupCodes();
+    this.twoFactor.backupCodes = codes.map(backupCode => ({ codeHash: hashBackupCode(backupCode) }));
+    await this.save();
+
+    return codes;
+  };
+
+  // Method to check whether too many wrong codes have been entered recently
+  schema.methods.isTwoFactorLocked = function() {
+    return Boolean(this.twoFactor.lockedUntil && this.twoFactor.lockedUntil > new Date());
+  };
+
+  // Method to check an authenticator or backup code; used codes are spent
+  schema.methods.verifyTwoFactorCode = async function(code) {
+    if (!this.twoFactor.enabled || this.isTwoFactorLocked()) {
+      return { valid: false };
+    }
+
+    let method = null;
+    const step = verifyCode(this.twoFactor.secret, code);
+    if (step !== null && step > (this.twoFactor.lastUsedStep || 0)) {
+      this.twoFactor.lastUsedStep = step;
+      method = 'totp';
+    } else {
+      const codeHash = hashBackupCode(code);
+      const backupCode = this.twoFactor.backupCodes.find(entry => entry.codeHash === codeHash && !entry.usedAt);
+      if (backupCode) {
+        backupCode.usedAt = new Date();
+        method = 'backup-code';
+      }
+    }
+
+    if (method) {
+      this.twoFactor.failedAttempts = 0;
+      this.twoFactor.lockedUntil = undefined;
+    } else {
+      this.twoFactor.failedAttempts += 1;
+      if (this.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+        this.twoFactor.failedAttempts = 0;
+        this.twoFactor.lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+      }
+    }
+    await this.save();
+
+    return {
+      valid: Boolean(method),
+      method,
+      backupCodesRemaining: this.twoFactor.backupCodes.filter(entry => !entry.usedAt).length
+    };
+  };
+
+  // Method to replace every backup code; returns the new codes
+  schema.methods.regenerateBackupCodes = async function() {
+    const codes = generateBackupCodes();
+    this.twoFactor.backupCodes = codes.map(backupCode => ({ codeHash: hashBackupCode(backupCode) }));
+    await this.save();
+    return codes;
+  };
+
+  // Method to remove the enrollment, e.g. when the user turns 2FA off or an admin resets a lost device
+  schema.methods.clearTwoFactor = async function() {
+    this.twoFactor.enabled = false;
+    this.twoFactor.secret = undefined;
+    this.twoFactor.pendingSecret = undefined;
+    this.twoFactor.backupCodes = [];
+    this.twoFactor.lastUsedStep = undefined;
+    this.twoFactor.failedAttempts = 0;
+    this.twoFactor.lockedUntil = undefined;
+    this.twoFactor.enabledAt = undefined;
+    await this.save();
+  };
+
+  // Method to check whether an admin requires 2FA that the user has not set up yet
+  schema.methods.needsTwoFactorSetup = function() {
+    return Boolean(this.twoFactor && this.twoFactor.required && !this.twoFactor.enabled);
+  };
+}
+
+module.exports = twoFactorPlugin;
+module.exports.TWO_FACTOR_SECRET_FIELDS = TWO_FACTOR_SECRET_FIELDS;
@@ -0,0 +1,255 @@
+const express = require('express');
+const { validationResult, body } = require('express-validator');
+const Admin = require('../models/Admin');
+const authorize = require('../middleware/authorize');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const { getPermissions } = require('../config/permissions');
+
+const router = express.Router();
+
+// Shape an admin account for responses
+const formatAdmin = (admin) => ({
+  id: admin._id,
+  firstName: admin.firstName,
+  lastName: admin.lastName,
+  email: admin.email,
+  role: admin.role,
+  isActive: admin.isActive,
+  lastLogin: admin.lastLogin,
+  permissions: getPermissions(admin.role),
+  twoFactor: {
+    enabled: admin.twoFactor.enabled,
+    required: admin.twoFactor.required
+  },
+  createdAt: admin.createdAt
+});
+
+const passwordValidation = body('password')
+  .isLength({ min: 8 })
+  .withMessage('Password must be at least 8 characters')
+  .matches(/[A-Za-z]/)
+  .withMessage('Password must contain a letter')
+  .matches(/\d/)
+  .withMessage('Password must contain a number');
+
+// GET /api/admins - List admin and receptionist accounts
+router.get('/', authorize('admins:manage'), async (req, res) => {
+  try {
+    const admins = await Admin.find().select('-password').sort({ role: 1, firstName: 1 });
+
+    res.json({
+      success: true,
+      data: admins.map(formatAdmin)
+    });
+
+  } catch (error) {
+    console.error('Error fetching admin accounts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch admin accounts',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/admins - Create an admin or receptionist account
+router.post('/', authorize('admins:manage'), [
+  body('firstName').trim().notEmpty().withMessage('First name is required'),
+  body('lastName').trim().notEmpty().withMessage('Last name is required'),
+  body('email').isEmail().withMessage('Valid email is required').normalizeEmail(),
+  passwordValidation,
+  body('role').optional().isIn(['admin', 'receptionist']).withMessage('Role must be admin or receptionist')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { firstName, lastName, email, password, role = 'admin' } = req.body;
+
+    const existingAdmin = await Admin.findByEmail(email);
+    if (existingAdmin) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    const admin = new Admin({
+      firstName,
+      lastName,
+      email,
+      password,
+      role,
+      createdBy: req.admin._id
+    });
+    await admin.save();
+
+    console.log(`👤 ${role} account created for ${admin.email} by ${req.admin.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: formatAdmin(admin)
+    });
+
+  } catch (error) {
+    console.error('Error creating admin account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create account',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/admins/:id - Update name, role or active state of an account
+router.put('/:id', authorize('admins:manage'), [
+  body('firstName').optional().trim().notEmpty().withMessage('First name cannot be empty'),
+  body('lastName').optional().trim().notEmpty().withMessage('Last name cannot be empty'),
+  body('role').optional().isIn(['admin', 'receptionist']).withMessage('Role must be admin or receptionist'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    // Admins cannot lock themselves out
+    const isSelf = admin._id.equals(req.admin._id);
+    if (isSelf && ((req.body.role && req.body.role !== 'admin') || req.body.isActive === false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own admin access'
+      });
+    }
+
+    ['firstName', 'lastName', 'role', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        admin[field] = req.body[field];
+      }
+    });
+    await admin.save();
+
+    res.json({
+      success: true,
+      message: 'Account updated successfully',
+      data: formatAdmin(admin)
+    });
+
+  } catch (error) {
+    console.error('Error updating admin account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update account',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/admins/:id/password - Set a new password for an account
+router.patch('/:id/password', authorize('admins:manage'), [passwordValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    admin.password = req.body.password;
+    await admin.save();
+
+    // Sign the account out everywhere, except the device an admin resetting their own password is using
+    const keepSessionId = admin._id.equals(req.admin._id) ? req.principal.sessionId : null;
+    await sessionService.revokeAllSessions('admin', admin._id, 'Password reset by admin', keepSessionId);
+
+    console.log(`🔑 Password reset for ${admin.email} by ${req.admin.email}`);
+
+    res.json({
+      success: true,
+      message: 'Password updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error resetting admin password:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update password',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/admins/:id/two-factor - Require two-factor authentication for an account, and/or reset it after a lost device
+router.patch('/:id/two-factor', authorize('admins:manage'), [
+  body('required').optional().isBoolean().withMessage('required must be true or false'),
+  body('reset').optional().isBoolean().withMessage('reset must be true or false'),
+  body().custom(value => value.required !== undefined || value.reset !== undefined).withMessage('Provide required and/or reset')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await twoFactorService.adminUpdate('admin', req.params.id, {
+      required: req.body.required,
+      reset: req.body.reset === true
+    }, req.admin);
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.status === 404 ? 'Account not found' : result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: req.body.reset ? 'Two-factor authentication reset; the account must sign in again' : 'Two-factor settings updated',
+      data: result.twoFactor
+    });
+  } catch (error) {
+    console.error('Error updating admin two-factor settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating two-factor settings',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const Appointment = require('../models/Appointment');
-const Schedule = require('../models/Schedule');
+const Doctor = require('../models/Doctor');
+const BookingLock = require('../models/BookingLock');
 const { body, validationResult } = require('express-validator');
-const authenticatePatient = require('../middleware/authenticatePatient');
-const doctorAuth = require('../middleware/doctorAuth');
+const authorize = require('../middleware/authorize');
 const emailService = require('../services/emailService');
+const availabilityService = require('../services/availabilityService');
+const waitlistService = require('../services/waitlistService');
+const reminderService = require('../services/reminderService');
+const attendanceService = require('../services/attendanceService');
+const resourceService = require('../services/resourceService');
+const queueService = require('../services/queueService');
+const treatmentPlanService = require('../services/treatmentPlanService');
+const clinicalNoteService = require('../services/clinicalNoteService');
+const TreatmentPlan = require('../models/TreatmentPlan');
+const DentalChart = require('../models/DentalChart');
+const { toFdi } = require('../utils/toothNumbering');
+const { resolveAppointmentSlotType } = require('../utils/slotGenerator');
+const { verifyAppointmentActionToken } = require('../utils/appointmentLinks');
+const { buildAppointmentInvite, buildCalendar } = require('../utils/icsGenerator');
+const {
+  isValidDateString,
+  getDateString,
+  toStorageDate,
+  toDayStart,
+  getDayRange,
+  getClinicToday,
+  toClinicDateTime,
+  isPastDate
+} = require('../utils/dateUtils');
 
 // Helper function to convert 12-hour time to 24-hour format
 const convertTo24Hour = (time12h) => {
@@ -41,8 +65,69 @@ const convertTo12Hour = (time24h) => {
   return `${hour12}:${minutes} ${period}`;
 };
 
+// Helper function to build a 409 response listing the conflicting appointment windows
+const sendConflictResponse = (res, conflicts, message) => {
+  return res.status(409).json({
+    success: false,
+    message,
+    conflicts: conflicts.map(appointment => ({
+      startTime: appointment.startTime,
+      endTime: appointment.endTime,
+      timeRange: appointment.timeRange
+    }))
+  });
+};
+
+// Helper function to cancel a populated appointment, free its slot and notify the patient
+const cancelAppointmentAndNotify = async (appointment) => {
+  // Store appointment data for email before cancellation
+  const emailData = {
+    patientEmail: appointment.patientId.email,
+    patientName: `${appointment.patientId.firstName} ${appointment.patientId.lastName}`,
+    doctorName: `Dr. ${appointment.doctorId.firstName} ${appointment.doctorId.lastName}`,
+    specialization: appointment.doctorId.specialization,
+    appointmentDate: appointment.appointmentDate,
+    timeRange: appointment.timeRange,
+    slotType: appointment.slotType
+  };
+  
+  appointment.status = 'cancelled';
+  await appointment.save();
+  
+  // Cancellation invite removes the event from the patient's calendar
+  emailData.calendarInvite = buildAppointmentInvite(appointment, 'CANCEL');
+  
+  // Stop any reminders that have not been sent yet
+  await reminderService.cancelForAppointment(appointment._id);
+  
+  // A treatment step booked with this appointment goes back to planned
+  await treatmentPlanService.syncForAppointment(appointment._id);
+  
+  // Offer the freed slot to the next waitlisted patient
+  waitlistService.offerFreedSlot({
+    doctorId: appointment.doctorId._id,
+    appointmentDate: appointment.appointmentDate,
+    startTime: appointment.startTime,
+    endTime: appointment.endTime,
+    slotType: appointment.slotType
+  });
+  
+  // Send cancellation notification email
+  emailService.sendAppointmentCancellationNotification(emailData)
+    .then((emailResult) => {
+      if (emailResult.success) {
+        console.log('✅ Cancellation notification email sent successfully');
+      } else {
+        console.error('❌ Failed to send cancellation notification email:', emailResult.error);
+      }
+    })
+    .catch((emailError) => {
+      console.error('❌ Error sending cancellation notification email:', emailError);
+    });
+};
+
 // Get appointments for a specific patient (for doctors)
-router.get('/patient/:patientId', doctorAuth, async (req, res) => {
+router.get('/patient/:patientId', authorize('appointments:conduct'), async (req, res) => {
   try {
     const { patientId } = req.params;
     console.log('🔍 Fetching appointments for patient:', patientId);
@@ -69,75 +154,47 @@ router.get('/patient/:patientId', doctorAuth, async (req, res) => {
 });
 
 // Get doctor's available time slots for a specific date
-router.get('/doctor/:doctorId/slots/:date', authenticatePatient, async (req, res) => {
+router.get('/doctor/:doctorId/slots/:date', authorize('appointments:self'), async (req, res) => {
   try {
     const { doctorId, date } = req.params;
     
     console.log(`Fetching slots for doctor ${doctorId} on date ${date}`);
     
-    // Parse date more carefully to avoid timezone issues
-    const [year, month, day] = date.split('-').map(Number);
-    const appointmentDate = new Date(Date.UTC(year, month - 1, day, 12, 0, 0, 0)); // Noon UTC to avoid timezone shifts
-    
-    if (isNaN(appointmentDate.getTime())) {
+    if (!isValidDateString(date)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid date format'
       });
     }
     
-    // Check if the date is in the past
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    appointmentDate.setHours(0, 0, 0, 0);
+    // The date string is a clinic-local calendar day
+    const appointmentDate = toStorageDate(date);
     
-    if (appointmentDate < today) {
+    // Check if the date is in the past
+    if (isPastDate(date)) {
       return res.status(400).json({
         success: false,
         message: 'Cannot book appointments for past dates'
       });
     }
     
-    // Get the day name
-    const dayName = appointmentDate.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-    console.log(`Day name for ${date}: ${dayName}`);
+    const { procedure } = req.query;
     
-    // Find doctor's schedule that covers this date
-    const schedules = await Schedule.find({
-      doctorId,
-      status: 'active'
-    }).sort({ weekStartDate: -1 });
-    
-    console.log(`Found ${schedules.length} active schedules for doctor ${doctorId}`);
-    
-    let doctorSchedule = null;
+    // Split the doctor's schedule blocks into bookable sub-slots
+    const { doctor, scheduleSource, dayName, blocks, settings, slots, leaves } = await availabilityService.getDoctorDaySlots(doctorId, appointmentDate, {
+      procedure
+    });
     
-    // Find the most recent schedule that covers this date
-    for (const schedule of schedules) {
-      const weekStart = new Date(schedule.weekStartDate);
-      const weekEnd = new Date(weekStart);
-      weekEnd.setDate(weekStart.getDate() + 6);
-      
-      // Use date-only comparison to avoid timezone issues
-      const appointmentDateOnly = new Date(appointmentDate.getFullYear(), appointmentDate.getMonth(), appointmentDate.getDate());
-      const weekStartOnly = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate());
-      const weekEndOnly = new Date(weekEnd.getFullYear(), weekEnd.getMonth(), weekEnd.getDate());
-      
-      console.log(`Checking schedule: ${weekStartOnly.toISOString().split('T')[0]} to ${weekEndOnly.toISOString().split('T')[0]}`);
-      console.log(`Appointment date: ${appointmentDateOnly.toISOString().split('T')[0]}`);
-      
-      if (appointmentDateOnly >= weekStartOnly && appointmentDateOnly <= weekEndOnly) {
-        doctorSchedule = schedule;
-        console.log(`Found matching schedule for week starting ${weekStartOnly.toISOString().split('T')[0]}`);
-        break;
-      }
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found',
+        availableSlots: []
+      });
     }
     
-    if (!doctorSchedule || !doctorSchedule.weeklySchedule[dayName] || doctorSchedule.weeklySchedule[dayName].length === 0) {
-      console.log(`No schedule found for ${dayName}. Schedule exists: ${!!doctorSchedule}, Day slots exist: ${!!(doctorSchedule && doctorSchedule.weeklySchedule[dayName])}`);
-      if (doctorSchedule) {
-        console.log(`Available days in schedule:`, Object.keys(doctorSchedule.weeklySchedule));
-      }
+    if (blocks.length === 0) {
+      console.log(`No schedule found for ${dayName}`);
       return res.json({
         success: false,
         message: "Time slots not scheduled by the doctor",
@@ -145,56 +202,43 @@ router.get('/doctor/:doctorId/slots/:date', authenticatePatient, async (req, res
       });
     }
     
-    // Get scheduled time slots for this day
-    const daySlots = doctorSchedule.weeklySchedule[dayName];
-    console.log(`Day slots for ${dayName}:`, JSON.stringify(daySlots, null, 2));
-    
-    // Get existing appointments for this doctor on this date
-    const existingAppointments = await Appointment.getDoctorAppointments(doctorId, appointmentDate);
-    
-    console.log(`Found ${daySlots.length} scheduled slots and ${existingAppointments.length} existing appointments`);
-    
-    // Create available slots by checking against existing appointments
-    const availableSlots = [];
-    
-    for (const slot of daySlots) {
-      if (slot.type === 'Day Off') {
-        continue; // Skip day off slots
-      }
-      
-      // Convert times to 24-hour format for comparison
-      const startTime24 = slot.startTime.includes(' ') ? convertTo24Hour(slot.startTime) : slot.startTime;
-      const endTime24 = slot.endTime.includes(' ') ? convertTo24Hour(slot.endTime) : slot.endTime;
-      
-      console.log(`Processing slot: ${slot.startTime} - ${slot.endTime} => ${startTime24} - ${endTime24}`);
-      
-      // Check if this slot is already booked
-      const isBooked = existingAppointments.some(appointment => 
-        appointment.startTime === startTime24 && appointment.endTime === endTime24
-      );
-      
-      availableSlots.push({
-        id: `${dayName}_${startTime24}_${endTime24}`,
-        startTime: slot.startTime,
-        endTime: slot.endTime,
-        startTime24: startTime24,
-        endTime24: endTime24,
-        type: slot.type,
-        isAvailable: !isBooked,
-        status: isBooked ? 'booked' : 'available'
+    if (leaves.length > 0 && slots.length === 0) {
+      console.log(`Doctor ${doctorId} is blocked on ${date} by ${leaves.length} leave entries`);
+      return res.json({
+        success: false,
+        message: availabilityService.describeLeave(leaves[0]),
+        availableSlots: []
       });
     }
     
-    console.log(`Generated ${availableSlots.length} available slots:`, JSON.stringify(availableSlots, null, 2));
+    const availableSlots = slots.map(slot => ({
+      id: `${dayName}_${slot.startTime}_${slot.endTime}`,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      startTime24: slot.startTime,
+      endTime24: slot.endTime,
+      timeRange: `${convertTo12Hour(slot.startTime)} - ${convertTo12Hour(slot.endTime)}`,
+      type: slot.type,
+      duration: settings.duration,
+      isAvailable: slot.isAvailable,
+      status: slot.status
+    }));
+    
+    console.log(`Generated ${availableSlots.length} slots from ${blocks.length} schedule blocks`);
 
     res.json({
       success: true,
       availableSlots,
-      date: appointmentDate.toISOString().split('T')[0],
+      date: getDateString(appointmentDate),
       doctorId,
+      scheduleSource,
+      procedure: settings.procedure,
+      slotDuration: settings.duration,
+      bufferMinutes: settings.bufferMinutes,
       totalSlots: availableSlots.length,
       availableCount: availableSlots.filter(slot => slot.isAvailable).length
-    });  } catch (error) {
+    });
+  } catch (error) {
     console.error('Error fetching doctor slots:', error);
     res.status(500).json({
       success: false,
@@ -206,13 +250,16 @@ router.get('/doctor/:doctorId/slots/:date', authenticatePatient, async (req, res
 
 // Book an appointment
 router.post('/book', [
-  authenticatePatient,
+  authorize('appointments:self'),
   body('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
   body('appointmentDate').isISO8601().withMessage('Valid appointment date is required'),
   body('startTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid start time is required (HH:MM format)'),
   body('endTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid end time is required (HH:MM format)'),
   body('slotType').notEmpty().withMessage('Slot type is required'),
-  body('symptoms').optional().trim().isLength({ max: 500 }).withMessage('Symptoms must be less than 500 characters')
+  body('symptoms').optional().trim().isLength({ max: 500 }).withMessage('Symptoms must be less than 500 characters'),
+  body('procedure').optional().trim().isLength({ max: 50 }).withMessage('Procedure must be less than 50 characters'),
+  body('treatmentPlanId').optional().isMongoId().withMessage('Valid treatment plan ID is required'),
+  body('treatmentStepId').if(body('treatmentPlanId').exists()).isMongoId().withMessage('Valid treatment step ID is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -224,61 +271,59 @@ router.post('/book', [
       });
     }
     
-    const { doctorId, appointmentDate, startTime, endTime, slotType, symptoms } = req.body;
+    const { doctorId, appointmentDate, startTime, endTime, slotType, symptoms, treatmentPlanId, treatmentStepId } = req.body;
+    let { procedure } = req.body;
     const patientId = req.user._id;
     
+    // Booking a treatment plan step requires the patient to have accepted the plan
+    let treatmentPlan = null;
+    if (treatmentPlanId) {
+      treatmentPlan = await TreatmentPlan.findOne({ _id: treatmentPlanId, patientId });
+      const planStep = treatmentPlan && treatmentPlan.findStep(treatmentStepId);
+      
+      if (!planStep) {
+        return res.status(404).json({
+          success: false,
+          message: 'Treatment plan step not found'
+        });
+      }
+      
+      if (!treatmentPlan.isActive()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please accept the treatment plan before booking its appointments'
+        });
+      }
+      
+      if (['completed', 'cancelled'].includes(planStep.step.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `This treatment step is already ${planStep.step.status}`
+        });
+      }
+      
+      // The step's procedure decides the slot length unless the patient picked one
+      procedure = procedure || planStep.step.procedure;
+    }
+    
     console.log(`Booking appointment: Patient ${patientId}, Doctor ${doctorId}, Date ${appointmentDate}, Time ${startTime}-${endTime}`);
     
     // Map generic "Available" slot type to specific appointment type based on time
-    let appointmentSlotType = slotType;
-    if (slotType === 'Available') {
-      const startHour = parseInt(startTime.split(':')[0]);
-      if (startHour < 12) {
-        appointmentSlotType = 'Morning Consultations';
-      } else if (startHour < 17) {
-        appointmentSlotType = 'Afternoon Procedures';
-      } else {
-        appointmentSlotType = 'Evening Consultations';
-      }
-    }
+    const appointmentSlotType = resolveAppointmentSlotType(slotType, startTime);
     
     console.log(`Mapped slot type from "${slotType}" to "${appointmentSlotType}"`);
     
-    let bookingDate = new Date(appointmentDate);
-    
-    // Ensure the date is set to local timezone to avoid timezone shifts
-    if (appointmentDate.includes('T')) {
-      // If ISO string with time component, use as is
-      bookingDate = new Date(appointmentDate);
-    } else {
-      // If date string without time (YYYY-MM-DD), parse as local date and set to noon UTC to avoid timezone shifts
-      const [year, month, day] = appointmentDate.split('-').map(Number);
-      bookingDate = new Date(Date.UTC(year, month - 1, day, 12, 0, 0, 0)); // Noon UTC to avoid timezone shifts
-    }
+    // The date part is the clinic-local calendar day, whatever time component is sent
+    const bookingDate = toStorageDate(appointmentDate);
     
     // Check if the date is in the past
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const bookingDateLocal = new Date(bookingDate);
-    bookingDateLocal.setHours(0, 0, 0, 0);
-    
-    if (bookingDateLocal < today) {
+    if (isPastDate(bookingDate)) {
       return res.status(400).json({
         success: false,
         message: 'Cannot book appointments for past dates'
       });
     }
     
-    // Check if the slot is still available
-    const isAvailable = await Appointment.isSlotAvailable(doctorId, bookingDate, startTime, endTime);
-    
-    if (!isAvailable) {
-      return res.status(409).json({
-        success: false,
-        message: 'Time slot not available. Another patient may have booked it.'
-      });
-    }
-    
     // Validate that the start time is before end time
     const startMinutes = parseInt(startTime.split(':')[0]) * 60 + parseInt(startTime.split(':')[1]);
     const endMinutes = parseInt(endTime.split(':')[0]) * 60 + parseInt(endTime.split(':')[1]);
@@ -290,26 +335,79 @@ router.post('/book', [
       });
     }
     
-    // Create the appointment
-    const appointment = new Appointment({
-      patientId,
-      doctorId,
-      appointmentDate: bookingDate,
-      startTime,
-      endTime,
-      slotType: appointmentSlotType,
-      symptoms: symptoms || '',
-      status: 'scheduled'
+    // Serialise bookings for this doctor-day so overlap checks and the insert happen atomically
+    const result = await BookingLock.withLock(doctorId, bookingDate, async () => {
+      const conflicts = await Appointment.findConflicts(doctorId, bookingDate, startTime, endTime);
+      if (conflicts.length > 0) {
+        return { conflicts };
+      }
+      
+      // Check the requested time against the same slot generator used by the slots endpoint
+      const slotCheck = await availabilityService.validateRequestedSlot(doctorId, bookingDate, startTime, endTime, { procedure, patientId });
+      if (!slotCheck.valid) {
+        return { slotCheck };
+      }
+      
+      // Chairs, rooms and kits are shared by all doctors, so allocate them under the clinic-wide lock
+      return resourceService.withAllocationLock(bookingDate, async () => {
+        const allocation = await resourceService.allocate(bookingDate, appointmentSlotType, startTime, endTime);
+        if (!allocation.available) {
+          return { allocation };
+        }
+        
+        const newAppointment = new Appointment({
+          patientId,
+          doctorId,
+          appointmentDate: bookingDate,
+          startTime,
+          endTime,
+          slotType: appointmentSlotType,
+          procedure: slotCheck.settings.procedure || undefined,
+          symptoms: symptoms || '',
+          resources: allocation.resourceIds,
+          status: 'scheduled'
+        });
+        
+        await newAppointment.save();
+        return { appointment: newAppointment };
+      });
     });
     
-    await appointment.save();
+    if (result.conflicts) {
+      return sendConflictResponse(res, result.conflicts, 'Time slot overlaps an existing appointment. Another patient may have booked it.');
+    }
+    
+    if (result.allocation) {
+      return res.status(409).json({
+        success: false,
+        message: resourceService.describeMissing(result.allocation.missingTypes),
+        missingResourceTypes: result.allocation.missingTypes
+      });
+    }
+    
+    if (result.slotCheck) {
+      return res.status(result.slotCheck.status).json({
+        success: false,
+        message: result.slotCheck.message
+      });
+    }
+    
+    const { appointment } = result;
     
     // Populate doctor and patient information for response
     await appointment.populate('doctorId', 'firstName lastName specialization email');
     await appointment.populate('patientId', 'firstName lastName email phone');
+    await appointment.populate('resources', 'name type location');
     
     console.log(`Appointment successfully created with ID: ${appointment._id}`);
     
+    // Queue reminder emails ahead of the appointment
+    await reminderService.scheduleForAppointment(appointment);
+    
+    if (treatmentPlan) {
+      await treatmentPlanService.linkAppointment(treatmentPlan, treatmentStepId, appointment);
+    }
+    
     // Send booking confirmation email
     const emailData = {
       patientEmail: appointment.patientId.email,
@@ -319,7 +417,8 @@ router.post('/book', [
       appointmentDate: appointment.appointmentDate,
       timeRange: appointment.timeRange,
       slotType: appointment.slotType,
-      symptoms: appointment.symptoms
+      symptoms: appointment.symptoms,
+      calendarInvite: buildAppointmentInvite(appointment, 'REQUEST')
     };
     
     // Send email asynchronously (don't wait for completion to avoid delaying response)
@@ -347,13 +446,27 @@ router.post('/book', [
         timeRange: appointment.timeRange,
         slotType: appointment.slotType,
         status: appointment.status,
-        symptoms: appointment.symptoms
+        symptoms: appointment.symptoms,
+        treatmentPlanId: treatmentPlan ? treatmentPlan._id : undefined,
+        resources: appointment.resources.map(resource => ({
+          id: resource._id,
+          name: resource.name,
+          type: resource.type,
+          location: resource.location
+        }))
       }
     });
     
   } catch (error) {
     console.error('Error booking appointment:', error);
     
+    if (error.code === 'BOOKING_LOCKED') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     if (error.code === 11000) {
       return res.status(409).json({
         success: false,
@@ -370,7 +483,7 @@ router.post('/book', [
 });
 
 // Get patient's appointments
-router.get('/my-appointments', authenticatePatient, async (req, res) => {
+router.get('/my-appointments', authorize('appointments:self'), async (req, res) => {
   try {
     const patientId = req.user._id;
     const { limit = 10, status = 'all' } = req.query;
@@ -388,12 +501,15 @@ router.get('/my-appointments', authenticatePatient, async (req, res) => {
       .sort({ appointmentDate: 1, startTime: 1 })
       .limit(parseInt(limit));
     
+    // Calendar export (?format=ics)
+    if (req.query.format === 'ics') {
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="neurodent-appointments.ics"');
+      return res.send(buildCalendar(appointments, { name: 'My Neurodent Appointments', audience: 'patient' }));
+    }
+    
     const formattedAppointments = appointments.map(appointment => {
-      // Format date properly for frontend using UTC components
-      const year = appointment.appointmentDate.getUTCFullYear();
-      const month = String(appointment.appointmentDate.getUTCMonth() + 1).padStart(2, '0');
-      const day = String(appointment.appointmentDate.getUTCDate()).padStart(2, '0');
-      const formattedDateString = `${year}-${month}-${day}`;
+      const formattedDateString = getDateString(appointment.appointmentDate);
       
       return {
         id: appointment._id,
@@ -426,8 +542,39 @@ router.get('/my-appointments', authenticatePatient, async (req, res) => {
   }
 });
 
+// Doctor's upcoming appointments as a subscribable calendar feed (authenticated by feed token)
+router.get('/doctor/calendar/:token.ics', async (req, res) => {
+  try {
+    const doctor = await Doctor.findOne({ calendarFeedToken: req.params.token }).select('firstName lastName');
+    
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+    
+    const appointments = await Appointment.getDoctorUpcomingAppointments(doctor._id, 500);
+    
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="neurodent-schedule.ics"');
+    res.send(buildCalendar(appointments, {
+      name: `Neurodent - Dr. ${doctor.firstName} ${doctor.lastName}`,
+      audience: 'doctor'
+    }));
+    
+  } catch (error) {
+    console.error('Error generating doctor calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating calendar feed',
+      error: error.message
+    });
+  }
+});
+
 // Get doctor's appointments (for doctor dashboard)
-router.get('/doctor/my-appointments', doctorAuth, async (req, res) => {
+router.get('/doctor/my-appointments', authorize('appointments:conduct'), async (req, res) => {
   try {
     console.log('Doctor object from middleware:', req.doctor);
     const doctorId = req.doctor._id;
@@ -436,9 +583,8 @@ router.get('/doctor/my-appointments', doctorAuth, async (req, res) => {
     
     let filter = { doctorId };
     
-    // Get today's date for comparison
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    // Get today's date at the clinic for comparison
+    const today = toDayStart(getClinicToday());
     
     // Filter by status
     if (status !== 'all') {
@@ -458,10 +604,8 @@ router.get('/doctor/my-appointments', doctorAuth, async (req, res) => {
     
     // Filter by date if specified
     if (date) {
-      const [year, month, day] = date.split('-').map(Number);
-      const startDate = new Date(Date.UTC(year, month - 1, day, 0, 0, 0, 0));
-      const endDate = new Date(Date.UTC(year, month - 1, day, 23, 59, 59, 999));
-      filter.appointmentDate = { $gte: startDate, $lte: endDate };
+      const { start, end } = getDayRange(date);
+      filter.appointmentDate = { $gte: start, $lt: end };
     }
     
     const appointments = await Appointment.find(filter)
@@ -497,12 +641,8 @@ router.get('/doctor/my-appointments', doctorAuth, async (req, res) => {
       console.log(JSON.stringify(appointments[0].patientId, null, 2));
     }
     
-    // Format date properly for frontend using UTC components
     const formattedAppointments = appointments.map(appointment => {
-      const year = appointment.appointmentDate.getUTCFullYear();
-      const month = String(appointment.appointmentDate.getUTCMonth() + 1).padStart(2, '0');
-      const day = String(appointment.appointmentDate.getUTCDate()).padStart(2, '0');
-      const formattedDateString = `${year}-${month}-${day}`;
+      const formattedDateString = getDateString(appointment.appointmentDate);
       
       // Calculate patient age if dateOfBirth is available
       let age = null;
@@ -556,7 +696,10 @@ router.get('/doctor/my-appointments', doctorAuth, async (req, res) => {
         symptoms: appointment.symptoms,
         notes: appointment.notes,
         bookingDate: appointment.bookingDate,
-        isEmergency: appointment.isEmergency || false
+        isEmergency: appointment.isEmergency || false,
+        requiresReschedule: appointment.requiresReschedule || false,
+        rescheduleRequiredReason: appointment.rescheduleRequiredReason,
+        patientConfirmedAt: appointment.patientConfirmedAt
       };
     });
     
@@ -577,7 +720,7 @@ router.get('/doctor/my-appointments', doctorAuth, async (req, res) => {
 });
 
 // Cancel appointment (for patients)
-router.patch('/cancel/:appointmentId', authenticatePatient, async (req, res) => {
+router.patch('/cancel/:appointmentId', authorize('appointments:self'), async (req, res) => {
   try {
     const { appointmentId } = req.params;
     const patientId = req.user._id;
@@ -597,7 +740,7 @@ router.patch('/cancel/:appointmentId', authenticatePatient, async (req, res) =>
     }
     
     // Check if appointment is at least 2 hours in the future
-    const appointmentDateTime = new Date(`${appointment.appointmentDate.toISOString().split('T')[0]}T${appointment.startTime}`);
+    const appointmentDateTime = appointment.getStartDateTime();
     const twoHoursFromNow = new Date();
     twoHoursFromNow.setHours(twoHoursFromNow.getHours() + 2);
     
@@ -608,32 +751,138 @@ router.patch('/cancel/:appointmentId', authenticatePatient, async (req, res) =>
       });
     }
     
-    // Store appointment data for email before cancellation
-    const emailData = {
-      patientEmail: appointment.patientId.email,
-      patientName: `${appointment.patientId.firstName} ${appointment.patientId.lastName}`,
-      doctorName: `Dr. ${appointment.doctorId.firstName} ${appointment.doctorId.lastName}`,
-      specialization: appointment.doctorId.specialization,
-      appointmentDate: appointment.appointmentDate,
-      timeRange: appointment.timeRange,
-      slotType: appointment.slotType
-    };
+    await cancelAppointmentAndNotify(appointment);
     
-    appointment.status = 'cancelled';
-    await appointment.save();
+    res.json({
+      success: true,
+      message: 'Appointment cancelled successfully'
+    });
     
-    // Send cancellation notification email
-    emailService.sendAppointmentCancellationNotification(emailData)
-      .then((emailResult) => {
-        if (emailResult.success) {
-          console.log('✅ Cancellation notification email sent successfully');
-        } else {
-          console.error('❌ Failed to send cancellation notification email:', emailResult.error);
+  } catch (error) {
+    console.error('Error cancelling appointment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling appointment',
+      error: error.message
+    });
+  }
+});
+
+// Look up the appointment behind a signed confirm/cancel link (no login required)
+const resolveActionLink = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyAppointmentActionToken(token);
+  } catch (error) {
+    return { status: 400, message: 'This link is invalid or has expired' };
+  }
+  
+  const appointment = await Appointment.findById(decoded.appointmentId)
+    .populate('doctorId', 'firstName lastName specialization email')
+    .populate('patientId', 'firstName lastName email phone');
+  
+  if (!appointment) {
+    return { status: 404, message: 'Appointment not found' };
+  }
+  
+  // Links stop working once the appointment has been moved
+  if (appointment.getStartDateTime().toISOString() !== decoded.startsAt) {
+    return { status: 410, message: 'This appointment has been rescheduled. Please use the link from your latest email.' };
+  }
+  
+  return { appointment, action: decoded.action };
+};
+
+// Preview the appointment a confirm/cancel link applies to
+router.get('/respond/:token', async (req, res) => {
+  try {
+    const link = await resolveActionLink(req.params.token);
+    if (!link.appointment) {
+      return res.status(link.status).json({
+        success: false,
+        message: link.message
+      });
+    }
+    
+    const { appointment, action } = link;
+    
+    res.json({
+      success: true,
+      action,
+      appointment: {
+        id: appointment._id,
+        doctorName: `Dr. ${appointment.doctorId.firstName} ${appointment.doctorId.lastName}`,
+        specialization: appointment.doctorId.specialization,
+        date: appointment.formattedDate,
+        timeRange: appointment.timeRange,
+        status: appointment.status,
+        patientConfirmedAt: appointment.patientConfirmedAt
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error resolving appointment link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading appointment',
+      error: error.message
+    });
+  }
+});
+
+// Confirm or cancel an appointment from a signed email link (no login required)
+router.post('/respond/:token', async (req, res) => {
+  try {
+    const link = await resolveActionLink(req.params.token);
+    if (!link.appointment) {
+      return res.status(link.status).json({
+        success: false,
+        message: link.message
+      });
+    }
+    
+    const { appointment, action } = link;
+    
+    if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This appointment is already ${appointment.status}`
+      });
+    }
+    
+    if (action === 'confirm') {
+      if (!appointment.patientConfirmedAt) {
+        appointment.patientConfirmedAt = new Date();
+        await appointment.save();
+        console.log(`✅ Patient confirmed appointment ${appointment._id} via email link`);
+      }
+      
+      return res.json({
+        success: true,
+        message: 'Thank you! Your appointment is confirmed.',
+        appointment: {
+          id: appointment._id,
+          date: appointment.formattedDate,
+          timeRange: appointment.timeRange,
+          status: appointment.status,
+          patientConfirmedAt: appointment.patientConfirmedAt
         }
-      })
-      .catch((emailError) => {
-        console.error('❌ Error sending cancellation notification email:', emailError);
       });
+    }
+    
+    // Same notice period as cancelling from the dashboard
+    const twoHoursFromNow = new Date();
+    twoHoursFromNow.setHours(twoHoursFromNow.getHours() + 2);
+    
+    if (appointment.getStartDateTime() < twoHoursFromNow) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appointments can only be cancelled at least 2 hours in advance. Please call the clinic.'
+      });
+    }
+    
+    await cancelAppointmentAndNotify(appointment);
+    console.log(`🗑️ Patient cancelled appointment ${appointment._id} via email link`);
     
     res.json({
       success: true,
@@ -641,10 +890,10 @@ router.patch('/cancel/:appointmentId', authenticatePatient, async (req, res) =>
     });
     
   } catch (error) {
-    console.error('Error cancelling appointment:', error);
+    console.error('Error handling appointment link:', error);
     res.status(500).json({
       success: false,
-      message: 'Error cancelling appointment',
+      message: 'Error updating appointment',
       error: error.message
     });
   }
@@ -652,7 +901,7 @@ router.patch('/cancel/:appointmentId', authenticatePatient, async (req, res) =>
 
 // Reschedule appointment (for patients)
 router.patch('/reschedule/:appointmentId', [
-  authenticatePatient,
+  authorize('appointments:self'),
   body('newDate').isISO8601().withMessage('Valid new date is required'),
   body('newStartTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid new start time is required (HH:MM format)'),
   body('newEndTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid new end time is required (HH:MM format)'),
@@ -688,7 +937,7 @@ router.patch('/reschedule/:appointmentId', [
     }
     
     // Check if original appointment is at least 2 hours in the future
-    const originalDateTime = new Date(`${originalAppointment.appointmentDate.toISOString().split('T')[0]}T${originalAppointment.startTime}`);
+    const originalDateTime = originalAppointment.getStartDateTime();
     const twoHoursFromNow = new Date();
     twoHoursFromNow.setHours(twoHoursFromNow.getHours() + 2);
     
@@ -699,39 +948,116 @@ router.patch('/reschedule/:appointmentId', [
       });
     }
     
-    // Parse the new date properly to avoid timezone issues
-    let newAppointmentDate;
-    if (newDate.includes('T')) {
-      newAppointmentDate = new Date(newDate);
-    } else {
-      const [year, month, day] = newDate.split('-').map(Number);
-      newAppointmentDate = new Date(Date.UTC(year, month - 1, day, 12, 0, 0, 0)); // Noon UTC to avoid timezone shifts
-    }
+    // The date part is the clinic-local calendar day
+    const newAppointmentDate = toStorageDate(newDate);
     
-    // Check if the new slot is still available
-    const isAvailable = await Appointment.isSlotAvailable(originalAppointment.doctorId._id, newAppointmentDate, newStartTime, newEndTime);
+    if (isPastDate(newAppointmentDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot reschedule appointments to past dates'
+      });
+    }
     
-    if (!isAvailable) {
-      return res.status(409).json({
+    // Reject moves into doctor leave or clinic closures
+    const blockingLeaves = await availabilityService.findBlockingLeaves(originalAppointment.doctorId._id, newAppointmentDate, newStartTime, newEndTime);
+    if (blockingLeaves.length > 0) {
+      return res.status(400).json({
         success: false,
-        message: 'New time slot not available. Another patient may have booked it.'
+        message: availabilityService.describeLeave(blockingLeaves[0])
       });
     }
     
+    // Reject moves into slots held for waitlisted patients
+    const heldSlots = await availabilityService.findHeldSlots(originalAppointment.doctorId._id, newAppointmentDate, patientId, newStartTime, newEndTime);
+    if (heldSlots.length > 0) {
+      return sendConflictResponse(res, heldSlots, 'New time slot is currently held for another patient.');
+    }
+    
     // Store original appointment data for email
     const oldAppointmentData = {
       date: originalAppointment.appointmentDate,
-      timeRange: originalAppointment.timeRange
+      timeRange: originalAppointment.timeRange,
+      startTime: originalAppointment.startTime,
+      endTime: originalAppointment.endTime,
+      slotType: originalAppointment.slotType
     };
     
-    // Update the appointment with new details
-    originalAppointment.appointmentDate = newAppointmentDate;
-    originalAppointment.startTime = newStartTime;
-    originalAppointment.endTime = newEndTime;
-    originalAppointment.slotType = newSlotType;
-    originalAppointment.status = 'scheduled'; // Reset status if it was confirmed
+    // Check for overlaps and move the appointment while holding the doctor-day lock
+    const result = await BookingLock.withLock(originalAppointment.doctorId._id, newAppointmentDate, async () => {
+      const overlapping = await Appointment.findConflicts(
+        originalAppointment.doctorId._id,
+        newAppointmentDate,
+        newStartTime,
+        newEndTime,
+        originalAppointment._id
+      );
+      if (overlapping.length > 0) {
+        return { conflicts: overlapping };
+      }
+      
+      // The new time must be a generated slot for the appointment's procedure, as on booking
+      const slotCheck = await availabilityService.validateRequestedSlot(
+        originalAppointment.doctorId._id,
+        newAppointmentDate,
+        newStartTime,
+        newEndTime,
+        { procedure: originalAppointment.procedure, patientId, excludeAppointmentId: originalAppointment._id }
+      );
+      if (!slotCheck.valid) {
+        return { slotCheck };
+      }
+      
+      return resourceService.withAllocationLock(newAppointmentDate, async () => {
+        const allocation = await resourceService.allocate(newAppointmentDate, newSlotType, newStartTime, newEndTime, originalAppointment._id);
+        if (!allocation.available) {
+          return { allocation };
+        }
+        
+        // Update the appointment with new details
+        originalAppointment.appointmentDate = newAppointmentDate;
+        originalAppointment.startTime = newStartTime;
+        originalAppointment.endTime = newEndTime;
+        originalAppointment.slotType = newSlotType;
+        originalAppointment.resources = allocation.resourceIds;
+        originalAppointment.status = 'scheduled'; // Reset status if it was confirmed
+        originalAppointment.patientConfirmedAt = undefined; // Confirmation was for the old time
+        originalAppointment.clearRescheduleFlag();
+        
+        await originalAppointment.save();
+        return {};
+      });
+    });
+    
+    if (result.conflicts) {
+      return sendConflictResponse(res, result.conflicts, 'New time slot overlaps an existing appointment. Another patient may have booked it.');
+    }
+    
+    if (result.allocation) {
+      return res.status(409).json({
+        success: false,
+        message: resourceService.describeMissing(result.allocation.missingTypes),
+        missingResourceTypes: result.allocation.missingTypes
+      });
+    }
+    
+    if (result.slotCheck) {
+      return res.status(result.slotCheck.status).json({
+        success: false,
+        message: result.slotCheck.message
+      });
+    }
+    
+    // Move reminders to the new time
+    await reminderService.scheduleForAppointment(originalAppointment);
     
-    await originalAppointment.save();
+    // Offer the slot that was vacated to the next waitlisted patient
+    waitlistService.offerFreedSlot({
+      doctorId: originalAppointment.doctorId._id,
+      appointmentDate: oldAppointmentData.date,
+      startTime: oldAppointmentData.startTime,
+      endTime: oldAppointmentData.endTime,
+      slotType: oldAppointmentData.slotType
+    });
     
     // Send reschedule notification email
     const emailData = {
@@ -744,7 +1070,8 @@ router.patch('/reschedule/:appointmentId', [
       newDate: originalAppointment.appointmentDate,
       newTimeRange: originalAppointment.timeRange,
       slotType: originalAppointment.slotType,
-      symptoms: originalAppointment.symptoms
+      symptoms: originalAppointment.symptoms,
+      calendarInvite: buildAppointmentInvite(originalAppointment, 'REQUEST')
     };
     
     emailService.sendAppointmentRescheduleNotification(emailData)
@@ -775,24 +1102,39 @@ router.patch('/reschedule/:appointmentId', [
     
   } catch (error) {
     console.error('Error rescheduling appointment:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error rescheduling appointment',
-      error: error.message
-    });
-  }
-});
-
-// Start appointment (doctor action)
-router.patch('/doctor/start/:appointmentId', doctorAuth, async (req, res) => {
-  try {
+    
+    if (error.code === 'BOOKING_LOCKED') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'New time slot not available. Another patient may have booked it.'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error rescheduling appointment',
+      error: error.message
+    });
+  }
+});
+
+// Start appointment (doctor action)
+router.patch('/doctor/start/:appointmentId', authorize('appointments:conduct'), async (req, res) => {
+  try {
     const { appointmentId } = req.params;
     const doctorId = req.doctor._id;
     
     const appointment = await Appointment.findOne({
       _id: appointmentId,
       doctorId,
-      status: { $in: ['scheduled', 'confirmed'] }
+      ...Appointment.conductableFilter()
     }).populate('patientId', 'firstName lastName email');
     
     if (!appointment) {
@@ -802,10 +1144,18 @@ router.patch('/doctor/start/:appointmentId', doctorAuth, async (req, res) => {
       });
     }
     
-    // Update appointment status to confirmed (started)
+    // Update appointment status to confirmed and record that the visit has started
+    const wasNoShow = appointment.status === 'no-show';
+    appointment.clearSystemNoShow();
     appointment.status = 'confirmed';
+    appointment.startedAt = appointment.startedAt || new Date();
     await appointment.save();
     
+    if (wasNoShow) {
+      // The no-show released the visit's treatment plan step; claim it back
+      await treatmentPlanService.syncForAppointment(appointment._id);
+    }
+    
     res.json({
       success: true,
       message: 'Appointment started successfully',
@@ -826,10 +1176,140 @@ router.patch('/doctor/start/:appointmentId', doctorAuth, async (req, res) => {
   }
 });
 
+// Get the dental chart of the appointment's patient (doctor action)
+router.get('/doctor/chart/:appointmentId', authorize('appointments:conduct'), async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne({
+      _id: req.params.appointmentId,
+      doctorId: req.doctor._id
+    }).populate('patientId', 'firstName lastName');
+    
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+    
+    const chart = await DentalChart.findOne({ patientId: appointment.patientId._id });
+    
+    res.json({
+      success: true,
+      patientId: appointment.patientId._id,
+      patientName: `${appointment.patientId.firstName} ${appointment.patientId.lastName}`,
+      teeth: chart ? chart.getChartAsOf() : []
+    });
+    
+  } catch (error) {
+    console.error('Error fetching dental chart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dental chart',
+      error: error.message
+    });
+  }
+});
+
+// Record tooth findings and treatment on the patient's chart while the appointment is in progress (doctor action)
+router.post('/doctor/chart/:appointmentId', [
+  authorize('appointments:conduct'),
+  body('numbering').optional().isIn(['fdi', 'universal']).withMessage('Numbering must be fdi or universal'),
+  body('entries').isArray({ min: 1 }).withMessage('At least one chart entry is required'),
+  body('entries.*.toothNumber').notEmpty().withMessage('Tooth number is required'),
+  body('entries.*.surfaces').optional().isArray().withMessage('Surfaces must be an array'),
+  body('entries.*.notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { numbering = 'fdi', entries } = req.body;
+    
+    const appointment = await Appointment.findOne({
+      _id: req.params.appointmentId,
+      doctorId: req.doctor._id
+    });
+    
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+    
+    // The chart is updated between /doctor/start and /doctor/complete
+    if (appointment.status !== 'confirmed' || !appointment.isStarted()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start the appointment before updating the dental chart'
+      });
+    }
+    
+    const invalidTeeth = entries
+      .map(entry => entry.toothNumber)
+      .filter(toothNumber => !toFdi(toothNumber, numbering));
+    if (invalidTeeth.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${numbering === 'universal' ? 'Universal' : 'FDI'} tooth number(s): ${invalidTeeth.join(', ')}`
+      });
+    }
+    
+    const chart = await DentalChart.findOrCreateForPatient(appointment.patientId);
+    const recordedAt = new Date();
+    
+    entries.forEach(entry => {
+      chart.entries.push({
+        toothNumber: toFdi(entry.toothNumber, numbering),
+        condition: entry.condition,
+        surfaces: entry.surfaces || [],
+        restoration: entry.restoration,
+        notes: entry.notes,
+        appointmentId: appointment._id,
+        doctorId: req.doctor._id,
+        recordedAt
+      });
+    });
+    
+    await chart.save();
+    
+    console.log(`🦷 Recorded ${entries.length} chart entries for patient ${appointment.patientId}`);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Dental chart updated',
+      teeth: chart.getChartAsOf()
+    });
+    
+  } catch (error) {
+    console.error('Error updating dental chart:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating dental chart',
+      error: error.message
+    });
+  }
+});
+
 // Complete appointment (doctor action)
 router.patch('/doctor/complete/:appointmentId', [
-  doctorAuth,
-  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters')
+  authorize('appointments:conduct'),
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters'),
+  body('clinicalNote').optional().isObject().withMessage('Clinical note must be an object'),
+  body('clinicalNote.procedures').optional().isArray().withMessage('Procedures must be an array'),
+  body('clinicalNote.procedures.*.cdtCode').trim().matches(/^D\d{4}$/i).withMessage('CDT code must look like D0120')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -842,13 +1322,13 @@ router.patch('/doctor/complete/:appointmentId', [
     }
     
     const { appointmentId } = req.params;
-    const { notes } = req.body;
+    const { notes, clinicalNote } = req.body;
     const doctorId = req.doctor._id;
     
     const appointment = await Appointment.findOne({
       _id: appointmentId,
       doctorId,
-      status: { $in: ['confirmed', 'scheduled'] }
+      ...Appointment.conductableFilter()
     }).populate('patientId', 'firstName lastName email');
     
     if (!appointment) {
@@ -858,13 +1338,38 @@ router.patch('/doctor/complete/:appointmentId', [
       });
     }
     
-    // Update appointment status and notes
+    // Update appointment status and notes; nothing is saved until the clinical note is in
+    appointment.clearSystemNoShow();
     appointment.status = 'completed';
     if (notes) {
       appointment.notes = notes;
     }
+    
+    // Save structured SOAP notes as a new version of the visit's clinical note first,
+    // so a rejected note leaves the appointment open and the request can be retried
+    let noteResult = null;
+    if (clinicalNote) {
+      noteResult = await clinicalNoteService.saveDraft(appointment, doctorId, {
+        subjective: clinicalNote.subjective,
+        objective: clinicalNote.objective,
+        assessment: clinicalNote.assessment,
+        plan: clinicalNote.plan,
+        procedures: clinicalNote.procedures
+      }, clinicalNote.changeReason || 'Saved on completion');
+      
+      if (!noteResult.success) {
+        return res.status(noteResult.status).json({
+          success: false,
+          message: noteResult.message
+        });
+      }
+    }
+    
     await appointment.save();
     
+    // Count the visit towards any treatment plan step it belongs to
+    await treatmentPlanService.syncForAppointment(appointment._id);
+    
     res.json({
       success: true,
       message: 'Appointment completed successfully',
@@ -873,11 +1378,20 @@ router.patch('/doctor/complete/:appointmentId', [
         status: appointment.status,
         notes: appointment.notes,
         patientName: `${appointment.patientId.firstName} ${appointment.patientId.lastName}`
-      }
+      },
+      clinicalNote: noteResult
+        ? { id: noteResult.note._id, version: noteResult.note.version, status: noteResult.note.status }
+        : null
     });
     
   } catch (error) {
     console.error('Error completing appointment:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error completing appointment',
@@ -886,9 +1400,151 @@ router.patch('/doctor/complete/:appointmentId', [
   }
 });
 
+// Mark appointment as no-show (doctor action)
+router.patch('/doctor/no-show/:appointmentId', authorize('appointments:conduct'), async (req, res) => {
+  try {
+    const { appointmentId } = req.params;
+    const doctorId = req.doctor._id;
+    
+    const appointment = await Appointment.findOne({
+      _id: appointmentId,
+      doctorId,
+      status: { $in: ['scheduled', 'confirmed'] }
+    }).populate('patientId', 'firstName lastName email');
+    
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found or cannot be marked as no-show'
+      });
+    }
+    
+    if (appointment.getStartDateTime() > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot mark an appointment as no-show before it starts'
+      });
+    }
+    
+    await attendanceService.markNoShow(appointment, 'doctor');
+    
+    res.json({
+      success: true,
+      message: 'Appointment marked as no-show',
+      appointment: {
+        id: appointment._id,
+        status: appointment.status,
+        patientName: `${appointment.patientId.firstName} ${appointment.patientId.lastName}`
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error marking appointment as no-show:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error marking appointment as no-show',
+      error: error.message
+    });
+  }
+});
+
+// Get today's walk-in and emergency queue for the doctor
+router.get('/doctor/queue', authorize('appointments:conduct'), async (req, res) => {
+  try {
+    const queue = await queueService.getQueueWithEstimates(req.doctor._id);
+    
+    res.json({
+      success: true,
+      queue,
+      waitingCount: queue.length,
+      emergencyCount: queue.filter(item => item.kind === 'emergency').length
+    });
+    
+  } catch (error) {
+    console.error('Error fetching doctor queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching queue',
+      error: error.message
+    });
+  }
+});
+
+// Take the next patient from the queue (emergencies first) and start their appointment
+router.post('/doctor/queue/next', authorize('appointments:conduct'), async (req, res) => {
+  try {
+    const result = await queueService.pullNext(req.doctor);
+    
+    if (!result.appointment) {
+      if (result.conflicts) {
+        return sendConflictResponse(res, result.conflicts, result.message);
+      }
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+    
+    const { entry, appointment, shifted, displaced } = result;
+    await appointment.populate('patientId', 'firstName lastName email phone');
+    
+    res.json({
+      success: true,
+      message: entry.kind === 'emergency'
+        ? `Emergency patient called. ${shifted.length} appointment(s) moved back${displaced.length > 0 ? `, ${displaced.length} need rescheduling` : ''}.`
+        : 'Walk-in patient called',
+      queueEntry: {
+        id: entry._id,
+        tokenNumber: entry.tokenNumber,
+        kind: entry.kind,
+        reason: entry.reason
+      },
+      appointment: {
+        id: appointment._id,
+        patientId: appointment.patientId._id,
+        patientName: `${appointment.patientId.firstName} ${appointment.patientId.lastName}`,
+        patientPhone: appointment.patientId.phone,
+        date: appointment.formattedDate,
+        timeRange: appointment.timeRange,
+        slotType: appointment.slotType,
+        status: appointment.status,
+        isEmergency: appointment.isEmergency
+      },
+      shiftedAppointments: shifted.map(({ appointment: moved, oldTimeRange, delayMinutes }) => ({
+        id: moved._id,
+        patientName: `${moved.patientId.firstName} ${moved.patientId.lastName}`,
+        oldTimeRange,
+        newTimeRange: moved.timeRange,
+        delayMinutes
+      })),
+      displacedAppointments: displaced.map(moved => ({
+        id: moved._id,
+        timeRange: moved.timeRange,
+        rescheduleRequiredReason: moved.rescheduleRequiredReason
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Error calling next patient:', error);
+    
+    if (error.code === 'BOOKING_LOCKED') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error calling next patient',
+      error: error.message
+    });
+  }
+});
+
 // Update appointment details (doctor action)
 router.patch('/doctor/update/:appointmentId', [
-  doctorAuth,
+  authorize('appointments:conduct'),
   body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters'),
   body('symptoms').optional().trim().isLength({ max: 500 }).withMessage('Symptoms must be less than 500 characters'),
   body('isEmergency').optional().isBoolean().withMessage('Emergency flag must be boolean')
@@ -949,10 +1605,10 @@ router.patch('/doctor/update/:appointmentId', [
 });
 
 // Get available time slots for doctor (for reschedule)
-router.get('/doctor/available-slots', doctorAuth, async (req, res) => {
+router.get('/doctor/available-slots', authorize('appointments:conduct'), async (req, res) => {
   try {
-    const { date } = req.query;
-    const doctorId = req.doctor._id; // Fixed: using req.doctor instead of req.user
+    const { date, appointmentId } = req.query;
+    const doctorId = req.doctor._id;
     
     if (!date) {
       return res.status(400).json({
@@ -960,110 +1616,63 @@ router.get('/doctor/available-slots', doctorAuth, async (req, res) => {
         message: 'Date is required'
       });
     }
-
-    console.log(`🔍 Fetching available slots for doctor ${doctorId} on ${date}`);
-
-    // Find doctor's schedule for the day
-    const requestDate = new Date(date);
-    console.log(`📅 Raw date input: "${date}"`);
-    console.log(`📅 Parsed Date object: ${requestDate}`);
-    console.log(`📅 Date is valid: ${!isNaN(requestDate.getTime())}`);
     
-    const dayOfWeek = requestDate.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
+    if (!isValidDateString(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+    
+    // When picking a new time for an existing visit, size slots for its procedure and ignore its current time
+    let appointment = null;
+    if (appointmentId) {
+      appointment = await Appointment.findOne({ _id: appointmentId, doctorId });
+      if (!appointment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Appointment not found'
+        });
+      }
+    }
     
-    console.log(`📅 Day of week: ${dayOfWeek}`);
-    console.log(`👨‍⚕️ Doctor ID: ${doctorId}`);
-
-    // First, find any schedule for this doctor
-    const allSchedules = await Schedule.find({ doctorId });
-    console.log(`📋 Found ${allSchedules.length} schedules for doctor`);
+    // Same generator as the patient slots endpoint, so doctors and patients see the same bookable slots
+    const { scheduleSource, dayName, blocks, settings, slots, leaves } = await availabilityService.getDoctorDaySlots(doctorId, toStorageDate(date), {
+      procedure: appointment ? appointment.procedure : req.query.procedure,
+      excludeAppointmentId: appointment && appointment._id,
+      patientId: appointment && appointment.patientId
+    });
     
-    // Find doctor's schedule - get the most recent active schedule
-    let schedule = await Schedule.findOne({ 
-      doctorId, 
-      status: 'active' 
-    }).sort({ createdAt: -1 }); // Sort by newest first
-
-    if (!schedule) {
-      console.log(`❌ No active schedule found for doctor ${doctorId}`);
+    if (blocks.length === 0) {
       return res.json({
         success: true,
         data: { availableSlots: [] },
-        message: 'No schedule found for this day'
+        message: `Doctor is not working on ${dayName}`
       });
     }
-
-    console.log(`📋 Found schedule for doctor (created: ${schedule.createdAt}), checking weeklySchedule`);
-    const daySchedule = schedule.weeklySchedule[dayOfWeek];
-    console.log(`📅 Day schedule for ${dayOfWeek}:`, daySchedule);
     
-    if (!daySchedule || daySchedule.length === 0) {
-      console.log(`❌ Doctor is not working on ${dayOfWeek}`);
+    if (leaves.length > 0 && slots.length === 0) {
       return res.json({
         success: true,
         data: { availableSlots: [] },
-        message: `Doctor is not working on ${dayOfWeek}`
+        message: availabilityService.describeLeave(leaves[0])
       });
     }
-
-    console.log(`✅ Doctor has ${daySchedule.length} slots on ${dayOfWeek}`);
-    console.log(`📋 Raw daySchedule data:`, JSON.stringify(daySchedule, null, 2));
-
-    // Show exact scheduled time slots as they are
-    const allSlots = [];
     
-    for (const scheduleSlot of daySchedule) {
-      console.log(`🔍 Examining schedule slot:`, {
-        startTime: scheduleSlot.startTime,
-        endTime: scheduleSlot.endTime,
-        type: scheduleSlot.type,
-        isAvailable: scheduleSlot.isAvailable
-      });
-      
-      if (scheduleSlot.isAvailable && scheduleSlot.type !== 'Day Off') {
-        console.log(`📅 Processing slot: ${scheduleSlot.startTime} - ${scheduleSlot.endTime} (${scheduleSlot.type})`);
-        
-        // Use the exact time slot as scheduled by the doctor
-        const formattedSlot = `${convertTo12Hour(scheduleSlot.startTime)} - ${convertTo12Hour(scheduleSlot.endTime)}`;
-        allSlots.push(formattedSlot);
-        
-        console.log(`✅ Added scheduled slot: ${formattedSlot}`);
-      } else {
-        console.log(`❌ Skipped slot: isAvailable=${scheduleSlot.isAvailable}, type=${scheduleSlot.type}`);
-      }
-    }
+    const availableSlots = slots
+      .filter(slot => slot.isAvailable)
+      .map(slot => `${convertTo12Hour(slot.startTime)} - ${convertTo12Hour(slot.endTime)}`);
+    
+    console.log(`📅 ${availableSlots.length} of ${slots.length} slots available for doctor ${doctorId} on ${date}`);
     
-    console.log(`📅 Generated ${allSlots.length} slots based on doctor's exact schedule`);
-
-    // Find existing appointments for this date
-    const existingAppointments = await Appointment.find({
-      doctorId,
-      appointmentDate: new Date(date), // Use appointmentDate instead of date
-      status: { $in: ['scheduled', 'confirmed'] } // Remove 'rescheduled' since it's not a valid status
-    });
-
-    console.log(`🔍 Found ${existingAppointments.length} existing appointments for ${date}`);
-    if (existingAppointments.length > 0) {
-      console.log(`📋 Existing appointments:`, existingAppointments.map(apt => ({
-        timeRange: apt.timeRange,
-        startTime: apt.startTime,
-        endTime: apt.endTime,
-        status: apt.status
-      })));
-    }
-
-    // Remove booked slots
-    const bookedSlots = existingAppointments.map(apt => apt.timeRange);
-    const availableSlots = allSlots.filter(slot => !bookedSlots.includes(slot));
-
-    console.log(`✅ Generated ${allSlots.length} total slots, ${bookedSlots.length} booked, ${availableSlots.length} available`);
-    console.log(`📋 All generated slots:`, allSlots);
-    console.log(`📋 Booked slots:`, bookedSlots);
-    console.log(`📋 Available slots:`, availableSlots);
-
     res.json({
       success: true,
-      data: { availableSlots }
+      data: {
+        availableSlots,
+        scheduleSource,
+        slotDuration: settings.duration,
+        bufferMinutes: settings.bufferMinutes
+      }
     });
 
   } catch (error) {
@@ -1078,7 +1687,7 @@ router.get('/doctor/available-slots', doctorAuth, async (req, res) => {
 
 // Doctor reschedule appointment
 router.patch('/doctor/reschedule/:appointmentId', [
-  doctorAuth,
+  authorize('appointments:conduct'),
   body('newDate').notEmpty().withMessage('New date is required'),
   body('newTimeSlot').notEmpty().withMessage('New time slot is required'),
   body('reason').optional().isString()
@@ -1109,7 +1718,8 @@ router.patch('/doctor/reschedule/:appointmentId', [
     console.log(`🔍 Looking for appointment with ID: ${appointmentId} and doctorId: ${doctorId}`);
     const appointment = await Appointment.findOne({
       _id: appointmentId,
-      doctorId
+      doctorId,
+      status: { $in: ['scheduled', 'confirmed'] }
     }).populate('patientId', 'firstName lastName email');
 
     console.log(`📋 Found appointment:`, appointment ? 'Yes' : 'No');
@@ -1126,26 +1736,7 @@ router.patch('/doctor/reschedule/:appointmentId', [
       console.log(`❌ Appointment not found with ID ${appointmentId} for doctor ${doctorId}`);
       return res.status(404).json({
         success: false,
-        message: 'Appointment not found'
-      });
-    }
-
-    // Check if the new time slot is available
-    console.log(`🔍 Checking for conflicts on ${newDate} at ${newTimeSlot}`);
-    const conflictingAppointment = await Appointment.findOne({
-      doctorId,
-      appointmentDate: new Date(newDate),
-      timeRange: newTimeSlot,
-      status: { $in: ['scheduled', 'confirmed', 'rescheduled'] },
-      _id: { $ne: appointmentId } // Exclude current appointment
-    });
-
-    console.log(`⚠️ Conflicting appointment found:`, conflictingAppointment ? 'Yes' : 'No');
-
-    if (conflictingAppointment) {
-      return res.status(400).json({
-        success: false,
-        message: 'Selected time slot is already booked'
+        message: 'Appointment not found or cannot be rescheduled'
       });
     }
 
@@ -1172,6 +1763,7 @@ router.patch('/doctor/reschedule/:appointmentId', [
     // Store original values for comparison
     const originalStartTime = appointment.startTime;
     const originalEndTime = appointment.endTime;
+    const originalSlotType = appointment.slotType;
 
     // Determine appropriate slotType based on time (clinic hours: 9 AM - 8 PM)
     const determineSlotType = (startTime) => {
@@ -1193,25 +1785,125 @@ router.patch('/doctor/reschedule/:appointmentId', [
 
     const newSlotType = determineSlotType(newStartTime);
 
-    // Update the appointment - using correct field names
-    appointment.appointmentDate = new Date(newDate);
-    appointment.startTime = newStartTime;
-    appointment.endTime = newEndTime;
-    appointment.slotType = newSlotType; // Update slotType based on new time
-    appointment.status = 'confirmed'; // Keep status as confirmed instead of rescheduled
-    appointment.rescheduleReason = reason || 'Rescheduled by doctor';
-    appointment.rescheduledAt = new Date();
-
-    console.log(`🔄 Before save - Old vs New appointment data:`, {
-      oldStartTime: originalStartTime,
-      oldEndTime: originalEndTime,
-      oldSlotType: appointment.slotType, // This will show the old value before update
-      newStartTime: appointment.startTime,
-      newEndTime: appointment.endTime,
-      newSlotType: newSlotType
+    if (!isValidDateString(newDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+
+    // The date part is the clinic-local calendar day
+    const newAppointmentDate = toStorageDate(newDate);
+
+    if (isPastDate(newAppointmentDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot reschedule appointments to past dates'
+      });
+    }
+
+    if (toClinicDateTime(newAppointmentDate, newStartTime) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot reschedule appointments to a time that has already passed'
+      });
+    }
+
+    // Reject moves into doctor leave or clinic closures
+    const blockingLeaves = await availabilityService.findBlockingLeaves(doctorId, newAppointmentDate, newStartTime, newEndTime);
+    if (blockingLeaves.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: availabilityService.describeLeave(blockingLeaves[0])
+      });
+    }
+
+    // Reject moves into slots held for waitlisted patients
+    const heldSlots = await availabilityService.findHeldSlots(doctorId, newAppointmentDate, appointment.patientId && appointment.patientId._id, newStartTime, newEndTime);
+    if (heldSlots.length > 0) {
+      return sendConflictResponse(res, heldSlots, 'Selected time slot is currently held for another patient');
+    }
+
+    // Check for overlapping appointments and save while holding the doctor-day lock
+    console.log(`🔍 Checking for conflicts on ${newDate} at ${newStartTime}-${newEndTime}`);
+    const result = await BookingLock.withLock(doctorId, newAppointmentDate, async () => {
+      const overlapping = await Appointment.findConflicts(doctorId, newAppointmentDate, newStartTime, newEndTime, appointment._id);
+      if (overlapping.length > 0) {
+        return { conflicts: overlapping };
+      }
+
+      // The new time must be one of the doctor's generated slots, as for patient bookings
+      const slotCheck = await availabilityService.validateRequestedSlot(doctorId, newAppointmentDate, newStartTime, newEndTime, {
+        procedure: appointment.procedure,
+        patientId: appointment.patientId && appointment.patientId._id,
+        excludeAppointmentId: appointment._id
+      });
+      if (!slotCheck.valid) {
+        return { slotCheck };
+      }
+
+      return resourceService.withAllocationLock(newAppointmentDate, async () => {
+        const allocation = await resourceService.allocate(newAppointmentDate, newSlotType, newStartTime, newEndTime, appointment._id);
+        if (!allocation.available) {
+          return { allocation };
+        }
+
+        // Update the appointment - using correct field names
+        appointment.appointmentDate = newAppointmentDate;
+        appointment.startTime = newStartTime;
+        appointment.endTime = newEndTime;
+        appointment.slotType = newSlotType; // Update slotType based on new time
+        appointment.resources = allocation.resourceIds;
+        appointment.status = 'confirmed'; // Keep status as confirmed instead of rescheduled
+        appointment.rescheduleReason = reason || 'Rescheduled by doctor';
+        appointment.rescheduledAt = new Date();
+        appointment.patientConfirmedAt = undefined; // Confirmation was for the old time
+        appointment.clearRescheduleFlag();
+
+        console.log(`🔄 Before save - Old vs New appointment data:`, {
+          oldStartTime: originalStartTime,
+          oldEndTime: originalEndTime,
+          newStartTime: appointment.startTime,
+          newEndTime: appointment.endTime,
+          newSlotType: newSlotType
+        });
+
+        await appointment.save();
+        return {};
+      });
     });
 
-    await appointment.save();
+    if (result.conflicts) {
+      console.log(`⚠️ Conflicting appointments found: ${result.conflicts.length}`);
+      return sendConflictResponse(res, result.conflicts, 'Selected time slot overlaps an existing appointment');
+    }
+
+    if (result.allocation) {
+      return res.status(409).json({
+        success: false,
+        message: resourceService.describeMissing(result.allocation.missingTypes),
+        missingResourceTypes: result.allocation.missingTypes
+      });
+    }
+
+    if (result.slotCheck) {
+      return res.status(result.slotCheck.status).json({
+        success: false,
+        message: result.slotCheck.message
+      });
+    }
+
+    // Move reminders to the new time
+    await reminderService.scheduleForAppointment(appointment);
+
+    // Offer the slot that was vacated to the next waitlisted patient
+    waitlistService.offerFreedSlot({
+      doctorId,
+      appointmentDate: originalDate,
+      startTime: originalStartTime,
+      endTime: originalEndTime,
+      slotType: originalSlotType
+    });
 
     console.log(`✅ After save - Updated appointment:`, {
       savedStartTime: appointment.startTime,
@@ -1226,6 +1918,7 @@ router.patch('/doctor/reschedule/:appointmentId', [
     // Send email notification to patient (wrapped in try-catch to prevent failure)
     try {
       console.log('📧 Attempting to send reschedule notification email...');
+      await appointment.populate('doctorId', 'firstName lastName specialization');
       await emailService.sendAppointmentRescheduleNotification({
         patientEmail: appointment.patientId.email,
         patientName: `${appointment.patientId.firstName} ${appointment.patientId.lastName}`,
@@ -1233,10 +1926,11 @@ router.patch('/doctor/reschedule/:appointmentId', [
         specialization: req.doctor.specialization || 'Dentist',
         oldDate: originalDate,
         oldTimeRange: originalTimeRange,
-        newDate: new Date(newDate),
+        newDate: newAppointmentDate,
         newTimeRange: newTimeSlot,
         slotType: appointment.slotType || 'General',
-        symptoms: appointment.symptoms || ''
+        symptoms: appointment.symptoms || '',
+        calendarInvite: buildAppointmentInvite(appointment, 'REQUEST')
       });
       console.log('📧 Reschedule notification email sent to patient');
     } catch (emailError) {
@@ -1263,6 +1957,13 @@ router.patch('/doctor/reschedule/:appointmentId', [
   } catch (error) {
     console.error('❌ Error rescheduling appointment:', error);
     console.error('❌ Error stack:', error.stack);
+    
+    if (error.code === 'BOOKING_LOCKED' || error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: error.code === 'BOOKING_LOCKED' ? error.message : 'Selected time slot is already booked'
+      });
+    }
     console.error('❌ Error details:', {
       message: error.message,
       name: error.name,
@@ -1,21 +1,20 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const passport = require('passport');
 const Patient = require('../models/Patient');
 const Doctor = require('../models/Doctor');
 const Pharmacist = require('../models/Pharmacist');
 const Admin = require('../models/Admin');
-const auth = require('../middleware/auth');
+const { getPermissions } = require('../config/permissions');
+const authorize = require('../middleware/authorize');
 const emailService = require('../services/emailService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (patientId) => {
-  return jwt.sign({ patientId }, process.env.JWT_SECRET, { expiresIn: '7d' });
-};
-
 // Register patient
 router.post('/register', [
   body('firstName').trim().notEmpty().withMessage('First name is required'),
@@ -88,12 +87,14 @@ router.post('/register', [
     await patient.save();
     console.log('✅ Patient saved successfully with ID:', patient._id);
 
-    // Generate token
-    const token = generateToken(patient._id);
+    // Sign the new patient in on this device
+    const { token, refreshToken, expiresIn } = await sessionService.startSession('patient', patient._id, req);
 
     res.status(201).json({
       message: 'Patient registered successfully',
       token,
+      refreshToken,
+      expiresIn,
       patient: {
         id: patient._id,
         firstName: patient.firstName,
@@ -142,12 +143,14 @@ router.post('/login', [
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(patient._id);
+    // Start a session for this device
+    const { token, refreshToken, expiresIn } = await sessionService.startSession('patient', patient._id, req);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
+      expiresIn,
       patient: {
         id: patient._id,
         firstName: patient.firstName,
@@ -162,18 +165,6 @@ router.post('/login', [
   }
 });
 
-// Debug endpoint to check session
-router.get('/debug-session', (req, res) => {
-  console.log('🔍 Debug session endpoint hit');
-  console.log('Session:', req.session);
-  console.log('Query params:', req.query);
-  res.json({
-    session: req.session,
-    queryParams: req.query,
-    timestamp: new Date().toISOString()
-  });
-});
-
 // Google OAuth routes
 router.get('/google',
   (req, res, next) => {
@@ -250,7 +241,7 @@ router.get('/google/callback',
     failureRedirect: `${process.env.FRONTEND_URL.split(',')[0].trim()}/register?error=google_auth_failed`,
     failureMessage: true
   }),
-  (req, res) => {
+  async (req, res) => {
     try {
       console.log('🔍 Post-authentication callback');
       console.log('Req.user:', req.user ? 'Present' : 'Missing');
@@ -269,9 +260,9 @@ router.get('/google/callback',
       console.log('✅ Google OAuth authentication successful');
       console.log('User:', req.user.firstName, req.user.email);
 
-      // Generate token
-      const token = generateToken(req.user._id);
-      console.log('🔑 Token generated for user:', req.user._id);
+      // Start a session for this device; the frontend exchanges the one-time code at /refresh for its tokens
+      const { code } = await sessionService.startSessionWithCode('patient', req.user._id, req);
+      console.log('🔑 Sign-in code generated for user:', req.user._id);
 
       // Redirect to frontend with token
       const frontendUrl = process.env.FRONTEND_URL.split(',')[0].trim(); // Use only the first URL
@@ -289,8 +280,9 @@ router.get('/google/callback',
       }
       
       // Always redirect to patient dashboard for successful Google OAuth
-      const redirectUrl = `${frontendUrl}/patient/dashboard?token=${token}`;
-      console.log('🔄 Google OAuth successful, redirecting to patient dashboard:', redirectUrl);
+      // The code goes in the fragment, which browsers never send to servers or in Referer headers
+      const redirectUrl = `${frontendUrl}/patient/dashboard#code=${encodeURIComponent(code)}`;
+      console.log('🔄 Google OAuth successful, redirecting to patient dashboard');
       res.redirect(redirectUrl);
     } catch (error) {
       console.error('❌ Error in Google OAuth callback:', error);
@@ -302,7 +294,7 @@ router.get('/google/callback',
 );
 
 // Get current user profile
-router.get('/me', auth, async (req, res) => {
+router.get('/me', authorize('profile:self'), async (req, res) => {
   try {
     res.json({
       patient: {
@@ -322,17 +314,316 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
-// Logout (client-side token removal, but we can track this server-side if needed)
-router.post('/logout', auth, async (req, res) => {
+// Logout - ends the session, so its access and refresh tokens stop working
+router.post('/logout', authorize('sessions:self'), async (req, res) => {
   try {
-    // In a more advanced implementation, you might want to blacklist the token
-    // For now, we'll just send a success response as the client will remove the token
-    res.json({ message: 'Logged out successfully' });
+    const { userType, id, sessionId } = req.principal;
+    await sessionService.revokeSession(userType, id, sessionId, 'Signed out');
+
+    res.json({ success: true, message: 'Logged out successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
+// Exchange a refresh token, or the one-time code from the Google sign-in redirect, for a new access token;
+// the refresh token is rotated on every use
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await sessionService.refresh(req.body.refreshToken, req);
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
+    });
+
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session',
+      error: error.message
+    });
+  }
+});
+
+// List the devices the current user is signed in on
+router.get('/sessions', authorize('sessions:self'), async (req, res) => {
+  try {
+    const { userType, id, sessionId } = req.principal;
+    const sessions = await sessionService.listSessions(userType, id, sessionId);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions',
+      error: error.message
+    });
+  }
+});
+
+// Sign out everywhere; ?keepCurrent=true signs out every other device instead
+router.delete('/sessions', authorize('sessions:self'), async (req, res) => {
+  try {
+    const { userType, id, sessionId } = req.principal;
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const revoked = await sessionService.revokeAllSessions(
+      userType,
+      id,
+      keepCurrent ? 'Signed out from other devices' : 'Signed out everywhere',
+      keepCurrent ? sessionId : null
+    );
+
+    res.json({
+      success: true,
+      message: keepCurrent ? 'Signed out of all other devices' : 'Signed out of all devices',
+      data: { revoked }
+    });
+
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out of devices',
+      error: error.message
+    });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:sessionId', authorize('sessions:self'), async (req, res) => {
+  try {
+    const { userType, id } = req.principal;
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const result = await sessionService.revokeSession(userType, id, req.params.sessionId, 'Signed out remotely');
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Device signed out successfully'
+    });
+
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out device',
+      error: error.message
+    });
+  }
+});
+
+// ==================== TWO-FACTOR AUTHENTICATION (STAFF) ====================
+
+// Get the current user's two-factor status
+router.get('/two-factor', authorize('two-factor:self'), async (req, res) => {
+  try {
+    const { userType, id } = req.principal;
+    const account = await twoFactorService.findWithSecrets(userType, id);
+
+    res.json({
+      success: true,
+      data: twoFactorService.getStatus(account)
+    });
+
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch two-factor status',
+      error: error.message
+    });
+  }
+});
+
+// Start enrollment: returns the secret and the otpauth:// URI to show as a QR code
+router.post('/two-factor/setup', authorize('two-factor:self'), async (req, res) => {
+  try {
+    const { userType, id } = req.principal;
+    const result = await twoFactorService.beginEnrollment(userType, id);
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret: result.secret,
+        otpauthUri: result.otpauthUri
+      }
+    });
+
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup',
+      error: error.message
+    });
+  }
+});
+
+// Finish enrollment with a code from the app; backup codes are only ever shown in this response
+router.post('/two-factor/enable', authorize('two-factor:self'), [
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userType, id } = req.principal;
+    const result = await twoFactorService.confirmEnrollment(userType, id, req.body.code);
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: {
+        ...result.twoFactor,
+        backupCodes: result.backupCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+      error: error.message
+    });
+  }
+});
+
+// Replace all backup codes
+router.post('/two-factor/backup-codes', authorize('two-factor:self'), [
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userType, id } = req.principal;
+    const result = await twoFactorService.regenerateBackupCodes(userType, id, req.body.code);
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated; the old ones no longer work',
+      data: { backupCodes: result.backupCodes }
+    });
+
+  } catch (error) {
+    console.error('Error regenerating backup codes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate backup codes',
+      error: error.message
+    });
+  }
+});
+
+// Turn two-factor authentication off; needs the password and a current code
+router.post('/two-factor/disable', authorize('two-factor:self'), [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userType, id } = req.principal;
+    const result = await twoFactorService.disable(userType, id, req.body.password, req.body.code);
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      data: result.twoFactor
+    });
+
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication',
+      error: error.message
+    });
+  }
+});
+
 // Verify token endpoint - Universal version
 router.get('/verify', async (req, res) => {
   try {
@@ -342,35 +633,14 @@ router.get('/verify', async (req, res) => {
       return res.status(401).json({ valid: false, message: 'No token provided' });
     }
 
-    // Check if it's a mock admin token
-    if (token.startsWith('admin_token_')) {
-      const tokenParts = token.split('_');
-      if (tokenParts.length >= 3) {
-        const timestamp = parseInt(tokenParts[2]);
-        const eightHoursAgo = Date.now() - (8 * 60 * 60 * 1000);
-        
-        if (timestamp > eightHoursAgo) {
-          return res.json({
-            valid: true,
-            user: {
-              id: 'admin-1',
-              firstName: 'Admin',
-              lastName: 'User',
-              email: 'admin@gmail.com',
-              userType: 'admin'
-            }
-          });
-        } else {
-          return res.status(401).json({ valid: false, message: 'Admin token expired' });
-        }
-      } else {
-        return res.status(401).json({ valid: false, message: 'Invalid admin token format' });
-      }
-    }
-
     // Try to verify as JWT token
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Tokens of signed-out sessions stop verifying before they expire
+      if (!await sessionService.authenticate(decoded)) {
+        return res.status(401).json({ valid: false, message: 'Session has ended' });
+      }
       
       let user = null;
       let userType = null;
@@ -433,16 +703,19 @@ router.get('/verify', async (req, res) => {
           userType = 'pharmacist';
         }
       } else if (decoded.adminId) {
-        // Handle regular admin JWT tokens if they exist
-        user = {
-          id: decoded.adminId,
-          firstName: 'Admin',
-          lastName: 'User',
-          email: 'admin@gmail.com',
-          role: 'admin',
-          userType: 'admin'
-        };
-        userType = 'admin';
+        const admin = await Admin.findById(decoded.adminId).select('-password');
+        if (admin && admin.isActive) {
+          user = {
+            id: admin._id,
+            firstName: admin.firstName,
+            lastName: admin.lastName,
+            email: admin.email,
+            role: admin.role,
+            userType: 'admin',
+            permissions: getPermissions(admin.role)
+          };
+          userType = 'admin';
+        }
       }
 
       if (!user) {
@@ -729,46 +1002,6 @@ router.get('/check-email-verification', async (req, res) => {
   }
 });
 
-// Debug endpoint to test OTP email (remove in production)
-router.post('/debug-send-otp', async (req, res) => {
-  try {
-    const { email } = req.body;
-
-    if (!email) {
-      return res.status(400).json({ message: 'Email is required' });
-    }
-
-    // Generate a test OTP
-    const testOTP = '123456';
-
-    // Send OTP email directly
-    const emailResult = await emailService.sendEmailVerificationOTP(
-      email,
-      testOTP,
-      'Test User'
-    );
-
-    if (!emailResult.success) {
-      return res.status(500).json({
-        message: 'Failed to send test OTP',
-        error: emailResult.error
-      });
-    }
-
-    res.json({
-      message: 'Test OTP sent successfully',
-      email: email,
-      otp: testOTP, // Only for testing
-      messageId: emailResult.messageId,
-      ...(emailResult.previewUrl && { previewUrl: emailResult.previewUrl })
-    });
-
-  } catch (error) {
-    console.error('Debug send OTP error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
 // Universal Verify password reset OTP (for patients, doctors, and pharmacists)
 router.post('/verify-password-reset-otp', [
   body('email').isEmail().withMessage('Valid email is required'),
@@ -903,6 +1136,9 @@ router.post('/reset-password-with-otp', [
     user.clearPasswordResetOTP();
     await user.save();
 
+    // Whoever knew the old password may still be signed in somewhere
+    await sessionService.revokeAllSessions(userType, user._id, 'Password reset');
+
     console.log('✅ Password reset successfully for:', email, `(${userType})`);
 
     res.json({
@@ -948,6 +1184,8 @@ router.post('/reset-password', [
     patient.resetPasswordExpires = undefined;
     await patient.save();
 
+    await sessionService.revokeAllSessions('patient', patient._id, 'Password reset');
+
     // Send confirmation email
     const emailResult = await emailService.sendPasswordResetConfirmation(
       patient.email,
@@ -973,29 +1211,14 @@ router.post('/reset-password', [
   }
 });
 
-// ==================== DOCTOR AUTHENTICATION ROUTES ====================
-
-// Generate JWT token for doctor
-const generateDoctorToken = (doctorId) => {
-  return jwt.sign({ doctorId }, process.env.JWT_SECRET, { expiresIn: '7d' });
-};
-
-// Generate JWT token for pharmacist
-const generatePharmacistToken = (pharmacistId) => {
-  return jwt.sign({ pharmacistId }, process.env.JWT_SECRET, { expiresIn: '7d' });
-};
-
-// Generate JWT token for admin
-const generateAdminToken = (adminId) => {
-  return jwt.sign({ adminId }, process.env.JWT_SECRET, { expiresIn: '7d' });
-};
-
 // ==================== UNIVERSAL LOGIN ROUTE ====================
 
 // Universal login that checks all user types
+// Staff with 2FA get a challengeToken back and call again with { challengeToken, code }
 router.post('/universal-login', [
-  body('email').notEmpty().withMessage('Email or User ID is required'),
-  body('password').notEmpty().withMessage('Password is required')
+  body('email').if(body('challengeToken').not().exists()).notEmpty().withMessage('Email or User ID is required'),
+  body('password').if(body('challengeToken').not().exists()).notEmpty().withMessage('Password is required'),
+  ...twoFactorService.loginStep(['admin', 'doctor', 'pharmacist'])
 ], async (req, res) => {
   console.log('🔍 Universal login endpoint hit');
   console.log('🔍 Request body:', req.body);
@@ -1015,25 +1238,20 @@ router.post('/universal-login', [
     const { email, password } = req.body;
     console.log('🔍 Universal login attempt:', { email, passwordLength: password?.length });
 
-    // Try to find user in all collections
-    let user = null;
-    let userType = null;
-    let token = null;
-
-    // Check for hardcoded admin credentials (temporary solution)
-    console.log('🔍 Checking admin credentials:', email === 'admin@gmail.com', password === 'Admin@123');
-    if (email === 'admin@gmail.com' && password === 'Admin@123') {
-      // Create mock admin user
-      user = {
-        _id: 'admin-1',
-        firstName: 'Admin',
-        lastName: 'User',
-        email: 'admin@gmail.com',
-        role: 'admin'
-      };
-      userType = 'admin';
-      // Use mock admin token format that the middleware expects
-      token = `admin_token_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    // Try to find user in all collections; on the second 2FA step the password was already checked
+    let user = req.twoFactorLogin ? req.twoFactorLogin.account : null;
+    let userType = req.twoFactorLogin ? req.twoFactorLogin.userType : null;
+
+    // Check Admin collection (admins and receptionists)
+    if (!user) {
+      const admin = await Admin.findByEmail(email);
+      if (admin && admin.isActive) {
+        const isMatch = await admin.comparePassword(password);
+        if (isMatch) {
+          user = admin;
+          userType = 'admin';
+        }
+      }
     }
 
     // Check Doctor collection
@@ -1044,9 +1262,6 @@ router.post('/universal-login', [
         if (isMatch) {
           user = doctor;
           userType = 'doctor';
-          token = generateDoctorToken(doctor._id);
-          // Update last login
-          await doctor.updateLastLogin();
         }
       }
     }
@@ -1059,9 +1274,6 @@ router.post('/universal-login', [
         if (isMatch) {
           user = pharmacist;
           userType = 'pharmacist';
-          token = generatePharmacistToken(pharmacist._id);
-          // Update last login
-          await pharmacist.updateLastLogin();
         }
       }
     }
@@ -1083,8 +1295,7 @@ router.post('/universal-login', [
         if (isMatch) {
           user = patient;
           userType = 'patient';
-          token = generateToken(patient._id);
-          console.log('✅ Patient login successful, token generated');
+          console.log('✅ Patient login successful');
         } else {
           console.log('❌ Patient password mismatch');
         }
@@ -1101,6 +1312,19 @@ router.post('/universal-login', [
       });
     }
 
+    // Staff with 2FA confirm a code before they get a session
+    const challenge = twoFactorService.challengeFor(req, userType, user);
+    if (challenge) {
+      return res.json(challenge);
+    }
+
+    if (userType !== 'patient') {
+      await user.updateLastLogin();
+    }
+
+    // Start a session for this device
+    const { token, refreshToken, expiresIn } = await sessionService.startSession(userType, user._id, req);
+
     // Prepare user response based on type
     let userResponse = {};
     switch (userType) {
@@ -1111,7 +1335,8 @@ router.post('/universal-login', [
           lastName: user.lastName,
           email: user.email,
           role: user.role,
-          userType: 'admin'
+          userType: 'admin',
+          permissions: getPermissions(user.role)
         };
         break;
       case 'doctor':
@@ -1168,7 +1393,10 @@ router.post('/universal-login', [
       success: true,
       message: 'Login successful',
       token,
-      user: userResponse
+      refreshToken,
+      expiresIn,
+      user: userResponse,
+      ...(user.needsTwoFactorSetup?.() && { twoFactorSetupRequired: true })
     });
 
   } catch (error) {
@@ -1182,8 +1410,9 @@ router.post('/universal-login', [
 
 // Doctor login
 router.post('/doctor/login', [
-  body('email').isEmail().withMessage('Valid email is required'),
-  body('password').notEmpty().withMessage('Password is required')
+  body('email').if(body('challengeToken').not().exists()).isEmail().withMessage('Valid email is required'),
+  body('password').if(body('challengeToken').not().exists()).notEmpty().withMessage('Password is required'),
+  ...twoFactorService.loginStep(['doctor'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1197,44 +1426,58 @@ router.post('/doctor/login', [
 
     const { email, password } = req.body;
 
-    // Find doctor by email
-    const doctor = await Doctor.findOne({ email });
+    // On the second 2FA step the password was checked when the challenge was issued
+    let doctor = req.twoFactorLogin ? req.twoFactorLogin.account : null;
     if (!doctor) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
+      // Find doctor by email
+      doctor = await Doctor.findOne({ email });
+      if (!doctor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid email or password'
+        });
+      }
+
+      // Check if account is active
+      if (doctor.availability !== 'active') {
+        return res.status(403).json({
+          success: false,
+          message: 'Your account has been deactivated. Please contact the administrator.',
+          accountStatus: 'inactive'
+        });
+      }
+
+      // Check password
+      const isMatch = await doctor.comparePassword(password);
+      if (!isMatch) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid email or password'
+        });
+      }
 
-    // Check if account is active
-    if (doctor.availability !== 'active') {
-      return res.status(403).json({
-        success: false,
-        message: 'Your account has been deactivated. Please contact the administrator.',
-        accountStatus: 'inactive'
-      });
     }
 
-    // Check password
-    const isMatch = await doctor.comparePassword(password);
-    if (!isMatch) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
+    // With 2FA on, a code is needed before a session is started
+    const challenge = twoFactorService.challengeFor(req, 'doctor', doctor);
+    if (challenge) {
+      return res.json(challenge);
     }
 
     // Update last login
     await doctor.updateLastLogin();
 
-    // Generate token
-    const token = generateDoctorToken(doctor._id);
+    // Start a session for this device
+    const { token, refreshToken, expiresIn } = await sessionService.startSession('doctor', doctor._id, req);
 
     // Return success response
     res.json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
+      expiresIn,
+      ...(doctor.needsTwoFactorSetup() && { twoFactorSetupRequired: true }),
       doctor: {
         id: doctor._id,
         firstName: doctor.firstName,
@@ -1255,11 +1498,12 @@ router.post('/doctor/login', [
   }
 });
 
-// Doctor logout (optional - mainly for clearing server-side sessions if needed)
-router.post('/doctor/logout', async (req, res) => {
+// Doctor logout - ends the session, so its access and refresh tokens stop working
+router.post('/doctor/logout', authorize('sessions:self'), async (req, res) => {
   try {
-    // In a JWT-based system, logout is mainly handled client-side
-    // But we can add any server-side cleanup here if needed
+    const { userType, id, sessionId } = req.principal;
+    await sessionService.revokeSession(userType, id, sessionId, 'Signed out');
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -1277,8 +1521,9 @@ router.post('/doctor/logout', async (req, res) => {
 
 // Pharmacist login
 router.post('/pharmacist/login', [
-  body('email').isEmail().withMessage('Valid email is required'),
-  body('password').notEmpty().withMessage('Password is required')
+  body('email').if(body('challengeToken').not().exists()).isEmail().withMessage('Valid email is required'),
+  body('password').if(body('challengeToken').not().exists()).notEmpty().withMessage('Password is required'),
+  ...twoFactorService.loginStep(['pharmacist'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1292,44 +1537,58 @@ router.post('/pharmacist/login', [
 
     const { email, password } = req.body;
 
-    // Find pharmacist by email
-    const pharmacist = await Pharmacist.findOne({ email });
+    // On the second 2FA step the password was checked when the challenge was issued
+    let pharmacist = req.twoFactorLogin ? req.twoFactorLogin.account : null;
     if (!pharmacist) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
+      // Find pharmacist by email
+      pharmacist = await Pharmacist.findOne({ email });
+      if (!pharmacist) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid email or password'
+        });
+      }
+
+      // Check if account is active
+      if (pharmacist.availability !== 'Active') {
+        return res.status(403).json({
+          success: false,
+          message: 'Your account has been deactivated. Please contact the administrator.',
+          accountStatus: 'inactive'
+        });
+      }
+
+      // Check password
+      const isMatch = await pharmacist.comparePassword(password);
+      if (!isMatch) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid email or password'
+        });
+      }
 
-    // Check if account is active
-    if (pharmacist.availability !== 'Active') {
-      return res.status(403).json({
-        success: false,
-        message: 'Your account has been deactivated. Please contact the administrator.',
-        accountStatus: 'inactive'
-      });
     }
 
-    // Check password
-    const isMatch = await pharmacist.comparePassword(password);
-    if (!isMatch) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
+    // With 2FA on, a code is needed before a session is started
+    const challenge = twoFactorService.challengeFor(req, 'pharmacist', pharmacist);
+    if (challenge) {
+      return res.json(challenge);
     }
 
     // Update last login
     await pharmacist.updateLastLogin();
 
-    // Generate token
-    const token = generatePharmacistToken(pharmacist._id);
+    // Start a session for this device
+    const { token, refreshToken, expiresIn } = await sessionService.startSession('pharmacist', pharmacist._id, req);
 
     // Return success response
     res.json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
+      expiresIn,
+      ...(pharmacist.needsTwoFactorSetup() && { twoFactorSetupRequired: true }),
       pharmacist: {
         id: pharmacist._id,
         firstName: pharmacist.firstName,
@@ -1352,11 +1611,12 @@ router.post('/pharmacist/login', [
   }
 });
 
-// Pharmacist logout
-router.post('/pharmacist/logout', async (req, res) => {
+// Pharmacist logout - ends the session, so its access and refresh tokens stop working
+router.post('/pharmacist/logout', authorize('sessions:self'), async (req, res) => {
   try {
-    // In a JWT-based system, logout is mainly handled client-side
-    // But we can add any server-side cleanup here if needed
+    const { userType, id, sessionId } = req.principal;
+    await sessionService.revokeSession(userType, id, sessionId, 'Signed out');
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -1373,9 +1633,9 @@ router.post('/pharmacist/logout', async (req, res) => {
 // Patient Profile Routes
 
 // Get patient profile
-router.get('/patient/profile', auth, async (req, res) => {
+router.get('/patient/profile', authorize('profile:self'), async (req, res) => {
   try {
-    const patient = await Patient.findById(req.user.patientId).select('-password -resetPasswordToken -passwordResetOTP -emailVerificationOTP');
+    const patient = await Patient.findById(req.patient._id).select('-password -resetPasswordToken -passwordResetOTP -emailVerificationOTP');
     
     if (!patient) {
       return res.status(404).json({
@@ -1399,7 +1659,7 @@ router.get('/patient/profile', auth, async (req, res) => {
 });
 
 // Update patient profile
-router.put('/patient/profile', auth, [
+router.put('/patient/profile', authorize('profile:self'), [
   body('firstName').optional().trim().notEmpty().withMessage('First name cannot be empty'),
   body('lastName').optional().trim().notEmpty().withMessage('Last name cannot be empty'),
   body('email').optional().isEmail().withMessage('Valid email is required'),
@@ -1454,7 +1714,7 @@ router.put('/patient/profile', auth, [
     if (updates.email) {
       const existingPatient = await Patient.findOne({ 
         email: updates.email, 
-        _id: { $ne: req.user.patientId } 
+        _id: { $ne: req.patient._id } 
       });
       
       if (existingPatient) {
@@ -1466,7 +1726,7 @@ router.put('/patient/profile', auth, [
     }
 
     const patient = await Patient.findByIdAndUpdate(
-      req.user.patientId,
+      req.patient._id,
       updates,
       { new: true, runValidators: true }
     ).select('-password -resetPasswordToken -passwordResetOTP -emailVerificationOTP');
@@ -1494,10 +1754,10 @@ router.put('/patient/profile', auth, [
 });
 
 // Verify token and return current user
-router.get('/verify', auth, async (req, res) => {
+router.get('/verify', authorize('profile:self'), async (req, res) => {
   try {
     // Get user data based on the auth middleware result
-    const patient = await Patient.findById(req.user.patientId)
+    const patient = await Patient.findById(req.patient._id)
       .select('-password -resetPasswordToken -passwordResetOTP -emailVerificationOTP');
     
     if (!patient) {
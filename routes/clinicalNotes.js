@@ -0,0 +1,321 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const ClinicalNote = require('../models/ClinicalNote');
+const Appointment = require('../models/Appointment');
+const authorize = require('../middleware/authorize');
+const { uploadMultiple, handleUploadResponse } = require('../middleware/cloudinaryUpload');
+const clinicalNoteService = require('../services/clinicalNoteService');
+
+const noteValidation = [
+  body('subjective').optional().trim().isLength({ max: 5000 }).withMessage('Subjective cannot exceed 5000 characters'),
+  body('objective').optional().trim().isLength({ max: 5000 }).withMessage('Objective cannot exceed 5000 characters'),
+  body('assessment').optional().trim().isLength({ max: 5000 }).withMessage('Assessment cannot exceed 5000 characters'),
+  body('plan').optional().trim().isLength({ max: 5000 }).withMessage('Plan cannot exceed 5000 characters'),
+  body('procedures').optional().isArray().withMessage('Procedures must be an array'),
+  body('procedures.*.cdtCode').trim().matches(/^D\d{4}$/i).withMessage('CDT code must look like D0120'),
+  body('changeReason').optional().trim().isLength({ max: 200 }).withMessage('Change reason cannot exceed 200 characters')
+];
+
+// Helper function to pick the note content fields from a request body
+const pickNoteContent = (source) => ({
+  subjective: source.subjective,
+  objective: source.objective,
+  assessment: source.assessment,
+  plan: source.plan,
+  procedures: source.procedures
+});
+
+// Get the clinical note for an appointment (doctor)
+router.get('/appointment/:appointmentId', authorize('clinical-notes:write'), async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne({
+      _id: req.params.appointmentId,
+      doctorId: req.doctor._id
+    });
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    const note = await ClinicalNote.findByAppointment(appointment._id).select('-versions');
+
+    res.json({
+      success: true,
+      note
+    });
+
+  } catch (error) {
+    console.error('Error fetching clinical note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching clinical note',
+      error: error.message
+    });
+  }
+});
+
+// Create or edit the draft note for an appointment (doctor)
+router.put('/appointment/:appointmentId', authorize('clinical-notes:write'), noteValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const appointment = await Appointment.findOne({
+      _id: req.params.appointmentId,
+      doctorId: req.doctor._id
+    });
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    const result = await clinicalNoteService.saveDraft(
+      appointment,
+      req.doctor._id,
+      pickNoteContent(req.body),
+      req.body.changeReason
+    );
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Clinical note saved',
+      note: result.note
+    });
+
+  } catch (error) {
+    console.error('Error saving clinical note:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error saving clinical note',
+      error: error.message
+    });
+  }
+});
+
+// Get all notes for a patient, newest first (doctor)
+router.get('/patient/:patientId', authorize('clinical-notes:write'), async (req, res) => {
+  try {
+    const notes = await ClinicalNote.find({ patientId: req.params.patientId })
+      .select('-versions')
+      .populate('doctorId', 'firstName lastName specialization')
+      .populate('appointmentId', 'appointmentDate startTime endTime procedure')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      notes
+    });
+
+  } catch (error) {
+    console.error('Error fetching patient clinical notes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching patient clinical notes',
+      error: error.message
+    });
+  }
+});
+
+// Get a note with its full version history (doctor)
+router.get('/:noteId', authorize('clinical-notes:write'), async (req, res) => {
+  try {
+    const note = await ClinicalNote.findById(req.params.noteId)
+      .populate('doctorId', 'firstName lastName specialization')
+      .populate('signedBy', 'firstName lastName')
+      .populate('versions.editedBy', 'firstName lastName')
+      .populate('addenda.doctorId', 'firstName lastName');
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clinical note not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      note
+    });
+
+  } catch (error) {
+    console.error('Error fetching clinical note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching clinical note',
+      error: error.message
+    });
+  }
+});
+
+// Attach images (radiographs, intraoral photos) to a draft note (doctor)
+router.post('/:noteId/attachments', authorize('clinical-notes:write'), uploadMultiple('attachments', 5), handleUploadResponse, async (req, res) => {
+  try {
+    if (!req.uploadResult || !req.uploadResult.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files uploaded or upload failed'
+      });
+    }
+
+    const note = await ClinicalNote.findOne({
+      _id: req.params.noteId,
+      doctorId: req.doctor._id
+    });
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clinical note not found'
+      });
+    }
+
+    const result = await clinicalNoteService.addAttachments(note, req.uploadResult.files, req.doctor._id, req.body.caption);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachments added',
+      attachments: note.attachments,
+      version: note.version
+    });
+
+  } catch (error) {
+    console.error('Error adding clinical note attachments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding attachments',
+      error: error.message
+    });
+  }
+});
+
+// Sign off a note, locking it against further edits (doctor)
+router.post('/:noteId/sign', authorize('clinical-notes:write'), async (req, res) => {
+  try {
+    const note = await ClinicalNote.findOne({
+      _id: req.params.noteId,
+      doctorId: req.doctor._id
+    });
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clinical note not found'
+      });
+    }
+
+    const result = await clinicalNoteService.sign(note, req.doctor._id);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Clinical note signed',
+      note: {
+        id: note._id,
+        status: note.status,
+        version: note.version,
+        signedAt: note.signedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error signing clinical note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error signing clinical note',
+      error: error.message
+    });
+  }
+});
+
+// Add an addendum to a signed note (doctor)
+router.post('/:noteId/addenda', authorize('clinical-notes:write'), [
+  body('text').trim().notEmpty().isLength({ max: 2000 }).withMessage('Addendum must be 1-2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const note = await ClinicalNote.findById(req.params.noteId);
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clinical note not found'
+      });
+    }
+
+    if (!note.isLocked()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Draft notes can be edited directly; addenda are only for signed notes'
+      });
+    }
+
+    note.addenda.push({
+      text: req.body.text,
+      doctorId: req.doctor._id
+    });
+    await note.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Addendum added',
+      addendum: note.addenda[note.addenda.length - 1]
+    });
+
+  } catch (error) {
+    console.error('Error adding addendum:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding addendum',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
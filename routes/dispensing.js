@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Prescription = require('../models/Prescription');
+const Medicine = require('../models/Medicine');
+const authorize = require('../middleware/authorize');
+const dispensingService = require('../services/dispensingService');
+
+// GET /api/dispensing/queue - Active prescriptions waiting to be filled, oldest first
+router.get('/queue', authorize('dispensing:manage'), async (req, res) => {
+  try {
+    const prescriptions = await Prescription.find({
+      status: 'active',
+      dispensingStatus: { $in: ['pending', 'partially-dispensed'] }
+    })
+      .select('-interactionWarnings -interactionOverrides')
+      .populate('patientId', 'firstName lastName phone')
+      .populate('doctorId', 'firstName lastName')
+      .sort({ prescriptionDate: 1 });
+
+    res.json({
+      success: true,
+      data: prescriptions,
+      count: prescriptions.length
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching dispensing queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dispensing queue',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/dispensing/:prescriptionId - Prescription with current stock for each line
+router.get('/:prescriptionId', authorize('dispensing:manage'), async (req, res) => {
+  try {
+    const prescription = await Prescription.findById(req.params.prescriptionId)
+      .populate('patientId', 'firstName lastName phone')
+      .populate('doctorId', 'firstName lastName')
+      .populate('dispensings.pharmacistId', 'firstName lastName');
+
+    if (!prescription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prescription not found'
+      });
+    }
+
+    const medicineIds = prescription.medications.map(medication => medication.medicineId).filter(Boolean);
+    const medicines = await Medicine.find({ _id: { $in: medicineIds } })
+      .select('name stockQuantity minStockLevel expiryDate');
+    const stockById = new Map(medicines.map(medicine => [medicine._id.toString(), medicine]));
+
+    const lines = prescription.medications.map(medication => ({
+      ...medication.toObject(),
+      remainingQuantity: medication.quantity ? medication.quantity - medication.dispensedQuantity : null,
+      stock: medication.medicineId ? stockById.get(medication.medicineId.toString()) || null : null
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        prescription,
+        lines
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching prescription for dispensing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch prescription',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/dispensing/:prescriptionId/dispense - Fill some or all lines of a prescription
+router.post('/:prescriptionId/dispense', authorize('dispensing:manage'), [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('At least one item is required'),
+  
+  body('items.*.medicationId')
+    .isMongoId()
+    .withMessage('Valid medication line ID is required'),
+  
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer'),
+  
+  body('items.*.totalQuantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Total quantity must be a positive integer'),
+  
+  body('items.*.medicineId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid medicine ID format'),
+  
+  body('items.*.substitutionReason')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Substitution reason cannot exceed 300 characters'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const prescription = await Prescription.findById(req.params.prescriptionId);
+
+    if (!prescription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prescription not found'
+      });
+    }
+
+    const items = req.body.items.map(item => ({
+      ...item,
+      quantity: parseInt(item.quantity),
+      totalQuantity: item.totalQuantity ? parseInt(item.totalQuantity) : undefined
+    }));
+
+    const result = await dispensingService.dispense(prescription, items, req.pharmacist, req.body.notes);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        ...(result.retryable && { retryable: true })
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.prescription.dispensingStatus === 'dispensed'
+        ? 'Prescription fully dispensed'
+        : 'Prescription partially dispensed',
+      data: {
+        prescriptionId: result.prescription._id,
+        status: result.prescription.status,
+        dispensingStatus: result.prescription.dispensingStatus,
+        medications: result.prescription.medications,
+        dispensing: result.dispensing
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error dispensing prescription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to dispense prescription',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,81 +2,39 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Doctor = require('../models/Doctor');
-const Schedule = require('../models/Schedule');
-const Appointment = require('../models/Appointment');
 const { uploadSingle, handleUploadResponse } = require('../middleware/cloudinaryUpload');
 const { deleteImage } = require('../config/cloudinary');
 const emailService = require('../services/emailService');
+const availabilityService = require('../services/availabilityService');
 const { generateDoctorPassword } = require('../utils/passwordGenerator');
-const doctorAuth = require('../middleware/doctorAuth');
+const { PROCEDURE_DURATIONS } = require('../utils/slotGenerator');
+const { addDays, getClinicToday, toStorageDate, formatDate } = require('../utils/dateUtils');
+const authorize = require('../middleware/authorize');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
 
 // Helper function to get next available slot for a doctor
 const getNextAvailableSlot = async (doctorId) => {
   try {
-    // Start from tomorrow
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    // Start from tomorrow at the clinic
+    const tomorrow = addDays(getClinicToday(), 1);
     
     // Check next 14 days
     for (let i = 0; i < 14; i++) {
-      const checkDate = new Date(tomorrow);
-      checkDate.setDate(tomorrow.getDate() + i);
+      const checkDate = toStorageDate(addDays(tomorrow, i));
       
-      const dayName = checkDate.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
+      // Use the same sub-slot generator as the booking flow
+      const { slots } = await availabilityService.getDoctorDaySlots(doctorId, checkDate);
+      const nextSlot = slots.find(slot => slot.isAvailable);
       
-      // Find doctor's schedule for this date
-      const schedules = await Schedule.find({
-        doctorId,
-        status: 'active'
-      }).sort({ weekStartDate: -1 });
-      
-      let doctorSchedule = null;
-      
-      for (const schedule of schedules) {
-        const weekStart = new Date(schedule.weekStartDate);
-        const weekEnd = new Date(weekStart);
-        weekEnd.setDate(weekStart.getDate() + 6);
-        
-        const checkDateOnly = new Date(checkDate.getFullYear(), checkDate.getMonth(), checkDate.getDate());
-        const weekStartOnly = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate());
-        const weekEndOnly = new Date(weekEnd.getFullYear(), weekEnd.getMonth(), weekEnd.getDate());
-        
-        if (checkDateOnly >= weekStartOnly && checkDateOnly <= weekEndOnly) {
-          doctorSchedule = schedule;
-          break;
-        }
-      }
-      
-      if (doctorSchedule && doctorSchedule.weeklySchedule[dayName] && doctorSchedule.weeklySchedule[dayName].length > 0) {
-        const daySlots = doctorSchedule.weeklySchedule[dayName];
-        
-        // Get existing appointments for this date
-        const existingAppointments = await Appointment.getDoctorAppointments(doctorId, checkDate);
-        
-        // Check each slot for availability
-        for (const slot of daySlots) {
-          if (slot.type === 'Day Off') continue;
-          
-          // Convert times to 24-hour format for comparison
-          const startTime24 = slot.startTime.includes(' ') ? convertTo24Hour(slot.startTime) : slot.startTime;
-          const endTime24 = slot.endTime.includes(' ') ? convertTo24Hour(slot.endTime) : slot.endTime;
-          
-          // Check if this slot is already booked
-          const isBooked = existingAppointments.some(appointment => 
-            appointment.startTime === startTime24 && appointment.endTime === endTime24
-          );
-          
-          if (!isBooked) {
-            // Found an available slot
-            const formattedDate = checkDate.toLocaleDateString('en-US', { 
-              year: 'numeric', 
-              month: '2-digit', 
-              day: '2-digit' 
-            });
-            const formattedTime = convertTo12Hour(startTime24);
-            return `${formattedDate} ${formattedTime}`;
-          }
-        }
+      if (nextSlot) {
+        const formattedDate = formatDate(checkDate, { 
+          year: 'numeric', 
+          month: '2-digit', 
+          day: '2-digit' 
+        });
+        const formattedTime = convertTo12Hour(nextSlot.startTime);
+        return `${formattedDate} ${formattedTime}`;
       }
     }
     
@@ -96,34 +54,10 @@ const convertTo12Hour = (time24h) => {
   return `${hour12}:${minutes} ${period}`;
 };
 
-// Helper function to convert 12-hour time to 24-hour format
-const convertTo24Hour = (time12h) => {
-  if (!time12h.includes(' ')) {
-    return time12h;
-  }
-  
-  const [time, modifier] = time12h.split(' ');
-  let [hours, minutes] = time.split(':');
-  
-  hours = parseInt(hours, 10);
-  
-  if (modifier === 'AM') {
-    if (hours === 12) {
-      hours = 0;
-    }
-  } else { // PM
-    if (hours !== 12) {
-      hours += 12;
-    }
-  }
-  
-  return `${hours.toString().padStart(2, '0')}:${minutes}`;
-};
-
 // Get all doctors
 router.get('/', async (req, res) => {
   try {
-    const doctors = await Doctor.find().select('-password').sort({ createdAt: -1 });
+    const doctors = await Doctor.find().select('-password -twoFactor').sort({ createdAt: -1 });
     
     // Add next available slot for each doctor
     const doctorsWithSlots = await Promise.all(
@@ -156,7 +90,7 @@ router.get('/', async (req, res) => {
 // Get doctor by ID
 router.get('/:id', async (req, res) => {
   try {
-    const doctor = await Doctor.findById(req.params.id).select('-password');
+    const doctor = await Doctor.findById(req.params.id).select('-password -twoFactor');
     
     if (!doctor) {
       return res.status(404).json({
@@ -180,7 +114,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Add new doctor
-router.post('/', uploadSingle('profileImage'), handleUploadResponse, [
+router.post('/', authorize('staff:manage'), uploadSingle('profileImage'), handleUploadResponse, [
   body('firstName').trim().notEmpty().withMessage('First name is required'),
   body('lastName').trim().notEmpty().withMessage('Last name is required'),
   body('email').isEmail().withMessage('Valid email is required'),
@@ -294,7 +228,7 @@ router.post('/', uploadSingle('profileImage'), handleUploadResponse, [
 });
 
 // Update doctor
-router.put('/:id', uploadSingle('profileImage'), handleUploadResponse, [
+router.put('/:id', authorize('staff:manage'), uploadSingle('profileImage'), handleUploadResponse, [
   body('firstName').optional().trim().notEmpty().withMessage('First name cannot be empty'),
   body('lastName').optional().trim().notEmpty().withMessage('Last name cannot be empty'),
   body('email').optional().isEmail().withMessage('Valid email is required'),
@@ -361,7 +295,7 @@ router.put('/:id', uploadSingle('profileImage'), handleUploadResponse, [
 });
 
 // Delete doctor
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('staff:manage'), async (req, res) => {
   try {
     const doctor = await Doctor.findById(req.params.id);
     if (!doctor) {
@@ -394,7 +328,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Toggle doctor availability
-router.patch('/:id/availability', async (req, res) => {
+router.patch('/:id/availability', authorize('staff:manage'), async (req, res) => {
   try {
     const doctor = await Doctor.findById(req.params.id);
     if (!doctor) {
@@ -423,10 +357,52 @@ router.patch('/:id/availability', async (req, res) => {
   }
 });
 
+// Require two-factor authentication for a doctor, and/or reset it after a lost device
+router.patch('/:id/two-factor', authorize('staff:manage'), [
+  body('required').optional().isBoolean().withMessage('required must be true or false'),
+  body('reset').optional().isBoolean().withMessage('reset must be true or false'),
+  body().custom(value => value.required !== undefined || value.reset !== undefined).withMessage('Provide required and/or reset')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await twoFactorService.adminUpdate('doctor', req.params.id, {
+      required: req.body.required,
+      reset: req.body.reset === true
+    }, req.admin);
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.status === 404 ? 'Doctor not found' : result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: req.body.reset ? 'Two-factor authentication reset; the account must sign in again' : 'Two-factor settings updated',
+      data: result.twoFactor
+    });
+  } catch (error) {
+    console.error('Error updating doctor two-factor settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating two-factor settings',
+      error: error.message
+    });
+  }
+});
+
 // Doctor Profile Management Routes (Protected)
 
 // Get current doctor's profile
-router.get('/profile/me', doctorAuth, async (req, res) => {
+router.get('/profile/me', authorize('doctor-profile:manage'), async (req, res) => {
   try {
     const doctor = await Doctor.findById(req.doctor._id).select('-password');
     
@@ -452,7 +428,7 @@ router.get('/profile/me', doctorAuth, async (req, res) => {
 });
 
 // Update current doctor's profile
-router.put('/profile/me', doctorAuth, uploadSingle('profileImage'), handleUploadResponse, [
+router.put('/profile/me', authorize('doctor-profile:manage'), uploadSingle('profileImage'), handleUploadResponse, [
   body('firstName').optional().trim().notEmpty().withMessage('First name cannot be empty'),
   body('lastName').optional().trim().notEmpty().withMessage('Last name cannot be empty'),
   body('email').optional().isEmail().withMessage('Valid email is required'),
@@ -527,7 +503,7 @@ router.put('/profile/me', doctorAuth, uploadSingle('profileImage'), handleUpload
 });
 
 // Update doctor password
-router.put('/profile/password', doctorAuth, [
+router.put('/profile/password', authorize('doctor-profile:manage'), [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
   body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters'),
   body('confirmPassword').custom((value, { req }) => {
@@ -571,6 +547,9 @@ router.put('/profile/password', doctorAuth, [
     doctor.updatedAt = new Date();
     await doctor.save();
 
+    // Keep this device signed in and sign out the rest
+    await sessionService.revokeAllSessions('doctor', doctor._id, 'Password changed', req.principal.sessionId);
+
     res.json({
       success: true,
       message: 'Password updated successfully'
@@ -585,4 +564,129 @@ router.put('/profile/password', doctorAuth, [
   }
 });
 
+// Get current doctor's appointment slot settings
+router.get('/profile/appointment-settings', authorize('doctor-profile:manage'), async (req, res) => {
+  try {
+    const doctor = await Doctor.findById(req.doctor._id).select('appointmentSettings');
+
+    res.json({
+      success: true,
+      data: {
+        appointmentSettings: doctor.appointmentSettings,
+        defaultProcedureDurations: PROCEDURE_DURATIONS
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching appointment settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching appointment settings',
+      error: error.message
+    });
+  }
+});
+
+// Update current doctor's appointment slot settings (slot length, buffer, per-procedure durations)
+router.put('/profile/appointment-settings', authorize('doctor-profile:manage'), [
+  body('defaultSlotDuration').optional().isInt({ min: 5, max: 480 }).withMessage('Slot duration must be between 5 and 480 minutes'),
+  body('bufferMinutes').optional().isInt({ min: 0, max: 120 }).withMessage('Buffer must be between 0 and 120 minutes'),
+  body('procedureDurations').optional().isObject().withMessage('Procedure durations must be an object'),
+  body('procedureDurations.*').optional().isInt({ min: 5, max: 480 }).withMessage('Procedure durations must be between 5 and 480 minutes')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { defaultSlotDuration, bufferMinutes, procedureDurations } = req.body;
+
+    const doctor = await Doctor.findById(req.doctor._id);
+
+    if (defaultSlotDuration !== undefined) {
+      doctor.appointmentSettings.defaultSlotDuration = parseInt(defaultSlotDuration, 10);
+    }
+    if (bufferMinutes !== undefined) {
+      doctor.appointmentSettings.bufferMinutes = parseInt(bufferMinutes, 10);
+    }
+    if (procedureDurations !== undefined) {
+      const durations = new Map();
+      Object.entries(procedureDurations).forEach(([procedure, minutes]) => {
+        durations.set(procedure.toLowerCase(), parseInt(minutes, 10));
+      });
+      doctor.appointmentSettings.procedureDurations = durations;
+    }
+
+    doctor.updatedAt = new Date();
+    await doctor.save();
+
+    res.json({
+      success: true,
+      message: 'Appointment settings updated successfully',
+      data: { appointmentSettings: doctor.appointmentSettings }
+    });
+  } catch (error) {
+    console.error('Error updating appointment settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating appointment settings',
+      error: error.message
+    });
+  }
+});
+
+// Helper function to build the calendar subscription URL for a feed token
+const buildCalendarFeedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/appointments/doctor/calendar/${token}.ics`;
+
+// Get current doctor's calendar subscription URL (creates the feed token on first use)
+router.get('/profile/calendar-feed', authorize('doctor-profile:manage'), async (req, res) => {
+  try {
+    const doctor = await Doctor.findById(req.doctor._id).select('+calendarFeedToken');
+
+    if (!doctor.calendarFeedToken) {
+      doctor.generateCalendarFeedToken();
+      await doctor.save();
+    }
+
+    res.json({
+      success: true,
+      data: { feedUrl: buildCalendarFeedUrl(req, doctor.calendarFeedToken) }
+    });
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching calendar feed',
+      error: error.message
+    });
+  }
+});
+
+// Regenerate current doctor's calendar feed token (revokes the old subscription URL)
+router.post('/profile/calendar-feed/regenerate', authorize('doctor-profile:manage'), async (req, res) => {
+  try {
+    const doctor = await Doctor.findById(req.doctor._id).select('+calendarFeedToken');
+
+    doctor.generateCalendarFeedToken();
+    await doctor.save();
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL regenerated. Update your calendar subscription with the new URL.',
+      data: { feedUrl: buildCalendarFeedUrl(req, doctor.calendarFeedToken) }
+    });
+  } catch (error) {
+    console.error('Error regenerating calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while regenerating calendar feed',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,26 @@
+// Every router served under /api. server.js mounts these and
+// scripts/check-route-auth.js audits them, so a new router added here is
+// checked for an auth policy before it ships.
+
+module.exports = [
+  { path: '/api/auth', router: require('./auth') },
+  { path: '/api/upload', router: require('./upload') },
+  { path: '/api/doctors', router: require('./doctors') },
+  { path: '/api/pharmacists', router: require('./pharmacists') },
+  { path: '/api/pharmacist-auth', router: require('./pharmacistAuth') },
+  { path: '/api/patients', router: require('./patients') },
+  { path: '/api/schedules', router: require('./schedules') },
+  { path: '/api/appointments', router: require('./appointments') },
+  { path: '/api/medicines', router: require('./medicines') },
+  { path: '/api/prescriptions', router: require('./prescriptions') },
+  { path: '/api/leaves', router: require('./leaves') },
+  { path: '/api/waitlist', router: require('./waitlist') },
+  { path: '/api/resources', router: require('./resources') },
+  { path: '/api/queue', router: require('./queue') },
+  { path: '/api/treatment-plans', router: require('./treatmentPlans') },
+  { path: '/api/clinical-notes', router: require('./clinicalNotes') },
+  { path: '/api/dispensing', router: require('./dispensing') },
+  { path: '/api/suppliers', router: require('./suppliers') },
+  { path: '/api/purchase-orders', router: require('./purchaseOrders') },
+  { path: '/api/admins', router: require('./admins') }
+];
@@ -0,0 +1,414 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Leave = require('../models/Leave');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const authorize = require('../middleware/authorize');
+const availabilityService = require('../services/availabilityService');
+const { timeToMinutes, rangesOverlap } = require('../utils/slotGenerator');
+const { toDayStart, getDayRange, getClinicToday } = require('../utils/dateUtils');
+
+const LEAVE_TYPES = ['vacation', 'sick', 'conference', 'personal', 'public-holiday', 'clinic-closure', 'other'];
+
+// Helper function to parse a YYYY-MM-DD string as a stored (00:00 UTC) calendar day
+const parseDay = (dateString) => toDayStart(dateString);
+
+// Helper function to describe why a leave needs an appointment moved
+const describeBlockingLeave = (leave) => (leave.scope === 'clinic'
+  ? `Clinic closed${leave.reason ? `: ${leave.reason}` : ''}`
+  : `Doctor unavailable${leave.reason ? `: ${leave.reason}` : ''}`
+).substring(0, 200);
+
+// Helper function to flag booked appointments that fall inside a new leave
+const flagAffectedAppointments = async (leave) => {
+  const rangeEnd = getDayRange(leave.endDate).end;
+
+  const filter = {
+    appointmentDate: { $gte: leave.startDate, $lt: rangeEnd },
+    status: { $in: ['scheduled', 'confirmed'] }
+  };
+  if (leave.scope === 'doctor') {
+    filter.doctorId = leave.doctorId;
+  }
+
+  const window = leave.getBlockedWindow();
+  const appointments = (await Appointment.find(filter)).filter(appointment => rangesOverlap(
+    timeToMinutes(appointment.startTime),
+    timeToMinutes(appointment.endTime),
+    timeToMinutes(window.startTime),
+    timeToMinutes(window.endTime)
+  ));
+
+  for (const appointment of appointments) {
+    appointment.requiresReschedule = true;
+    appointment.rescheduleRequiredReason = describeBlockingLeave(leave);
+    appointment.blockedByLeaveId = leave._id;
+    await appointment.save();
+  }
+
+  console.log(`📅 Flagged ${appointments.length} appointments for rescheduling due to leave ${leave._id}`);
+
+  return appointments;
+};
+
+// Helper function to clear flags set by a leave that has been cancelled
+const unflagAppointments = async (leave) => {
+  const appointments = await Appointment.find({ blockedByLeaveId: leave._id });
+  let unflagged = 0;
+
+  for (const appointment of appointments) {
+    // Another active leave or closure may still cover the appointment; keep it flagged under that one
+    const [stillBlocking] = await availabilityService.findBlockingLeaves(
+      appointment.doctorId,
+      appointment.appointmentDate,
+      appointment.startTime,
+      appointment.endTime
+    );
+
+    if (stillBlocking) {
+      appointment.rescheduleRequiredReason = describeBlockingLeave(stillBlocking);
+      appointment.blockedByLeaveId = stillBlocking._id;
+    } else {
+      appointment.clearRescheduleFlag();
+      unflagged++;
+    }
+    await appointment.save();
+  }
+
+  return unflagged;
+};
+
+// Helper function to summarise appointments for responses
+const summariseAppointments = (appointments) => appointments.map(appointment => ({
+  id: appointment._id,
+  doctorId: appointment.doctorId,
+  patientId: appointment.patientId,
+  appointmentDate: appointment.appointmentDate,
+  timeRange: appointment.timeRange,
+  status: appointment.status,
+  rescheduleRequiredReason: appointment.rescheduleRequiredReason
+}));
+
+const leaveValidation = [
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('endDate').isISO8601().withMessage('Valid end date is required'),
+  body('startTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Start time must be in HH:MM format'),
+  body('endTime').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('End time must be in HH:MM format'),
+  body('type').optional().isIn(LEAVE_TYPES).withMessage('Invalid leave type'),
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+];
+
+// Get the authenticated doctor's leave plus clinic closures
+router.get('/my', authorize('leaves:manage-own'), async (req, res) => {
+  try {
+    const { includePast = 'false' } = req.query;
+
+    const filter = {
+      status: 'active',
+      $or: [
+        { scope: 'clinic' },
+        { scope: 'doctor', doctorId: req.doctor._id }
+      ]
+    };
+
+    if (includePast !== 'true') {
+      filter.endDate = { $gte: toDayStart(getClinicToday()) };
+    }
+
+    const leaves = await Leave.find(filter).sort({ startDate: 1 });
+
+    res.json({
+      success: true,
+      data: { leaves }
+    });
+  } catch (error) {
+    console.error('Error fetching doctor leave:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching leave',
+      error: error.message
+    });
+  }
+});
+
+// Add leave for the authenticated doctor
+router.post('/my', authorize('leaves:manage-own'), leaveValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { startDate, endDate, startTime, endTime, type, reason } = req.body;
+
+    const leave = new Leave({
+      scope: 'doctor',
+      doctorId: req.doctor._id,
+      type: type === 'public-holiday' || type === 'clinic-closure' ? 'other' : type,
+      startDate: parseDay(startDate),
+      endDate: parseDay(endDate),
+      startTime,
+      endTime,
+      reason,
+      createdBy: { userId: req.doctor._id.toString(), role: 'doctor' }
+    });
+
+    await leave.save();
+
+    const affected = await flagAffectedAppointments(leave);
+
+    res.status(201).json({
+      success: true,
+      message: affected.length > 0
+        ? `Leave added. ${affected.length} booked appointment(s) need to be rescheduled.`
+        : 'Leave added successfully',
+      data: {
+        leave,
+        affectedAppointments: summariseAppointments(affected)
+      }
+    });
+  } catch (error) {
+    console.error('Error adding doctor leave:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding leave',
+      error: error.message
+    });
+  }
+});
+
+// Cancel the authenticated doctor's leave
+router.delete('/my/:leaveId', authorize('leaves:manage-own'), async (req, res) => {
+  try {
+    const leave = await Leave.findOne({
+      _id: req.params.leaveId,
+      scope: 'doctor',
+      doctorId: req.doctor._id,
+      status: 'active'
+    });
+
+    if (!leave) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave not found'
+      });
+    }
+
+    leave.status = 'cancelled';
+    await leave.save();
+    const unflagged = await unflagAppointments(leave);
+
+    res.json({
+      success: true,
+      message: 'Leave cancelled successfully',
+      data: { unflaggedAppointments: unflagged }
+    });
+  } catch (error) {
+    console.error('Error cancelling doctor leave:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling leave',
+      error: error.message
+    });
+  }
+});
+
+// Get the authenticated doctor's appointments that need rescheduling because of leave
+router.get('/my/affected-appointments', authorize('leaves:manage-own'), async (req, res) => {
+  try {
+    const appointments = await Appointment.find({
+      doctorId: req.doctor._id,
+      requiresReschedule: true,
+      status: { $in: ['scheduled', 'confirmed'] }
+    })
+    .populate('patientId', 'firstName lastName email phone')
+    .sort({ appointmentDate: 1, startTime: 1 });
+
+    res.json({
+      success: true,
+      data: { appointments: summariseAppointments(appointments) }
+    });
+  } catch (error) {
+    console.error('Error fetching affected appointments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching affected appointments',
+      error: error.message
+    });
+  }
+});
+
+// Get all leave and clinic closures (admin)
+router.get('/', authorize('leaves:read'), async (req, res) => {
+  try {
+    const { doctorId, scope, status = 'active', from, to } = req.query;
+
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (scope) filter.scope = scope;
+    if (doctorId) filter.doctorId = doctorId;
+    if (from) filter.endDate = { $gte: parseDay(from) };
+    if (to) filter.startDate = { $lte: parseDay(to) };
+
+    const leaves = await Leave.find(filter)
+      .populate('doctorId', 'firstName lastName specialization')
+      .sort({ startDate: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        leaves,
+        total: leaves.length
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching leave calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching leave calendar',
+      error: error.message
+    });
+  }
+});
+
+// Add a clinic holiday or leave on behalf of a doctor (admin)
+router.post('/', authorize('leaves:manage'), [
+  body('scope').isIn(['doctor', 'clinic']).withMessage('Scope must be doctor or clinic'),
+  body('doctorId').if(body('scope').equals('doctor')).isMongoId().withMessage('Valid doctor ID is required for doctor leave'),
+  ...leaveValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { scope, doctorId, startDate, endDate, startTime, endTime, type, reason } = req.body;
+
+    if (scope === 'doctor') {
+      const doctor = await Doctor.findById(doctorId);
+      if (!doctor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Doctor not found'
+        });
+      }
+    }
+
+    const leave = new Leave({
+      scope,
+      doctorId: scope === 'doctor' ? doctorId : undefined,
+      type: type || (scope === 'clinic' ? 'public-holiday' : 'vacation'),
+      startDate: parseDay(startDate),
+      endDate: parseDay(endDate),
+      startTime,
+      endTime,
+      reason,
+      createdBy: { userId: req.user.id ? req.user.id.toString() : undefined, role: 'admin' }
+    });
+
+    await leave.save();
+
+    const affected = await flagAffectedAppointments(leave);
+
+    res.status(201).json({
+      success: true,
+      message: affected.length > 0
+        ? `${scope === 'clinic' ? 'Clinic closure' : 'Leave'} added. ${affected.length} booked appointment(s) need to be rescheduled.`
+        : `${scope === 'clinic' ? 'Clinic closure' : 'Leave'} added successfully`,
+      data: {
+        leave,
+        affectedAppointments: summariseAppointments(affected)
+      }
+    });
+  } catch (error) {
+    console.error('Error adding leave:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding leave',
+      error: error.message
+    });
+  }
+});
+
+// Cancel any leave or clinic closure (admin)
+router.delete('/:leaveId', authorize('leaves:manage'), async (req, res) => {
+  try {
+    const leave = await Leave.findOne({
+      _id: req.params.leaveId,
+      status: 'active'
+    });
+
+    if (!leave) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave not found'
+      });
+    }
+
+    leave.status = 'cancelled';
+    await leave.save();
+    const unflagged = await unflagAppointments(leave);
+
+    res.json({
+      success: true,
+      message: 'Leave cancelled successfully',
+      data: { unflaggedAppointments: unflagged }
+    });
+  } catch (error) {
+    console.error('Error cancelling leave:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling leave',
+      error: error.message
+    });
+  }
+});
+
+// Get all appointments flagged for rescheduling (admin)
+router.get('/affected-appointments', authorize('leaves:read'), async (req, res) => {
+  try {
+    const appointments = await Appointment.find({
+      requiresReschedule: true,
+      status: { $in: ['scheduled', 'confirmed'] }
+    })
+    .populate('doctorId', 'firstName lastName specialization')
+    .populate('patientId', 'firstName lastName email phone')
+    .sort({ appointmentDate: 1, startTime: 1 });
+
+    res.json({
+      success: true,
+      data: { appointments: summariseAppointments(appointments) }
+    });
+  } catch (error) {
+    console.error('Error fetching affected appointments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching affected appointments',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,17 @@
 const express = require('express');
 const { validationResult, body, query } = require('express-validator');
 const Medicine = require('../models/Medicine');
-const Admin = require('../models/Admin');
-const adminAuth = require('../middleware/adminAuth');
+const StockMovement = require('../models/StockMovement');
+const authorize = require('../middleware/authorize');
+const formularyService = require('../services/formularyService');
+const stockLedgerService = require('../services/stockLedgerService');
 const { uploadSingle, handleUploadResponse } = require('../middleware/cloudinaryUpload');
 const { cloudinary } = require('../config/cloudinary');
 
 const router = express.Router();
 
-// Validation rules for creating/updating medicine
-const medicineValidation = [
+// Validation for the medicine details shared by create and update
+const medicineFieldValidation = [
   body('name')
     .trim()
     .notEmpty()
@@ -31,23 +33,25 @@ const medicineValidation = [
     .isFloat({ min: 0 })
     .withMessage('Unit price must be a positive number'),
   
-  body('stockQuantity')
-    .isInt({ min: 0 })
-    .withMessage('Stock quantity must be a non-negative integer'),
-  
   body('minStockLevel')
     .isInt({ min: 0 })
     .withMessage('Minimum stock level must be a non-negative integer'),
   
-  body('expiryDate')
-    .isISO8601()
-    .withMessage('Invalid expiry date format')
-    .custom((value) => {
-      if (new Date(value) <= new Date()) {
-        throw new Error('Expiry date must be in the future');
-      }
-      return true;
-    }),
+  body('lotNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Lot number cannot exceed 50 characters'),
+  
+  body('unitCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Unit cost must be a positive number'),
+  
+  body('preferredSupplierId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid preferred supplier ID'),
   
   body('manufacturer')
     .trim()
@@ -63,8 +67,38 @@ const medicineValidation = [
     .withMessage('Description cannot exceed 500 characters')
 ];
 
+// Validation middleware for creating medicines
+const medicineValidation = [
+  ...medicineFieldValidation,
+  
+  body('stockQuantity')
+    .isInt({ min: 0 })
+    .withMessage('Stock quantity must be a non-negative integer'),
+  
+  body('expiryDate')
+    .isISO8601()
+    .withMessage('Invalid expiry date format')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Expiry date must be in the future');
+      }
+      return true;
+    })
+];
+
+// Validation middleware for updating medicines; stock only changes through adjustments,
+// so a form opened before a dispense can still be saved with the stock it was loaded with
+const medicineUpdateValidation = [
+  ...medicineFieldValidation,
+  
+  body('expiryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid expiry date format')
+];
+
 // GET /api/medicines - Get all medicines with filtering and pagination
-router.get('/', adminAuth, [
+router.get('/', authorize('medicines:read'), [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('category').optional().trim(),
@@ -151,8 +185,46 @@ router.get('/', adminAuth, [
   }
 });
 
+// GET /api/medicines/search - Autocomplete over dispensable medicines for prescribing (doctor)
+router.get('/search', authorize('medicines:search'), [
+  query('q').optional().trim(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('includeUnavailable').optional().isBoolean().withMessage('includeUnavailable must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { q, limit = 10, includeUnavailable } = req.query;
+
+    const medicines = await formularyService.search(q, {
+      includeUnavailable: includeUnavailable === 'true',
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: medicines
+    });
+
+  } catch (error) {
+    console.error('Error searching medicines:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search medicines',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/medicines/stats - Get medicine inventory statistics
-router.get('/stats', adminAuth, async (req, res) => {
+router.get('/stats', authorize('medicines:read'), async (req, res) => {
   try {
     const [
       totalMedicines,
@@ -163,25 +235,34 @@ router.get('/stats', adminAuth, async (req, res) => {
     ] = await Promise.all([
       Medicine.countDocuments(),
       Medicine.findExpired().countDocuments(),
-      Medicine.countDocuments({ stockQuantity: 0 }),
       Medicine.countDocuments({
-        $expr: { $lte: ['$stockQuantity', '$minStockLevel'] }
+        $expr: { $eq: [Medicine.availableQuantityExpr(), 0] }
       }),
-      Medicine.countDocuments({
-        expiryDate: { 
-          $gte: new Date(),
-          $lte: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days from now
-        }
-      })
+      Medicine.findLowStock().countDocuments(),
+      Medicine.findExpiringSoon(30).countDocuments()
     ]);
 
-    // Calculate total inventory value
+    // Calculate inventory value from lots; stock in expired lots is reported separately
     const inventoryValue = await Medicine.aggregate([
       { $match: { stockQuantity: { $gt: 0 } } },
-      { $group: { _id: null, totalValue: { $sum: { $multiply: ['$unitPrice', '$stockQuantity'] } } } }
+      {
+        $project: {
+          unitPrice: 1,
+          availableQuantity: Medicine.availableQuantityExpr(),
+          stockQuantity: 1
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          totalValue: { $sum: { $multiply: ['$unitPrice', '$availableQuantity'] } },
+          expiredValue: { $sum: { $multiply: ['$unitPrice', { $subtract: ['$stockQuantity', '$availableQuantity'] }] } }
+        }
+      }
     ]);
 
     const totalValue = inventoryValue.length > 0 ? inventoryValue[0].totalValue : 0;
+    const expiredStockValue = inventoryValue.length > 0 ? inventoryValue[0].expiredValue : 0;
 
     res.json({
       success: true,
@@ -191,7 +272,8 @@ router.get('/stats', adminAuth, async (req, res) => {
         outOfStockMedicines,
         lowStockMedicines,
         expiringSoonMedicines,
-        totalInventoryValue: totalValue
+        totalInventoryValue: totalValue,
+        expiredStockValue
       }
     });
 
@@ -206,7 +288,7 @@ router.get('/stats', adminAuth, async (req, res) => {
 });
 
 // GET /api/medicines/low-stock - Get medicines with low stock
-router.get('/low-stock', adminAuth, async (req, res) => {
+router.get('/low-stock', authorize('medicines:read'), async (req, res) => {
   try {
     const lowStockMedicines = await Medicine.findLowStock()
       .populate('createdBy', 'firstName lastName')
@@ -228,7 +310,7 @@ router.get('/low-stock', adminAuth, async (req, res) => {
 });
 
 // GET /api/medicines/expiring-soon - Get medicines expiring soon
-router.get('/expiring-soon', adminAuth, [
+router.get('/expiring-soon', authorize('medicines:read'), [
   query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365')
 ], async (req, res) => {
   try {
@@ -249,7 +331,10 @@ router.get('/expiring-soon', adminAuth, [
 
     res.json({
       success: true,
-      data: expiringSoonMedicines
+      data: expiringSoonMedicines.map(medicine => ({
+        ...medicine.toJSON(),
+        expiringBatches: medicine.getBatchesExpiringWithin(days)
+      }))
     });
 
   } catch (error) {
@@ -262,8 +347,46 @@ router.get('/expiring-soon', adminAuth, [
   }
 });
 
+// GET /api/medicines/reconciliation - Compare every medicine's stock with its movement ledger
+router.get('/reconciliation', authorize('medicines:read'), [
+  query('driftOnly').optional().isBoolean().withMessage('driftOnly must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await stockLedgerService.reconcile();
+    if (req.query.driftOnly === 'true') {
+      report.medicines = report.medicines.filter(medicine => medicine.hasDrift);
+    }
+
+    if (report.summary.withDrift > 0) {
+      console.log(`⚠️ Stock reconciliation found drift on ${report.summary.withDrift} medicine(s)`);
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Error reconciling medicine stock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile medicine stock',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/medicines/:id - Get a specific medicine
-router.get('/:id', adminAuth, async (req, res) => {
+router.get('/:id', authorize('medicines:read'), async (req, res) => {
   try {
     const medicine = await Medicine.findById(req.params.id)
       .populate('createdBy', 'firstName lastName')
@@ -292,7 +415,7 @@ router.get('/:id', adminAuth, async (req, res) => {
 });
 
 // POST /api/medicines - Create a new medicine
-router.post('/', adminAuth, uploadSingle('image'), handleUploadResponse, medicineValidation, async (req, res) => {
+router.post('/', authorize('medicines:manage'), uploadSingle('image'), handleUploadResponse, medicineValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -315,54 +438,49 @@ router.post('/', adminAuth, uploadSingle('image'), handleUploadResponse, medicin
       });
     }
 
-    // Find or create admin user
-    let adminUser = await Admin.findOne({ email: 'admin@gmail.com' });
-    if (!adminUser) {
-      adminUser = new Admin({
-        firstName: 'Admin',
-        lastName: 'User',
-        email: 'admin@gmail.com',
-        role: 'admin'
-      });
-      await adminUser.save();
-    }
+    const { lotNumber, supplier, unitCost, ...fields } = req.body;
 
     const medicineData = {
-      ...req.body,
+      ...fields,
       currency: 'INR', // Force currency to INR (Rupees)
-      createdBy: adminUser._id // Use the admin user's ObjectId
+      createdBy: req.admin._id
     };
 
+    // Opening stock is recorded as the first lot
+    if (parseInt(req.body.stockQuantity) > 0) {
+      medicineData.batches = [{
+        lotNumber: lotNumber || `LOT-${Date.now().toString(36).toUpperCase()}`,
+        quantity: parseInt(req.body.stockQuantity),
+        initialQuantity: parseInt(req.body.stockQuantity),
+        expiryDate: req.body.expiryDate,
+        supplier,
+        unitCost
+      }];
+    }
+
     // Add image data if uploaded
     if (req.file) {
-      console.log('📸 Image file uploaded:', {
-        path: req.file.path,
-        filename: req.file.filename,
-        originalname: req.file.originalname,
-        mimetype: req.file.mimetype,
-        size: req.file.size
-      });
-      
       medicineData.image = {
         url: req.file.path,
         publicId: req.file.filename
       };
-      
-      console.log('💾 Image data to save:', medicineData.image);
-    } else {
-      console.log('❌ No image file uploaded');
     }
 
-    console.log('📋 Complete medicine data before save:', JSON.stringify(medicineData, null, 2));
-
     const medicine = new Medicine(medicineData);
-    
-    console.log('🧪 Medicine before save:', JSON.stringify(medicine.toObject(), null, 2));
-    
     await medicine.save();
 
-    console.log('✅ Medicine saved successfully!');
-    console.log('🔍 Medicine after save:', JSON.stringify(medicine.toObject(), null, 2));
+    if (medicine.batches.length > 0) {
+      await StockMovement.create({
+        medicineId: medicine._id,
+        type: 'restock',
+        quantity: medicine.batches[0].quantity,
+        batchId: medicine.batches[0]._id,
+        lotNumber: medicine.batches[0].lotNumber,
+        balanceAfter: medicine.stockQuantity,
+        reason: 'Opening stock',
+        performedBy: { role: 'admin', id: req.admin._id }
+      });
+    }
 
     const populatedMedicine = await Medicine.findById(medicine._id)
       .populate('createdBy', 'firstName lastName');
@@ -384,7 +502,7 @@ router.post('/', adminAuth, uploadSingle('image'), handleUploadResponse, medicin
 });
 
 // PUT /api/medicines/:id - Update a medicine
-router.put('/:id', adminAuth, uploadSingle('image'), handleUploadResponse, medicineValidation, async (req, res) => {
+router.put('/:id', authorize('medicines:manage'), uploadSingle('image'), handleUploadResponse, medicineUpdateValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -447,28 +565,22 @@ router.put('/:id', adminAuth, uploadSingle('image'), handleUploadResponse, medic
       };
     }
 
-    // Update medicine fields
+    // Update medicine fields; lots and stock are not edited here, nor the expiry of lot-tracked medicines.
+    // Stock only changes through adjustments, so a stockQuantity sent with the form is ignored rather
+    // than overwriting any dispensing done since the form was loaded
+    const readOnlyFields = ['batches', 'lotNumber', 'supplier', 'unitCost', 'stockQuantity'];
+    if (medicine.batches.length > 0) {
+      readOnlyFields.push('expiryDate');
+    }
+
     Object.keys(req.body).forEach(key => {
-      if (key !== 'createdBy') { // Don't allow changing createdBy
+      if (key !== 'createdBy' && !readOnlyFields.includes(key)) { // Don't allow changing createdBy
         medicine[key] = req.body[key];
       }
     });
 
     medicine.currency = 'INR'; // Force currency to INR
-    
-    // Find or create admin user for lastUpdatedBy
-    let adminUser = await Admin.findOne({ email: 'admin@gmail.com' });
-    if (!adminUser) {
-      adminUser = new Admin({
-        firstName: 'Admin',
-        lastName: 'User',
-        email: 'admin@gmail.com',
-        role: 'admin'
-      });
-      await adminUser.save();
-    }
-    
-    medicine.lastUpdatedBy = adminUser._id;
+    medicine.lastUpdatedBy = req.admin._id;
 
     await medicine.save();
 
@@ -500,11 +612,122 @@ router.put('/:id', adminAuth, uploadSingle('image'), handleUploadResponse, medic
   }
 });
 
-// PATCH /api/medicines/:id/restock - Restock a medicine
-router.patch('/:id/restock', adminAuth, [
+// GET /api/medicines/:id/movements - Stock movement history of a medicine, newest first
+router.get('/:id/movements', authorize('medicines:read'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('type').optional().isIn(['restock', 'dispense', 'adjustment', 'write-off', 'return']).withMessage('Invalid movement type'),
+  query('batchId').optional().isMongoId().withMessage('Invalid lot ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const medicine = await Medicine.findById(req.params.id).select('name stockQuantity');
+    if (!medicine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Medicine not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const filter = { medicineId: medicine._id };
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.batchId) filter.batchId = req.query.batchId;
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('prescriptionId', 'patientName createdAt'),
+      StockMovement.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        medicine,
+        movements,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock movements',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/medicines/:id/reconciliation - Compare one medicine's stock with its movement ledger
+router.get('/:id/reconciliation', authorize('medicines:read'), async (req, res) => {
+  try {
+    const medicine = await Medicine.findById(req.params.id).select('_id');
+    if (!medicine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Medicine not found'
+      });
+    }
+
+    const report = await stockLedgerService.reconcile([medicine._id]);
+
+    res.json({
+      success: true,
+      data: report.medicines[0]
+    });
+
+  } catch (error) {
+    console.error('Error reconciling medicine stock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile medicine stock',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/medicines/:id/adjust - Correct stock after a count, breakage or loss
+router.post('/:id/adjust', authorize('inventory:adjust'), [
   body('quantity')
-    .isInt({ min: 1 })
-    .withMessage('Quantity must be a positive integer')
+    .isInt()
+    .withMessage('Quantity must be a whole number')
+    .custom((value) => {
+      if (parseInt(value) === 0) {
+        throw new Error('Quantity cannot be zero');
+      }
+      return true;
+    }),
+  
+  body('batchId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid lot ID'),
+  
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required for stock adjustments')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -517,7 +740,6 @@ router.patch('/:id/restock', adminAuth, [
     }
 
     const medicine = await Medicine.findById(req.params.id);
-    
     if (!medicine) {
       return res.status(404).json({
         success: false,
@@ -525,65 +747,116 @@ router.patch('/:id/restock', adminAuth, [
       });
     }
 
-    const { quantity, notes } = req.body;
-    const oldStock = medicine.stockQuantity;
-
-    // Find or create admin user for restock operation
-    let adminUser = await Admin.findOne({ email: 'admin@gmail.com' });
-    if (!adminUser) {
-      adminUser = new Admin({
-        firstName: 'Admin',
-        lastName: 'User',
-        email: 'admin@gmail.com',
-        role: 'admin'
+    const { batchId, reason } = req.body;
+    if (medicine.batches.length > 0 && !batchId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Select the lot to adjust'
+      });
+    }
+
+    const quantity = parseInt(req.body.quantity);
+    try {
+      await medicine.adjustStock(quantity, req.admin._id, batchId, {
+        reason,
+        performedBy: { role: 'admin', id: req.admin._id }
       });
-      await adminUser.save();
+    } catch (adjustError) {
+      if (adjustError.message === 'Lot not found') {
+        return res.status(404).json({
+          success: false,
+          message: 'Lot not found'
+        });
+      }
+      if (adjustError.code === 'INSUFFICIENT_STOCK') {
+        return res.status(409).json({
+          success: false,
+          message: 'Adjustment would take stock below zero'
+        });
+      }
+      throw adjustError;
     }
 
-    console.log('🔄 Restocking medicine:', {
-      medicineId: req.params.id,
-      oldStock,
-      quantity: parseInt(quantity),
-      adminUserId: adminUser._id
+    console.log(`📦 Adjusted stock of ${medicine.name} by ${quantity} (${reason})`);
+
+    res.json({
+      success: true,
+      message: `Stock adjusted by ${quantity}. Current stock is ${medicine.stockQuantity}`,
+      data: medicine
     });
 
-    // Restock the medicine
-    await medicine.restock(parseInt(quantity), adminUser._id);
+  } catch (error) {
+    console.error('Error adjusting medicine stock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust medicine stock',
+      error: error.message
+    });
+  }
+});
 
-    // Add notes if provided
-    if (notes) {
-      medicine.notes = notes;
-      await medicine.save();
+// POST /api/medicines/:id/write-off-expired - Remove all stock that has passed its expiry date
+router.post('/:id/write-off-expired', authorize('inventory:adjust'), [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    console.log('✅ Medicine restocked successfully:', {
-      medicineId: req.params.id,
-      newStock: medicine.stockQuantity,
-      increased: medicine.stockQuantity - oldStock
+    const medicine = await Medicine.findById(req.params.id);
+    if (!medicine) {
+      return res.status(404).json({
+        success: false,
+        message: 'Medicine not found'
+      });
+    }
+
+    const writtenOff = await medicine.writeOffExpired(req.admin._id, {
+      reason: req.body.reason || 'Expired stock written off',
+      performedBy: { role: 'admin', id: req.admin._id }
     });
 
-    const populatedMedicine = await Medicine.findById(medicine._id)
-      .populate('createdBy', 'firstName lastName')
-      .populate('lastUpdatedBy', 'firstName lastName');
+    if (writtenOff.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This medicine has no expired stock to write off'
+      });
+    }
+
+    const totalWrittenOff = writtenOff.reduce((sum, entry) => sum + entry.quantity, 0);
+    console.log(`🗑️ Wrote off ${totalWrittenOff} expired unit(s) of ${medicine.name}`);
 
     res.json({
       success: true,
-      message: `Medicine restocked successfully. Stock increased from ${oldStock} to ${medicine.stockQuantity}`,
-      data: populatedMedicine
+      message: `${totalWrittenOff} expired unit(s) written off`,
+      data: {
+        medicine,
+        writtenOff
+      }
     });
 
   } catch (error) {
-    console.error('❌ Error restocking medicine:', error);
+    console.error('Error writing off expired stock:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to restock medicine',
+      message: 'Failed to write off expired stock',
       error: error.message
     });
   }
 });
 
 // DELETE /api/medicines/:id - Delete a medicine
-router.delete('/:id', adminAuth, async (req, res) => {
+router.delete('/:id', authorize('medicines:manage'), async (req, res) => {
   try {
     const medicine = await Medicine.findById(req.params.id);
     
@@ -622,7 +895,7 @@ router.delete('/:id', adminAuth, async (req, res) => {
 });
 
 // GET /api/medicines/categories/list - Get list of available categories
-router.get('/categories/list', adminAuth, async (req, res) => {
+router.get('/categories/list', authorize('medicines:read'), async (req, res) => {
   try {
     const categories = [
       'Antibiotics',
@@ -1,111 +1,19 @@
 const express = require('express');
-const { validationResult } = require('express-validator');
+const { body, validationResult } = require('express-validator');
 const Patient = require('../models/Patient');
-const auth = require('../middleware/auth');
-const doctorAuth = require('../middleware/doctorAuth');
+const DentalChart = require('../models/DentalChart');
+const MedicalHistory = require('../models/MedicalHistory');
+const Appointment = require('../models/Appointment');
+const attendanceService = require('../services/attendanceService');
+const authorize = require('../middleware/authorize');
 const { uploadSingle, handleUploadResponse } = require('../middleware/cloudinaryUpload');
 const { cloudinary } = require('../config/cloudinary');
+const { isValidDateString, getDateString, addDays, toClinicDateTime } = require('../utils/dateUtils');
 
 const router = express.Router();
 
-// Middleware to handle both admin and doctor authentication
-const adminOrDoctorAuth = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ 
-        success: false,
-        message: 'No token, authorization denied' 
-      });
-    }
-
-    // Check if it's a mock admin token
-    if (token.startsWith('admin_token_')) {
-      const tokenParts = token.split('_');
-      if (tokenParts.length >= 3) {
-        const timestamp = parseInt(tokenParts[2]);
-        const eightHoursAgo = Date.now() - (8 * 60 * 60 * 1000);
-        
-        if (timestamp > eightHoursAgo) {
-          // Mock admin authentication successful
-          req.user = {
-            id: 'admin-1',
-            userType: 'admin',
-            firstName: 'Admin',
-            lastName: 'User',
-            email: 'admin@gmail.com'
-          };
-          return next();
-        } else {
-          return res.status(401).json({ 
-            success: false,
-            message: 'Admin token expired' 
-          });
-        }
-      } else {
-        return res.status(401).json({ 
-          success: false,
-          message: 'Invalid admin token format' 
-        });
-      }
-    }
-
-    // Try to verify as doctor JWT token
-    try {
-      const jwt = require('jsonwebtoken');
-      const Doctor = require('../models/Doctor');
-      
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      if (decoded.doctorId) {
-        const doctor = await Doctor.findById(decoded.doctorId).select('-password');
-        
-        if (!doctor) {
-          return res.status(401).json({ 
-            success: false,
-            message: 'Doctor not found' 
-          });
-        }
-
-        if (doctor.availability !== 'active') {
-          return res.status(403).json({ 
-            success: false,
-            message: 'Doctor account has been deactivated' 
-          });
-        }
-
-        req.doctor = doctor;
-        req.user = {
-          id: doctor._id,
-          userType: 'doctor',
-          firstName: doctor.firstName,
-          lastName: doctor.lastName,
-          email: doctor.email
-        };
-        return next();
-      }
-    } catch (jwtError) {
-      console.error('JWT verification failed:', jwtError.message);
-    }
-
-    // If neither admin nor doctor token is valid
-    return res.status(401).json({ 
-      success: false,
-      message: 'Invalid token' 
-    });
-
-  } catch (error) {
-    console.error('❌ Auth middleware error:', error);
-    res.status(401).json({ 
-      success: false,
-      message: 'Token verification failed' 
-    });
-  }
-};
-
 // Get all patients (for doctors and admin)
-router.get('/', adminOrDoctorAuth, async (req, res) => {
+router.get('/', authorize('patients:read'), async (req, res) => {
   try {
     console.log('🔍 Fetching all patients for admin/doctor...');
     console.log('🔍 User type:', req.user?.userType);
@@ -132,8 +40,111 @@ router.get('/', adminOrDoctorAuth, async (req, res) => {
   }
 });
 
+const intakeValidation = [
+  body('conditions').optional().isArray().withMessage('Conditions must be an array'),
+  body('conditions.*.name').trim().notEmpty().withMessage('Condition name is required'),
+  body('allergies').optional().isArray().withMessage('Allergies must be an array'),
+  body('allergies.*.substance').trim().notEmpty().withMessage('Allergy substance is required'),
+  body('allergies.*.severity').optional().isIn(['mild', 'moderate', 'severe', 'life-threatening']).withMessage('Invalid allergy severity'),
+  body('medications').optional().isArray().withMessage('Medications must be an array'),
+  body('medications.*.name').trim().notEmpty().withMessage('Medication name is required'),
+  body('pregnancy.isPregnant').optional().isBoolean().withMessage('isPregnant must be true or false'),
+  body('pregnancy.weeks').optional().isInt({ min: 0, max: 45 }).withMessage('Pregnancy weeks must be between 0 and 45'),
+  body('smoking.status').optional().isIn(['never', 'former', 'current']).withMessage('Smoking status must be never, former or current'),
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+  body('appointmentId').optional().isMongoId().withMessage('Invalid appointment ID')
+];
+
+// Get the logged-in patient's current medical history to prefill the intake form
+router.get('/intake', authorize('profile:self'), async (req, res) => {
+  try {
+    const history = await MedicalHistory.getCurrent(req.patient._id);
+    
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error('❌ Error fetching intake form:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch medical history',
+      error: error.message
+    });
+  }
+});
+
+// Submit the intake form, saving a new version of the patient's medical history
+router.post('/intake', authorize('profile:self'), intakeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { conditions, allergies, medications, pregnancy, smoking, notes, appointmentId } = req.body;
+    
+    // The form is filled in ahead of one of the patient's own upcoming visits
+    if (appointmentId) {
+      const appointment = await Appointment.findOne({
+        _id: appointmentId,
+        patientId: req.patient._id,
+        status: { $in: ['scheduled', 'confirmed'] }
+      });
+      
+      if (!appointment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Upcoming appointment not found'
+        });
+      }
+    }
+    
+    const history = await MedicalHistory.recordVersion(req.patient._id, {
+      conditions,
+      allergies,
+      medications,
+      pregnancy,
+      smoking,
+      notes,
+      appointmentId
+    }, { role: 'patient', id: req.patient._id });
+    
+    console.log(`📋 Medical history v${history.version} saved for patient ${req.patient._id}`);
+    
+    res.status(201).json({
+      success: true,
+      data: history,
+      message: 'Medical history saved successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error saving intake form:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Medical history was updated at the same time. Please try again.'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save medical history',
+      error: error.message
+    });
+  }
+});
+
 // Get single patient by ID (for doctors and admin)
-router.get('/:id', adminOrDoctorAuth, async (req, res) => {
+router.get('/:id', authorize('patients:read'), async (req, res) => {
   try {
     console.log('🔍 Fetching patient by ID:', req.params.id);
     console.log('🔍 User type:', req.user?.userType);
@@ -150,9 +161,13 @@ router.get('/:id', adminOrDoctorAuth, async (req, res) => {
     
     console.log('✅ Successfully fetched patient:', patient.firstName, patient.lastName);
     
+    // No-show history so staff can apply the booking policy
+    const attendance = await attendanceService.getPatientAttendance(patient._id);
+    
     res.json({
       success: true,
       data: patient,
+      attendance,
       message: 'Patient found successfully'
     });
   } catch (error) {
@@ -165,10 +180,106 @@ router.get('/:id', adminOrDoctorAuth, async (req, res) => {
   }
 });
 
+// Get a patient's dental chart, optionally as it was at the end of a past day (for doctors and admin)
+router.get('/:id/dental-chart', authorize('patients:read'), async (req, res) => {
+  try {
+    const { asOf } = req.query;
+    
+    if (asOf && !isValidDateString(asOf)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid asOf date format'
+      });
+    }
+    
+    const patient = await Patient.findById(req.params.id).select('firstName lastName');
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+    
+    // asOf is a clinic-local day and includes everything recorded that day
+    const cutoff = asOf ? toClinicDateTime(addDays(asOf, 1)) : null;
+    
+    const chart = await DentalChart.findOne({ patientId: patient._id });
+    const teeth = chart ? chart.getChartAsOf(cutoff) : [];
+    
+    res.json({
+      success: true,
+      data: {
+        patientId: patient._id,
+        patientName: `${patient.firstName} ${patient.lastName}`,
+        asOf: asOf ? getDateString(asOf) : null,
+        teeth
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching dental chart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dental chart',
+      error: error.message
+    });
+  }
+});
+
+// Get a patient's medical history, the latest version unless one is requested (for doctors and admin)
+router.get('/:id/medical-history', authorize('patients:read'), async (req, res) => {
+  try {
+    const { version } = req.query;
+    
+    const history = version
+      ? await MedicalHistory.findOne({ patientId: req.params.id, version: parseInt(version) })
+      : await MedicalHistory.getCurrent(req.params.id);
+    
+    if (version && !history) {
+      return res.status(404).json({
+        success: false,
+        message: 'Medical history version not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error('❌ Error fetching medical history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch medical history',
+      error: error.message
+    });
+  }
+});
+
+// List the saved versions of a patient's medical history (for doctors and admin)
+router.get('/:id/medical-history/versions', authorize('patients:read'), async (req, res) => {
+  try {
+    const versions = await MedicalHistory.find({ patientId: req.params.id })
+      .select('version recordedBy appointmentId createdAt')
+      .sort({ version: -1 });
+    
+    res.json({
+      success: true,
+      data: versions
+    });
+  } catch (error) {
+    console.error('❌ Error fetching medical history versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch medical history versions',
+      error: error.message
+    });
+  }
+});
+
 // Upload patient profile image
-router.post('/profile/image', auth, uploadSingle('profileImage'), handleUploadResponse, async (req, res) => {
+router.post('/profile/image', authorize('profile:self'), uploadSingle('profileImage'), handleUploadResponse, async (req, res) => {
   try {
-    const patient = await Patient.findById(req.user.patientId);
+    const patient = await Patient.findById(req.patient._id);
     
     if (!patient) {
       return res.status(404).json({
@@ -228,9 +339,9 @@ router.post('/profile/image', auth, uploadSingle('profileImage'), handleUploadRe
 });
 
 // Delete patient profile image
-router.delete('/profile/image', auth, async (req, res) => {
+router.delete('/profile/image', authorize('profile:self'), async (req, res) => {
   try {
-    const patient = await Patient.findById(req.user.patientId);
+    const patient = await Patient.findById(req.patient._id);
     
     if (!patient) {
       return res.status(404).json({
@@ -1,19 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const Pharmacist = require('../models/Pharmacist');
+const authorize = require('../middleware/authorize');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
 
 // Pharmacist login
+// With 2FA on, the first call returns a challengeToken; call again with { challengeToken, code }
 router.post('/login', [
   body('email')
+    .if(body('challengeToken').not().exists())
     .isEmail()
     .withMessage('Valid email is required')
     .normalizeEmail(),
   body('password')
+    .if(body('challengeToken').not().exists())
     .notEmpty()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  ...twoFactorService.loginStep(['pharmacist'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -27,70 +33,57 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
-    console.log('🔍 Pharmacist login attempt:', { email, passwordLength: password?.length });
-
-    // Find pharmacist by email
-    const pharmacist = await Pharmacist.findOne({ email });
+    // On the second 2FA step the password was checked when the challenge was issued
+    let pharmacist = req.twoFactorLogin ? req.twoFactorLogin.account : null;
     if (!pharmacist) {
-      console.log('❌ Pharmacist not found for email:', email);
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
+      // Find pharmacist by email
+      pharmacist = await Pharmacist.findOne({ email });
+      if (!pharmacist) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid email or password'
+        });
+      }
 
-    console.log('✅ Pharmacist found:', { 
-      id: pharmacist._id, 
-      email: pharmacist.email, 
-      hasPassword: !!pharmacist.password,
-      availability: pharmacist.availability 
-    });
+      // Check if pharmacist is active
+      if (pharmacist.availability !== 'Active') {
+        return res.status(401).json({
+          success: false,
+          message: 'Your account is currently inactive. Please contact your administrator.'
+        });
+      }
 
-    // Check if pharmacist is active
-    if (pharmacist.availability !== 'Active') {
-      return res.status(401).json({
-        success: false,
-        message: 'Your account is currently inactive. Please contact your administrator.'
-      });
+      // Verify password
+      const isPasswordValid = await bcrypt.compare(password, pharmacist.password);
+      if (!isPasswordValid) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid email or password'
+        });
+      }
     }
 
-    // Verify password
-    console.log('🔐 Verifying password...');
-    const isPasswordValid = await bcrypt.compare(password, pharmacist.password);
-    console.log('🔐 Password verification result:', isPasswordValid);
-    
-    if (!isPasswordValid) {
-      console.log('❌ Password verification failed');
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
+    // With 2FA on, a code is needed before a session is started
+    const challenge = twoFactorService.challengeFor(req, 'pharmacist', pharmacist);
+    if (challenge) {
+      return res.json(challenge);
     }
 
-    console.log('✅ Login successful for:', pharmacist.email);
-
     // Update last login
     pharmacist.lastLogin = new Date();
     await pharmacist.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: pharmacist._id, 
-        email: pharmacist.email,
-        role: 'pharmacist',
-        firstName: pharmacist.firstName,
-        lastName: pharmacist.lastName
-      },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '8h' } // 8 hour token for work shift
-    );
+    // Start a session for this device
+    const { token, refreshToken, expiresIn } = await sessionService.startSession('pharmacist', pharmacist._id, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         token,
+        refreshToken,
+        expiresIn,
+        ...(pharmacist.needsTwoFactorSetup() && { twoFactorSetupRequired: true }),
         pharmacist: {
           id: pharmacist._id,
           firstName: pharmacist.firstName,
@@ -118,33 +111,9 @@ router.post('/login', [
 });
 
 // Get current pharmacist profile
-router.get('/profile', async (req, res) => {
+router.get('/profile', authorize('pharmacist-profile:read'), async (req, res) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'No token provided'
-      });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const pharmacist = await Pharmacist.findById(decoded.id).select('-password');
-
-    if (!pharmacist) {
-      return res.status(404).json({
-        success: false,
-        message: 'Pharmacist not found'
-      });
-    }
-
-    if (pharmacist.availability !== 'Active') {
-      return res.status(401).json({
-        success: false,
-        message: 'Account is inactive'
-      });
-    }
+    const pharmacist = req.pharmacist;
 
     res.json({
       success: true,
@@ -167,9 +136,10 @@ router.get('/profile', async (req, res) => {
 
   } catch (error) {
     console.error('Get pharmacist profile error:', error);
-    res.status(401).json({
+    res.status(500).json({
       success: false,
-      message: 'Invalid token'
+      message: 'Failed to fetch pharmacist profile',
+      error: error.message
     });
   }
 });
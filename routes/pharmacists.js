@@ -6,9 +6,12 @@ const { uploadSingle, handleUploadResponse } = require('../middleware/cloudinary
 const { deleteImage } = require('../config/cloudinary');
 const emailService = require('../services/emailService');
 const { generateSecurePassword } = require('../utils/passwordUtils');
+const authorize = require('../middleware/authorize');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
 
 // Get all pharmacists
-router.get('/', async (req, res) => {
+router.get('/', authorize('staff:manage'), async (req, res) => {
   try {
     const pharmacists = await Pharmacist.find().select('-password').sort({ createdAt: -1 });
     
@@ -30,7 +33,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get pharmacist by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize('staff:manage'), async (req, res) => {
   try {
     const pharmacist = await Pharmacist.findById(req.params.id).select('-password');
     
@@ -56,7 +59,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Add new pharmacist
-router.post('/', uploadSingle('profileImage'), handleUploadResponse, [
+router.post('/', authorize('staff:manage'), uploadSingle('profileImage'), handleUploadResponse, [
   body('firstName')
     .trim()
     .notEmpty()
@@ -265,7 +268,7 @@ router.post('/', uploadSingle('profileImage'), handleUploadResponse, [
 });
 
 // Update pharmacist
-router.put('/:id', uploadSingle('profileImage'), handleUploadResponse, [
+router.put('/:id', authorize('staff:manage'), uploadSingle('profileImage'), handleUploadResponse, [
   body('firstName')
     .optional()
     .trim()
@@ -408,6 +411,10 @@ router.put('/:id', uploadSingle('profileImage'), handleUploadResponse, [
     pharmacist.updatedAt = new Date();
     await pharmacist.save();
 
+    if (req.body.password) {
+      await sessionService.revokeAllSessions('pharmacist', pharmacist._id, 'Password reset by admin');
+    }
+
     res.json({
       success: true,
       message: 'Pharmacist updated successfully',
@@ -441,7 +448,7 @@ router.put('/:id', uploadSingle('profileImage'), handleUploadResponse, [
 });
 
 // Delete pharmacist
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('staff:manage'), async (req, res) => {
   try {
     const pharmacist = await Pharmacist.findById(req.params.id);
     if (!pharmacist) {
@@ -478,7 +485,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Toggle pharmacist availability
-router.patch('/:id/availability', async (req, res) => {
+router.patch('/:id/availability', authorize('staff:manage'), async (req, res) => {
   try {
     const pharmacist = await Pharmacist.findById(req.params.id);
     if (!pharmacist) {
@@ -507,8 +514,50 @@ router.patch('/:id/availability', async (req, res) => {
   }
 });
 
+// Require two-factor authentication for a pharmacist, and/or reset it after a lost device
+router.patch('/:id/two-factor', authorize('staff:manage'), [
+  body('required').optional().isBoolean().withMessage('required must be true or false'),
+  body('reset').optional().isBoolean().withMessage('reset must be true or false'),
+  body().custom(value => value.required !== undefined || value.reset !== undefined).withMessage('Provide required and/or reset')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await twoFactorService.adminUpdate('pharmacist', req.params.id, {
+      required: req.body.required,
+      reset: req.body.reset === true
+    }, req.admin);
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.status === 404 ? 'Pharmacist not found' : result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: req.body.reset ? 'Two-factor authentication reset; the account must sign in again' : 'Two-factor settings updated',
+      data: result.twoFactor
+    });
+  } catch (error) {
+    console.error('Error updating pharmacist two-factor settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating two-factor settings',
+      error: error.message
+    });
+  }
+});
+
 // Get pharmacist statistics
-router.get('/stats/overview', async (req, res) => {
+router.get('/stats/overview', authorize('staff:manage'), async (req, res) => {
   try {
     const totalPharmacists = await Pharmacist.countDocuments();
     const activePharmacists = await Pharmacist.countDocuments({ availability: 'Active' });
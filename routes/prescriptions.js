@@ -2,12 +2,36 @@ const express = require('express');
 const mongoose = require('mongoose');
 const { validationResult, body } = require('express-validator');
 const Prescription = require('../models/Prescription');
-const doctorAuth = require('../middleware/doctorAuth');
+const TreatmentPlan = require('../models/TreatmentPlan');
+const MedicalHistory = require('../models/MedicalHistory');
+const authorize = require('../middleware/authorize');
 const grokAIService = require('../services/grokAIService');
 const PDFService = require('../services/pdfService');
+const treatmentPlanService = require('../services/treatmentPlanService');
+const interactionService = require('../services/interactionService');
+const formularyService = require('../services/formularyService');
 
 const router = express.Router();
 
+// Validation rules for doctor overrides of blocking interaction checks
+const overrideValidation = [
+  body('interactionOverrides')
+    .optional()
+    .isArray()
+    .withMessage('Interaction overrides must be an array'),
+  
+  body('interactionOverrides.*.ruleId')
+    .trim()
+    .notEmpty()
+    .withMessage('Override rule ID is required'),
+  
+  body('interactionOverrides.*.reason')
+    .trim()
+    .notEmpty()
+    .isLength({ max: 500 })
+    .withMessage('Override reason is required and cannot exceed 500 characters')
+];
+
 // Validation rules for creating prescription
 const prescriptionValidation = [
   body('appointmentId')
@@ -45,6 +69,16 @@ const prescriptionValidation = [
     .notEmpty()
     .withMessage('Medication name is required'),
   
+  body('medications.*.medicineId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid medicine ID format'),
+  
+  body('medications.*.quantity')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Medication quantity must be a positive integer'),
+  
   body('medications.*.dosage')
     .trim()
     .notEmpty()
@@ -68,11 +102,23 @@ const prescriptionValidation = [
   body('notes')
     .optional()
     .isLength({ max: 500 })
-    .withMessage('Notes cannot exceed 500 characters')
+    .withMessage('Notes cannot exceed 500 characters'),
+  
+  body('treatmentPlanId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid treatment plan ID format'),
+  
+  body('treatmentStepId')
+    .if(body('treatmentPlanId').exists())
+    .isMongoId()
+    .withMessage('Invalid treatment step ID format'),
+  
+  ...overrideValidation
 ];
 
 // POST /api/prescriptions/generate-ai - Generate AI prescription
-router.post('/generate-ai', doctorAuth, [
+router.post('/generate-ai', authorize('prescriptions:write'), [
   body('symptoms')
     .trim()
     .notEmpty()
@@ -86,7 +132,12 @@ router.post('/generate-ai', doctorAuth, [
   body('patientAge')
     .optional()
     .isInt({ min: 0, max: 150 })
-    .withMessage('Patient age must be a valid number')
+    .withMessage('Patient age must be a valid number'),
+  
+  body('patientId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid patient ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -98,7 +149,12 @@ router.post('/generate-ai', doctorAuth, [
       });
     }
 
-    const { symptoms, patientName, patientAge, medicalHistory, allergies } = req.body;
+    const { symptoms, patientName, patientAge, patientId } = req.body;
+
+    // Use the patient's stored medical history, adding anything extra the doctor typed in
+    const history = patientId ? await MedicalHistory.getCurrent(patientId) : null;
+    const medicalHistory = [history && history.getHistorySummary(), req.body.medicalHistory].filter(Boolean).join('; ');
+    const allergies = [history && history.getAllergySummary(), req.body.allergies].filter(Boolean).join(', ');
 
     console.log('🤖 Generating AI prescription for:', {
       patientName,
@@ -106,13 +162,17 @@ router.post('/generate-ai', doctorAuth, [
       patientAge
     });
 
+    // Steer the suggestion towards what the clinic actually stocks
+    const formulary = await formularyService.getFormulary();
+
     // Generate AI prescription using Grok
     const aiResult = await grokAIService.generatePrescription({
       symptoms,
       patientName,
       patientAge,
       medicalHistory,
-      allergies
+      allergies,
+      formulary: formulary.map(medicine => medicine.name)
     });
 
     if (!aiResult.success) {
@@ -127,9 +187,19 @@ router.post('/generate-ai', doctorAuth, [
     const followUpDate = new Date();
     followUpDate.setDate(followUpDate.getDate() + aiResult.data.followUpDays);
 
+    // Link suggested medications to formulary stock; anything unmatched has to be sourced elsewhere
+    const medications = formularyService.annotateMedications(aiResult.data.medications, formulary);
+
+    // Flag anything in the suggestion the doctor will have to address before saving
+    const interactions = await interactionService.checkMedications({
+      medications,
+      patientId,
+      patientAge
+    });
+
     const prescriptionData = {
       diagnosis: aiResult.data.diagnosis,
-      medications: aiResult.data.medications,
+      medications,
       generalInstructions: aiResult.data.generalInstructions,
       followUpDate: followUpDate.toISOString().split('T')[0],
       isAIGenerated: true,
@@ -142,9 +212,13 @@ router.post('/generate-ai', doctorAuth, [
       success: true,
       message: 'AI prescription generated successfully',
       data: prescriptionData,
+      interactions,
       meta: {
         aiModel: aiResult.aiModel,
         tokensUsed: aiResult.tokensUsed,
+        medicalHistoryVersion: history ? history.version : null,
+        formularySize: formulary.length,
+        outsideFormulary: medications.filter(medication => !medication.inFormulary).map(medication => medication.name),
         generatedAt: new Date().toISOString()
       }
     });
@@ -159,8 +233,66 @@ router.post('/generate-ai', doctorAuth, [
   }
 });
 
+// POST /api/prescriptions/check-interactions - Check medications without saving a prescription
+router.post('/check-interactions', authorize('prescriptions:write'), [
+  body('medications')
+    .isArray({ min: 1 })
+    .withMessage('At least one medication is required'),
+  
+  body('medications.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Medication name is required'),
+  
+  body('patientId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid patient ID'),
+  
+  body('patientAge')
+    .optional()
+    .isInt({ min: 0, max: 150 })
+    .withMessage('Patient age must be a valid number'),
+  
+  body('prescriptionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid prescription ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const interactions = await interactionService.checkMedications({
+      medications: req.body.medications,
+      patientId: req.body.patientId,
+      patientAge: req.body.patientAge,
+      excludePrescriptionId: req.body.prescriptionId
+    });
+
+    res.json({
+      success: true,
+      data: interactions
+    });
+
+  } catch (error) {
+    console.error('❌ Error checking interactions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check interactions',
+      error: error.message
+    });
+  }
+});
+
 // POST /api/prescriptions - Create a new prescription
-router.post('/', doctorAuth, prescriptionValidation, async (req, res) => {
+router.post('/', authorize('prescriptions:write'), prescriptionValidation, async (req, res) => {
   try {
     console.log('📥 Received prescription request:', {
       appointmentId: req.body.appointmentId,
@@ -180,17 +312,63 @@ router.post('/', doctorAuth, prescriptionValidation, async (req, res) => {
       });
     }
 
+    // A prescription can be issued as part of a treatment plan step
+    let treatmentPlan = null;
+    if (req.body.treatmentPlanId) {
+      treatmentPlan = await TreatmentPlan.findById(req.body.treatmentPlanId);
+      const samePatient = treatmentPlan && (!req.body.patientId || treatmentPlan.patientId.toString() === req.body.patientId.toString());
+      if (!samePatient || !treatmentPlan.findStep(req.body.treatmentStepId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Treatment plan step not found for this patient'
+        });
+      }
+    }
+
+    // Medications may reference clinic stock; unknown references are rejected
+    const { byId: medicinesById, missing: missingMedicines } = await formularyService.resolveMedicines(req.body.medications);
+    if (missingMedicines.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Medicine not found: ${missingMedicines.join(', ')}`
+      });
+    }
+    const stockWarnings = formularyService.getStockWarnings(req.body.medications, medicinesById);
+
+    // Check the medications against the patient's allergies, other medications and age
+    const patientId = req.body.patientId && mongoose.Types.ObjectId.isValid(req.body.patientId) ? req.body.patientId : null;
+    const interactions = await interactionService.checkMedications({
+      medications: req.body.medications,
+      patientId,
+      patientAge: req.body.patientAge
+    });
+    const { unresolved, overrides } = interactionService.applyOverrides(interactions, req.body.interactionOverrides, req.doctor._id);
+
+    if (unresolved.length > 0) {
+      console.log('⛔ Prescription blocked by interaction checks:', unresolved.map(issue => issue.ruleId));
+      return res.status(409).json({
+        success: false,
+        message: 'Prescription blocked by interaction checks. Override each blocking rule with a reason to continue.',
+        interactions: {
+          blocking: unresolved,
+          warnings: interactions.warnings
+        }
+      });
+    }
+
     // Clean up the data before saving
     const prescriptionData = {
       appointmentId: req.body.appointmentId,
       patientName: req.body.patientName.trim(),
       diagnosis: req.body.diagnosis.trim(),
       medications: req.body.medications.map(med => ({
+        medicineId: med.medicineId || undefined,
         name: med.name.trim(),
         dosage: med.dosage.trim(),
         duration: med.duration.trim(),
         instructions: med.instructions ? med.instructions.trim() : '',
-        frequency: med.frequency ? med.frequency.trim() : ''
+        frequency: med.frequency ? med.frequency.trim() : '',
+        quantity: med.quantity ? parseInt(med.quantity) : undefined
       })),
       doctorId: req.doctor._id,
       generalInstructions: req.body.generalInstructions ? req.body.generalInstructions.trim() : '',
@@ -198,12 +376,15 @@ router.post('/', doctorAuth, prescriptionValidation, async (req, res) => {
       notes: req.body.notes ? req.body.notes.trim() : '',
       isAIGenerated: req.body.isAIGenerated || false,
       status: 'active',
-      prescriptionDate: new Date()
+      prescriptionDate: new Date(),
+      interactionWarnings: interactions.warnings,
+      interactionOverrides: overrides,
+      interactionsCheckedAt: new Date()
     };
 
     // Add optional fields if provided
-    if (req.body.patientId && mongoose.Types.ObjectId.isValid(req.body.patientId)) {
-      prescriptionData.patientId = req.body.patientId;
+    if (patientId) {
+      prescriptionData.patientId = patientId;
     }
     
     if (req.body.patientAge && !isNaN(req.body.patientAge)) {
@@ -225,6 +406,10 @@ router.post('/', doctorAuth, prescriptionValidation, async (req, res) => {
 
     console.log('✅ Prescription saved successfully with ID:', savedPrescription._id);
 
+    if (treatmentPlan) {
+      await treatmentPlanService.linkPrescription(treatmentPlan, req.body.treatmentStepId, savedPrescription);
+    }
+
     // Try to populate the saved prescription, but don't fail if population fails
     let populatedPrescription;
     try {
@@ -245,7 +430,12 @@ router.post('/', doctorAuth, prescriptionValidation, async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Prescription created successfully',
-      data: populatedPrescription
+      data: populatedPrescription,
+      interactions: {
+        warnings: interactions.warnings,
+        overrides
+      },
+      stockWarnings
     });
 
   } catch (error) {
@@ -284,7 +474,7 @@ router.post('/', doctorAuth, prescriptionValidation, async (req, res) => {
 });
 
 // GET /api/prescriptions/doctor/my-prescriptions - Get doctor's prescriptions
-router.get('/doctor/my-prescriptions', doctorAuth, async (req, res) => {
+router.get('/doctor/my-prescriptions', authorize('prescriptions:write'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -343,7 +533,7 @@ router.get('/doctor/my-prescriptions', doctorAuth, async (req, res) => {
 });
 
 // GET /api/prescriptions/patient/:patientId - Get patient's prescriptions
-router.get('/patient/:patientId', doctorAuth, async (req, res) => {
+router.get('/patient/:patientId', authorize('prescriptions:write'), async (req, res) => {
   try {
     const prescriptions = await Prescription.findByPatient(req.params.patientId);
 
@@ -363,7 +553,7 @@ router.get('/patient/:patientId', doctorAuth, async (req, res) => {
 });
 
 // GET /api/prescriptions/:id - Get specific prescription
-router.get('/:id', doctorAuth, async (req, res) => {
+router.get('/:id', authorize('prescriptions:write'), async (req, res) => {
   try {
     const prescription = await Prescription.findById(req.params.id)
       .populate('appointmentId', 'date timeRange symptoms')
@@ -401,8 +591,24 @@ router.get('/:id', doctorAuth, async (req, res) => {
 });
 
 // PATCH /api/prescriptions/:id - Update prescription
-router.patch('/:id', doctorAuth, async (req, res) => {
+router.patch('/:id', authorize('prescriptions:write'), [
+  body('medications.*.medicineId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid medicine ID format'),
+  
+  ...overrideValidation
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const prescription = await Prescription.findById(req.params.id);
 
     if (!prescription) {
@@ -429,6 +635,54 @@ router.patch('/:id', doctorAuth, async (req, res) => {
       }
     });
 
+    // Changed medications are checked again; earlier override reasons still apply unless replaced
+    let interactions = null;
+    let stockWarnings = null;
+    if (updates.medications) {
+      // Dispensed quantities live on the medication lines, so they are fixed once the pharmacy starts
+      if (prescription.dispensingStatus !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          message: 'Medications cannot be changed after dispensing has started'
+        });
+      }
+
+      const { byId: medicinesById, missing: missingMedicines } = await formularyService.resolveMedicines(updates.medications);
+      if (missingMedicines.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Medicine not found: ${missingMedicines.join(', ')}`
+        });
+      }
+      stockWarnings = formularyService.getStockWarnings(updates.medications, medicinesById);
+
+      interactions = await interactionService.checkMedications({
+        medications: updates.medications,
+        patientId: prescription.patientId,
+        patientAge: prescription.patientAge,
+        excludePrescriptionId: prescription._id
+      });
+      const { unresolved, overrides } = interactionService.applyOverrides(interactions, [
+        ...prescription.interactionOverrides.map(override => ({ ruleId: override.ruleId, reason: override.reason })),
+        ...(req.body.interactionOverrides || [])
+      ], req.doctor._id);
+
+      if (unresolved.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Prescription blocked by interaction checks. Override each blocking rule with a reason to continue.',
+          interactions: {
+            blocking: unresolved,
+            warnings: interactions.warnings
+          }
+        });
+      }
+
+      updates.interactionWarnings = interactions.warnings;
+      updates.interactionOverrides = overrides;
+      updates.interactionsCheckedAt = new Date();
+    }
+
     Object.assign(prescription, updates);
     await prescription.save();
 
@@ -440,7 +694,14 @@ router.patch('/:id', doctorAuth, async (req, res) => {
     res.json({
       success: true,
       message: 'Prescription updated successfully',
-      data: updatedPrescription
+      data: updatedPrescription,
+      ...(interactions && {
+        interactions: {
+          warnings: updatedPrescription.interactionWarnings,
+          overrides: updatedPrescription.interactionOverrides
+        },
+        stockWarnings
+      })
     });
 
   } catch (error) {
@@ -454,7 +715,7 @@ router.patch('/:id', doctorAuth, async (req, res) => {
 });
 
 // DELETE /api/prescriptions/:id - Delete prescription
-router.delete('/:id', doctorAuth, async (req, res) => {
+router.delete('/:id', authorize('prescriptions:write'), async (req, res) => {
   try {
     const prescription = await Prescription.findById(req.params.id);
 
@@ -491,7 +752,7 @@ router.delete('/:id', doctorAuth, async (req, res) => {
 });
 
 // GET /api/prescriptions/:id/pdf - Download prescription as PDF
-router.get('/:id/pdf', doctorAuth, async (req, res) => {
+router.get('/:id/pdf', authorize('prescriptions:write'), async (req, res) => {
   try {
     const prescription = await Prescription.findById(req.params.id)
       .populate('patientId', 'firstName lastName age')
@@ -514,11 +775,17 @@ router.get('/:id/pdf', doctorAuth, async (req, res) => {
 
     console.log('📄 Generating PDF for prescription:', prescription._id);
 
+    // Medical alerts as recorded when the prescription was written
+    const medicalHistory = prescription.patientId
+      ? await MedicalHistory.getCurrent(prescription.patientId._id, prescription.createdAt)
+      : null;
+
     // Generate professional PDF using PDFService
     const pdfBuffer = await PDFService.generatePrescriptionPDF(
       prescription, 
       prescription.doctorId, 
-      prescription.patientId
+      prescription.patientId,
+      medicalHistory
     );
 
     // Set proper PDF headers
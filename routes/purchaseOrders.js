@@ -0,0 +1,556 @@
+const express = require('express');
+const { validationResult, body, query } = require('express-validator');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const authorize = require('../middleware/authorize');
+const purchasingService = require('../services/purchasingService');
+
+const router = express.Router();
+
+// Validation rules for creating/updating a draft purchase order
+const orderValidation = [
+  body('supplierId')
+    .isMongoId()
+    .withMessage('Valid supplier ID is required'),
+
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('At least one item is required'),
+
+  body('items.*.medicineId')
+    .isMongoId()
+    .withMessage('Valid medicine ID is required for each item'),
+
+  body('items.*.quantityOrdered')
+    .isInt({ min: 1 })
+    .withMessage('Ordered quantity must be a positive integer'),
+
+  body('items.*.unitCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Unit cost must be a positive number'),
+
+  body('expectedDeliveryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid expected delivery date format'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Validation rules for the reorder suggestion window
+const suggestionValidation = [
+  query('days').optional().isInt({ min: 7, max: 365 }).withMessage('Days must be between 7 and 365'),
+  query('coverDays').optional().isInt({ min: 1, max: 180 }).withMessage('Cover days must be between 1 and 180')
+];
+
+// Check the supplier exists and is still active
+const findActiveSupplier = async (supplierId) => {
+  const supplier = await Supplier.findById(supplierId);
+  return supplier && supplier.isActive ? supplier : null;
+};
+
+// GET /api/purchase-orders - List purchase orders
+router.get('/', authorize('purchasing:manage'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['draft', 'ordered', 'partially-received', 'received', 'cancelled']).withMessage('Invalid status'),
+  query('supplierId').optional().isMongoId().withMessage('Invalid supplier ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.supplierId) filter.supplierId = req.query.supplierId;
+
+    const [orders, total] = await Promise.all([
+      PurchaseOrder.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('supplierId', 'name leadTimeDays'),
+      PurchaseOrder.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        orders,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching purchase orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase orders',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/purchase-orders/reorder-suggestions - What to order for low-stock medicines
+router.get('/reorder-suggestions', authorize('purchasing:manage'), suggestionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const suggestions = await purchasingService.getReorderSuggestions({
+      days: parseInt(req.query.days) || 30,
+      coverDays: parseInt(req.query.coverDays) || 30
+    });
+
+    res.json({
+      success: true,
+      data: suggestions
+    });
+
+  } catch (error) {
+    console.error('Error building reorder suggestions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build reorder suggestions',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/purchase-orders/reorder-suggestions/draft - Draft purchase orders from the reorder suggestions
+router.post('/reorder-suggestions/draft', authorize('purchasing:manage'), suggestionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { orders, unassigned } = await purchasingService.draftFromSuggestions(req.admin._id, {
+      days: parseInt(req.query.days) || 30,
+      coverDays: parseInt(req.query.coverDays) || 30
+    });
+
+    console.log(`📝 Drafted ${orders.length} purchase order(s) from reorder suggestions`);
+
+    res.status(orders.length > 0 ? 201 : 200).json({
+      success: true,
+      message: orders.length > 0
+        ? `Drafted ${orders.length} purchase order(s)`
+        : 'Nothing to draft: no low-stock medicines with a preferred supplier need ordering',
+      data: {
+        orders,
+        unassigned
+      }
+    });
+
+  } catch (error) {
+    console.error('Error drafting purchase orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to draft purchase orders',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/purchase-orders - Create a draft purchase order
+router.post('/', authorize('purchasing:manage'), orderValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const supplier = await findActiveSupplier(req.body.supplierId);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active supplier not found'
+      });
+    }
+
+    const built = await purchasingService.buildItems(req.body.items);
+    if (!built.success) {
+      return res.status(built.status).json({
+        success: false,
+        message: built.message
+      });
+    }
+
+    const order = await purchasingService.createOrder({
+      supplierId: supplier._id,
+      items: built.items,
+      expectedDeliveryDate: req.body.expectedDeliveryDate,
+      notes: req.body.notes
+    }, req.admin._id);
+
+    res.status(201).json({
+      success: true,
+      message: `Purchase order ${order.orderNumber} created`,
+      data: order
+    });
+
+  } catch (error) {
+    console.error('Error creating purchase order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create purchase order',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/purchase-orders/:id - Get a specific purchase order
+router.get('/:id', authorize('purchasing:manage'), async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id)
+      .populate('supplierId')
+      .populate('createdBy', 'firstName lastName')
+      .populate('receipts.receivedBy', 'firstName lastName');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order
+    });
+
+  } catch (error) {
+    console.error('Error fetching purchase order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase order',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/purchase-orders/:id - Edit a draft purchase order
+router.put('/:id', authorize('purchasing:manage'), orderValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await PurchaseOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+    if (order.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only draft purchase orders can be edited'
+      });
+    }
+
+    const supplier = await findActiveSupplier(req.body.supplierId);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active supplier not found'
+      });
+    }
+
+    const built = await purchasingService.buildItems(req.body.items);
+    if (!built.success) {
+      return res.status(built.status).json({
+        success: false,
+        message: built.message
+      });
+    }
+
+    order.supplierId = supplier._id;
+    order.items = built.items;
+    order.expectedDeliveryDate = req.body.expectedDeliveryDate;
+    order.notes = req.body.notes;
+    await order.save();
+
+    res.json({
+      success: true,
+      message: 'Purchase order updated successfully',
+      data: order
+    });
+
+  } catch (error) {
+    console.error('Error updating purchase order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update purchase order',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/purchase-orders/:id/submit - Mark a draft as sent to the supplier
+router.patch('/:id/submit', authorize('purchasing:manage'), [
+  body('expectedDeliveryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid expected delivery date format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await PurchaseOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+    if (order.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot submit a ${order.status} purchase order`
+      });
+    }
+
+    const supplier = await findActiveSupplier(order.supplierId);
+    if (!supplier) {
+      return res.status(409).json({
+        success: false,
+        message: 'The supplier on this order is no longer active'
+      });
+    }
+
+    order.status = 'ordered';
+    order.orderedAt = new Date();
+    if (req.body.expectedDeliveryDate) {
+      order.expectedDeliveryDate = req.body.expectedDeliveryDate;
+    } else if (!order.expectedDeliveryDate) {
+      const expectedDeliveryDate = new Date();
+      expectedDeliveryDate.setDate(expectedDeliveryDate.getDate() + supplier.leadTimeDays);
+      order.expectedDeliveryDate = expectedDeliveryDate;
+    }
+    await order.save();
+
+    console.log(`📨 Purchase order ${order.orderNumber} sent to ${supplier.name}`);
+
+    res.json({
+      success: true,
+      message: `Purchase order ${order.orderNumber} submitted`,
+      data: order
+    });
+
+  } catch (error) {
+    console.error('Error submitting purchase order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit purchase order',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/purchase-orders/:id/cancel - Cancel an order, or whatever of it has not been delivered
+router.patch('/:id/cancel', authorize('purchasing:manage'), [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Reason cannot exceed 300 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await PurchaseOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+    if (['received', 'cancelled'].includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot cancel a ${order.status} purchase order`
+      });
+    }
+
+    order.status = 'cancelled';
+    order.cancelledAt = new Date();
+    order.cancellationReason = req.body.reason;
+    await order.save();
+
+    res.json({
+      success: true,
+      message: `Purchase order ${order.orderNumber} cancelled`,
+      data: order
+    });
+
+  } catch (error) {
+    console.error('Error cancelling purchase order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel purchase order',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/purchase-orders/:id/receipts - Record a delivery; each line is added to stock as a new lot
+router.post('/:id/receipts', authorize('purchasing:manage'), [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('At least one received item is required'),
+
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Valid order line ID is required for each item'),
+
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Received quantity must be a positive integer'),
+
+  body('items.*.expiryDate')
+    .isISO8601()
+    .withMessage('Expiry date of each received lot is required')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Expiry date must be in the future');
+      }
+      return true;
+    }),
+
+  body('items.*.lotNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Lot number cannot exceed 50 characters'),
+
+  body('items.*.unitCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Unit cost must be a positive number'),
+
+  body('supplierInvoiceNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Invoice number cannot exceed 50 characters'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await PurchaseOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const items = req.body.items.map(item => ({
+      itemId: item.itemId,
+      quantity: parseInt(item.quantity),
+      expiryDate: new Date(item.expiryDate),
+      lotNumber: item.lotNumber,
+      unitCost: item.unitCost !== undefined ? parseFloat(item.unitCost) : undefined
+    }));
+
+    const result = await purchasingService.receive(order, items, req.admin._id, {
+      supplierInvoiceNumber: req.body.supplierInvoiceNumber,
+      notes: req.body.notes
+    });
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.order.status === 'received'
+        ? `Purchase order ${result.order.orderNumber} fully received`
+        : `Delivery recorded against ${result.order.orderNumber}`,
+      data: {
+        order: result.order,
+        receipt: result.receipt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error receiving purchase order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record the delivery',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
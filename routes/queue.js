@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const QueueEntry = require('../models/QueueEntry');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const authorize = require('../middleware/authorize');
+const queueService = require('../services/queueService');
+const { getClinicToday, toDayStart } = require('../utils/dateUtils');
+
+// Get today's queue with estimated wait times (front desk)
+router.get('/', authorize('queue:manage'), async (req, res) => {
+  try {
+    const { doctorId } = req.query;
+
+    const queue = await queueService.getQueueWithEstimates(doctorId || null);
+
+    // Patients already called today, for the front desk board
+    const called = await QueueEntry.find({
+      queueDate: toDayStart(getClinicToday()),
+      status: 'called'
+    })
+      .populate('patientId', 'firstName lastName')
+      .populate('doctorId', 'firstName lastName')
+      .sort({ calledAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        date: getClinicToday(),
+        queue,
+        called,
+        waitingCount: queue.length,
+        emergencyCount: queue.filter(item => item.kind === 'emergency').length
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching queue',
+      error: error.message
+    });
+  }
+});
+
+// Register a walk-in or emergency patient (front desk)
+router.post('/', authorize('queue:manage'), [
+  body('patientId').isMongoId().withMessage('Valid patient ID is required'),
+  body('doctorId').optional({ nullable: true }).isMongoId().withMessage('Valid doctor ID is required'),
+  body('kind').isIn(['walk-in', 'emergency']).withMessage('Kind must be walk-in or emergency'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  body('procedure').optional().trim().isLength({ max: 50 }).withMessage('Procedure must be less than 50 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { patientId, doctorId, kind, reason, procedure } = req.body;
+
+    const patient = await Patient.findById(patientId).select('firstName lastName');
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    if (doctorId) {
+      const doctor = await Doctor.findById(doctorId).select('availability');
+      if (!doctor || doctor.availability !== 'active') {
+        return res.status(404).json({
+          success: false,
+          message: 'Doctor not found'
+        });
+      }
+    }
+
+    const alreadyQueued = await QueueEntry.findOne({
+      patientId,
+      queueDate: toDayStart(getClinicToday()),
+      status: 'waiting'
+    });
+    if (alreadyQueued) {
+      return res.status(409).json({
+        success: false,
+        message: `Patient is already in the queue with token ${alreadyQueued.tokenNumber}`
+      });
+    }
+
+    const entry = await queueService.register({
+      patientId,
+      doctorId,
+      kind,
+      reason,
+      procedure,
+      registeredBy: { userId: req.user.id ? req.user.id.toString() : undefined, role: req.user.role }
+    });
+
+    // Return the new entry's place and estimated wait in the current queue
+    const queue = await queueService.getQueueWithEstimates(doctorId || null);
+    const position = queue.find(item => item.id.toString() === entry._id.toString());
+
+    res.status(201).json({
+      success: true,
+      message: `${kind === 'emergency' ? 'Emergency' : 'Walk-in'} registered with token ${entry.tokenNumber}`,
+      data: {
+        entry,
+        position: position ? position.position : null,
+        estimatedStartTime: position ? position.estimatedStartTime : null,
+        estimatedWaitMinutes: position ? position.estimatedWaitMinutes : null
+      }
+    });
+  } catch (error) {
+    console.error('Error registering queue entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while registering patient in queue',
+      error: error.message
+    });
+  }
+});
+
+// Remove a patient from the queue, e.g. they left without being seen (front desk)
+router.patch('/:entryId/cancel', authorize('queue:manage'), [
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const entry = await QueueEntry.findOneAndUpdate(
+      { _id: req.params.entryId, status: 'waiting' },
+      { $set: { status: 'cancelled', cancelReason: req.body.reason } },
+      { new: true }
+    );
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waiting queue entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Token ${entry.tokenNumber} removed from the queue`,
+      data: { entry }
+    });
+  } catch (error) {
+    console.error('Error cancelling queue entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling queue entry',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
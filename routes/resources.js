@@ -0,0 +1,239 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Resource = require('../models/Resource');
+const Appointment = require('../models/Appointment');
+const authorize = require('../middleware/authorize');
+const resourceService = require('../services/resourceService');
+const clinicConfig = require('../config/clinic');
+const { isValidDateString, getDateString, toDayStart, getClinicToday } = require('../utils/dateUtils');
+
+const RESOURCE_TYPES = ['dental-chair', 'xray-room', 'sterilised-kit', 'other'];
+
+const resourceValidation = [
+  body('name').optional().trim().notEmpty().isLength({ max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('type').optional().isIn(RESOURCE_TYPES).withMessage('Invalid resource type'),
+  body('location').optional().trim().isLength({ max: 100 }).withMessage('Location cannot exceed 100 characters'),
+  body('turnaroundMinutes').optional().isInt({ min: 0, max: 240 }).withMessage('Turnaround must be between 0 and 240 minutes'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// Helper function to send mongoose validation and duplicate-name errors
+const sendSaveError = (res, error, action) => {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A resource with this name already exists'
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    message: `Server error while ${action} resource`,
+    error: error.message
+  });
+};
+
+// Get all resources (admin)
+router.get('/', authorize('resources:read'), async (req, res) => {
+  try {
+    const { type, includeInactive = 'false' } = req.query;
+
+    const filter = {};
+    if (type) filter.type = type;
+    if (includeInactive !== 'true') filter.isActive = true;
+
+    const resources = await Resource.find(filter).sort({ type: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        resources,
+        total: resources.length
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching resources:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching resources',
+      error: error.message
+    });
+  }
+});
+
+// Get the resource types each slot type needs (admin)
+router.get('/requirements', authorize('resources:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      requirements: clinicConfig.resourceRequirements,
+      resourceTypes: RESOURCE_TYPES
+    }
+  });
+});
+
+// Front desk day view: bookings and utilisation per chair, room and kit (admin)
+router.get('/day/:date', authorize('resources:read'), async (req, res) => {
+  try {
+    const { date } = req.params;
+
+    if (!isValidDateString(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+
+    const resources = await resourceService.getDayUtilisation(date);
+
+    const byType = RESOURCE_TYPES.map(type => {
+      const ofType = resources.filter(resource => resource.type === type);
+      const bookedMinutes = ofType.reduce((total, resource) => total + resource.bookedMinutes, 0);
+      const openMinutes = ofType.reduce((total, resource) => total + resource.openMinutes, 0);
+      return {
+        type,
+        count: ofType.length,
+        bookedMinutes,
+        utilisation: openMinutes > 0 ? Math.round((bookedMinutes / openMinutes) * 1000) / 10 : 0
+      };
+    }).filter(summary => summary.count > 0);
+
+    res.json({
+      success: true,
+      data: {
+        date: getDateString(date),
+        openingTime: clinicConfig.openingTime,
+        closingTime: clinicConfig.closingTime,
+        resources,
+        summary: byType
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching resource day view:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching resource day view',
+      error: error.message
+    });
+  }
+});
+
+// Add a resource (admin)
+router.post('/', authorize('resources:manage'), [
+  body('name').trim().notEmpty().withMessage('Resource name is required'),
+  body('type').isIn(RESOURCE_TYPES).withMessage('Valid resource type is required'),
+  ...resourceValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, type, location, turnaroundMinutes, notes } = req.body;
+
+    const resource = new Resource({ name, type, location, turnaroundMinutes, notes });
+    await resource.save();
+
+    console.log(`🪑 Resource added: ${resource.name} (${resource.type})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Resource added successfully',
+      data: { resource }
+    });
+  } catch (error) {
+    console.error('Error adding resource:', error);
+    sendSaveError(res, error, 'adding');
+  }
+});
+
+// Update a resource (admin)
+router.put('/:resourceId', authorize('resources:manage'), resourceValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const resource = await Resource.findById(req.params.resourceId);
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    ['name', 'type', 'location', 'turnaroundMinutes', 'notes', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        resource[field] = req.body[field];
+      }
+    });
+
+    await resource.save();
+
+    res.json({
+      success: true,
+      message: 'Resource updated successfully',
+      data: { resource }
+    });
+  } catch (error) {
+    console.error('Error updating resource:', error);
+    sendSaveError(res, error, 'updating');
+  }
+});
+
+// Retire a resource so it is no longer allocated (admin)
+router.delete('/:resourceId', authorize('resources:manage'), async (req, res) => {
+  try {
+    const resource = await Resource.findById(req.params.resourceId);
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resource not found'
+      });
+    }
+
+    resource.isActive = false;
+    await resource.save();
+
+    // Existing bookings keep the resource; report them so the front desk can move them
+    const upcomingBookings = await Appointment.countDocuments({
+      resources: resource._id,
+      appointmentDate: { $gte: toDayStart(getClinicToday()) },
+      status: { $in: ['scheduled', 'confirmed'] }
+    });
+
+    res.json({
+      success: true,
+      message: upcomingBookings > 0
+        ? `Resource deactivated. ${upcomingBookings} upcoming appointment(s) are still assigned to it.`
+        : 'Resource deactivated successfully',
+      data: { resource, upcomingBookings }
+    });
+  } catch (error) {
+    console.error('Error deactivating resource:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deactivating resource',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
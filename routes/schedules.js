@@ -2,55 +2,55 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Schedule = require('../models/Schedule');
-const Doctor = require('../models/Doctor');
-const jwt = require('jsonwebtoken');
-// Middleware to authenticate doctor
-const authenticateDoctor = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    console.log('Schedule auth - Token received:', token ? 'Yes' : 'No'); // Debug log
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'No token provided'
-      });
-    }
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    console.log('Schedule auth - Token decoded:', { doctorId: decoded.doctorId }); // Debug log
-    // Check if token has doctorId (from doctor login)
-    if (!decoded.doctorId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Doctor authentication required.'
-      });
+const ScheduleTemplate = require('../models/ScheduleTemplate');
+const authorize = require('../middleware/authorize');
+const {
+  isValidDateString,
+  getDateString,
+  toDayStart,
+  getDayRange,
+  addDays,
+  getDayName,
+  getWeekStart,
+  getClinicToday,
+  getClinicTime,
+  formatDate
+} = require('../utils/dateUtils');
+// Validate a weeklySchedule object; returns an error message or null
+const validateWeeklySchedule = (weeklySchedule) => {
+  for (const [day, slots] of Object.entries(weeklySchedule)) {
+    if (!Array.isArray(slots)) {
+      return `Schedule for ${day} must be an array`;
     }
-    const doctor = await Doctor.findById(decoded.doctorId).select('-password');
-    console.log('Schedule auth - Doctor found:', doctor ? doctor.email : 'Not found'); // Debug log
-    if (!doctor) {
-      return res.status(404).json({
-        success: false,
-        message: 'Doctor not found'
-      });
-    }
-    if (doctor.availability !== 'active') {
-      console.log('Schedule auth - Doctor availability:', doctor.availability); // Debug log
-      return res.status(401).json({
-        success: false,
-        message: 'Account is inactive'
-      });
+    for (const slot of slots) {
+      if (!slot.startTime || !slot.endTime || !slot.type) {
+        return `Invalid slot data for ${day}`;
+      }
+      // Validate time format (HH:MM)
+      const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+      if (!timeRegex.test(slot.startTime) || !timeRegex.test(slot.endTime)) {
+        return `Invalid time format for ${day}. Use HH:MM format.`;
+      }
+      // Validate start time is before end time
+      const start = new Date(`2000-01-01 ${slot.startTime}`);
+      const end = new Date(`2000-01-01 ${slot.endTime}`);
+      if (start >= end) {
+        return `Start time must be before end time for ${day}`;
+      }
     }
-    req.doctor = doctor;
-    next();
-  } catch (error) {
-    console.error('Auth error:', error);
-    res.status(401).json({
-      success: false,
-      message: 'Invalid token'
-    });
   }
+  return null;
 };
+// Helper function to get the stored bounds of a week from its first (clinic-local) day
+const getWeekRange = (weekStartDate) => {
+  const startDate = toDayStart(weekStartDate);
+  const endDate = new Date(getDayRange(addDays(weekStartDate, 6)).end.getTime() - 1);
+  return { startDate, endDate };
+};
+// Helper function to format a stored week range for display
+const formatWeekRange = (startDate, endDate) => `${formatDate(startDate, { month: 'short', day: 'numeric' })} - ${formatDate(endDate, { month: 'short', day: 'numeric', year: 'numeric' })}`;
 // Get current week schedule for authenticated doctor
-router.get('/current-week', authenticateDoctor, async (req, res) => {
+router.get('/current-week', authorize('schedules:manage-own'), async (req, res) => {
   try {
     const { weekStartDate, weekEndDate } = Schedule.getCurrentWeekDates();
     let schedule = await Schedule.findOne({
@@ -65,7 +65,7 @@ router.get('/current-week', authenticateDoctor, async (req, res) => {
         _id: null,
         weekStartDate,
         weekEndDate,
-        weekRange: `${weekStartDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - ${weekEndDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`,
+        weekRange: formatWeekRange(weekStartDate, weekEndDate),
         weeklySchedule: {
           monday: [],
           tuesday: [],
@@ -112,12 +112,15 @@ router.get('/current-week', authenticateDoctor, async (req, res) => {
   }
 });
 // Get schedule for specific week
-router.get('/week/:startDate', authenticateDoctor, async (req, res) => {
+router.get('/week/:startDate', authorize('schedules:manage-own'), async (req, res) => {
   try {
-    const startDate = new Date(req.params.startDate);
-    const endDate = new Date(startDate);
-    endDate.setDate(startDate.getDate() + 6);
-    endDate.setHours(23, 59, 59, 999);
+    if (!isValidDateString(req.params.startDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+    const { startDate, endDate } = getWeekRange(req.params.startDate);
     let schedule = await Schedule.findOne({
       doctorId: req.doctor._id,
       weekStartDate: { $lte: startDate },
@@ -130,7 +133,7 @@ router.get('/week/:startDate', authenticateDoctor, async (req, res) => {
         _id: null,
         weekStartDate: startDate,
         weekEndDate: endDate,
-        weekRange: `${startDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - ${endDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`,
+        weekRange: formatWeekRange(startDate, endDate),
         weeklySchedule: {
           monday: [],
           tuesday: [],
@@ -177,7 +180,7 @@ router.get('/week/:startDate', authenticateDoctor, async (req, res) => {
   }
 });
 // Update/Create schedule for a specific week
-router.put('/week', authenticateDoctor, [
+router.put('/week', authorize('schedules:manage-own'), [
   body('weekStartDate')
     .isISO8601()
     .withMessage('Valid week start date is required'),
@@ -195,34 +198,14 @@ router.put('/week', authenticateDoctor, [
       });
     }
     const { weekStartDate, weeklySchedule } = req.body;
-    // Parse dates more carefully with timezone handling
-    const startDate = new Date(weekStartDate + 'T00:00:00.000Z'); // Force UTC to avoid timezone issues
-    const endDate = new Date(startDate);
-    endDate.setDate(startDate.getDate() + 6);
-    endDate.setHours(23, 59, 59, 999);
-    // Calculate current week start in the same timezone
-    const today = new Date();
-    const currentWeekStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    // Calculate Monday of current week (handling Sunday correctly)
-    const dayOfWeek = today.getDay(); // 0 = Sunday, 1 = Monday, etc.
-    const daysFromMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1; // Convert Sunday to 6 days back
-    currentWeekStart.setDate(today.getDate() - daysFromMonday);
-    currentWeekStart.setHours(0, 0, 0, 0);
+    // Week dates are clinic-local calendar days
+    const { startDate, endDate } = getWeekRange(weekStartDate);
+    const today = getClinicToday();
     console.log('Backend date validation:');
     console.log('Received weekStartDate:', weekStartDate);
-    console.log('Parsed startDate:', startDate.toISOString());
-    console.log('Today:', today.toISOString());
-    console.log('Today day of week:', dayOfWeek, '(0=Sunday, 1=Monday)');
-    console.log('Days from Monday:', daysFromMonday);
-    console.log('Current week start (backend calculation):', currentWeekStart.toISOString());
-    console.log('Is startDate < currentWeekStart?', startDate < currentWeekStart);
-    console.log('Date comparison (time values):');
-    console.log('  startDate.getTime():', startDate.getTime());
-    console.log('  currentWeekStart.getTime():', currentWeekStart.getTime());
-    console.log('  Difference (ms):', startDate.getTime() - currentWeekStart.getTime());
-    // Use date-only comparison to avoid timezone issues
-    const startDateOnly = startDate.toISOString().split('T')[0];
-    const currentWeekStartOnly = currentWeekStart.toISOString().split('T')[0];
+    console.log('Clinic today:', today);
+    const startDateOnly = getDateString(startDate);
+    const currentWeekStartOnly = getWeekStart(today);
     console.log('Date-only comparison:');
     console.log('  startDate (date only):', startDateOnly);
     console.log('  currentWeekStart (date only):', currentWeekStartOnly);
@@ -236,10 +219,10 @@ router.put('/week', authenticateDoctor, [
       });
     }
     // For current week, check if trying to edit past days
-    if (startDate.getTime() === currentWeekStart.getTime()) {
+    if (startDateOnly === currentWeekStartOnly) {
       const dayNames = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-      const currentHour = today.getHours();
-      const currentDayIndex = today.getDay() === 0 ? 6 : today.getDay() - 1; // Convert Sunday=0 to be index 6
+      const currentHour = parseInt(getClinicTime().split(':')[0], 10);
+      const currentDayIndex = dayNames.indexOf(getDayName(today));
       for (const [dayName, slots] of Object.entries(weeklySchedule)) {
         const dayIndex = dayNames.indexOf(dayName.toLowerCase());
         if (dayIndex === -1) continue;
@@ -260,38 +243,12 @@ router.put('/week', authenticateDoctor, [
       }
     }
     // Validate schedule slots
-    for (const [day, slots] of Object.entries(weeklySchedule)) {
-      if (!Array.isArray(slots)) {
-        return res.status(400).json({
-          success: false,
-          message: `Schedule for ${day} must be an array`
-        });
-      }
-      for (const slot of slots) {
-        if (!slot.startTime || !slot.endTime || !slot.type) {
-          return res.status(400).json({
-            success: false,
-            message: `Invalid slot data for ${day}`
-          });
-        }
-        // Validate time format (HH:MM)
-        const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
-        if (!timeRegex.test(slot.startTime) || !timeRegex.test(slot.endTime)) {
-          return res.status(400).json({
-            success: false,
-            message: `Invalid time format for ${day}. Use HH:MM format.`
-          });
-        }
-        // Validate start time is before end time
-        const start = new Date(`2000-01-01 ${slot.startTime}`);
-        const end = new Date(`2000-01-01 ${slot.endTime}`);
-        if (start >= end) {
-          return res.status(400).json({
-            success: false,
-            message: `Start time must be before end time for ${day}`
-          });
-        }
-      }
+    const scheduleError = validateWeeklySchedule(weeklySchedule);
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError
+      });
     }
     let schedule = await Schedule.findOne({
       doctorId: req.doctor._id,
@@ -340,7 +297,7 @@ router.put('/week', authenticateDoctor, [
   }
 });
 // Add/Update a specific day schedule
-router.put('/day/:day', authenticateDoctor, [
+router.put('/day/:day', authorize('schedules:manage-own'), [
   body('weekStartDate')
     .isISO8601()
     .withMessage('Valid week start date is required'),
@@ -382,14 +339,11 @@ router.put('/day/:day', authenticateDoctor, [
     }
     const { day } = req.params;
     const { weekStartDate, slots } = req.body;
-    // Calculate the specific date for the day being edited
-    const weekStart = new Date(weekStartDate);
+    // Calculate the specific (clinic-local) date for the day being edited
     const dayIndex = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].indexOf(day.toLowerCase());
-    const specificDate = new Date(weekStart);
-    specificDate.setDate(weekStart.getDate() + dayIndex);
+    const specificDate = addDays(weekStartDate, dayIndex);
     // Prevent editing past dates
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const today = getClinicToday();
     if (specificDate < today) {
       return res.status(400).json({
         success: false,
@@ -397,8 +351,7 @@ router.put('/day/:day', authenticateDoctor, [
       });
     }
     // Prevent editing today's schedule after 5 PM
-    const now = new Date();
-    if (specificDate.toDateString() === now.toDateString() && now.getHours() >= 17) {
+    if (specificDate === today && parseInt(getClinicTime().split(':')[0], 10) >= 17) {
       return res.status(400).json({
         success: false,
         message: 'Cannot edit today\'s schedule after 5:00 PM. Please schedule for tomorrow or later.'
@@ -411,10 +364,7 @@ router.put('/day/:day', authenticateDoctor, [
         message: 'Invalid day. Must be one of: ' + validDays.join(', ')
       });
     }
-    const startDate = new Date(weekStartDate);
-    const endDate = new Date(startDate);
-    endDate.setDate(startDate.getDate() + 6);
-    endDate.setHours(23, 59, 59, 999);
+    const { startDate, endDate } = getWeekRange(weekStartDate);
     let schedule = await Schedule.findOne({
       doctorId: req.doctor._id,
       weekStartDate: { $lte: startDate },
@@ -467,8 +417,306 @@ router.put('/day/:day', authenticateDoctor, [
     });
   }
 });
+// Format a schedule template for API responses
+const formatTemplate = (template) => ({
+  _id: template._id,
+  name: template.name,
+  description: template.description,
+  weeklySchedule: template.weeklySchedule,
+  rules: template.rules,
+  priority: template.priority,
+  isActive: template.isActive,
+  totalHours: template.totalHours,
+  updatedAt: template.updatedAt
+});
+const templateValidation = [
+  body('name').optional().trim().notEmpty().isLength({ max: 100 }).withMessage('Template name must be 1-100 characters'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('weeklySchedule').optional().isObject().withMessage('Weekly schedule must be an object'),
+  body('rules.effectiveFrom').optional().isISO8601().withMessage('Valid effective from date is required'),
+  body('rules.effectiveUntil').optional({ nullable: true }).isISO8601().withMessage('Valid effective until date is required'),
+  body('rules.weekInterval').optional().isInt({ min: 1, max: 12 }).withMessage('Week interval must be between 1 and 12'),
+  body('rules.months').optional().isArray().withMessage('Months must be an array'),
+  body('rules.months.*').optional().isInt({ min: 1, max: 12 }).withMessage('Months must be between 1 and 12'),
+  body('priority').optional().isInt().withMessage('Priority must be an integer'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+];
+// Get recurring schedule templates for the doctor
+router.get('/templates', authorize('schedules:manage-own'), async (req, res) => {
+  try {
+    const templates = await ScheduleTemplate.find({
+      doctorId: req.doctor._id
+    }).sort({ priority: -1, updatedAt: -1 });
+    res.json({
+      success: true,
+      data: {
+        templates: templates.map(formatTemplate)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching schedule templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching schedule templates',
+      error: error.message
+    });
+  }
+});
+// Create a recurring schedule template
+router.post('/templates', authorize('schedules:manage-own'), [
+  body('name').trim().notEmpty().withMessage('Template name is required'),
+  body('weeklySchedule').isObject().withMessage('Weekly schedule must be an object'),
+  ...templateValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    const { name, description, weeklySchedule, rules = {}, priority, isActive } = req.body;
+    const scheduleError = validateWeeklySchedule(weeklySchedule);
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError
+      });
+    }
+    const template = new ScheduleTemplate({
+      doctorId: req.doctor._id,
+      name,
+      description,
+      weeklySchedule,
+      rules,
+      priority,
+      isActive
+    });
+    template.calculateTotalHours();
+    await template.save();
+    res.status(201).json({
+      success: true,
+      message: 'Schedule template created successfully',
+      data: {
+        template: formatTemplate(template)
+      }
+    });
+  } catch (error) {
+    console.error('Error creating schedule template:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A template with this name already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating schedule template',
+      error: error.message
+    });
+  }
+});
+// Update a recurring schedule template
+router.put('/templates/:templateId', authorize('schedules:manage-own'), templateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    const template = await ScheduleTemplate.findOne({
+      _id: req.params.templateId,
+      doctorId: req.doctor._id
+    });
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule template not found'
+      });
+    }
+    const { name, description, weeklySchedule, rules, priority, isActive } = req.body;
+    if (weeklySchedule !== undefined) {
+      const scheduleError = validateWeeklySchedule(weeklySchedule);
+      if (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          message: scheduleError
+        });
+      }
+      template.weeklySchedule = weeklySchedule;
+      template.calculateTotalHours();
+    }
+    if (name !== undefined) template.name = name;
+    if (description !== undefined) template.description = description;
+    if (rules !== undefined) {
+      Object.entries(rules).forEach(([key, value]) => {
+        template.rules[key] = value;
+      });
+    }
+    if (priority !== undefined) template.priority = priority;
+    if (isActive !== undefined) template.isActive = isActive;
+    await template.save();
+    res.json({
+      success: true,
+      message: 'Schedule template updated successfully',
+      data: {
+        template: formatTemplate(template)
+      }
+    });
+  } catch (error) {
+    console.error('Error updating schedule template:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A template with this name already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating schedule template',
+      error: error.message
+    });
+  }
+});
+// Delete a recurring schedule template
+router.delete('/templates/:templateId', authorize('schedules:manage-own'), async (req, res) => {
+  try {
+    const template = await ScheduleTemplate.findOneAndDelete({
+      _id: req.params.templateId,
+      doctorId: req.doctor._id
+    });
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule template not found'
+      });
+    }
+    res.json({
+      success: true,
+      message: 'Schedule template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting schedule template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting schedule template',
+      error: error.message
+    });
+  }
+});
+// Materialize a template into concrete week schedules for a date range
+router.post('/templates/:templateId/materialize', authorize('schedules:manage-own'), [
+  body('fromDate').isISO8601().withMessage('Valid from date is required'),
+  body('toDate').isISO8601().withMessage('Valid to date is required'),
+  body('overwrite').optional().isBoolean().withMessage('Overwrite must be boolean'),
+  body('ignoreRules').optional().isBoolean().withMessage('ignoreRules must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    const { fromDate, toDate, overwrite = false, ignoreRules = false } = req.body;
+    const template = await ScheduleTemplate.findOne({
+      _id: req.params.templateId,
+      doctorId: req.doctor._id
+    });
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule template not found'
+      });
+    }
+    const firstWeek = ScheduleTemplate.getWeekStart(fromDate);
+    const lastWeek = ScheduleTemplate.getWeekStart(toDate);
+    const currentWeek = ScheduleTemplate.getWeekStart(getClinicToday());
+    if (lastWeek < firstWeek) {
+      return res.status(400).json({
+        success: false,
+        message: 'To date must be after from date'
+      });
+    }
+    const maxWeeks = 26;
+    const weekCount = Math.round((lastWeek - firstWeek) / (7 * 24 * 60 * 60 * 1000)) + 1;
+    if (weekCount > maxWeeks) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot materialize more than ${maxWeeks} weeks at once`
+      });
+    }
+    const created = [];
+    const updated = [];
+    const skipped = [];
+    for (let i = 0; i < weekCount; i++) {
+      const weekKey = addDays(firstWeek, i * 7);
+      const { startDate, endDate } = getWeekRange(weekKey);
+      // Past weeks cannot be edited, same as PUT /week
+      if (startDate < currentWeek) {
+        skipped.push({ weekStartDate: weekKey, reason: 'past week' });
+        continue;
+      }
+      if (!ignoreRules && !template.appliesToDate(startDate)) {
+        skipped.push({ weekStartDate: weekKey, reason: 'template rules do not apply' });
+        continue;
+      }
+      let schedule = await Schedule.findOne({
+        doctorId: req.doctor._id,
+        weekStartDate: { $lte: startDate },
+        weekEndDate: { $gte: endDate },
+        status: 'active'
+      });
+      if (schedule && !overwrite) {
+        skipped.push({ weekStartDate: weekKey, reason: 'schedule already exists' });
+        continue;
+      }
+      const weeklySchedule = template.copyWeeklySchedule();
+      if (schedule) {
+        schedule.weeklySchedule = weeklySchedule;
+        schedule.calculateTotalHours();
+        await schedule.save();
+        updated.push(weekKey);
+      } else {
+        schedule = new Schedule({
+          doctorId: req.doctor._id,
+          weekStartDate: startDate,
+          weekEndDate: endDate,
+          weeklySchedule
+        });
+        schedule.calculateTotalHours();
+        await schedule.save();
+        created.push(weekKey);
+      }
+    }
+    console.log(`📅 Materialized template "${template.name}": ${created.length} created, ${updated.length} updated, ${skipped.length} skipped`);
+    res.json({
+      success: true,
+      message: `Template applied to ${created.length + updated.length} week(s)`,
+      data: {
+        created,
+        updated,
+        skipped
+      }
+    });
+  } catch (error) {
+    console.error('Error materializing schedule template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while materializing schedule template',
+      error: error.message
+    });
+  }
+});
 // Get all schedules for the doctor (with pagination)
-router.get('/history', authenticateDoctor, async (req, res) => {
+router.get('/history', authorize('schedules:manage-own'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -515,7 +763,7 @@ router.get('/history', authenticateDoctor, async (req, res) => {
 });
 // Delete a schedule
 // Delete a specific time slot from a day
-router.delete('/slot/:day/:slotId', authenticateDoctor, async (req, res) => {
+router.delete('/slot/:day/:slotId', authorize('schedules:manage-own'), async (req, res) => {
   try {
     const { day, slotId } = req.params;
     const { weekStartDate } = req.query; // Optional week parameter
@@ -533,24 +781,12 @@ router.delete('/slot/:day/:slotId', authenticateDoctor, async (req, res) => {
     
     if (weekStartDate) {
       // Use the provided week start date
-      currentWeekStart = new Date(weekStartDate + 'T00:00:00.000Z');
-      currentWeekEnd = new Date(currentWeekStart);
-      currentWeekEnd.setDate(currentWeekStart.getDate() + 6);
-      currentWeekEnd.setHours(23, 59, 59, 999);
+      ({ startDate: currentWeekStart, endDate: currentWeekEnd } = getWeekRange(weekStartDate));
       
       console.log('Using provided week:', currentWeekStart.toISOString(), 'to', currentWeekEnd.toISOString());
     } else {
-      // Fall back to current week calculation
-      const today = new Date();
-      currentWeekStart = new Date(today);
-      const dayOfWeek = today.getDay();
-      const daysFromMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
-      currentWeekStart.setDate(today.getDate() - daysFromMonday);
-      currentWeekStart.setHours(0, 0, 0, 0);
-
-      currentWeekEnd = new Date(currentWeekStart);
-      currentWeekEnd.setDate(currentWeekStart.getDate() + 6);
-      currentWeekEnd.setHours(23, 59, 59, 999);
+      // Fall back to the current week at the clinic
+      ({ weekStartDate: currentWeekStart, weekEndDate: currentWeekEnd } = Schedule.getCurrentWeekDates());
       
       console.log('Using current week:', currentWeekStart.toISOString(), 'to', currentWeekEnd.toISOString());
     }
@@ -618,7 +854,7 @@ router.delete('/slot/:day/:slotId', authenticateDoctor, async (req, res) => {
   }
 });
 
-router.delete('/:scheduleId', authenticateDoctor, async (req, res) => {
+router.delete('/:scheduleId', authorize('schedules:manage-own'), async (req, res) => {
   try {
     const schedule = await Schedule.findOne({
       _id: req.params.scheduleId,
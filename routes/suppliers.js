@@ -0,0 +1,259 @@
+const express = require('express');
+const { validationResult, body, query } = require('express-validator');
+const Supplier = require('../models/Supplier');
+const authorize = require('../middleware/authorize');
+
+const router = express.Router();
+
+// Validation rules for creating/updating a supplier
+const supplierValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Supplier name is required')
+    .isLength({ max: 100 })
+    .withMessage('Supplier name cannot exceed 100 characters'),
+
+  body('contactPerson')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Contact person cannot exceed 100 characters'),
+
+  body('email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Please enter a valid email'),
+
+  body('phone')
+    .optional()
+    .trim(),
+
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Address cannot exceed 300 characters'),
+
+  body('leadTimeDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Lead time must be between 0 and 365 days'),
+
+  body('paymentTerms')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Payment terms cannot exceed 100 characters'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// Fields an admin can set on a supplier
+const SUPPLIER_FIELDS = ['name', 'contactPerson', 'email', 'phone', 'address', 'gstNumber', 'leadTimeDays', 'paymentTerms', 'notes', 'isActive'];
+
+// GET /api/suppliers - List suppliers
+router.get('/', authorize('purchasing:manage'), [
+  query('search').optional().trim(),
+  query('includeInactive').optional().isBoolean().withMessage('includeInactive must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    if (req.query.includeInactive !== 'true') {
+      filter.isActive = true;
+    }
+    if (req.query.search) {
+      const search = req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { contactPerson: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const suppliers = await Supplier.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: suppliers
+    });
+
+  } catch (error) {
+    console.error('Error fetching suppliers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch suppliers',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/suppliers/:id - Get a specific supplier
+router.get('/:id', authorize('purchasing:manage'), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName');
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: supplier
+    });
+
+  } catch (error) {
+    console.error('Error fetching supplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch supplier',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/suppliers - Add a supplier
+router.post('/', authorize('purchasing:manage'), supplierValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existingSupplier = await Supplier.findOne({
+      name: { $regex: new RegExp(`^${req.body.name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
+    });
+    if (existingSupplier) {
+      return res.status(400).json({
+        success: false,
+        message: 'A supplier with this name already exists'
+      });
+    }
+
+    const supplierData = { createdBy: req.admin._id };
+    SUPPLIER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        supplierData[field] = req.body[field];
+      }
+    });
+
+    const supplier = new Supplier(supplierData);
+    await supplier.save();
+
+    console.log(`🏭 Supplier added: ${supplier.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier added successfully',
+      data: supplier
+    });
+
+  } catch (error) {
+    console.error('Error adding supplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add supplier',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/suppliers/:id - Update a supplier
+router.put('/:id', authorize('purchasing:manage'), [
+  ...supplierValidation,
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    SUPPLIER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        supplier[field] = req.body[field];
+      }
+    });
+    await supplier.save();
+
+    res.json({
+      success: true,
+      message: 'Supplier updated successfully',
+      data: supplier
+    });
+
+  } catch (error) {
+    console.error('Error updating supplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update supplier',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/suppliers/:id - Deactivate a supplier; past orders and lots keep referring to it
+router.delete('/:id', authorize('purchasing:manage'), async (req, res) => {
+  try {
+    const supplier = await Supplier.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Supplier deactivated successfully',
+      data: supplier
+    });
+
+  } catch (error) {
+    console.error('Error deactivating supplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate supplier',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,562 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const TreatmentPlan = require('../models/TreatmentPlan');
+const Appointment = require('../models/Appointment');
+const Prescription = require('../models/Prescription');
+const Patient = require('../models/Patient');
+const authorize = require('../middleware/authorize');
+const treatmentPlanService = require('../services/treatmentPlanService');
+
+const STEP_STATUSES = ['planned', 'scheduled', 'completed', 'cancelled'];
+
+const planValidation = [
+  body('title').optional().trim().notEmpty().isLength({ max: 150 }).withMessage('Title must be 1-150 characters'),
+  body('diagnosis').optional().trim().isLength({ max: 1000 }).withMessage('Diagnosis cannot exceed 1000 characters'),
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+  body('phases').optional().isArray({ min: 1 }).withMessage('At least one phase is required'),
+  body('phases.*.name').trim().notEmpty().withMessage('Phase name is required'),
+  body('phases.*.steps').isArray({ min: 1 }).withMessage('Each phase needs at least one step'),
+  body('phases.*.steps.*.procedure').trim().notEmpty().withMessage('Step procedure is required'),
+  body('phases.*.steps.*.estimatedCost').optional().isFloat({ min: 0 }).withMessage('Estimated cost must be a positive number'),
+  body('phases.*.steps.*.estimatedVisits').optional().isInt({ min: 1 }).withMessage('Estimated visits must be at least 1')
+];
+
+// Helper function to copy the editable fields of submitted phases
+const buildPhases = (phases) => phases.map(phase => ({
+  name: phase.name,
+  description: phase.description,
+  steps: phase.steps.map(step => ({
+    procedure: step.procedure,
+    description: step.description,
+    teeth: step.teeth,
+    estimatedCost: step.estimatedCost,
+    estimatedVisits: step.estimatedVisits,
+    notes: step.notes
+  }))
+}));
+
+// Helper function to load a plan owned by the authenticated doctor
+const findDoctorPlan = (req) => TreatmentPlan.findOne({
+  _id: req.params.planId,
+  doctorId: req.doctor._id
+});
+
+// Create a treatment plan for a patient (doctor)
+router.post('/', authorize('treatment-plans:write'), [
+  body('patientId').isMongoId().withMessage('Valid patient ID is required'),
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('phases').isArray({ min: 1 }).withMessage('At least one phase is required'),
+  ...planValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { patientId, title, diagnosis, notes, phases } = req.body;
+
+    const patient = await Patient.findById(patientId).select('firstName lastName');
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    const plan = new TreatmentPlan({
+      patientId,
+      doctorId: req.doctor._id,
+      title,
+      diagnosis,
+      notes,
+      phases: buildPhases(phases)
+    });
+    await plan.save();
+
+    console.log(`🦷 Treatment plan "${plan.title}" created for patient ${patientId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Treatment plan created successfully',
+      data: { plan }
+    });
+  } catch (error) {
+    console.error('Error creating treatment plan:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating treatment plan',
+      error: error.message
+    });
+  }
+});
+
+// Get the doctor's treatment plans
+router.get('/doctor', authorize('treatment-plans:write'), async (req, res) => {
+  try {
+    const { patientId, status } = req.query;
+
+    const filter = { doctorId: req.doctor._id };
+    if (patientId) filter.patientId = patientId;
+    if (status) filter.status = status;
+
+    const plans = await TreatmentPlan.find(filter)
+      .populate('patientId', 'firstName lastName email phone')
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      data: { plans }
+    });
+  } catch (error) {
+    console.error('Error fetching treatment plans:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching treatment plans',
+      error: error.message
+    });
+  }
+});
+
+// Get one of the doctor's treatment plans with linked appointments and prescriptions
+router.get('/doctor/:planId', authorize('treatment-plans:write'), async (req, res) => {
+  try {
+    const plan = await findDoctorPlan(req)
+      .populate('patientId', 'firstName lastName email phone')
+      .populate('phases.steps.appointmentIds', 'appointmentDate startTime endTime status')
+      .populate('phases.steps.prescriptionIds', 'diagnosis prescriptionDate status');
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { plan }
+    });
+  } catch (error) {
+    console.error('Error fetching treatment plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching treatment plan',
+      error: error.message
+    });
+  }
+});
+
+// Update a draft or proposed plan (doctor); changing a proposed plan needs it to be proposed again
+router.put('/doctor/:planId', authorize('treatment-plans:write'), planValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const plan = await findDoctorPlan(req);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment plan not found'
+      });
+    }
+
+    if (!plan.isEditable()) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot edit a plan that is ${plan.status}`
+      });
+    }
+
+    const { title, diagnosis, notes, phases } = req.body;
+    if (title !== undefined) plan.title = title;
+    if (diagnosis !== undefined) plan.diagnosis = diagnosis;
+    if (notes !== undefined) plan.notes = notes;
+    if (phases !== undefined) plan.phases = buildPhases(phases);
+
+    // The patient must see the changed plan before accepting it
+    plan.status = 'draft';
+    plan.proposedAt = undefined;
+
+    await plan.save();
+
+    res.json({
+      success: true,
+      message: 'Treatment plan updated successfully',
+      data: { plan }
+    });
+  } catch (error) {
+    console.error('Error updating treatment plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating treatment plan',
+      error: error.message
+    });
+  }
+});
+
+// Send a draft plan to the patient for acceptance (doctor)
+router.patch('/doctor/:planId/propose', authorize('treatment-plans:write'), async (req, res) => {
+  try {
+    const plan = await findDoctorPlan(req);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment plan not found'
+      });
+    }
+
+    if (plan.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft plans can be proposed'
+      });
+    }
+
+    plan.status = 'proposed';
+    plan.proposedAt = new Date();
+    await plan.save();
+
+    res.json({
+      success: true,
+      message: 'Treatment plan sent to the patient for acceptance',
+      data: { plan }
+    });
+  } catch (error) {
+    console.error('Error proposing treatment plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while proposing treatment plan',
+      error: error.message
+    });
+  }
+});
+
+// Cancel a plan (doctor)
+router.patch('/doctor/:planId/cancel', authorize('treatment-plans:write'), async (req, res) => {
+  try {
+    const plan = await findDoctorPlan(req);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment plan not found'
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(plan.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Plan is already ${plan.status}`
+      });
+    }
+
+    plan.status = 'cancelled';
+    plan.cancelledAt = new Date();
+    await plan.save();
+
+    res.json({
+      success: true,
+      message: 'Treatment plan cancelled',
+      data: { plan }
+    });
+  } catch (error) {
+    console.error('Error cancelling treatment plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling treatment plan',
+      error: error.message
+    });
+  }
+});
+
+// Link an existing appointment to a plan step (doctor)
+router.patch('/doctor/:planId/steps/:stepId/appointments', authorize('treatment-plans:write'), [
+  body('appointmentId').isMongoId().withMessage('Valid appointment ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const plan = await findDoctorPlan(req);
+    if (!plan || !plan.findStep(req.params.stepId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment plan step not found'
+      });
+    }
+
+    if (!plan.isActive()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appointments can only be linked once the patient has accepted the plan'
+      });
+    }
+
+    const appointment = await Appointment.findOne({
+      _id: req.body.appointmentId,
+      patientId: plan.patientId
+    });
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found for this patient'
+      });
+    }
+
+    await treatmentPlanService.linkAppointment(plan, req.params.stepId, appointment);
+
+    res.json({
+      success: true,
+      message: 'Appointment linked to treatment step',
+      data: { plan }
+    });
+  } catch (error) {
+    console.error('Error linking appointment to treatment plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while linking appointment',
+      error: error.message
+    });
+  }
+});
+
+// Link a prescription to a plan step (doctor)
+router.patch('/doctor/:planId/steps/:stepId/prescriptions', authorize('treatment-plans:write'), [
+  body('prescriptionId').isMongoId().withMessage('Valid prescription ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const plan = await findDoctorPlan(req);
+    if (!plan || !plan.findStep(req.params.stepId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment plan step not found'
+      });
+    }
+
+    const prescription = await Prescription.findById(req.body.prescriptionId);
+    if (!prescription || (prescription.patientId && prescription.patientId.toString() !== plan.patientId.toString())) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prescription not found for this patient'
+      });
+    }
+
+    await treatmentPlanService.linkPrescription(plan, req.params.stepId, prescription);
+
+    res.json({
+      success: true,
+      message: 'Prescription linked to treatment step',
+      data: { plan }
+    });
+  } catch (error) {
+    console.error('Error linking prescription to treatment plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while linking prescription',
+      error: error.message
+    });
+  }
+});
+
+// Set a step's status by hand, e.g. cancel a step or complete one done outside an appointment (doctor)
+router.patch('/doctor/:planId/steps/:stepId/status', authorize('treatment-plans:write'), [
+  body('status').isIn(STEP_STATUSES).withMessage('Invalid step status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const plan = await findDoctorPlan(req);
+    const found = plan && plan.findStep(req.params.stepId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment plan step not found'
+      });
+    }
+
+    if (!plan.isActive()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Steps can only be updated on an accepted plan'
+      });
+    }
+
+    found.step.status = req.body.status;
+    found.step.completedAt = req.body.status === 'completed' ? new Date() : undefined;
+    plan.refreshStatus();
+    await plan.save();
+
+    res.json({
+      success: true,
+      message: 'Treatment step updated',
+      data: { plan }
+    });
+  } catch (error) {
+    console.error('Error updating treatment step:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating treatment step',
+      error: error.message
+    });
+  }
+});
+
+// Get the patient's treatment plans (drafts stay private to the doctor)
+router.get('/my', authorize('treatment-plans:respond'), async (req, res) => {
+  try {
+    const plans = await TreatmentPlan.find({
+      patientId: req.user._id,
+      status: { $ne: 'draft' }
+    })
+      .populate('doctorId', 'firstName lastName specialization')
+      .populate('phases.steps.appointmentIds', 'appointmentDate startTime endTime status')
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      data: { plans }
+    });
+  } catch (error) {
+    console.error('Error fetching patient treatment plans:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching treatment plans',
+      error: error.message
+    });
+  }
+});
+
+// Accept a proposed plan so its steps can be booked (patient)
+router.post('/my/:planId/accept', authorize('treatment-plans:respond'), async (req, res) => {
+  try {
+    const plan = await TreatmentPlan.findOne({
+      _id: req.params.planId,
+      patientId: req.user._id
+    });
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment plan not found'
+      });
+    }
+
+    if (plan.status !== 'proposed') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot accept a plan that is ${plan.status}`
+      });
+    }
+
+    plan.status = 'accepted';
+    plan.acceptedAt = new Date();
+    await plan.save();
+
+    res.json({
+      success: true,
+      message: 'Treatment plan accepted. You can now book its appointments.',
+      data: { plan }
+    });
+  } catch (error) {
+    console.error('Error accepting treatment plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting treatment plan',
+      error: error.message
+    });
+  }
+});
+
+// Decline a proposed plan (patient)
+router.post('/my/:planId/decline', authorize('treatment-plans:respond'), [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const plan = await TreatmentPlan.findOne({
+      _id: req.params.planId,
+      patientId: req.user._id
+    });
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment plan not found'
+      });
+    }
+
+    if (plan.status !== 'proposed') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot decline a plan that is ${plan.status}`
+      });
+    }
+
+    plan.status = 'declined';
+    plan.declinedAt = new Date();
+    plan.declineReason = req.body.reason;
+    await plan.save();
+
+    res.json({
+      success: true,
+      message: 'Treatment plan declined',
+      data: { plan }
+    });
+  } catch (error) {
+    console.error('Error declining treatment plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while declining treatment plan',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
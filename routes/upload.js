@@ -2,9 +2,10 @@ const express = require('express');
 const router = express.Router();
 const { uploadSingle, uploadMultiple, handleUploadResponse } = require('../middleware/cloudinaryUpload');
 const { deleteImage, getOptimizedUrl } = require('../config/cloudinary');
+const authorize = require('../middleware/authorize');
 
 // Upload single image
-router.post('/single', uploadSingle('image'), handleUploadResponse, async (req, res) => {
+router.post('/single', authorize('uploads:manage'), uploadSingle('image'), handleUploadResponse, async (req, res) => {
   try {
     if (!req.uploadResult || !req.uploadResult.success) {
       return res.status(400).json({
@@ -29,7 +30,7 @@ router.post('/single', uploadSingle('image'), handleUploadResponse, async (req,
 });
 
 // Upload multiple images
-router.post('/multiple', uploadMultiple('images', 5), handleUploadResponse, async (req, res) => {
+router.post('/multiple', authorize('uploads:manage'), uploadMultiple('images', 5), handleUploadResponse, async (req, res) => {
   try {
     if (!req.uploadResult || !req.uploadResult.success) {
       return res.status(400).json({
@@ -54,7 +55,7 @@ router.post('/multiple', uploadMultiple('images', 5), handleUploadResponse, asyn
 });
 
 // Delete image
-router.delete('/:publicId', async (req, res) => {
+router.delete('/:publicId', authorize('uploads:manage'), async (req, res) => {
   try {
     const { publicId } = req.params;
     
@@ -86,7 +87,7 @@ router.delete('/:publicId', async (req, res) => {
 });
 
 // Get optimized image URL
-router.get('/optimize/:publicId', async (req, res) => {
+router.get('/optimize/:publicId', authorize('uploads:manage'), async (req, res) => {
   try {
     const { publicId } = req.params;
     const { width, height, crop, quality, format } = req.query;
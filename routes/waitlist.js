@@ -0,0 +1,346 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Doctor = require('../models/Doctor');
+const authorize = require('../middleware/authorize');
+const emailService = require('../services/emailService');
+const waitlistService = require('../services/waitlistService');
+const reminderService = require('../services/reminderService');
+const { buildAppointmentInvite } = require('../utils/icsGenerator');
+const { toDayStart, getClinicToday } = require('../utils/dateUtils');
+
+// Helper function to parse a YYYY-MM-DD string as a stored (00:00 UTC) calendar day
+const parseDay = (dateString) => toDayStart(dateString);
+
+// Helper function to format an entry for patient responses
+const formatEntry = (entry) => ({
+  id: entry._id,
+  doctorId: entry.doctorId,
+  fromDate: entry.fromDate,
+  toDate: entry.toDate,
+  procedure: entry.procedure,
+  notes: entry.notes,
+  status: entry.status,
+  offer: entry.isOfferActive ? {
+    appointmentDate: entry.offer.appointmentDate,
+    startTime: entry.offer.startTime,
+    endTime: entry.offer.endTime,
+    timeRange: waitlistService.formatTimeRange(entry.offer.startTime, entry.offer.endTime),
+    slotType: entry.offer.slotType,
+    expiresAt: entry.offer.expiresAt
+  } : null,
+  appointmentId: entry.appointmentId,
+  createdAt: entry.createdAt
+});
+
+// Join the waitlist for a doctor and date range
+router.post('/', [
+  authorize('waitlist:self'),
+  body('doctorId').isMongoId().withMessage('Valid doctor ID is required'),
+  body('fromDate').isISO8601().withMessage('Valid from date is required'),
+  body('toDate').isISO8601().withMessage('Valid to date is required'),
+  body('procedure').optional().trim().isLength({ max: 50 }).withMessage('Procedure must be less than 50 characters'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { doctorId, fromDate, toDate, procedure, notes } = req.body;
+    const patientId = req.user._id;
+
+    const from = parseDay(fromDate);
+    const to = parseDay(toDate);
+    const today = toDayStart(getClinicToday());
+
+    if (from < today) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot join the waitlist for past dates'
+      });
+    }
+
+    if (to < from) {
+      return res.status(400).json({
+        success: false,
+        message: 'To date must be on or after from date'
+      });
+    }
+
+    const maxRangeDays = 60;
+    if ((to - from) / (1000 * 60 * 60 * 24) > maxRangeDays) {
+      return res.status(400).json({
+        success: false,
+        message: `Waitlist range cannot exceed ${maxRangeDays} days`
+      });
+    }
+
+    const doctor = await Doctor.findById(doctorId);
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    // One open entry per patient per doctor
+    const existing = await WaitlistEntry.findOne({
+      patientId,
+      doctorId,
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You are already on the waitlist for this doctor',
+        entry: formatEntry(existing)
+      });
+    }
+
+    const entry = new WaitlistEntry({
+      patientId,
+      doctorId,
+      fromDate: from,
+      toDate: to,
+      procedure,
+      notes
+    });
+    await entry.save();
+
+    console.log(`⏳ Patient ${patientId} joined waitlist for doctor ${doctorId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to the waitlist. We will email you if a slot opens up.',
+      entry: formatEntry(entry)
+    });
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error joining waitlist',
+      error: error.message
+    });
+  }
+});
+
+// Get patient's waitlist entries
+router.get('/my', authorize('waitlist:self'), async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({
+      patientId: req.user._id,
+      status: { $in: ['waiting', 'offered', 'booked'] }
+    })
+    .populate('doctorId', 'firstName lastName specialization')
+    .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      entries: entries.map(formatEntry),
+      count: entries.length
+    });
+  } catch (error) {
+    console.error('Error fetching waitlist entries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching waitlist entries',
+      error: error.message
+    });
+  }
+});
+
+// Accept a held slot offer
+router.post('/:entryId/accept', authorize('waitlist:self'), async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({
+      _id: req.params.entryId,
+      patientId: req.user._id,
+      status: 'offered'
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending offer found'
+      });
+    }
+
+    const result = await waitlistService.acceptOffer(entry);
+
+    if (!result.success) {
+      if (result.status === 410) {
+        await waitlistService.releaseOffer(entry, 'expired');
+      }
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const { appointment } = result;
+    await appointment.populate('doctorId', 'firstName lastName specialization email');
+    await appointment.populate('patientId', 'firstName lastName email phone');
+
+    await reminderService.scheduleForAppointment(appointment);
+
+    emailService.sendAppointmentBookingConfirmation({
+      patientEmail: appointment.patientId.email,
+      patientName: `${appointment.patientId.firstName} ${appointment.patientId.lastName}`,
+      doctorName: `Dr. ${appointment.doctorId.firstName} ${appointment.doctorId.lastName}`,
+      specialization: appointment.doctorId.specialization,
+      appointmentDate: appointment.appointmentDate,
+      timeRange: appointment.timeRange,
+      slotType: appointment.slotType,
+      symptoms: appointment.symptoms,
+      calendarInvite: buildAppointmentInvite(appointment, 'REQUEST')
+    })
+      .then((emailResult) => {
+        if (emailResult.success) {
+          console.log('✅ Booking confirmation email sent successfully');
+        } else {
+          console.error('❌ Failed to send booking confirmation email:', emailResult.error);
+        }
+      })
+      .catch((emailError) => {
+        console.error('❌ Error sending booking confirmation email:', emailError);
+      });
+
+    res.status(201).json({
+      success: true,
+      message: 'Appointment booked successfully',
+      appointment: {
+        id: appointment._id,
+        doctorName: `Dr. ${appointment.doctorId.firstName} ${appointment.doctorId.lastName}`,
+        specialization: appointment.doctorId.specialization,
+        date: appointment.formattedDate,
+        timeRange: appointment.timeRange,
+        slotType: appointment.slotType,
+        status: appointment.status
+      }
+    });
+  } catch (error) {
+    console.error('Error accepting waitlist offer:', error);
+
+    if (error.code === 'BOOKING_LOCKED' || error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This slot is no longer available'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting waitlist offer',
+      error: error.message
+    });
+  }
+});
+
+// Decline a held slot offer (stays on the waitlist for other slots)
+router.post('/:entryId/decline', authorize('waitlist:self'), async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({
+      _id: req.params.entryId,
+      patientId: req.user._id,
+      status: 'offered'
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending offer found'
+      });
+    }
+
+    await waitlistService.releaseOffer(entry, 'declined');
+
+    res.json({
+      success: true,
+      message: 'Offer declined. You remain on the waitlist.'
+    });
+  } catch (error) {
+    console.error('Error declining waitlist offer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error declining waitlist offer',
+      error: error.message
+    });
+  }
+});
+
+// Leave the waitlist
+router.delete('/:entryId', authorize('waitlist:self'), async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({
+      _id: req.params.entryId,
+      patientId: req.user._id,
+      status: { $in: ['waiting', 'offered'] }
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (entry.status === 'offered') {
+      // Pass any held slot on before leaving
+      await waitlistService.releaseOffer(entry, 'cancelled');
+    } else {
+      entry.status = 'cancelled';
+      await entry.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from the waitlist'
+    });
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error leaving waitlist',
+      error: error.message
+    });
+  }
+});
+
+// Get doctor's current waitlist
+router.get('/doctor/my-waitlist', authorize('waitlist:read-own'), async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({
+      doctorId: req.doctor._id,
+      status: { $in: ['waiting', 'offered'] }
+    })
+    .populate('patientId', 'firstName lastName email phone')
+    .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      entries: entries.map(entry => ({
+        ...formatEntry(entry),
+        patientName: `${entry.patientId.firstName} ${entry.patientId.lastName}`,
+        patientEmail: entry.patientId.email,
+        patientPhone: entry.patientId.phone
+      })),
+      count: entries.length
+    });
+  } catch (error) {
+    console.error('Error fetching doctor waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching waitlist',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+// Route inventory: lists every route mounted under /api and fails when one is
+// served without an authorize() policy and is not on the public allowlist in
+// config/publicRoutes.js.
+// Usage: node scripts/check-route-auth.js [--list]
+
+const apiRoutes = require('../routes');
+const { PUBLIC_ROUTES, isPublicRoute } = require('../config/publicRoutes');
+
+// Collect method/path/permissions for each route on a router.
+// router.use(authorize(...)) covers the routes registered after it.
+const collectRoutes = (mountPath, router) => {
+  const routes = [];
+  const problems = [];
+  let inheritedPermissions = null;
+
+  router.stack.forEach(layer => {
+    if (!layer.route) {
+      if (layer.handle && layer.handle.permissions) {
+        inheritedPermissions = layer.handle.permissions;
+      } else if (layer.name === 'router') {
+        problems.push(`${mountPath}: nested router mounted with router.use() cannot be audited`);
+      }
+      return;
+    }
+
+    const routePermissions = layer.route.stack
+      .map(routeLayer => routeLayer.handle && routeLayer.handle.permissions)
+      .find(Boolean);
+    const permissions = routePermissions || inheritedPermissions;
+    const fullPath = layer.route.path === '/' ? mountPath : `${mountPath}${layer.route.path}`;
+
+    Object.keys(layer.route.methods).forEach(method => {
+      routes.push({ method: method.toUpperCase(), path: fullPath, permissions });
+    });
+  });
+
+  return { routes, problems };
+};
+
+// server.js must mount /api routers through routes/index.js so they are audited here
+const findUnlistedMounts = () => {
+  const server = fs.readFileSync(path.join(__dirname, '..', 'server.js'), 'utf8');
+  return (server.match(/app\.use\(\s*['"`]\/api[^'"`]*['"`]/g) || [])
+    .map(match => `server.js mounts ${match.replace(/app\.use\(\s*/, '')} directly; add it to routes/index.js`);
+};
+
+function checkRouteAuth() {
+  const inventory = [];
+  const problems = findUnlistedMounts();
+
+  apiRoutes.forEach(({ path: mountPath, router }) => {
+    const result = collectRoutes(mountPath, router);
+    // Express serves the first registration of a method and path; later duplicates never run
+    result.routes.forEach(route => {
+      const isShadowed = inventory.some(existing => existing.method === route.method && existing.path === route.path);
+      if (!isShadowed) {
+        inventory.push(route);
+      }
+    });
+    problems.push(...result.problems);
+  });
+
+  inventory.forEach(route => {
+    const isPublic = isPublicRoute(route.method, route.path);
+    if (!route.permissions && !isPublic) {
+      problems.push(`${route.method} ${route.path} has no authorize() policy and is not on the public allowlist`);
+    } else if (route.permissions && isPublic) {
+      problems.push(`${route.method} ${route.path} is protected but still listed in config/publicRoutes.js`);
+    }
+  });
+
+  // Allowlist entries for routes that no longer exist would silently open them up if re-added
+  PUBLIC_ROUTES.forEach(entry => {
+    const exists = inventory.some(route => route.method === entry.method && route.path === entry.path);
+    if (!exists) {
+      problems.push(`config/publicRoutes.js lists ${entry.method} ${entry.path}, which is not mounted`);
+    }
+  });
+
+  if (process.argv.includes('--list')) {
+    inventory.forEach(route => {
+      const policy = route.permissions ? route.permissions.join(', ') : 'public';
+      console.log(`${route.method.padEnd(6)} ${route.path.padEnd(60)} ${policy}`);
+    });
+    console.log('');
+  }
+
+  const protectedCount = inventory.filter(route => route.permissions).length;
+  console.log(`Checked ${inventory.length} routes: ${protectedCount} protected, ${inventory.length - protectedCount} public`);
+
+  if (problems.length > 0) {
+    console.error(`\n❌ ${problems.length} route auth problem(s):`);
+    problems.forEach(problem => console.error(`  - ${problem}`));
+    process.exit(1);
+  }
+
+  console.log('✅ Every /api route has an auth policy');
+  process.exit(0);
+}
+
+checkRouteAuth();
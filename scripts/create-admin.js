@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Creates the first admin account, or sets a new password on an existing one.
+// Usage: node scripts/create-admin.js <email> <password> [firstName] [lastName]
+// (ADMIN_EMAIL and ADMIN_PASSWORD are used when no arguments are given)
+
+const Admin = require('../models/Admin');
+
+async function createAdmin() {
+  const [email = process.env.ADMIN_EMAIL, password = process.env.ADMIN_PASSWORD, firstName = 'Admin', lastName = 'User'] = process.argv.slice(2);
+
+  if (!email || !password) {
+    console.error('Usage: node scripts/create-admin.js <email> <password> [firstName] [lastName]');
+    process.exit(1);
+  }
+
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    let admin = await Admin.findByEmail(email);
+    if (admin) {
+      admin.password = password;
+      admin.role = 'admin';
+      admin.isActive = true;
+      // Accounts created before admin logins existed have no name or password yet
+      admin.firstName = admin.firstName || firstName;
+      admin.lastName = admin.lastName || lastName;
+      await admin.save();
+      console.log(`Updated password for admin ${admin.email}`);
+    } else {
+      admin = new Admin({ firstName, lastName, email, password, role: 'admin' });
+      await admin.save();
+      console.log(`Created admin ${admin.email}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error creating admin:', error);
+    process.exit(1);
+  }
+}
+
+createAdmin();
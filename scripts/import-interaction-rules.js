@@ -0,0 +1,45 @@
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Usage: node scripts/import-interaction-rules.js [rules.json]
+// Upserts prescribing safety rules by ruleId; defaults to the bundled dataset.
+
+const InteractionRule = require('../models/InteractionRule');
+
+async function importInteractionRules() {
+  try {
+    const file = path.resolve(process.argv[2] || path.join(__dirname, '..', 'data', 'interactionRules.json'));
+    const rules = require(file);
+
+    if (!Array.isArray(rules)) {
+      throw new Error('Rules file must contain a JSON array');
+    }
+
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    // Validate every rule before writing so a bad entry does not leave a half-imported set
+    for (const rule of rules) {
+      await new InteractionRule(rule).validate();
+    }
+
+    let imported = 0;
+    for (const rule of rules) {
+      await InteractionRule.findOneAndUpdate(
+        { ruleId: rule.ruleId.toLowerCase() },
+        { ...rule, ruleId: rule.ruleId.toLowerCase() },
+        { upsert: true, runValidators: true }
+      );
+      imported++;
+    }
+
+    console.log(`Imported ${imported} interaction rules from ${file}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error importing interaction rules:', error);
+    process.exit(1);
+  }
+}
+
+importInteractionRules();
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Moves stock of medicines created before lot tracking into an 'OPENING' lot
+// carrying the medicine's existing expiry date, then records an opening balance
+// in the stock ledger for medicines that have no movements yet. Safe to run more than once.
+
+const Medicine = require('../models/Medicine');
+const StockMovement = require('../models/StockMovement');
+
+async function migrateMedicineBatches() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const medicines = await Medicine.find({ 'batches.0': { $exists: false }, stockQuantity: { $gt: 0 } });
+
+    for (const medicine of medicines) {
+      await medicine.convertToBatches();
+    }
+
+    console.log(`Moved stock of ${medicines.length} medicines into opening lots`);
+
+    const allMedicines = await Medicine.find();
+    for (const medicine of allMedicines) {
+      await StockMovement.ensureOpeningBalance(medicine);
+    }
+
+    console.log(`Checked opening ledger balances for ${allMedicines.length} medicines`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating medicine batches:', error);
+    process.exit(1);
+  }
+}
+
+migrateMedicineBatches();
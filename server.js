@@ -16,16 +16,10 @@ console.log('SESSION_SECRET:', process.env.SESSION_SECRET ? 'SET' : 'UNDEFINED')
 console.log('GOOGLE_CLIENT_ID:', process.env.GOOGLE_CLIENT_ID ? 'SET' : 'UNDEFINED');
 console.log('GOOGLE_CLIENT_SECRET:', process.env.GOOGLE_CLIENT_SECRET ? 'SET' : 'UNDEFINED');
 
-const authRoutes = require('./routes/auth');
-const uploadRoutes = require('./routes/upload');
-const doctorRoutes = require('./routes/doctors');
-const pharmacistRoutes = require('./routes/pharmacists');
-const pharmacistAuthRoutes = require('./routes/pharmacistAuth');
-const patientRoutes = require('./routes/patients');
-const scheduleRoutes = require('./routes/schedules');
-const appointmentRoutes = require('./routes/appointments');
-const medicineRoutes = require('./routes/medicines');
-const prescriptionRoutes = require('./routes/prescriptions');
+const apiRoutes = require('./routes');
+const waitlistService = require('./services/waitlistService');
+const jobRunner = require('./services/jobRunner');
+const attendanceService = require('./services/attendanceService');
 const { verifyCloudinaryConfig } = require('./config/cloudinary');
 
 // Initialize passport configuration
@@ -48,21 +42,17 @@ app.use(passport.initialize());
 app.use(passport.session());
 
 // Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/upload', uploadRoutes);
-app.use('/api/doctors', doctorRoutes);
-app.use('/api/pharmacists', pharmacistRoutes);
-app.use('/api/pharmacist-auth', pharmacistAuthRoutes);
-app.use('/api/patients', patientRoutes);
-app.use('/api/schedules', scheduleRoutes);
-app.use('/api/appointments', appointmentRoutes);
-app.use('/api/medicines', medicineRoutes);
-app.use('/api/prescriptions', prescriptionRoutes);
-app.use('/api/test', require('./routes/test')); // Test routes
+apiRoutes.forEach(({ path: mountPath, router }) => app.use(mountPath, router));
 
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB Atlas'))
+  .then(() => {
+    console.log('Connected to MongoDB Atlas');
+    waitlistService.startExpiryWatcher();
+    attendanceService.startNoShowSweep();
+    // Handlers (e.g. appointment reminders) register themselves when their services are loaded by the routes above
+    jobRunner.start().catch(err => console.error('Job runner failed to start:', err));
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Verify Cloudinary configuration
@@ -0,0 +1,83 @@
+const Appointment = require('../models/Appointment');
+const treatmentPlanService = require('./treatmentPlanService');
+const { addDays, getClinicToday, getDayRange, toDayStart } = require('../utils/dateUtils');
+
+class AttendanceService {
+  constructor() {
+    // How long after the slot ends before an unattended appointment counts as a no-show;
+    // generous so a doctor running late isn't overtaken by the sweep
+    this.graceMinutes = parseInt(process.env.NO_SHOW_GRACE_MINUTES, 10) || 180;
+    // Patients with this many no-shows must confirm bookings before they are kept
+    this.confirmationThreshold = parseInt(process.env.NO_SHOW_CONFIRMATION_THRESHOLD, 10) || 2;
+    // Only sweep recent appointments so older, never-closed records aren't retroactively marked
+    this.sweepLookbackDays = 7;
+    this.sweepTimer = null;
+  }
+
+  // Mark an appointment as a no-show
+  async markNoShow(appointment, markedBy) {
+    appointment.status = 'no-show';
+    appointment.noShowMarkedAt = new Date();
+    appointment.noShowMarkedBy = markedBy;
+    await appointment.save();
+    // A missed visit no longer counts as the booking for its treatment step
+    await treatmentPlanService.syncForAppointment(appointment._id);
+    return appointment;
+  }
+
+  // Mark appointments the doctor never touched as no-shows once the slot has ended
+  async sweepNoShows() {
+    const today = getClinicToday();
+    const cutoff = new Date(Date.now() - this.graceMinutes * 60 * 1000);
+
+    // Only 'scheduled' appointments are swept: a doctor starting or rescheduling a visit moves it
+    // to 'confirmed', and those are left for the doctor to close or mark as a no-show themselves
+    const candidates = await Appointment.find({
+      status: 'scheduled',
+      startedAt: null,
+      appointmentDate: {
+        $gte: toDayStart(addDays(today, -this.sweepLookbackDays)),
+        $lt: getDayRange(today).end
+      }
+    });
+
+    const missed = candidates.filter(appointment => appointment.getEndDateTime() <= cutoff);
+
+    for (const appointment of missed) {
+      await this.markNoShow(appointment, 'system');
+    }
+
+    if (missed.length > 0) {
+      console.log(`🚫 Marked ${missed.length} appointments as no-show`);
+    }
+
+    return missed.length;
+  }
+
+  // Attendance summary used to enforce the booking policy
+  async getPatientAttendance(patientId) {
+    const stats = await Appointment.getAttendanceStats(patientId);
+    return {
+      ...stats,
+      requiresConfirmation: stats.noShowCount >= this.confirmationThreshold
+    };
+  }
+
+  // Periodically sweep for no-shows
+  startNoShowSweep(intervalMs = 15 * 60 * 1000) {
+    if (this.sweepTimer) {
+      return;
+    }
+    const sweep = () => {
+      this.sweepNoShows().catch(error => {
+        console.error('❌ Error sweeping no-show appointments:', error);
+      });
+    };
+    this.sweepTimer = setInterval(sweep, intervalMs);
+    this.sweepTimer.unref();
+    sweep();
+    console.log(`🚫 No-show sweep started (grace: ${this.graceMinutes} minutes)`);
+  }
+}
+
+module.exports = new AttendanceService();
@@ -0,0 +1,158 @@
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Leave = require('../models/Leave');
+const Schedule = require('../models/Schedule');
+const ScheduleTemplate = require('../models/ScheduleTemplate');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const resourceService = require('./resourceService');
+const {
+  resolveSlotSettings,
+  generateSlots,
+  markBookedSlots,
+  findSlot,
+  timeToMinutes,
+  rangesOverlap
+} = require('../utils/slotGenerator');
+const { getDayName } = require('../utils/dateUtils');
+
+class AvailabilityService {
+  // Find the weekly schedule for a date: an explicit week document wins, otherwise a recurring template
+  async resolveSchedule(doctorId, date) {
+    const schedule = await Schedule.findForDate(doctorId, date);
+    if (schedule) {
+      return { schedule, source: 'schedule' };
+    }
+
+    const template = await ScheduleTemplate.resolveForDate(doctorId, date);
+    if (template) {
+      return { schedule: template, source: 'template' };
+    }
+
+    return { schedule: null, source: null };
+  }
+
+  // Find leaves or clinic closures that overlap a time range on a date
+  async findBlockingLeaves(doctorId, date, startTime = '00:00', endTime = '24:00') {
+    const leaves = await Leave.findForDoctorOnDate(doctorId, date);
+    const start = timeToMinutes(startTime);
+    const end = timeToMinutes(endTime);
+
+    return leaves.filter(leave => {
+      const window = leave.getBlockedWindow();
+      return rangesOverlap(start, end, timeToMinutes(window.startTime), timeToMinutes(window.endTime));
+    });
+  }
+
+  // Get time windows held by active waitlist offers, excluding the given patient's own hold
+  async findHeldSlots(doctorId, date, patientId = null, startTime = '00:00', endTime = '24:00') {
+    const entries = await WaitlistEntry.findActiveHolds(doctorId, date);
+    const start = timeToMinutes(startTime);
+    const end = timeToMinutes(endTime);
+
+    return entries
+      .filter(entry => !patientId || entry.patientId.toString() !== patientId.toString())
+      .map(entry => ({ startTime: entry.offer.startTime, endTime: entry.offer.endTime }))
+      .filter(hold => rangesOverlap(start, end, timeToMinutes(hold.startTime), timeToMinutes(hold.endTime)));
+  }
+
+  // Get the doctor's bookable sub-slots for a date, marked against existing appointments
+  async getDoctorDaySlots(doctorId, date, options = {}) {
+    const { procedure, excludeAppointmentId, patientId } = options;
+
+    const doctor = await Doctor.findById(doctorId).select('firstName lastName appointmentSettings');
+    if (!doctor) {
+      return { doctor: null, schedule: null, scheduleSource: null, blocks: [], slots: [], leaves: [], settings: null };
+    }
+
+    const dayName = getDayName(date);
+    const { schedule, source: scheduleSource } = await this.resolveSchedule(doctorId, date);
+    const blocks = schedule && schedule.weeklySchedule[dayName] ? schedule.weeklySchedule[dayName] : [];
+
+    const settings = resolveSlotSettings(doctor, { procedure });
+
+    let appointments = await Appointment.getDoctorAppointments(doctorId, date);
+    if (excludeAppointmentId) {
+      appointments = appointments.filter(appointment => appointment._id.toString() !== excludeAppointmentId.toString());
+    }
+
+    // Slots held for waitlisted patients count as booked for everyone else
+    const holds = await this.findHeldSlots(doctorId, date, patientId);
+
+    // Subtract doctor leave and clinic closures from the generated slots
+    const leaves = await Leave.findForDoctorOnDate(doctorId, date);
+    const blockedWindows = leaves.map(leave => leave.getBlockedWindow());
+
+    const doctorSlots = markBookedSlots(generateSlots(blocks, settings), [...appointments, ...holds], settings.bufferMinutes)
+      .filter(slot => !blockedWindows.some(window => rangesOverlap(
+        timeToMinutes(slot.startTime),
+        timeToMinutes(slot.endTime),
+        timeToMinutes(window.startTime),
+        timeToMinutes(window.endTime)
+      )));
+
+    // Only offer slots where a suitable chair, room or kit is also free
+    const slots = await resourceService.markResourceAvailability(doctorSlots, date, { excludeAppointmentId });
+
+    console.log(`🗓️ Generated ${slots.length} slots (${settings.duration}min + ${settings.bufferMinutes}min buffer) for doctor ${doctorId} on ${dayName}`);
+
+    return { doctor, schedule, scheduleSource, dayName, blocks, settings, slots, leaves };
+  }
+
+  // Validate a requested time range against the generated slots for that day
+  async validateRequestedSlot(doctorId, date, startTime, endTime, options = {}) {
+    const availability = await this.getDoctorDaySlots(doctorId, date, options);
+
+    if (!availability.doctor) {
+      return { valid: false, status: 404, message: 'Doctor not found' };
+    }
+
+    if (availability.blocks.length === 0) {
+      return { valid: false, status: 400, message: 'Time slots not scheduled by the doctor' };
+    }
+
+    const blockingLeaves = await this.findBlockingLeaves(doctorId, date, startTime, endTime);
+    if (blockingLeaves.length > 0) {
+      return {
+        valid: false,
+        status: 400,
+        message: this.describeLeave(blockingLeaves[0])
+      };
+    }
+
+    const slot = findSlot(availability.slots, startTime, endTime);
+
+    if (!slot) {
+      return {
+        valid: false,
+        status: 400,
+        message: `Requested time does not match a ${availability.settings.duration}-minute slot in the doctor's schedule`
+      };
+    }
+
+    if (slot.status === 'resource-unavailable') {
+      return {
+        valid: false,
+        status: 409,
+        message: 'No suitable chair or room is free at this time. Please choose another slot.'
+      };
+    }
+
+    if (!slot.isAvailable) {
+      return {
+        valid: false,
+        status: 409,
+        message: 'Time slot not available. Another patient may have booked it.'
+      };
+    }
+
+    return { valid: true, slot, settings: availability.settings };
+  }
+
+  // Human-readable reason a leave blocks booking
+  describeLeave(leave) {
+    const prefix = leave.scope === 'clinic' ? 'The clinic is closed' : 'The doctor is unavailable';
+    return leave.reason ? `${prefix} at this time (${leave.reason})` : `${prefix} at this time`;
+  }
+}
+
+module.exports = new AvailabilityService();
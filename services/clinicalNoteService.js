@@ -0,0 +1,100 @@
+const ClinicalNote = require('../models/ClinicalNote');
+
+const CONFLICT_MESSAGE = 'This note was updated by someone else. Please reload and try again.';
+
+class ClinicalNoteService {
+  // Save a note only if nobody edited or signed it since it was read; false if someone did
+  async saveIfUnchanged(note) {
+    // Version check so an edit cannot land after sign-off and two edits cannot both become version N+1
+    note.increment();
+    try {
+      await note.save();
+      return true;
+    } catch (error) {
+      // 11000: two first edits raced to create the note for the same appointment
+      if (error.name === 'VersionError' || error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Create or edit the draft note for an appointment, recording the edit as a new version
+  async saveDraft(appointment, doctorId, content, changeReason) {
+    // Notes may be written once the visit has started, or after it was completed
+    if (appointment.status !== 'completed' && !(appointment.status === 'confirmed' && appointment.startedAt)) {
+      return { success: false, status: 400, message: 'Notes can only be written for started or completed appointments' };
+    }
+
+    let note = await ClinicalNote.findByAppointment(appointment._id);
+
+    if (note && note.isLocked()) {
+      return { success: false, status: 409, message: 'This note has been signed. Add an addendum instead.' };
+    }
+
+    if (!note) {
+      note = new ClinicalNote({
+        appointmentId: appointment._id,
+        patientId: appointment.patientId._id || appointment.patientId,
+        doctorId
+      });
+    }
+
+    note.applyEdit(content, doctorId, changeReason);
+    if (!await this.saveIfUnchanged(note)) {
+      return { success: false, status: 409, message: CONFLICT_MESSAGE };
+    }
+
+    console.log(`📝 Saved clinical note v${note.version} for appointment ${appointment._id}`);
+
+    return { success: true, note };
+  }
+
+  // Attach uploaded files to a draft note, recording the change as a new version
+  async addAttachments(note, files, doctorId, caption) {
+    if (note.isLocked()) {
+      return { success: false, status: 409, message: 'This note has been signed. Add an addendum instead.' };
+    }
+
+    files.forEach(file => {
+      note.attachments.push({
+        url: file.url,
+        publicId: file.public_id,
+        originalName: file.originalName,
+        size: file.size,
+        caption,
+        uploadedBy: doctorId
+      });
+    });
+    note.applyEdit({}, doctorId, `Added ${files.length} attachment(s)`);
+    if (!await this.saveIfUnchanged(note)) {
+      return { success: false, status: 409, message: CONFLICT_MESSAGE };
+    }
+
+    return { success: true, note };
+  }
+
+  // Sign off a note so it can no longer be edited
+  async sign(note, doctorId) {
+    if (note.isLocked()) {
+      return { success: false, status: 409, message: 'This note has already been signed' };
+    }
+
+    if (note.version === 0) {
+      return { success: false, status: 400, message: 'Cannot sign an empty note' };
+    }
+
+    note.status = 'signed';
+    note.signedAt = new Date();
+    note.signedBy = doctorId;
+    if (!await this.saveIfUnchanged(note)) {
+      return { success: false, status: 409, message: CONFLICT_MESSAGE };
+    }
+
+    console.log(`🔏 Clinical note ${note._id} signed at v${note.version}`);
+
+    return { success: true, note };
+  }
+}
+
+module.exports = new ClinicalNoteService();
@@ -0,0 +1,164 @@
+const Medicine = require('../models/Medicine');
+
+class DispensingService {
+  // Work out what each requested item takes from stock, without changing anything yet
+  async planItems(prescription, items) {
+    const lineIds = items.map(item => String(item.medicationId));
+    if (new Set(lineIds).size !== lineIds.length) {
+      return { success: false, status: 400, message: 'Each medication line can only be listed once per dispense' };
+    }
+
+    const planned = [];
+
+    for (const item of items) {
+      const medication = prescription.medications.id(item.medicationId);
+      if (!medication) {
+        return { success: false, status: 404, message: `Medication line ${item.medicationId} not found on this prescription` };
+      }
+
+      const quantity = medication.quantity || item.totalQuantity;
+      if (!quantity) {
+        return { success: false, status: 400, message: `Set the total quantity to supply for ${medication.name}` };
+      }
+
+      const remaining = quantity - medication.dispensedQuantity;
+      if (item.quantity > remaining) {
+        return { success: false, status: 400, message: `Only ${remaining} unit(s) of ${medication.name} remain to be dispensed` };
+      }
+
+      // A different stock item than the one prescribed is a substitution and needs a reason
+      const medicineId = item.medicineId || (medication.medicineId && medication.medicineId.toString());
+      if (!medicineId) {
+        return { success: false, status: 400, message: `Select the stock medicine to dispense for ${medication.name}` };
+      }
+      const isSubstitution = Boolean(medication.medicineId && medicineId !== medication.medicineId.toString());
+      if (isSubstitution && !item.substitutionReason) {
+        return { success: false, status: 400, message: `A reason is required to substitute ${medication.name}` };
+      }
+
+      const medicine = await Medicine.findById(medicineId);
+      if (!medicine) {
+        return { success: false, status: 404, message: `Medicine ${medicineId} not found` };
+      }
+      if (medicine.isExpired) {
+        return { success: false, status: 409, message: `${medicine.name} stock has expired` };
+      }
+
+      planned.push({ item, medication, medicine, quantity, isSubstitution });
+    }
+
+    return { success: true, planned };
+  }
+
+  // Put back stock taken for items of a dispense that could not be completed
+  async rollback(taken, movement) {
+    for (const { medicine, item, allocations } of taken) {
+      try {
+        await medicine.returnStock(item.quantity, allocations, { ...movement, reason: 'Dispense rolled back' });
+      } catch (error) {
+        console.error(`❌ Failed to return ${item.quantity} unit(s) of ${medicine.name} to stock:`, error);
+      }
+    }
+  }
+
+  // Dispense some or all remaining lines of a prescription; stock for every line is taken or none is
+  async dispense(prescription, items, pharmacist, notes) {
+    if (prescription.status !== 'active') {
+      return { success: false, status: 409, message: `Cannot dispense a ${prescription.status} prescription` };
+    }
+
+    const plan = await this.planItems(prescription, items);
+    if (!plan.success) {
+      return plan;
+    }
+
+    // Ledger context for every stock movement of this dispense
+    const movement = {
+      performedBy: { role: 'pharmacist', id: pharmacist._id },
+      prescriptionId: prescription._id
+    };
+
+    const taken = [];
+    for (const entry of plan.planned) {
+      try {
+        entry.allocations = await entry.medicine.reduceStock(entry.item.quantity, null, {
+          ...movement,
+          reason: entry.item.substitutionReason ? `Substituted for ${entry.medication.name}` : undefined
+        });
+        taken.push(entry);
+      } catch (error) {
+        await this.rollback(taken, movement);
+        if (error.code === 'INSUFFICIENT_STOCK') {
+          return {
+            success: false,
+            status: 409,
+            message: `Insufficient unexpired stock of ${entry.medicine.name} (${entry.medicine.availableQuantity} available)`
+          };
+        }
+        // Other counters kept changing the lots; nothing was taken, so the pharmacist can simply retry
+        if (error.code === 'STOCK_CHANGED') {
+          return { success: false, status: 409, retryable: true, message: error.message };
+        }
+        throw error;
+      }
+    }
+
+    const now = new Date();
+    plan.planned.forEach(({ item, medication, medicine, quantity, isSubstitution }) => {
+      medication.quantity = quantity;
+      medication.dispensedQuantity += item.quantity;
+
+      if (!medication.medicineId) {
+        medication.medicineId = medicine._id;
+      }
+      if (isSubstitution || item.substitutionReason) {
+        medication.substitution = {
+          medicineId: medicine._id,
+          name: medicine.name,
+          reason: item.substitutionReason,
+          pharmacistId: pharmacist._id,
+          substitutedAt: now
+        };
+      }
+    });
+
+    const dispensing = {
+      pharmacistId: pharmacist._id,
+      items: plan.planned.map(({ item, medication, medicine, isSubstitution, allocations }) => ({
+        medicationId: medication._id,
+        medicineId: medicine._id,
+        name: medicine.name,
+        quantity: item.quantity,
+        batches: allocations,
+        isSubstitution: isSubstitution || Boolean(item.substitutionReason),
+        substitutionReason: item.substitutionReason
+      })),
+      notes,
+      dispensedAt: now
+    };
+    prescription.dispensings.push(dispensing);
+    prescription.refreshDispensingStatus();
+
+    // Version check so two counters filling the same prescription cannot both succeed
+    prescription.increment();
+    try {
+      await prescription.save();
+    } catch (error) {
+      await this.rollback(taken, movement);
+      if (error.name === 'VersionError') {
+        return { success: false, status: 409, message: 'This prescription was updated by someone else. Please reload and try again.' };
+      }
+      throw error;
+    }
+
+    console.log(`💊 Dispensed ${plan.planned.length} line(s) of prescription ${prescription._id} (${prescription.dispensingStatus})`);
+
+    return {
+      success: true,
+      prescription,
+      dispensing: prescription.dispensings[prescription.dispensings.length - 1]
+    };
+  }
+}
+
+module.exports = new DispensingService();
@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const { formatDate, getClinicTimezone } = require('../utils/dateUtils');
 
 class EmailService {
   constructor() {
@@ -469,15 +470,11 @@ Neurodent Clinic
         appointmentDate,
         timeRange,
         slotType,
-        symptoms
+        symptoms,
+        calendarInvite
       } = appointmentData;
 
-      const formattedDate = new Date(appointmentDate).toLocaleDateString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      });
+      const formattedDate = formatDate(appointmentDate);
 
       const mailOptions = {
         from: `"Neurodent Clinic" <${process.env.EMAIL_FROM || 'noreply@neurodent.com'}>`,
@@ -605,6 +602,11 @@ Neurodent Clinic
         `
       };
 
+      // Attach the calendar event so it is added to (or updated in) the patient's calendar
+      if (calendarInvite) {
+        mailOptions.icalEvent = calendarInvite;
+      }
+
       const info = await this.transporter.sendMail(mailOptions);
       const isRealEmail = process.env.EMAIL_USER && process.env.EMAIL_USER !== 'YOUR_GMAIL_ADDRESS@gmail.com';
 
@@ -640,15 +642,11 @@ Neurodent Clinic
         appointmentDate,
         timeRange,
         slotType,
-        cancellationReason
+        cancellationReason,
+        calendarInvite
       } = appointmentData;
 
-      const formattedDate = new Date(appointmentDate).toLocaleDateString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      });
+      const formattedDate = formatDate(appointmentDate);
 
       const mailOptions = {
         from: `"Neurodent Clinic" <${process.env.EMAIL_FROM || 'noreply@neurodent.com'}>`,
@@ -766,6 +764,11 @@ Neurodent Clinic
         `
       };
 
+      // Attach the calendar event so it is added to (or updated in) the patient's calendar
+      if (calendarInvite) {
+        mailOptions.icalEvent = calendarInvite;
+      }
+
       const info = await this.transporter.sendMail(mailOptions);
       const isRealEmail = process.env.EMAIL_USER && process.env.EMAIL_USER !== 'YOUR_GMAIL_ADDRESS@gmail.com';
 
@@ -803,22 +806,13 @@ Neurodent Clinic
         newDate,
         newTimeRange,
         slotType,
-        symptoms
+        symptoms,
+        calendarInvite
       } = appointmentData;
 
-      const formattedOldDate = new Date(oldDate).toLocaleDateString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      });
+      const formattedOldDate = formatDate(oldDate);
 
-      const formattedNewDate = new Date(newDate).toLocaleDateString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      });
+      const formattedNewDate = formatDate(newDate);
 
       const mailOptions = {
         from: `"Neurodent Clinic" <${process.env.EMAIL_FROM || 'noreply@neurodent.com'}>`,
@@ -968,6 +962,11 @@ Neurodent Clinic
         `
       };
 
+      // Attach the calendar event so it is added to (or updated in) the patient's calendar
+      if (calendarInvite) {
+        mailOptions.icalEvent = calendarInvite;
+      }
+
       const info = await this.transporter.sendMail(mailOptions);
       const isRealEmail = process.env.EMAIL_USER && process.env.EMAIL_USER !== 'YOUR_GMAIL_ADDRESS@gmail.com';
 
@@ -989,6 +988,438 @@ Neurodent Clinic
     }
   }
 
+  // Send Appointment Reminder Email
+  async sendAppointmentReminder(appointmentData) {
+    try {
+      if (!this.transporter) {
+        await this.initializeTransporter();
+      }
+
+      const {
+        patientEmail,
+        patientName,
+        doctorName,
+        specialization,
+        appointmentDate,
+        timeRange,
+        slotType,
+        hoursBefore,
+        confirmUrl,
+        cancelUrl
+      } = appointmentData;
+
+      const formattedDate = formatDate(appointmentDate);
+
+      const whenText = hoursBefore >= 24
+        ? `in ${Math.round(hoursBefore / 24)} day${Math.round(hoursBefore / 24) === 1 ? '' : 's'}`
+        : `in ${hoursBefore} hour${hoursBefore === 1 ? '' : 's'}`;
+
+      // One-click links let the patient respond without logging in
+      const actionButtonsHtml = confirmUrl || cancelUrl ? `
+                <div style="text-align: center;">
+                  ${confirmUrl ? `<a href="${confirmUrl}" class="button">✅ Confirm Attendance</a>` : ''}
+                  ${cancelUrl ? `<a href="${cancelUrl}" class="button button-secondary">❌ Cancel Appointment</a>` : ''}
+                </div>
+      ` : '';
+      const actionLinksText = [
+        confirmUrl ? `Confirm attendance: ${confirmUrl}` : null,
+        cancelUrl ? `Cancel appointment: ${cancelUrl}` : null
+      ].filter(Boolean).join('\n          ');
+
+      const mailOptions = {
+        from: `"Neurodent Clinic" <${process.env.EMAIL_FROM || 'noreply@neurodent.com'}>`,
+        to: patientEmail,
+        subject: 'Appointment Reminder - Neurodent Clinic',
+        html: `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Appointment Reminder - Neurodent Clinic</title>
+            <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+              .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background: linear-gradient(135deg, #007bff 0%, #17a2b8 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+              .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+              .appointment-details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #007bff; }
+              .detail-row { display: flex; justify-content: space-between; margin: 10px 0; padding: 8px 0; border-bottom: 1px solid #eee; }
+              .detail-label { font-weight: bold; color: #666; }
+              .detail-value { color: #333; }
+              .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+              .reminder { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; color: #856404; }
+              .button { display: inline-block; background: #007bff; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px; margin: 10px 5px; }
+              .button-secondary { background: #6c757d; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <h1>🦷 Neurodent Clinic</h1>
+                <h2>⏰ Appointment Reminder</h2>
+              </div>
+              <div class="content">
+                <p>Dear ${patientName},</p>
+                
+                <p>This is a friendly reminder that your appointment is coming up ${whenText}:</p>
+                
+                <div class="appointment-details">
+                  <h3 style="margin-top: 0; color: #007bff;">📅 Appointment Details</h3>
+                  
+                  <div class="detail-row">
+                    <span class="detail-label">👨‍⚕️ Doctor:</span>
+                    <span class="detail-value">${doctorName}</span>
+                  </div>
+                  
+                  <div class="detail-row">
+                    <span class="detail-label">🏥 Specialization:</span>
+                    <span class="detail-value">${specialization}</span>
+                  </div>
+                  
+                  <div class="detail-row">
+                    <span class="detail-label">📅 Date:</span>
+                    <span class="detail-value">${formattedDate}</span>
+                  </div>
+                  
+                  <div class="detail-row">
+                    <span class="detail-label">🕐 Time:</span>
+                    <span class="detail-value">${timeRange}</span>
+                  </div>
+                  
+                  <div class="detail-row" style="border-bottom: none;">
+                    <span class="detail-label">📋 Type:</span>
+                    <span class="detail-value">${slotType}</span>
+                  </div>
+                </div>
+                
+                ${actionButtonsHtml}
+                
+                <div class="reminder">
+                  <strong>📝 Please remember:</strong>
+                  <ul style="margin: 10px 0;">
+                    <li>Arrive 10-15 minutes early for check-in</li>
+                    <li>Bring a valid ID and insurance card (if applicable)</li>
+                    <li>If you can no longer attend, please cancel or reschedule from your patient dashboard</li>
+                  </ul>
+                </div>
+                
+                <p>We look forward to seeing you!</p>
+                
+                <p>Best regards,<br>
+                The Neurodent Clinic Team</p>
+              </div>
+              <div class="footer">
+                <p>This email was sent to ${patientEmail}</p>
+                <p>© 2025 Neurodent Clinic. All rights reserved.</p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `,
+        text: `
+          Dear ${patientName},
+          
+          This is a friendly reminder that your appointment is coming up ${whenText}.
+          
+          APPOINTMENT DETAILS:
+          Doctor: ${doctorName}
+          Specialization: ${specialization}
+          Date: ${formattedDate}
+          Time: ${timeRange}
+          Type: ${slotType}
+          
+          ${actionLinksText}
+          
+          Please arrive 10-15 minutes early for check-in.
+          If you can no longer attend, please cancel or reschedule from your patient dashboard.
+          
+          Best regards,
+          The Neurodent Clinic Team
+        `
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+      const isRealEmail = process.env.EMAIL_USER && process.env.EMAIL_USER !== 'YOUR_GMAIL_ADDRESS@gmail.com';
+
+      console.log('📧 Appointment reminder sent to:', patientEmail);
+
+      return {
+        success: true,
+        messageId: info.messageId,
+        previewUrl: !isRealEmail ? nodemailer.getTestMessageUrl(info) : null,
+        isRealEmail: isRealEmail
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to send appointment reminder:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Send Waitlist Slot Offer Email
+  async sendWaitlistSlotOffer(offerData) {
+    try {
+      if (!this.transporter) {
+        await this.initializeTransporter();
+      }
+
+      const {
+        patientEmail,
+        patientName,
+        doctorName,
+        specialization,
+        appointmentDate,
+        timeRange,
+        expiresAt
+      } = offerData;
+
+      const formattedDate = formatDate(appointmentDate);
+
+      const formattedExpiry = new Date(expiresAt).toLocaleString('en-US', {
+        timeZone: getClinicTimezone(),
+        month: 'long',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+      });
+
+      const mailOptions = {
+        from: `"Neurodent Clinic" <${process.env.EMAIL_FROM || 'noreply@neurodent.com'}>`,
+        to: patientEmail,
+        subject: 'A Slot Has Opened Up - Neurodent Clinic',
+        html: `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>A Slot Has Opened Up - Neurodent Clinic</title>
+            <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+              .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background: linear-gradient(135deg, #007bff 0%, #17a2b8 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+              .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+              .appointment-details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #007bff; }
+              .detail-row { display: flex; justify-content: space-between; margin: 10px 0; padding: 8px 0; border-bottom: 1px solid #eee; }
+              .detail-label { font-weight: bold; color: #666; }
+              .detail-value { color: #333; }
+              .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+              .reminder { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; color: #856404; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <h1>🦷 Neurodent Clinic</h1>
+                <h2>⏳ A Slot Has Opened Up</h2>
+              </div>
+              <div class="content">
+                <p>Dear ${patientName},</p>
+                
+                <p>Good news! An appointment matching your waitlist request has become available and we are holding it for you:</p>
+                
+                <div class="appointment-details">
+                  <h3 style="margin-top: 0; color: #007bff;">📅 Offered Appointment</h3>
+                  
+                  <div class="detail-row">
+                    <span class="detail-label">👨‍⚕️ Doctor:</span>
+                    <span class="detail-value">${doctorName}</span>
+                  </div>
+                  
+                  <div class="detail-row">
+                    <span class="detail-label">🏥 Specialization:</span>
+                    <span class="detail-value">${specialization}</span>
+                  </div>
+                  
+                  <div class="detail-row">
+                    <span class="detail-label">📅 Date:</span>
+                    <span class="detail-value">${formattedDate}</span>
+                  </div>
+                  
+                  <div class="detail-row" style="border-bottom: none;">
+                    <span class="detail-label">🕐 Time:</span>
+                    <span class="detail-value">${timeRange}</span>
+                  </div>
+                </div>
+                
+                <div class="reminder">
+                  <strong>⏰ This slot is held for you until ${formattedExpiry}.</strong>
+                  <p style="margin-bottom: 0;">Log into your patient dashboard to accept or decline it. If you don't respond in time, it will be offered to the next patient on the waitlist.</p>
+                </div>
+                
+                <p>Best regards,<br>
+                The Neurodent Clinic Team</p>
+              </div>
+              <div class="footer">
+                <p>This email was sent to ${patientEmail}</p>
+                <p>© 2025 Neurodent Clinic. All rights reserved.</p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `,
+        text: `
+          Dear ${patientName},
+          
+          An appointment matching your waitlist request has become available and we are holding it for you.
+          
+          OFFERED APPOINTMENT:
+          Doctor: ${doctorName}
+          Specialization: ${specialization}
+          Date: ${formattedDate}
+          Time: ${timeRange}
+          
+          This slot is held for you until ${formattedExpiry}.
+          Log into your patient dashboard to accept or decline it. If you don't respond in time, it will be offered to the next patient on the waitlist.
+          
+          Best regards,
+          The Neurodent Clinic Team
+        `
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+      const isRealEmail = process.env.EMAIL_USER && process.env.EMAIL_USER !== 'YOUR_GMAIL_ADDRESS@gmail.com';
+
+      console.log('📧 Waitlist slot offer sent to:', patientEmail);
+
+      return {
+        success: true,
+        messageId: info.messageId,
+        previewUrl: !isRealEmail ? nodemailer.getTestMessageUrl(info) : null,
+        isRealEmail: isRealEmail
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to send waitlist slot offer:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Send Appointment Delay Notification Email
+  async sendAppointmentDelayNotification(appointmentData) {
+    try {
+      if (!this.transporter) {
+        await this.initializeTransporter();
+      }
+
+      const {
+        patientEmail,
+        patientName,
+        doctorName,
+        appointmentDate,
+        oldTimeRange,
+        newTimeRange,
+        delayMinutes,
+        calendarInvite
+      } = appointmentData;
+
+      const formattedDate = formatDate(appointmentDate);
+
+      const mailOptions = {
+        from: `"Neurodent Clinic" <${process.env.EMAIL_FROM || 'noreply@neurodent.com'}>`,
+        to: patientEmail,
+        subject: 'Your Appointment Time Has Changed - Neurodent Clinic',
+        html: `
+          <!DOCTYPE html>
+          <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Your Appointment Time Has Changed - Neurodent Clinic</title>
+            <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+              .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+              .header { background: linear-gradient(135deg, #fd7e14 0%, #e8590c 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+              .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+              .old-appointment { background: #f8d7da; border: 1px solid #f5c6cb; padding: 15px; border-radius: 5px; margin: 10px 0; }
+              .new-appointment { background: #d4edda; border: 1px solid #c3e6cb; padding: 15px; border-radius: 5px; margin: 10px 0; }
+              .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+              .reminder { background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0; color: #856404; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <h1>🦷 Neurodent Clinic</h1>
+                <h2>🚑 Appointment Time Changed</h2>
+              </div>
+              <div class="content">
+                <p>Dear ${patientName},</p>
+                
+                <p>${doctorName} has had to see an emergency patient, so your appointment on ${formattedDate} has been moved back by about ${delayMinutes} minutes. We're sorry for the inconvenience.</p>
+                
+                <div class="old-appointment">
+                  <h4 style="margin-top: 0; color: #721c24;">Previous Time</h4>
+                  <p style="margin-bottom: 0;">${oldTimeRange}</p>
+                </div>
+                
+                <div class="new-appointment">
+                  <h4 style="margin-top: 0; color: #155724;">New Time</h4>
+                  <p style="margin-bottom: 0;">${newTimeRange}</p>
+                </div>
+                
+                <div class="reminder">
+                  <strong>Can't make the new time?</strong>
+                  <p style="margin-bottom: 0;">Log into your patient dashboard to reschedule or cancel.</p>
+                </div>
+                
+                <p>Best regards,<br>
+                The Neurodent Clinic Team</p>
+              </div>
+              <div class="footer">
+                <p>This email was sent to ${patientEmail}</p>
+                <p>© 2025 Neurodent Clinic. All rights reserved.</p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `,
+        text: `
+          Dear ${patientName},
+          
+          ${doctorName} has had to see an emergency patient, so your appointment on ${formattedDate} has been moved back by about ${delayMinutes} minutes. We're sorry for the inconvenience.
+          
+          Previous time: ${oldTimeRange}
+          New time: ${newTimeRange}
+          
+          Can't make the new time? Log into your patient dashboard to reschedule or cancel.
+          
+          Best regards,
+          The Neurodent Clinic Team
+        `
+      };
+
+      if (calendarInvite) {
+        mailOptions.icalEvent = calendarInvite;
+      }
+
+      const info = await this.transporter.sendMail(mailOptions);
+      const isRealEmail = process.env.EMAIL_USER && process.env.EMAIL_USER !== 'YOUR_GMAIL_ADDRESS@gmail.com';
+
+      console.log('📧 Appointment delay notification sent to:', patientEmail);
+
+      return {
+        success: true,
+        messageId: info.messageId,
+        previewUrl: !isRealEmail ? nodemailer.getTestMessageUrl(info) : null,
+        isRealEmail: isRealEmail
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to send appointment delay notification:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   // Send Doctor Credentials Email
   async sendDoctorCredentialsEmail(email, doctorName, password) {
     try {
@@ -0,0 +1,93 @@
+const Medicine = require('../models/Medicine');
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class FormularyService {
+  // Search the clinic's medicines by name, by default only those that can be dispensed today
+  async search(term, { includeUnavailable = false, limit = 10 } = {}) {
+    const query = {};
+    if (term) {
+      query.name = { $regex: escapeRegex(term), $options: 'i' };
+    }
+    if (!includeUnavailable) {
+      query.$expr = { $gt: [Medicine.availableQuantityExpr(), 0] };
+    }
+
+    return Medicine.find(query)
+      .select('name category description unitPrice currency stockQuantity minStockLevel expiryDate manufacturer batches')
+      .sort({ name: 1 })
+      .limit(limit);
+  }
+
+  // Medicines the clinic can currently dispense
+  async getFormulary() {
+    return this.search(null, { limit: 200 });
+  }
+
+  // Load the Medicine documents referenced by prescription medications; unknown IDs are reported
+  async resolveMedicines(medications) {
+    const ids = medications.map(medication => medication.medicineId).filter(Boolean);
+    const medicines = ids.length > 0 ? await Medicine.find({ _id: { $in: ids } }) : [];
+    const byId = new Map(medicines.map(medicine => [medicine._id.toString(), medicine]));
+
+    const missing = ids.filter(id => !byId.has(id.toString()));
+    return { byId, missing };
+  }
+
+  // Build warnings for referenced medicines that cannot be dispensed from stock
+  getStockWarnings(medications, byId) {
+    const warnings = [];
+
+    medications.forEach(medication => {
+      const medicine = medication.medicineId && byId.get(medication.medicineId.toString());
+      if (!medicine) {
+        return;
+      }
+
+      if (medicine.isExpired) {
+        warnings.push({
+          medicineId: medicine._id,
+          medication: medication.name,
+          type: 'expired',
+          message: `${medicine.name} stock expired on ${medicine.expiryDate.toISOString().split('T')[0]}`
+        });
+      } else if (medicine.isOutOfStock) {
+        warnings.push({
+          medicineId: medicine._id,
+          medication: medication.name,
+          type: 'out-of-stock',
+          message: `${medicine.name} is out of stock`
+        });
+      } else if (medicine.isLowStock) {
+        warnings.push({
+          medicineId: medicine._id,
+          medication: medication.name,
+          type: 'low-stock',
+          message: `${medicine.name} is low in stock (${medicine.stockQuantity} left)`
+        });
+      }
+    });
+
+    return warnings;
+  }
+
+  // Match free-text medication names (e.g. from the AI generator) to formulary medicines
+  annotateMedications(medications, formulary) {
+    return medications.map(medication => {
+      const name = String(medication.name || '').toLowerCase();
+      const match = name && formulary.find(medicine => {
+        const medicineName = medicine.name.toLowerCase();
+        return name.includes(medicineName) || medicineName.includes(name);
+      });
+
+      return {
+        ...medication,
+        medicineId: match ? match._id : null,
+        inFormulary: Boolean(match)
+      };
+    });
+  }
+}
+
+module.exports = new FormularyService();
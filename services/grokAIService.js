@@ -13,9 +13,9 @@ class GrokAIService {
 
   async generatePrescription(patientData) {
     try {
-      const { symptoms, patientName, patientAge, medicalHistory = '', allergies = '' } = patientData;
+      const { symptoms, patientName, patientAge, medicalHistory = '', allergies = '', formulary = [] } = patientData;
 
-      const prompt = this.createPrescriptionPrompt(symptoms, patientName, patientAge, medicalHistory, allergies);
+      const prompt = this.createPrescriptionPrompt(symptoms, patientName, patientAge, medicalHistory, allergies, formulary);
 
       const response = await axios.post(
         `${this.baseUrl}/chat/completions`,
@@ -66,7 +66,13 @@ class GrokAIService {
     }
   }
 
-  createPrescriptionPrompt(symptoms, patientName, patientAge, medicalHistory, allergies) {
+  createPrescriptionPrompt(symptoms, patientName, patientAge, medicalHistory, allergies, formulary = []) {
+    const formularySection = formulary.length > 0 ? `
+CLINIC FORMULARY (medicines currently in stock):
+${formulary.join(', ')}
+Prescribe from this list wherever a suitable medicine is available, using the names exactly as listed.
+` : '';
+
     return `
 You are a dental AI assistant. Create a unique, personalized dental prescription for this specific patient and their symptoms.
 
@@ -76,7 +82,7 @@ PATIENT DETAILS:
 - Specific Symptoms: ${symptoms}
 - Medical History: ${medicalHistory || 'None reported'}
 - Allergies: ${allergies || 'None reported'}
-
+${formularySection}
 IMPORTANT: Generate a UNIQUE prescription specifically tailored to these symptoms. Do NOT use generic responses.
 
 Analyze the symptoms and provide appropriate treatment:
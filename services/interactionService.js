@@ -0,0 +1,181 @@
+const InteractionRule = require('../models/InteractionRule');
+const MedicalHistory = require('../models/MedicalHistory');
+const Prescription = require('../models/Prescription');
+const Patient = require('../models/Patient');
+const bundledRules = require('../data/interactionRules.json');
+
+// Normalise a drug or allergy name for matching
+const normalise = (value) => String(value || '').toLowerCase().trim();
+
+// Check whether a medication name mentions any of the given drug names
+const mentionsAny = (name, drugs) => {
+  const normalised = normalise(name);
+  return drugs.some(drug => normalised.includes(drug));
+};
+
+class InteractionService {
+  // Load active rules, falling back to the bundled dataset until one has been imported
+  async loadRules() {
+    const rules = await InteractionRule.find({ isActive: true }).lean();
+    return rules.length > 0 ? rules : bundledRules;
+  }
+
+  // Work out the patient's age from the prescription or their date of birth
+  async resolvePatientAge(patientId, patientAge) {
+    if (patientAge !== undefined && patientAge !== null && !isNaN(patientAge)) {
+      return parseInt(patientAge);
+    }
+    if (!patientId) {
+      return null;
+    }
+
+    const patient = await Patient.findById(patientId).select('dateOfBirth');
+    if (!patient || !patient.dateOfBirth) {
+      return null;
+    }
+
+    const today = new Date();
+    const birthDate = new Date(patient.dateOfBirth);
+    let age = today.getFullYear() - birthDate.getFullYear();
+    const hadBirthday = today.getMonth() > birthDate.getMonth() ||
+      (today.getMonth() === birthDate.getMonth() && today.getDate() >= birthDate.getDate());
+    if (!hadBirthday) {
+      age -= 1;
+    }
+    return age;
+  }
+
+  // Collect the drugs the patient is already taking: other active prescriptions and intake medications
+  async getOtherMedications(patientId, excludePrescriptionId) {
+    if (!patientId) {
+      return [];
+    }
+
+    const query = { patientId, status: 'active' };
+    if (excludePrescriptionId) {
+      query._id = { $ne: excludePrescriptionId };
+    }
+
+    const [prescriptions, history] = await Promise.all([
+      Prescription.find(query).select('medications'),
+      MedicalHistory.getCurrent(patientId)
+    ]);
+
+    const medications = prescriptions.flatMap(prescription => prescription.medications.map(medication => ({
+      name: medication.name,
+      source: 'prescription',
+      prescriptionId: prescription._id
+    })));
+
+    if (history) {
+      history.medications.forEach(medication => {
+        medications.push({ name: medication.name, source: 'medical-history' });
+      });
+    }
+
+    return medications;
+  }
+
+  // Check medications against the patient's allergies, other medications and age
+  async checkMedications({ medications, patientId, patientAge, excludePrescriptionId }) {
+    const [rules, history, otherMedications, age] = await Promise.all([
+      this.loadRules(),
+      patientId ? MedicalHistory.getCurrent(patientId) : null,
+      this.getOtherMedications(patientId, excludePrescriptionId),
+      this.resolvePatientAge(patientId, patientAge)
+    ]);
+
+    const allergies = history ? history.allergies : [];
+    const issues = [];
+
+    const addIssue = (rule, medication, conflictWith) => {
+      issues.push({
+        ruleId: rule.ruleId,
+        type: rule.type,
+        severity: rule.severity,
+        medication: medication.name,
+        conflictWith,
+        message: rule.message
+      });
+    };
+
+    medications.forEach((medication, index) => {
+      // An allergy recorded against the drug itself always blocks, even without a rule
+      allergies
+        .filter(allergy => normalise(allergy.substance) && mentionsAny(medication.name, [normalise(allergy.substance)]))
+        .forEach(allergy => addIssue({
+          ruleId: 'recorded-allergy',
+          type: 'drug-allergy',
+          severity: 'blocking',
+          message: `Patient has a recorded ${allergy.severity} allergy to ${allergy.substance}`
+        }, medication, allergy.substance));
+
+      rules
+        .filter(rule => mentionsAny(medication.name, rule.drugs))
+        .forEach(rule => {
+          if (rule.type === 'drug-allergy') {
+            allergies
+              .filter(allergy => rule.allergens.some(allergen => normalise(allergy.substance).includes(allergen)))
+              .forEach(allergy => addIssue(rule, medication, allergy.substance));
+          }
+
+          if (rule.type === 'drug-drug') {
+            // Other drugs on this prescription, then what the patient is already taking
+            const others = [
+              ...medications.filter((other, otherIndex) => otherIndex !== index).map(other => ({ name: other.name })),
+              ...otherMedications
+            ];
+            others
+              .filter(other => mentionsAny(other.name, rule.interactingDrugs))
+              .forEach(other => addIssue(rule, medication, other.name));
+          }
+
+          if (rule.type === 'age' && age !== null) {
+            const tooYoung = rule.minAge !== undefined && rule.minAge !== null && age < rule.minAge;
+            const tooOld = rule.maxAge !== undefined && rule.maxAge !== null && age > rule.maxAge;
+            if (tooYoung || tooOld) {
+              addIssue(rule, medication, `age ${age}`);
+            }
+          }
+        });
+    });
+
+    // Drug-drug pairs within one prescription are found from both sides; keep one
+    const seen = new Set();
+    const uniqueIssues = issues.filter(issue => {
+      const pair = [normalise(issue.medication), normalise(issue.conflictWith)].sort().join('|');
+      const key = issue.type === 'drug-drug' ? `${issue.ruleId}:${pair}` : `${issue.ruleId}:${normalise(issue.medication)}:${normalise(issue.conflictWith)}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+
+    return {
+      warnings: uniqueIssues.filter(issue => issue.severity === 'warning'),
+      blocking: uniqueIssues.filter(issue => issue.severity === 'blocking')
+    };
+  }
+
+  // Match doctor overrides to blocking issues; every blocking rule needs an override with a reason
+  applyOverrides(result, overrides = [], doctorId) {
+    const reasons = new Map(overrides
+      .filter(override => override && override.ruleId && override.reason && override.reason.trim())
+      .map(override => [normalise(override.ruleId), override.reason.trim()]));
+
+    const unresolved = result.blocking.filter(issue => !reasons.has(issue.ruleId));
+    const recorded = result.blocking
+      .filter(issue => reasons.has(issue.ruleId))
+      .map(issue => ({
+        ...issue,
+        reason: reasons.get(issue.ruleId),
+        doctorId,
+        overriddenAt: new Date()
+      }));
+
+    return { unresolved, overrides: recorded };
+  }
+}
+
+module.exports = new InteractionService();
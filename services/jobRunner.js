@@ -0,0 +1,126 @@
+const ScheduledJob = require('../models/ScheduledJob');
+
+class JobRunner {
+  constructor() {
+    this.handlers = new Map();
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 30 * 1000;
+    // Failed jobs are retried after retryDelayMs * attempts
+    this.retryDelayMs = 5 * 60 * 1000;
+    // Running jobs older than this are assumed to belong to a process that died
+    this.staleAfterMs = 10 * 60 * 1000;
+    this.timer = null;
+    this.isTicking = false;
+  }
+
+  // Register the function that runs jobs of a type; it receives the job document
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // Persist a job to run at a given time
+  async schedule(type, runAt, payload = {}, options = {}) {
+    const job = new ScheduledJob({
+      type,
+      runAt,
+      payload,
+      referenceId: options.referenceId,
+      maxAttempts: options.maxAttempts
+    });
+    await job.save();
+    return job;
+  }
+
+  // Cancel pending jobs of a type for a document
+  async cancel(referenceId, type) {
+    return ScheduledJob.cancelForReference(referenceId, type);
+  }
+
+  // Run a single claimed job, recording the outcome
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+
+    if (!handler) {
+      job.status = 'failed';
+      job.lastError = `No handler registered for job type "${job.type}"`;
+      await job.save();
+      console.error(`❌ ${job.lastError}`);
+      return;
+    }
+
+    try {
+      await handler(job);
+      job.status = 'completed';
+      job.completedAt = new Date();
+      job.lastError = undefined;
+    } catch (error) {
+      console.error(`❌ Job ${job._id} (${job.type}) failed on attempt ${job.attempts}:`, error.message);
+      job.lastError = String(error.message).substring(0, 1000);
+
+      if (job.attempts < job.maxAttempts) {
+        job.status = 'pending';
+        job.runAt = new Date(Date.now() + this.retryDelayMs * job.attempts);
+      } else {
+        job.status = 'failed';
+      }
+    }
+
+    job.lockedAt = undefined;
+    await job.save();
+  }
+
+  // Claim and run every job that is due
+  async runDueJobs() {
+    let processed = 0;
+    let job = await ScheduledJob.claimNext();
+
+    while (job) {
+      await this.runJob(job);
+      processed += 1;
+      job = await ScheduledJob.claimNext();
+    }
+
+    return processed;
+  }
+
+  // Start polling for due jobs
+  async start(intervalMs = this.pollIntervalMs) {
+    if (this.timer) {
+      return;
+    }
+
+    const tick = async () => {
+      // Skip this tick if the previous one is still working through the queue
+      if (this.isTicking) {
+        return;
+      }
+      this.isTicking = true;
+      try {
+        // Checked every tick, not just at startup, so jobs claimed shortly before a restart are not left running
+        const recovered = await ScheduledJob.recoverStale(this.staleAfterMs);
+        if (recovered > 0) {
+          console.log(`🔁 Requeued ${recovered} jobs interrupted by a restart`);
+        }
+        await this.runDueJobs();
+      } catch (error) {
+        console.error('❌ Error running scheduled jobs:', error);
+      } finally {
+        this.isTicking = false;
+      }
+    };
+
+    this.timer = setInterval(tick, intervalMs);
+    this.timer.unref();
+    tick();
+
+    console.log(`⏱️ Job runner started (polling every ${Math.round(intervalMs / 1000)}s, handlers: ${[...this.handlers.keys()].join(', ') || 'none'})`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new JobRunner();
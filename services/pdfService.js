@@ -82,7 +82,7 @@ class PDFService {
     
     return `${prefix}-${cleanId.toUpperCase()}`;
   }
-  static generatePrescriptionPDF(prescription, doctor, patient) {
+  static generatePrescriptionPDF(prescription, doctor, patient, medicalHistory = null) {
     return new Promise((resolve, reject) => {
       try {
         // Create a new PDF document with tighter margins
@@ -195,6 +195,30 @@ class PDFService {
 
         yPosition += 75;
 
+        // Medical Alerts Section (from the patient's stored medical history)
+        if (medicalHistory) {
+          const allergySummary = medicalHistory.getAllergySummary();
+          const historySummary = medicalHistory.getHistorySummary();
+
+          if (allergySummary || historySummary) {
+            doc.fontSize(12)
+               .fillColor('#b45309')
+               .text('MEDICAL ALERTS', 40, yPosition);
+
+            doc.rect(40, yPosition + 18, 515, 38)
+               .strokeColor('#fde68a')
+               .fillColor('#fffbeb')
+               .fillAndStroke();
+
+            doc.fontSize(8)
+               .fillColor('#1f2937')
+               .text(`Allergies: ${allergySummary ? this.cleanDisplayText(allergySummary) : 'None reported'}`, 50, yPosition + 24, { width: 495 })
+               .text(`History: ${historySummary ? this.cleanDisplayText(historySummary) : 'None reported'}`, 50, yPosition + 38, { width: 495 });
+
+            yPosition += 68;
+          }
+        }
+
         // Diagnosis Section (Compact)
         doc.fontSize(12)
            .fillColor('#dc2626')
@@ -0,0 +1,297 @@
+const mongoose = require('mongoose');
+const Medicine = require('../models/Medicine');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const StockMovement = require('../models/StockMovement');
+const Supplier = require('../models/Supplier');
+
+// Lead time assumed for medicines without a preferred supplier
+const DEFAULT_LEAD_TIME_DAYS = 7;
+
+class PurchasingService {
+  // Average units dispensed per day over the last few days, from the stock ledger
+  async getConsumptionRates(medicineIds, days = 30) {
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+
+    // Returns of dispensed stock (rollbacks) carry the prescription and cancel out the dispense
+    const totals = await StockMovement.aggregate([
+      {
+        $match: {
+          medicineId: { $in: medicineIds },
+          createdAt: { $gte: since },
+          $or: [{ type: 'dispense' }, { type: 'return', prescriptionId: { $exists: true } }]
+        }
+      },
+      { $group: { _id: '$medicineId', quantity: { $sum: '$quantity' } } }
+    ]);
+
+    return new Map(totals.map(total => [total._id.toString(), Math.max(0, -total.quantity) / days]));
+  }
+
+  // Suggest how much of each low-stock medicine to order, allowing for stock already on order
+  async getReorderSuggestions({ days = 30, coverDays = 30 } = {}) {
+    const medicines = await Medicine.findLowStock()
+      .populate('preferredSupplierId', 'name leadTimeDays isActive');
+    if (medicines.length === 0) {
+      return [];
+    }
+
+    const ids = medicines.map(medicine => medicine._id);
+    const [rates, onOrder] = await Promise.all([
+      this.getConsumptionRates(ids, days),
+      PurchaseOrder.getQuantitiesOnOrder(ids)
+    ]);
+
+    const suggestions = [];
+    medicines.forEach(medicine => {
+      const supplier = medicine.preferredSupplierId && medicine.preferredSupplierId.isActive
+        ? medicine.preferredSupplierId
+        : null;
+      const leadTimeDays = supplier ? supplier.leadTimeDays : DEFAULT_LEAD_TIME_DAYS;
+      const dailyConsumption = rates.get(medicine._id.toString()) || 0;
+      const quantityOnOrder = onOrder.get(medicine._id.toString()) || 0;
+
+      // Enough to cover use until delivery and for the cover period, on top of the minimum level
+      const targetLevel = Math.max(
+        medicine.minStockLevel * 2,
+        medicine.minStockLevel + Math.ceil(dailyConsumption * (leadTimeDays + coverDays)),
+        1
+      );
+      const suggestedQuantity = targetLevel - medicine.availableQuantity - quantityOnOrder;
+      if (suggestedQuantity <= 0) {
+        return;
+      }
+
+      // Price the suggestion at the cost of the most recently received lot
+      const lastLot = [...medicine.batches]
+        .filter(batch => batch.unitCost !== undefined && batch.unitCost !== null)
+        .sort((a, b) => b.receivedAt - a.receivedAt)[0];
+
+      suggestions.push({
+        medicineId: medicine._id,
+        name: medicine.name,
+        availableQuantity: medicine.availableQuantity,
+        minStockLevel: medicine.minStockLevel,
+        quantityOnOrder,
+        dailyConsumption: Math.round(dailyConsumption * 100) / 100,
+        supplier: supplier ? { _id: supplier._id, name: supplier.name, leadTimeDays } : null,
+        suggestedQuantity,
+        unitCost: lastLot ? lastLot.unitCost : undefined
+      });
+    });
+
+    return suggestions;
+  }
+
+  // Create a purchase order with the next order number
+  async createOrder(data, createdBy) {
+    // Two orders created at once can pick the same number; retry with the next one
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        const order = new PurchaseOrder({
+          ...data,
+          orderNumber: await PurchaseOrder.nextOrderNumber(),
+          createdBy
+        });
+        await order.save();
+        return order;
+      } catch (error) {
+        if (error.code !== 11000 || attempt === 2) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  // Build order items from request data, checking that every medicine exists
+  async buildItems(items) {
+    const ids = items.map(item => item.medicineId);
+    if (new Set(ids.map(String)).size !== ids.length) {
+      return { success: false, status: 400, message: 'Each medicine can only be listed once per order' };
+    }
+
+    const medicines = await Medicine.find({ _id: { $in: ids } }).select('name');
+    const byId = new Map(medicines.map(medicine => [medicine._id.toString(), medicine]));
+
+    const missing = ids.filter(id => !byId.has(String(id)));
+    if (missing.length > 0) {
+      return { success: false, status: 404, message: `Medicine(s) not found: ${missing.join(', ')}` };
+    }
+
+    return {
+      success: true,
+      items: items.map(item => ({
+        medicineId: item.medicineId,
+        name: byId.get(String(item.medicineId)).name,
+        quantityOrdered: parseInt(item.quantityOrdered),
+        unitCost: item.unitCost !== undefined ? parseFloat(item.unitCost) : undefined
+      }))
+    };
+  }
+
+  // Draft one purchase order per supplier from the current reorder suggestions
+  async draftFromSuggestions(createdBy, options = {}) {
+    const suggestions = await this.getReorderSuggestions(options);
+
+    const bySupplier = new Map();
+    suggestions.filter(suggestion => suggestion.supplier).forEach(suggestion => {
+      const key = suggestion.supplier._id.toString();
+      if (!bySupplier.has(key)) {
+        bySupplier.set(key, []);
+      }
+      bySupplier.get(key).push(suggestion);
+    });
+
+    const orders = [];
+    for (const [supplierId, supplierSuggestions] of bySupplier) {
+      const leadTimeDays = supplierSuggestions[0].supplier.leadTimeDays;
+      const expectedDeliveryDate = new Date();
+      expectedDeliveryDate.setDate(expectedDeliveryDate.getDate() + leadTimeDays);
+
+      orders.push(await this.createOrder({
+        supplierId,
+        isAutoDrafted: true,
+        expectedDeliveryDate,
+        items: supplierSuggestions.map(suggestion => ({
+          medicineId: suggestion.medicineId,
+          name: suggestion.name,
+          quantityOrdered: suggestion.suggestedQuantity,
+          unitCost: suggestion.unitCost,
+          suggestion: {
+            dailyConsumption: suggestion.dailyConsumption,
+            availableQuantity: suggestion.availableQuantity,
+            minStockLevel: suggestion.minStockLevel
+          }
+        }))
+      }, createdBy));
+    }
+
+    return {
+      orders,
+      // Medicines without an active preferred supplier have to be ordered by hand
+      unassigned: suggestions.filter(suggestion => !suggestion.supplier)
+    };
+  }
+
+  // Take back stock added for receipt lines that could not be recorded
+  async rollbackReceipt(received, movement) {
+    for (const { medicine, quantity, batchId } of received) {
+      try {
+        await medicine.adjustStock(-quantity, null, batchId, { ...movement, reason: 'Goods receipt rolled back' });
+      } catch (error) {
+        console.error(`❌ Failed to remove ${quantity} unit(s) of ${medicine.name} received in error:`, error);
+      }
+    }
+  }
+
+  // Receive delivered stock against an order; every line becomes a new lot, or none do
+  async receive(order, items, receivedBy, { supplierInvoiceNumber, notes } = {}) {
+    if (!['ordered', 'partially-received'].includes(order.status)) {
+      return { success: false, status: 409, message: `Cannot receive stock against a ${order.status} purchase order` };
+    }
+
+    const itemIds = items.map(item => String(item.itemId));
+    if (new Set(itemIds).size !== itemIds.length) {
+      return { success: false, status: 400, message: 'Each order line can only be listed once per receipt' };
+    }
+
+    const planned = [];
+    for (const item of items) {
+      const orderItem = order.items.id(item.itemId);
+      if (!orderItem) {
+        return { success: false, status: 404, message: `Order line ${item.itemId} not found on this purchase order` };
+      }
+
+      const remaining = orderItem.quantityOrdered - orderItem.quantityReceived;
+      if (item.quantity > remaining) {
+        return { success: false, status: 400, message: `Only ${remaining} unit(s) of ${orderItem.name} remain to be received` };
+      }
+
+      const medicine = await Medicine.findById(orderItem.medicineId);
+      if (!medicine) {
+        return { success: false, status: 404, message: `Medicine ${orderItem.medicineId} not found` };
+      }
+
+      planned.push({ item, orderItem, medicine });
+    }
+
+    const supplier = await Supplier.findById(order.supplierId).select('name');
+    const movement = {
+      performedBy: { role: 'admin', id: receivedBy },
+      purchaseOrderId: order._id
+    };
+    const defaultLotNumber = `${order.orderNumber}-R${order.receipts.length + 1}`;
+
+    const received = [];
+    for (const { item, orderItem, medicine } of planned) {
+      const batchId = new mongoose.Types.ObjectId();
+      const unitCost = item.unitCost !== undefined ? item.unitCost : orderItem.unitCost;
+      try {
+        await medicine.restock(item.quantity, receivedBy, {
+          _id: batchId,
+          lotNumber: item.lotNumber || defaultLotNumber,
+          expiryDate: item.expiryDate,
+          supplier: supplier ? supplier.name : undefined,
+          supplierId: order.supplierId,
+          purchaseOrderId: order._id,
+          unitCost
+        }, { ...movement, reason: `Received on ${order.orderNumber}` });
+      } catch (error) {
+        await this.rollbackReceipt(received, movement);
+        throw error;
+      }
+
+      received.push({
+        medicine,
+        orderItem,
+        batchId,
+        quantity: item.quantity,
+        lotNumber: item.lotNumber || defaultLotNumber,
+        expiryDate: item.expiryDate,
+        unitCost
+      });
+    }
+
+    received.forEach(({ orderItem, quantity }) => {
+      orderItem.quantityReceived += quantity;
+    });
+    order.receipts.push({
+      receivedBy,
+      receivedAt: new Date(),
+      supplierInvoiceNumber,
+      notes,
+      items: received.map(({ orderItem, medicine, quantity, batchId, lotNumber, expiryDate, unitCost }) => ({
+        itemId: orderItem._id,
+        medicineId: medicine._id,
+        quantity,
+        batchId,
+        lotNumber,
+        expiryDate,
+        unitCost
+      }))
+    });
+    order.refreshReceiptStatus();
+
+    // Version check so the same delivery cannot be booked twice from two screens
+    order.increment();
+    try {
+      await order.save();
+    } catch (error) {
+      await this.rollbackReceipt(received, movement);
+      if (error.name === 'VersionError') {
+        return { success: false, status: 409, message: 'This purchase order was updated by someone else. Please reload and try again.' };
+      }
+      throw error;
+    }
+
+    console.log(`📦 Received ${received.length} line(s) on ${order.orderNumber} (${order.status})`);
+
+    return {
+      success: true,
+      order,
+      receipt: order.receipts[order.receipts.length - 1]
+    };
+  }
+}
+
+module.exports = new PurchasingService();
@@ -0,0 +1,380 @@
+const Appointment = require('../models/Appointment');
+const BookingLock = require('../models/BookingLock');
+const Doctor = require('../models/Doctor');
+const QueueEntry = require('../models/QueueEntry');
+const availabilityService = require('./availabilityService');
+const resourceService = require('./resourceService');
+const reminderService = require('./reminderService');
+const emailService = require('./emailService');
+const { buildAppointmentInvite } = require('../utils/icsGenerator');
+const {
+  timeToMinutes,
+  minutesToTime,
+  rangesOverlap,
+  resolveSlotSettings,
+  resolveAppointmentSlotType
+} = require('../utils/slotGenerator');
+const { getClinicToday, getClinicTime, getDayName, toDayStart, toStorageDate } = require('../utils/dateUtils');
+
+// Latest HH:MM an appointment can end at on the same day
+const LAST_MINUTE_OF_DAY = 23 * 60 + 59;
+
+// Earliest start at or after `from` where `length` minutes fit inside a working block
+// without overlapping a blocked range; null if there is no room left that day
+const findShiftedStart = (from, length, workingBlocks, blockedRanges) => {
+  let start = from;
+
+  for (const block of workingBlocks) {
+    start = Math.max(start, block.start);
+
+    let overlap = blockedRanges.find(range => rangesOverlap(start, start + length, range.start, range.end));
+    while (overlap && start + length <= block.end) {
+      start = overlap.end;
+      overlap = blockedRanges.find(range => rangesOverlap(start, start + length, range.start, range.end));
+    }
+
+    if (!overlap && start + length <= block.end) {
+      return start;
+    }
+  }
+
+  return null;
+};
+
+class QueueService {
+  constructor() {
+    // Time blocked out for an emergency when a doctor takes one from the queue
+    this.emergencyDurationMinutes = parseInt(process.env.EMERGENCY_DURATION_MINUTES, 10) || 30;
+  }
+
+  // Add a walk-in or emergency patient to today's queue
+  async register({ patientId, doctorId, kind, reason, procedure, registeredBy }) {
+    const today = getClinicToday();
+
+    // Token numbers are per day; retry if two registrations race for the same one
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const entry = new QueueEntry({
+        patientId,
+        doctorId: doctorId || null,
+        kind,
+        reason,
+        procedure,
+        queueDate: toDayStart(today),
+        tokenNumber: await QueueEntry.nextTokenNumber(today),
+        registeredBy
+      });
+
+      try {
+        await entry.save();
+        console.log(`🚶 Queue token ${entry.tokenNumber} issued (${entry.kind}) for patient ${patientId}`);
+        return entry;
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+
+    throw new Error('Could not issue a queue token. Please try again.');
+  }
+
+  // Remaining free sub-slots today for each doctor on duty, used to estimate waits
+  async getRemainingCapacity(doctorIds = null) {
+    const today = getClinicToday();
+    const nowMinutes = timeToMinutes(getClinicTime());
+
+    const filter = { availability: 'active' };
+    if (doctorIds) {
+      filter._id = { $in: doctorIds };
+    }
+    const doctors = await Doctor.find(filter).select('firstName lastName');
+
+    const capacity = [];
+    for (const doctor of doctors) {
+      const { blocks, slots } = await availabilityService.getDoctorDaySlots(doctor._id, today);
+      // Doctors with nothing scheduled today aren't on duty
+      if (blocks.length === 0) {
+        continue;
+      }
+      capacity.push({
+        doctor,
+        // Emergencies are seen straight away, so they start from now rather than a free slot
+        emergencyCursor: nowMinutes,
+        freeSlots: slots
+          .filter(slot => slot.isAvailable && timeToMinutes(slot.startTime) >= nowMinutes)
+          .map(slot => ({ start: timeToMinutes(slot.startTime), end: timeToMinutes(slot.endTime) }))
+      });
+    }
+
+    return capacity;
+  }
+
+  // Estimate when each waiting entry will be seen by walking the queue in order over the remaining capacity
+  async getQueueWithEstimates(doctorId = null) {
+    const entries = await QueueEntry.getWaiting(getClinicToday(), doctorId)
+      .populate('patientId', 'firstName lastName phone email')
+      .populate('doctorId', 'firstName lastName specialization');
+
+    const nowMinutes = timeToMinutes(getClinicTime());
+    const capacity = await this.getRemainingCapacity(doctorId ? [doctorId] : null);
+
+    return entries.map((entry, index) => {
+      const requestedDoctorId = entry.doctorId ? entry.doctorId._id.toString() : null;
+      const candidates = capacity.filter(item => !requestedDoctorId || item.doctor._id.toString() === requestedDoctorId);
+
+      let estimate = null;
+
+      if (entry.kind === 'emergency') {
+        const item = candidates.sort((a, b) => a.emergencyCursor - b.emergencyCursor)[0];
+        if (item) {
+          const start = item.emergencyCursor;
+          item.emergencyCursor = start + this.emergencyDurationMinutes;
+          // The emergency takes over any free time it overlaps
+          item.freeSlots = item.freeSlots.filter(slot => !rangesOverlap(slot.start, slot.end, start, item.emergencyCursor));
+          estimate = { doctor: item.doctor, start };
+        }
+      } else {
+        let best = null;
+        for (const item of candidates) {
+          const slot = item.freeSlots.find(free => free.start >= item.emergencyCursor);
+          if (slot && (!best || slot.start < best.slot.start)) {
+            best = { item, slot };
+          }
+        }
+        if (best) {
+          best.item.freeSlots = best.item.freeSlots.filter(slot => slot !== best.slot);
+          estimate = { doctor: best.item.doctor, start: best.slot.start };
+        }
+      }
+
+      return {
+        id: entry._id,
+        tokenNumber: entry.tokenNumber,
+        position: index + 1,
+        kind: entry.kind,
+        reason: entry.reason,
+        procedure: entry.procedure,
+        checkedInAt: entry.checkedInAt,
+        patient: entry.patientId,
+        requestedDoctor: entry.doctorId,
+        estimatedDoctor: estimate ? {
+          id: estimate.doctor._id,
+          name: `Dr. ${estimate.doctor.firstName} ${estimate.doctor.lastName}`
+        } : null,
+        estimatedStartTime: estimate ? minutesToTime(estimate.start) : null,
+        estimatedWaitMinutes: estimate ? Math.max(0, estimate.start - nowMinutes) : null
+      };
+    });
+  }
+
+  // Push the doctor's not-yet-started appointments back so an emergency can be seen now
+  async shiftForEmergency(doctorId, date, emergencyEnd) {
+    const nowMinutes = timeToMinutes(getClinicTime());
+    const appointments = await Appointment.getDoctorAppointments(doctorId, date);
+
+    // Only untouched bookings move; confirmed ones keep the time the doctor set for them
+    const isMovable = appointment => appointment.status === 'scheduled' && !appointment.isStarted();
+
+    // Shifted appointments must stay inside the doctor's hours and out of leave and other bookings
+    const { schedule } = await availabilityService.resolveSchedule(doctorId, date);
+    const dayName = getDayName(date);
+    const workingBlocks = (schedule && schedule.weeklySchedule[dayName] ? schedule.weeklySchedule[dayName] : [])
+      .filter(block => block.type !== 'Day Off' && block.isAvailable !== false)
+      .map(block => ({
+        start: timeToMinutes(block.startTime),
+        end: Math.min(timeToMinutes(block.endTime), LAST_MINUTE_OF_DAY)
+      }))
+      .sort((a, b) => a.start - b.start);
+
+    const leaves = await availabilityService.findBlockingLeaves(doctorId, date);
+    const blockedRanges = [
+      ...leaves.map(leave => leave.getBlockedWindow()),
+      ...appointments.filter(appointment => !isMovable(appointment))
+    ].map(range => ({ start: timeToMinutes(range.startTime), end: timeToMinutes(range.endTime) }));
+
+    const shifted = [];
+    const displaced = [];
+    let cursor = emergencyEnd;
+
+    // Leave the appointment at its time and flag it for the doctor to move by hand
+    const displace = async (appointment, reason) => {
+      appointment.requiresReschedule = true;
+      appointment.rescheduleRequiredReason = reason;
+      await appointment.save();
+      displaced.push(appointment);
+    };
+
+    for (const appointment of appointments) {
+      const start = timeToMinutes(appointment.startTime);
+      const end = timeToMinutes(appointment.endTime);
+
+      if (!isMovable(appointment) || end <= nowMinutes) {
+        continue;
+      }
+      if (start >= cursor) {
+        break;
+      }
+
+      const newStart = findShiftedStart(cursor, end - start, workingBlocks, blockedRanges);
+
+      if (newStart === null) {
+        await displace(appointment, 'Displaced by an emergency');
+        continue;
+      }
+
+      const delayMinutes = newStart - start;
+      const newEnd = end + delayMinutes;
+      const oldTimeRange = appointment.timeRange;
+      const newStartTime = minutesToTime(newStart);
+      const newEndTime = minutesToTime(newEnd);
+
+      // Only move the appointment if its chairs and kits can be held at the new time
+      const allocation = await resourceService.allocate(date, appointment.slotType, newStartTime, newEndTime, appointment._id);
+      if (!allocation.available) {
+        await displace(appointment, 'Displaced by an emergency; no chair or room is free at the shifted time');
+        continue;
+      }
+
+      appointment.resources = allocation.resourceIds;
+      appointment.startTime = newStartTime;
+      appointment.endTime = newEndTime;
+      appointment.patientConfirmedAt = undefined; // Confirmation was for the old time
+      await appointment.save();
+
+      shifted.push({ appointment, oldTimeRange, delayMinutes });
+      cursor = newEnd;
+    }
+
+    return { shifted, displaced };
+  }
+
+  // Reschedule reminders and email patients whose appointments were pushed back
+  async notifyShiftedAppointments(shifted) {
+    for (const { appointment, oldTimeRange, delayMinutes } of shifted) {
+      await reminderService.scheduleForAppointment(appointment);
+
+      await appointment.populate('patientId', 'firstName lastName email');
+      await appointment.populate('doctorId', 'firstName lastName specialization');
+
+      emailService.sendAppointmentDelayNotification({
+        patientEmail: appointment.patientId.email,
+        patientName: `${appointment.patientId.firstName} ${appointment.patientId.lastName}`,
+        doctorName: `Dr. ${appointment.doctorId.firstName} ${appointment.doctorId.lastName}`,
+        appointmentDate: appointment.appointmentDate,
+        oldTimeRange,
+        newTimeRange: appointment.timeRange,
+        delayMinutes,
+        calendarInvite: buildAppointmentInvite(appointment, 'REQUEST')
+      })
+        .then((emailResult) => {
+          if (emailResult.success) {
+            console.log('✅ Appointment delay email sent successfully');
+          } else {
+            console.error('❌ Failed to send appointment delay email:', emailResult.error);
+          }
+        })
+        .catch((emailError) => {
+          console.error('❌ Error sending appointment delay email:', emailError);
+        });
+    }
+  }
+
+  // Take the next patient from the queue for a doctor and start their appointment now
+  async pullNext(doctor) {
+    const today = getClinicToday();
+    const appointmentDate = toStorageDate(today);
+
+    const result = await BookingLock.withLock(doctor._id, appointmentDate, async () => {
+      const candidates = await QueueEntry.getWaiting(today, doctor._id);
+
+      for (const candidate of candidates) {
+        const startMinutes = timeToMinutes(getClinicTime());
+        const duration = candidate.kind === 'emergency'
+          ? this.emergencyDurationMinutes
+          : resolveSlotSettings(doctor, { procedure: candidate.procedure }).duration;
+        const endMinutes = Math.min(startMinutes + duration, LAST_MINUTE_OF_DAY);
+
+        if (endMinutes <= startMinutes) {
+          return { status: 400, message: 'There is no time left today to see another patient' };
+        }
+
+        const startTime = minutesToTime(startMinutes);
+        const endTime = minutesToTime(endMinutes);
+
+        // Walk-ins wait for a gap; emergencies push booked patients back instead
+        if (candidate.kind !== 'emergency') {
+          const conflicts = await Appointment.findConflicts(doctor._id, appointmentDate, startTime, endTime);
+          if (conflicts.length > 0) {
+            return {
+              status: 409,
+              message: 'You have a booked appointment at this time. Take the next walk-in when you are free.',
+              conflicts
+            };
+          }
+        }
+
+        // Claim the entry; another doctor may have taken an unassigned patient in the meantime
+        const entry = await QueueEntry.findOneAndUpdate(
+          { _id: candidate._id, status: 'waiting' },
+          { $set: { status: 'called', calledAt: new Date(), doctorId: doctor._id } },
+          { new: true }
+        );
+        if (!entry) {
+          continue;
+        }
+
+        return resourceService.withAllocationLock(appointmentDate, async () => {
+          const { shifted, displaced } = entry.kind === 'emergency'
+            ? await this.shiftForEmergency(doctor._id, appointmentDate, endMinutes)
+            : { shifted: [], displaced: [] };
+
+          const slotType = entry.kind === 'emergency' ? 'Emergency' : resolveAppointmentSlotType('Available', startTime);
+          const allocation = await resourceService.allocate(appointmentDate, slotType, startTime, endTime);
+
+          // Emergencies go ahead with whatever is free; walk-ins need the full set
+          if (!allocation.available && entry.kind !== 'emergency') {
+            entry.status = 'waiting';
+            entry.calledAt = undefined;
+            await entry.save();
+            return { status: 409, message: resourceService.describeMissing(allocation.missingTypes) };
+          }
+
+          const appointment = new Appointment({
+            patientId: entry.patientId,
+            doctorId: doctor._id,
+            appointmentDate,
+            startTime,
+            endTime,
+            slotType,
+            procedure: entry.procedure,
+            symptoms: entry.reason || '',
+            isEmergency: entry.kind === 'emergency',
+            resources: allocation.resourceIds,
+            // The doctor is seeing the patient now
+            status: 'confirmed',
+            startedAt: new Date()
+          });
+          await appointment.save();
+
+          entry.appointmentId = appointment._id;
+          await entry.save();
+
+          return { entry, appointment, shifted, displaced };
+        });
+      }
+
+      return { status: 404, message: 'No patients are waiting in the queue' };
+    });
+
+    if (result.appointment) {
+      if (result.shifted.length > 0 || result.displaced.length > 0) {
+        console.log(`🚑 Emergency for doctor ${doctor._id}: shifted ${result.shifted.length}, displaced ${result.displaced.length} appointments`);
+      }
+      await this.notifyShiftedAppointments(result.shifted);
+    }
+
+    return result;
+  }
+}
+
+module.exports = new QueueService();
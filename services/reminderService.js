@@ -0,0 +1,145 @@
+const Appointment = require('../models/Appointment');
+const emailService = require('./emailService');
+const jobRunner = require('./jobRunner');
+const { buildAppointmentActionUrls } = require('../utils/appointmentLinks');
+
+const REMINDER_JOB_TYPE = 'appointment-reminder';
+
+class ReminderService {
+  constructor() {
+    // Hours before the appointment to send reminders, e.g. APPOINTMENT_REMINDER_HOURS=24,2
+    this.offsetsHours = (process.env.APPOINTMENT_REMINDER_HOURS || '24,2')
+      .split(',')
+      .map(value => parseFloat(value.trim()))
+      .filter(value => Number.isFinite(value) && value > 0)
+      .sort((a, b) => b - a);
+
+    jobRunner.register(REMINDER_JOB_TYPE, job => this.sendReminder(job));
+  }
+
+  // Schedule reminders for an appointment, replacing any that are still pending
+  async scheduleForAppointment(appointment) {
+    try {
+      await this.cancelForAppointment(appointment._id);
+
+      if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+        return [];
+      }
+
+      const startsAt = appointment.getStartDateTime();
+      const now = new Date();
+      const reminders = [];
+
+      for (const offsetHours of this.offsetsHours) {
+        const runAt = new Date(startsAt.getTime() - offsetHours * 60 * 60 * 1000);
+
+        // Booked too late for this reminder
+        if (runAt <= now) {
+          continue;
+        }
+
+        const job = await jobRunner.schedule(REMINDER_JOB_TYPE, runAt, {
+          appointmentId: appointment._id,
+          offsetHours,
+          startsAt
+        }, { referenceId: appointment._id });
+
+        reminders.push({
+          offsetHours,
+          scheduledFor: runAt,
+          jobId: job._id,
+          status: 'pending'
+        });
+      }
+
+      if (reminders.length > 0) {
+        await Appointment.updateOne(
+          { _id: appointment._id },
+          { $push: { reminders: { $each: reminders } } }
+        );
+      }
+
+      console.log(`⏰ Scheduled ${reminders.length} reminders for appointment ${appointment._id}`);
+
+      return reminders;
+    } catch (error) {
+      // Never fail the booking or reschedule because reminders could not be queued
+      console.error('❌ Error scheduling appointment reminders:', error);
+      return [];
+    }
+  }
+
+  // Cancel pending reminders for an appointment that was cancelled or moved
+  async cancelForAppointment(appointmentId) {
+    const cancelled = await jobRunner.cancel(appointmentId, REMINDER_JOB_TYPE);
+
+    await Appointment.updateOne(
+      { _id: appointmentId },
+      { $set: { 'reminders.$[reminder].status': 'cancelled' } },
+      { arrayFilters: [{ 'reminder.status': 'pending' }] }
+    );
+
+    return cancelled;
+  }
+
+  // Record the outcome of a reminder on the appointment
+  async recordDelivery(appointmentId, jobId, status, error) {
+    const update = { $set: { 'reminders.$.status': status } };
+    if (status === 'sent') {
+      update.$set['reminders.$.sentAt'] = new Date();
+      update.$unset = { 'reminders.$.error': '' };
+    }
+    if (error) {
+      update.$set['reminders.$.error'] = String(error).substring(0, 500);
+    }
+
+    await Appointment.updateOne({ _id: appointmentId, 'reminders.jobId': jobId }, update);
+  }
+
+  // Job handler: email the patient if the appointment is still on as booked
+  async sendReminder(job) {
+    const { appointmentId, offsetHours, startsAt } = job.payload;
+
+    const appointment = await Appointment.findById(appointmentId)
+      .populate('doctorId', 'firstName lastName specialization')
+      .populate('patientId', 'firstName lastName email');
+
+    if (!appointment) {
+      return;
+    }
+
+    // The appointment was cancelled, completed or moved since this reminder was queued
+    const isStillBooked = ['scheduled', 'confirmed'].includes(appointment.status);
+    const isSameTime = appointment.getStartDateTime().getTime() === new Date(startsAt).getTime();
+    if (!isStillBooked || !isSameTime) {
+      await this.recordDelivery(appointment._id, job._id, 'skipped');
+      return;
+    }
+
+    const { confirmUrl, cancelUrl } = buildAppointmentActionUrls(appointment);
+
+    const emailResult = await emailService.sendAppointmentReminder({
+      patientEmail: appointment.patientId.email,
+      patientName: `${appointment.patientId.firstName} ${appointment.patientId.lastName}`,
+      doctorName: `Dr. ${appointment.doctorId.firstName} ${appointment.doctorId.lastName}`,
+      specialization: appointment.doctorId.specialization,
+      appointmentDate: appointment.appointmentDate,
+      timeRange: appointment.timeRange,
+      slotType: appointment.slotType,
+      hoursBefore: offsetHours,
+      // Already-confirmed patients only need the cancel link
+      confirmUrl: appointment.patientConfirmedAt ? null : confirmUrl,
+      cancelUrl
+    });
+
+    if (!emailResult.success) {
+      await this.recordDelivery(appointment._id, job._id, 'failed', emailResult.error);
+      // Let the job runner retry
+      throw new Error(emailResult.error || 'Failed to send reminder email');
+    }
+
+    await this.recordDelivery(appointment._id, job._id, 'sent');
+  }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,151 @@
+const Appointment = require('../models/Appointment');
+const BookingLock = require('../models/BookingLock');
+const Resource = require('../models/Resource');
+const clinicConfig = require('../config/clinic');
+const { timeToMinutes, rangesOverlap, resolveAppointmentSlotType } = require('../utils/slotGenerator');
+
+const RESOURCE_LABELS = {
+  'dental-chair': 'dental chair',
+  'xray-room': 'X-ray room',
+  'sterilised-kit': 'sterilised kit',
+  'other': 'resource'
+};
+
+class ResourceService {
+  // Resource types an appointment of this slot type needs
+  getRequiredTypes(slotType) {
+    return clinicConfig.resourceRequirements[slotType] || [];
+  }
+
+  // Load active resources and the appointments already holding them on a date
+  async loadDay(date, excludeAppointmentId = null) {
+    const [resources, bookings] = await Promise.all([
+      Resource.findActive(),
+      Appointment.getResourceBookings(date, excludeAppointmentId)
+    ]);
+    return { resources, bookings };
+  }
+
+  // Check a resource is free for a time range, keeping its turnaround clear after every use
+  isResourceFree(resource, bookings, startTime, endTime) {
+    const turnaround = resource.turnaroundMinutes || 0;
+    const resourceId = resource._id.toString();
+
+    return !bookings.some(booking =>
+      booking.resources.some(id => id.toString() === resourceId) &&
+      rangesOverlap(
+        timeToMinutes(startTime),
+        timeToMinutes(endTime) + turnaround,
+        timeToMinutes(booking.startTime),
+        timeToMinutes(booking.endTime) + turnaround
+      ));
+  }
+
+  // Pick one free resource per required type; types the clinic has no resources for are not enforced
+  pickResources(day, slotType, startTime, endTime) {
+    const resources = [];
+    const missingTypes = [];
+
+    for (const type of this.getRequiredTypes(slotType)) {
+      const candidates = day.resources.filter(resource => resource.type === type);
+      if (candidates.length === 0) {
+        continue;
+      }
+
+      const free = candidates.find(resource => this.isResourceFree(resource, day.bookings, startTime, endTime));
+      if (free) {
+        resources.push(free);
+      } else {
+        missingTypes.push(type);
+      }
+    }
+
+    return { available: missingTypes.length === 0, resources, missingTypes };
+  }
+
+  // Mark generated slots unavailable when no suitable resource is free for them
+  async markResourceAvailability(slots, date, options = {}) {
+    const { excludeAppointmentId } = options;
+    const day = await this.loadDay(date, excludeAppointmentId);
+
+    if (day.resources.length === 0) {
+      return slots;
+    }
+
+    return slots.map(slot => {
+      if (!slot.isAvailable) {
+        return slot;
+      }
+      const slotType = resolveAppointmentSlotType(slot.type, slot.startTime);
+      const { available } = this.pickResources(day, slotType, slot.startTime, slot.endTime);
+      return available ? slot : { ...slot, isAvailable: false, status: 'resource-unavailable' };
+    });
+  }
+
+  // Choose resources for an appointment; call inside withAllocationLock so two doctors can't take the same chair
+  async allocate(date, slotType, startTime, endTime, excludeAppointmentId = null) {
+    const day = await this.loadDay(date, excludeAppointmentId);
+    const result = this.pickResources(day, slotType, startTime, endTime);
+    return {
+      ...result,
+      resourceIds: result.resources.map(resource => resource._id)
+    };
+  }
+
+  // Run fn while holding the clinic-wide resource lock for a day
+  withAllocationLock(date, fn) {
+    return BookingLock.withLock(null, date, fn);
+  }
+
+  // Human-readable reason an allocation failed
+  describeMissing(missingTypes) {
+    const labels = missingTypes.map(type => RESOURCE_LABELS[type] || type);
+    return `No ${labels.join(' or ')} is free at this time. Please choose another slot.`;
+  }
+
+  // Per-resource bookings and utilisation for the front desk day view
+  async getDayUtilisation(date) {
+    const [resources, bookings] = await Promise.all([
+      Resource.findActive(),
+      Appointment.getResourceBookings(date)
+        .populate('doctorId', 'firstName lastName')
+        .populate('patientId', 'firstName lastName')
+    ]);
+
+    const openMinutes = timeToMinutes(clinicConfig.closingTime) - timeToMinutes(clinicConfig.openingTime);
+
+    return resources.map(resource => {
+      const resourceId = resource._id.toString();
+      const resourceBookings = bookings.filter(booking =>
+        booking.resources.some(id => id.toString() === resourceId));
+
+      const bookedMinutes = resourceBookings.reduce(
+        (total, booking) => total + timeToMinutes(booking.endTime) - timeToMinutes(booking.startTime),
+        0
+      );
+
+      return {
+        id: resource._id,
+        name: resource.name,
+        type: resource.type,
+        location: resource.location,
+        turnaroundMinutes: resource.turnaroundMinutes,
+        bookedMinutes,
+        openMinutes,
+        utilisation: openMinutes > 0 ? Math.min(100, Math.round((bookedMinutes / openMinutes) * 1000) / 10) : 0,
+        bookings: resourceBookings.map(booking => ({
+          appointmentId: booking._id,
+          startTime: booking.startTime,
+          endTime: booking.endTime,
+          timeRange: booking.timeRange,
+          slotType: booking.slotType,
+          status: booking.status,
+          doctorName: booking.doctorId ? `Dr. ${booking.doctorId.firstName} ${booking.doctorId.lastName}` : null,
+          patientName: booking.patientId ? `${booking.patientId.firstName} ${booking.patientId.lastName}` : null
+        }))
+      };
+    });
+  }
+}
+
+module.exports = new ResourceService();
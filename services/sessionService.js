@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const Admin = require('../models/Admin');
+const Doctor = require('../models/Doctor');
+const Pharmacist = require('../models/Pharmacist');
+const Patient = require('../models/Patient');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// How long a sign-in code handed over in a browser redirect can be exchanged for
+const SIGN_IN_CODE_TTL_SECONDS = 120;
+
+// Access token claim naming the account, per user type
+const ACCOUNT_CLAIMS = {
+  admin: 'adminId',
+  doctor: 'doctorId',
+  pharmacist: 'pharmacistId',
+  patient: 'patientId'
+};
+
+// Short readable name for a device, e.g. "Chrome on Windows"
+const describeUserAgent = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+  const os = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) {
+    return 'Unknown device';
+  }
+  return [browser && browser[0], os && `on ${os[0]}`].filter(Boolean).join(' ');
+};
+
+class SessionService {
+  // Find an account and whether it may still sign in; null for unknown accounts
+  async findAccount(userType, userId) {
+    switch (userType) {
+      case 'admin': {
+        const admin = await Admin.findById(userId).select('-password');
+        return admin && { role: admin.role, account: admin, isActive: admin.isActive };
+      }
+      case 'doctor': {
+        const doctor = await Doctor.findById(userId).select('-password');
+        return doctor && { role: 'doctor', account: doctor, isActive: doctor.availability === 'active' };
+      }
+      case 'pharmacist': {
+        const pharmacist = await Pharmacist.findById(userId).select('-password');
+        return pharmacist && { role: 'pharmacist', account: pharmacist, isActive: pharmacist.availability === 'Active' };
+      }
+      case 'patient': {
+        const patient = await Patient.findById(userId).select('-password');
+        return patient && { role: 'patient', account: patient, isActive: true };
+      }
+      default:
+        return null;
+    }
+  }
+
+  // Sign an access token for a session
+  issueAccessToken(session) {
+    const token = jwt.sign(
+      { [ACCOUNT_CLAIMS[session.userType]]: session.userId, sid: session._id },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+    const { iat, exp } = jwt.decode(token);
+    return { token, expiresIn: exp - iat };
+  }
+
+  // Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning hashes
+  generateRefreshToken(session) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    return { refreshToken: `${session._id}.${secret}`, hash: Session.hashToken(secret) };
+  }
+
+  refreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  // Start a session for a user who just signed in on this device
+  async startSession(userType, userId, req, expiresAt = this.refreshExpiry()) {
+    const userAgent = req.get('user-agent') || '';
+    const session = new Session({
+      userType,
+      userId,
+      device: {
+        label: (req.body && req.body.deviceName) ? String(req.body.deviceName).slice(0, 100) : describeUserAgent(userAgent),
+        userAgent,
+        ip: req.ip
+      },
+      expiresAt
+    });
+
+    const { refreshToken, hash } = this.generateRefreshToken(session);
+    session.refreshTokenHash = hash;
+    await session.save();
+
+    const { token, expiresIn } = this.issueAccessToken(session);
+    console.log(`🔐 Session started for ${userType} ${userId} (${session.device.label})`);
+
+    return { token, refreshToken, expiresIn, sessionId: session._id };
+  }
+
+  // Start a session for a redirect-based sign-in (Google). URLs end up in history, logs and Referer headers,
+  // so only a one-time code goes in them: the session's first refresh token, expiring within minutes.
+  // Exchanging it at /refresh rotates it and extends the session to the normal lifetime.
+  async startSessionWithCode(userType, userId, req) {
+    const expiresAt = new Date(Date.now() + SIGN_IN_CODE_TTL_SECONDS * 1000);
+    const { refreshToken, sessionId } = await this.startSession(userType, userId, req, expiresAt);
+    return { code: refreshToken, sessionId };
+  }
+
+  // Swap a refresh token for a new access token and a new refresh token
+  async refresh(refreshToken, req) {
+    const [sessionId, secret] = String(refreshToken).split('.');
+    if (!secret || !mongoose.isValidObjectId(sessionId)) {
+      return { success: false, status: 401, message: 'Refresh token is not valid' };
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive()) {
+      return { success: false, status: 401, message: 'Session has ended. Please sign in again.' };
+    }
+
+    const hash = Session.hashToken(secret);
+    if (hash !== session.refreshTokenHash) {
+      // An already-rotated token means it was copied; end the session for both holders
+      if (hash === session.previousTokenHash) {
+        await session.revoke('Refresh token reused');
+        console.log(`🚨 Refresh token reuse detected for ${session.userType} ${session.userId}; session ${session._id} revoked`);
+      }
+      return { success: false, status: 401, message: 'Refresh token is not valid' };
+    }
+
+    const resolved = await this.findAccount(session.userType, session.userId);
+    if (!resolved || !resolved.isActive) {
+      await session.revoke('Account deactivated');
+      return { success: false, status: 403, message: 'Account has been deactivated' };
+    }
+
+    const next = this.generateRefreshToken(session);
+    // Conditional on the old hash so two concurrent refreshes cannot both rotate
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: next.hash,
+          previousTokenHash: hash,
+          lastUsedAt: new Date(),
+          expiresAt: this.refreshExpiry(),
+          'device.ip': req.ip
+        }
+      },
+      { new: true }
+    );
+    if (!rotated) {
+      return { success: false, status: 401, message: 'Refresh token is not valid' };
+    }
+
+    const { token, expiresIn } = this.issueAccessToken(rotated);
+    return { success: true, token, refreshToken: next.refreshToken, expiresIn, sessionId: rotated._id };
+  }
+
+  // Resolve a verified access token to its session and account; null if either is gone
+  async authenticate(decoded) {
+    if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) {
+      return null;
+    }
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive() || decoded[ACCOUNT_CLAIMS[session.userType]] !== session.userId.toString()) {
+      return null;
+    }
+
+    const resolved = await this.findAccount(session.userType, session.userId);
+    return resolved && { ...resolved, userType: session.userType, session };
+  }
+
+  // Shape a session for the device list
+  formatSession(session, currentSessionId) {
+    return {
+      id: session._id,
+      device: session.device.label,
+      ip: session.device.ip,
+      signedInAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      isCurrent: Boolean(currentSessionId) && session._id.equals(currentSessionId)
+    };
+  }
+
+  async listSessions(userType, userId, currentSessionId = null) {
+    const sessions = await Session.findActiveForUser(userType, userId);
+    return sessions.map(session => this.formatSession(session, currentSessionId));
+  }
+
+  // Sign one of a user's devices out
+  async revokeSession(userType, userId, sessionId, reason = 'Signed out') {
+    const session = await Session.findOne({ _id: sessionId, userType, userId });
+    if (!session) {
+      return { success: false, status: 404, message: 'Session not found' };
+    }
+    if (!session.revokedAt) {
+      await session.revoke(reason);
+    }
+    return { success: true, session };
+  }
+
+  // Sign a user out on every device, optionally keeping the current one
+  async revokeAllSessions(userType, userId, reason, exceptSessionId = null) {
+    const revoked = await Session.revokeForUser(userType, userId, reason, exceptSessionId);
+    if (revoked > 0) {
+      console.log(`🔒 Revoked ${revoked} session(s) for ${userType} ${userId}: ${reason}`);
+    }
+    return revoked;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,68 @@
+const Medicine = require('../models/Medicine');
+const StockMovement = require('../models/StockMovement');
+
+class StockLedgerService {
+  // Recompute stock from the movement ledger and compare it with what the medicines hold
+  async reconcile(medicineIds = null) {
+    const query = medicineIds ? { _id: { $in: medicineIds } } : {};
+    const [medicines, balances] = await Promise.all([
+      Medicine.find(query).select('name stockQuantity batches').sort({ name: 1 }),
+      StockMovement.getBalances(medicineIds)
+    ]);
+
+    // Ledger sums keyed by medicine, then by lot ('' for movements recorded without a lot)
+    const ledger = new Map();
+    balances.forEach(({ _id, quantity }) => {
+      const medicineKey = _id.medicineId.toString();
+      if (!ledger.has(medicineKey)) {
+        ledger.set(medicineKey, new Map());
+      }
+      ledger.get(medicineKey).set(_id.batchId ? _id.batchId.toString() : '', quantity);
+    });
+
+    const results = medicines.map(medicine => {
+      const lotBalances = ledger.get(medicine._id.toString());
+      const ledgerQuantity = lotBalances ? [...lotBalances.values()].reduce((sum, quantity) => sum + quantity, 0) : 0;
+
+      const lots = medicine.batches.map(batch => {
+        const lotLedgerQuantity = lotBalances ? (lotBalances.get(batch._id.toString()) || 0) : 0;
+        return {
+          batchId: batch._id,
+          lotNumber: batch.lotNumber,
+          stockQuantity: batch.quantity,
+          ledgerQuantity: lotLedgerQuantity,
+          drift: batch.quantity - lotLedgerQuantity
+        };
+      });
+
+      const drift = medicine.stockQuantity - ledgerQuantity;
+      const unassignedQuantity = lotBalances ? (lotBalances.get('') || 0) : 0;
+
+      return {
+        medicineId: medicine._id,
+        name: medicine.name,
+        // Medicines untouched since the ledger was introduced have no entries yet
+        tracked: Boolean(lotBalances),
+        stockQuantity: medicine.stockQuantity,
+        ledgerQuantity,
+        drift,
+        // Movements recorded before the medicine's stock was split into lots
+        unassignedQuantity,
+        // Lot totals can only be trusted when every movement was recorded against a lot
+        hasDrift: Boolean(lotBalances) && (drift !== 0 || (unassignedQuantity === 0 && lots.some(lot => lot.drift !== 0))),
+        lots
+      };
+    });
+
+    return {
+      summary: {
+        checked: results.length,
+        untracked: results.filter(result => !result.tracked).length,
+        withDrift: results.filter(result => result.hasDrift).length
+      },
+      medicines: results
+    };
+  }
+}
+
+module.exports = new StockLedgerService();
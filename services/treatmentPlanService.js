@@ -0,0 +1,78 @@
+const Appointment = require('../models/Appointment');
+const TreatmentPlan = require('../models/TreatmentPlan');
+
+class TreatmentPlanService {
+  // Work out a step's status from the appointments linked to it
+  async syncStep(step) {
+    if (step.status === 'cancelled') {
+      return;
+    }
+
+    const appointments = await Appointment.find({ _id: { $in: step.appointmentIds } }).select('status');
+    const completedVisits = appointments.filter(appointment => appointment.status === 'completed').length;
+
+    if (completedVisits >= step.estimatedVisits) {
+      if (step.status !== 'completed') {
+        step.status = 'completed';
+        step.completedAt = new Date();
+      }
+    } else if (appointments.some(appointment => ['scheduled', 'confirmed'].includes(appointment.status))) {
+      step.status = 'scheduled';
+      step.completedAt = undefined;
+    } else {
+      step.status = 'planned';
+      step.completedAt = undefined;
+    }
+  }
+
+  // Link an appointment to a plan step
+  async linkAppointment(plan, stepId, appointment) {
+    const { step } = plan.findStep(stepId);
+
+    if (!step.appointmentIds.some(id => id.toString() === appointment._id.toString())) {
+      step.appointmentIds.push(appointment._id);
+    }
+
+    await this.syncStep(step);
+    plan.refreshStatus();
+    await plan.save();
+    return plan;
+  }
+
+  // Link a prescription to a plan step
+  async linkPrescription(plan, stepId, prescription) {
+    const { step } = plan.findStep(stepId);
+
+    if (!step.prescriptionIds.some(id => id.toString() === prescription._id.toString())) {
+      step.prescriptionIds.push(prescription._id);
+    }
+
+    await plan.save();
+    return plan;
+  }
+
+  // Update any plan steps linked to an appointment after it is booked, cancelled, completed or missed
+  async syncForAppointment(appointmentId) {
+    try {
+      const plans = await TreatmentPlan.findByAppointment(appointmentId);
+
+      for (const plan of plans) {
+        const steps = plan.phases
+          .flatMap(phase => phase.steps)
+          .filter(step => step.appointmentIds.some(id => id.toString() === appointmentId.toString()));
+
+        for (const step of steps) {
+          await this.syncStep(step);
+        }
+
+        plan.refreshStatus();
+        await plan.save();
+      }
+    } catch (error) {
+      // Never fail the appointment change itself
+      console.error('❌ Error syncing treatment plan for appointment:', error);
+    }
+  }
+}
+
+module.exports = new TreatmentPlanService();
@@ -0,0 +1,245 @@
+const jwt = require('jsonwebtoken');
+const { body, validationResult } = require('express-validator');
+const Admin = require('../models/Admin');
+const Doctor = require('../models/Doctor');
+const Pharmacist = require('../models/Pharmacist');
+const { TWO_FACTOR_SECRET_FIELDS } = require('../models/plugins/twoFactor');
+const { buildOtpauthUri } = require('../utils/totp');
+const sessionService = require('./sessionService');
+
+// Account types that can enroll; patients sign in with a password or Google only
+const MODELS = {
+  admin: Admin,
+  doctor: Doctor,
+  pharmacist: Pharmacist
+};
+
+const CHALLENGE_PURPOSE = 'two-factor-login';
+const CHALLENGE_TTL = '5m';
+
+class TwoFactorService {
+  // Load an account together with its 2FA secrets
+  findWithSecrets(userType, userId) {
+    return MODELS[userType].findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+  }
+
+  // Short-lived token proving the password step passed; exchanged for a session with a valid code
+  createChallenge(userType, account) {
+    return jwt.sign(
+      { purpose: CHALLENGE_PURPOSE, userType, userId: account._id },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_TTL }
+    );
+  }
+
+  // Response sent instead of a session when the password was right but a code is still needed
+  challengeResponse(userType, account) {
+    return {
+      success: true,
+      requiresTwoFactor: true,
+      message: 'Enter the code from your authenticator app or one of your backup codes',
+      challengeToken: this.createChallenge(userType, account)
+    };
+  }
+
+  // Finish a sign-in started with a password; allowedUserTypes limits which login route it completes
+  async completeChallenge(challengeToken, code, allowedUserTypes) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return { success: false, status: 401, message: 'Sign-in attempt has expired. Please sign in again.' };
+    }
+
+    if (decoded.purpose !== CHALLENGE_PURPOSE || !allowedUserTypes.includes(decoded.userType)) {
+      return { success: false, status: 401, message: 'Sign-in attempt is not valid. Please sign in again.' };
+    }
+
+    const resolved = await sessionService.findAccount(decoded.userType, decoded.userId);
+    if (!resolved) {
+      return { success: false, status: 401, message: 'Sign-in attempt is not valid. Please sign in again.' };
+    }
+    if (!resolved.isActive) {
+      return { success: false, status: 403, message: 'Your account has been deactivated. Please contact the administrator.' };
+    }
+
+    const account = await this.findWithSecrets(decoded.userType, decoded.userId);
+    if (account.isTwoFactorLocked()) {
+      return { success: false, status: 429, message: 'Too many incorrect codes. Please try again later.' };
+    }
+
+    const result = await account.verifyTwoFactorCode(code);
+    if (!result.valid) {
+      return { success: false, status: 401, message: 'Invalid authentication code' };
+    }
+
+    if (result.method === 'backup-code') {
+      console.log(`🔑 ${decoded.userType} ${account.email} signed in with a backup code (${result.backupCodesRemaining} left)`);
+    }
+
+    return {
+      success: true,
+      userType: decoded.userType,
+      account,
+      backupCodesRemaining: result.backupCodesRemaining
+    };
+  }
+
+  // Validators and middleware for the second sign-in step, shared by the staff login routes.
+  // A repeat call with { challengeToken, code } is verified here and the account put on req.twoFactorLogin;
+  // a first call with email and password passes straight through to the route
+  loginStep(allowedUserTypes) {
+    return [
+      body('challengeToken').optional().isString().withMessage('Challenge token must be a string'),
+      body('code').if(body('challengeToken').exists()).trim().notEmpty().withMessage('Authentication code is required'),
+      async (req, res, next) => {
+        // Invalid input is reported by the route's own validation check
+        if (!req.body.challengeToken || !validationResult(req).isEmpty()) {
+          return next();
+        }
+
+        try {
+          const challenge = await this.completeChallenge(req.body.challengeToken, req.body.code, allowedUserTypes);
+          if (!challenge.success) {
+            return res.status(challenge.status).json({
+              success: false,
+              message: challenge.message
+            });
+          }
+
+          req.twoFactorLogin = { userType: challenge.userType, account: challenge.account };
+          next();
+        } catch (error) {
+          console.error('Two-factor sign-in error:', error);
+          res.status(500).json({
+            success: false,
+            message: 'Server error. Please try again.'
+          });
+        }
+      }
+    ];
+  }
+
+  // Challenge to send back once the password is checked, or null if the sign-in can go ahead
+  challengeFor(req, userType, account) {
+    if (req.twoFactorLogin || !account.twoFactor || !account.twoFactor.enabled) {
+      return null;
+    }
+    return this.challengeResponse(userType, account);
+  }
+
+  // Shape an account's 2FA state for responses
+  getStatus(account) {
+    return {
+      enabled: account.twoFactor.enabled,
+      required: account.twoFactor.required,
+      enabledAt: account.twoFactor.enabledAt,
+      ...(account.twoFactor.backupCodes && {
+        backupCodesRemaining: account.twoFactor.backupCodes.filter(entry => !entry.usedAt).length
+      })
+    };
+  }
+
+  async beginEnrollment(userType, userId) {
+    const account = await this.findWithSecrets(userType, userId);
+    if (account.twoFactor.enabled) {
+      return { success: false, status: 400, message: 'Two-factor authentication is already enabled' };
+    }
+
+    const secret = await account.beginTwoFactorEnrollment();
+    return {
+      success: true,
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: account.email })
+    };
+  }
+
+  async confirmEnrollment(userType, userId, code) {
+    const account = await this.findWithSecrets(userType, userId);
+    if (account.twoFactor.enabled) {
+      return { success: false, status: 400, message: 'Two-factor authentication is already enabled' };
+    }
+    if (!account.twoFactor.pendingSecret) {
+      return { success: false, status: 400, message: 'Start two-factor setup first' };
+    }
+
+    const backupCodes = await account.confirmTwoFactorEnrollment(code);
+    if (!backupCodes) {
+      return { success: false, status: 400, message: 'Invalid authentication code' };
+    }
+
+    console.log(`🔐 Two-factor authentication enabled for ${userType} ${account.email}`);
+    return { success: true, backupCodes, twoFactor: this.getStatus(account) };
+  }
+
+  // Sensitive changes need a fresh code, so a stolen session alone cannot turn 2FA off
+  async verifyCurrentCode(account, code) {
+    if (!account.twoFactor.enabled) {
+      return { success: false, status: 400, message: 'Two-factor authentication is not enabled' };
+    }
+    if (account.isTwoFactorLocked()) {
+      return { success: false, status: 429, message: 'Too many incorrect codes. Please try again later.' };
+    }
+
+    const result = await account.verifyTwoFactorCode(code);
+    if (!result.valid) {
+      return { success: false, status: 400, message: 'Invalid authentication code' };
+    }
+    return { success: true };
+  }
+
+  async regenerateBackupCodes(userType, userId, code) {
+    const account = await this.findWithSecrets(userType, userId);
+    const check = await this.verifyCurrentCode(account, code);
+    if (!check.success) {
+      return check;
+    }
+
+    const backupCodes = await account.regenerateBackupCodes();
+    return { success: true, backupCodes };
+  }
+
+  async disable(userType, userId, password, code) {
+    const account = await this.findWithSecrets(userType, userId);
+    if (account.twoFactor.required) {
+      return { success: false, status: 403, message: 'Two-factor authentication is required for your account by an administrator' };
+    }
+
+    if (!await account.comparePassword(password)) {
+      return { success: false, status: 400, message: 'Password is incorrect' };
+    }
+
+    const check = await this.verifyCurrentCode(account, code);
+    if (!check.success) {
+      return check;
+    }
+
+    await account.clearTwoFactor();
+    console.log(`🔓 Two-factor authentication disabled for ${userType} ${account.email}`);
+    return { success: true, twoFactor: this.getStatus(account) };
+  }
+
+  // Admin action: require 2FA for an account and/or clear its enrollment after a lost device
+  async adminUpdate(userType, userId, { required, reset }, performedBy) {
+    const account = await this.findWithSecrets(userType, userId);
+    if (!account) {
+      return { success: false, status: 404, message: 'Account not found' };
+    }
+
+    if (reset) {
+      await account.clearTwoFactor();
+      // Whoever holds the lost device may still be signed in
+      await sessionService.revokeAllSessions(userType, account._id, 'Two-factor reset by admin');
+      console.log(`🔓 Two-factor authentication reset for ${userType} ${account.email} by ${performedBy.email}`);
+    }
+
+    if (required !== undefined) {
+      account.twoFactor.required = required;
+      await account.save();
+    }
+
+    return { success: true, twoFactor: this.getStatus(account) };
+  }
+}
+
+module.exports = new TwoFactorService();
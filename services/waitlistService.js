@@ -0,0 +1,209 @@
+const Appointment = require('../models/Appointment');
+const BookingLock = require('../models/BookingLock');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const emailService = require('./emailService');
+const resourceService = require('./resourceService');
+const { getDateString, toClinicDateTime, toDayStart, getClinicToday } = require('../utils/dateUtils');
+
+class WaitlistService {
+  constructor() {
+    // How long a freed slot is held for a waitlisted patient before moving on
+    this.holdMinutes = parseInt(process.env.WAITLIST_HOLD_MINUTES, 10) || 30;
+    this.expiryTimer = null;
+  }
+
+  // Format HH:MM times the same way as Appointment.timeRange
+  formatTimeRange(startTime, endTime) {
+    const formatTime = (time24) => {
+      const [hours, minutes] = time24.split(':');
+      const hour = parseInt(hours, 10);
+      const period = hour >= 12 ? 'PM' : 'AM';
+      const hour12 = hour === 0 ? 12 : hour > 12 ? hour - 12 : hour;
+      return `${hour12}:${minutes} ${period}`;
+    };
+    return `${formatTime(startTime)} - ${formatTime(endTime)}`;
+  }
+
+  // Offer a freed slot to the next waitlisted patient; returns the entry or null
+  async offerFreedSlot({ doctorId, appointmentDate, startTime, endTime, slotType }) {
+    try {
+      const date = new Date(appointmentDate);
+
+      // Don't offer slots that are already in the past
+      if (toClinicDateTime(date, startTime) < new Date()) {
+        return null;
+      }
+
+      // The window may already be partly reused (e.g. an appointment moved within the same day)
+      const conflicts = await Appointment.findConflicts(doctorId, date, startTime, endTime);
+      if (conflicts.length > 0) {
+        return null;
+      }
+
+      const entry = await WaitlistEntry.findNextForSlot(doctorId, date);
+      if (!entry) {
+        console.log(`⏳ No waitlisted patients for doctor ${doctorId} on ${getDateString(date)}`);
+        return null;
+      }
+
+      const now = new Date();
+      entry.status = 'offered';
+      entry.offer = {
+        appointmentDate: date,
+        startTime,
+        endTime,
+        slotType,
+        offeredAt: now,
+        expiresAt: new Date(now.getTime() + this.holdMinutes * 60 * 1000)
+      };
+      entry.offerCount += 1;
+      await entry.save();
+
+      await entry.populate('patientId', 'firstName lastName email');
+      await entry.populate('doctorId', 'firstName lastName specialization');
+
+      console.log(`⏳ Offered ${startTime}-${endTime} to waitlisted patient ${entry.patientId._id} until ${entry.offer.expiresAt.toISOString()}`);
+
+      emailService.sendWaitlistSlotOffer({
+        patientEmail: entry.patientId.email,
+        patientName: `${entry.patientId.firstName} ${entry.patientId.lastName}`,
+        doctorName: `Dr. ${entry.doctorId.firstName} ${entry.doctorId.lastName}`,
+        specialization: entry.doctorId.specialization,
+        appointmentDate: date,
+        timeRange: this.formatTimeRange(startTime, endTime),
+        expiresAt: entry.offer.expiresAt
+      })
+        .then((emailResult) => {
+          if (emailResult.success) {
+            console.log('✅ Waitlist offer email sent successfully');
+          } else {
+            console.error('❌ Failed to send waitlist offer email:', emailResult.error);
+          }
+        })
+        .catch((emailError) => {
+          console.error('❌ Error sending waitlist offer email:', emailError);
+        });
+
+      return entry;
+    } catch (error) {
+      // Never fail the cancellation/reschedule that freed the slot
+      console.error('❌ Error offering freed slot to waitlist:', error);
+      return null;
+    }
+  }
+
+  // Release an offer (declined or expired) and pass the slot on to the next patient
+  async releaseOffer(entry, status) {
+    const freedSlot = {
+      doctorId: entry.doctorId._id || entry.doctorId,
+      appointmentDate: entry.offer.appointmentDate,
+      startTime: entry.offer.startTime,
+      endTime: entry.offer.endTime,
+      slotType: entry.offer.slotType
+    };
+
+    entry.status = status;
+    entry.offer = undefined;
+    await entry.save();
+
+    const nextEntry = await this.offerFreedSlot(freedSlot);
+
+    // A patient who declined this particular slot keeps waiting for another one
+    if (status === 'declined' && entry.toDate >= toDayStart(getClinicToday())) {
+      entry.status = 'waiting';
+      await entry.save();
+    }
+
+    return nextEntry;
+  }
+
+  // Book the held slot for the patient who accepted the offer
+  async acceptOffer(entry) {
+    if (!entry.isOfferActive) {
+      return { success: false, status: 410, message: 'This offer has expired' };
+    }
+
+    const { appointmentDate, startTime, endTime, slotType } = entry.offer;
+
+    const result = await BookingLock.withLock(entry.doctorId, appointmentDate, async () => {
+      const conflicts = await Appointment.findConflicts(entry.doctorId, appointmentDate, startTime, endTime);
+      if (conflicts.length > 0) {
+        return { conflicts };
+      }
+
+      return resourceService.withAllocationLock(appointmentDate, async () => {
+        const allocation = await resourceService.allocate(appointmentDate, slotType, startTime, endTime);
+        if (!allocation.available) {
+          return { allocation };
+        }
+
+        const appointment = new Appointment({
+          patientId: entry.patientId,
+          doctorId: entry.doctorId,
+          appointmentDate,
+          startTime,
+          endTime,
+          slotType,
+          procedure: entry.procedure,
+          symptoms: entry.notes || '',
+          resources: allocation.resourceIds,
+          status: 'scheduled'
+        });
+        await appointment.save();
+
+        entry.status = 'booked';
+        entry.appointmentId = appointment._id;
+        await entry.save();
+
+        return { appointment };
+      });
+    });
+
+    if (result.conflicts) {
+      return { success: false, status: 409, message: 'This slot is no longer available', conflicts: result.conflicts };
+    }
+
+    if (result.allocation) {
+      return { success: false, status: 409, message: resourceService.describeMissing(result.allocation.missingTypes) };
+    }
+
+    return { success: true, appointment: result.appointment };
+  }
+
+  // Pass on offers whose hold has lapsed
+  async expireStaleOffers() {
+    const staleEntries = await WaitlistEntry.find({
+      status: 'offered',
+      'offer.expiresAt': { $lte: new Date() }
+    });
+
+    for (const entry of staleEntries) {
+      console.log(`⏳ Waitlist offer for entry ${entry._id} expired, moving to next patient`);
+      await this.releaseOffer(entry, 'expired');
+    }
+
+    // Close out entries whose requested range has passed
+    await WaitlistEntry.updateMany(
+      { status: 'waiting', toDate: { $lt: toDayStart(getClinicToday()) } },
+      { $set: { status: 'expired' } }
+    );
+
+    return staleEntries.length;
+  }
+
+  // Periodically expire lapsed holds
+  startExpiryWatcher(intervalMs = 60 * 1000) {
+    if (this.expiryTimer) {
+      return;
+    }
+    this.expiryTimer = setInterval(() => {
+      this.expireStaleOffers().catch(error => {
+        console.error('❌ Error expiring waitlist offers:', error);
+      });
+    }, intervalMs);
+    this.expiryTimer.unref();
+    console.log(`⏳ Waitlist expiry watcher started (hold: ${this.holdMinutes} minutes)`);
+  }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,68 @@
+const jwt = require('jsonwebtoken');
+
+const APPOINTMENT_ACTIONS = ['confirm', 'cancel'];
+const TOKEN_PURPOSE = 'appointment-action';
+
+/**
+ * Generate a signed token that lets a patient confirm or cancel an appointment without logging in
+ * @param {Object} appointment - Appointment document
+ * @param {string} action - 'confirm' or 'cancel'
+ * @returns {string} Signed token, valid until the appointment starts
+ */
+function generateAppointmentActionToken(appointment, action) {
+  if (!APPOINTMENT_ACTIONS.includes(action)) {
+    throw new Error(`Unsupported appointment action: ${action}`);
+  }
+
+  const startsAt = appointment.getStartDateTime();
+  const secondsUntilStart = Math.floor((startsAt.getTime() - Date.now()) / 1000);
+
+  return jwt.sign(
+    {
+      purpose: TOKEN_PURPOSE,
+      appointmentId: appointment._id.toString(),
+      action,
+      // Ties the link to the booked time so it stops working if the appointment is moved
+      startsAt: startsAt.toISOString()
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(secondsUntilStart, 60 * 60) }
+  );
+}
+
+/**
+ * Verify an appointment action token
+ * @param {string} token - Token from the email link
+ * @returns {Object} Decoded payload ({ appointmentId, action, startsAt })
+ * @throws {Error} If the token is invalid, expired or not an appointment action token
+ */
+function verifyAppointmentActionToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== TOKEN_PURPOSE || !APPOINTMENT_ACTIONS.includes(decoded.action)) {
+    throw new Error('Invalid appointment link');
+  }
+
+  return decoded;
+}
+
+/**
+ * Build the confirm and cancel links included in reminder emails
+ * @param {Object} appointment - Appointment document
+ * @returns {{confirmUrl: string, cancelUrl: string}} Frontend URLs carrying signed tokens
+ */
+function buildAppointmentActionUrls(appointment) {
+  const frontendUrl = (process.env.FRONTEND_URL || '').split(',')[0].trim();
+
+  return {
+    confirmUrl: `${frontendUrl}/appointments/respond?token=${generateAppointmentActionToken(appointment, 'confirm')}`,
+    cancelUrl: `${frontendUrl}/appointments/respond?token=${generateAppointmentActionToken(appointment, 'cancel')}`
+  };
+}
+
+module.exports = {
+  APPOINTMENT_ACTIONS,
+  generateAppointmentActionToken,
+  verifyAppointmentActionToken,
+  buildAppointmentActionUrls
+};
@@ -0,0 +1,246 @@
+const clinicConfig = require('../config/clinic');
+
+// Calendar days are passed around as 'YYYY-MM-DD' strings in the clinic's timezone.
+// In MongoDB a calendar day is anchored in UTC (appointments at 12:00 UTC, schedules and
+// leave at 00:00 UTC) so the stored day never depends on where the server runs.
+// Wall-clock times (HH:MM) are converted to real instants through the clinic timezone.
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DATE_STRING_PATTERN = /^(\d{4})-(\d{2})-(\d{2})/;
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+const getZonedParts = (instant, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(instant).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return parts;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Get the clinic timezone
+ * @returns {string} IANA timezone name
+ */
+function getClinicTimezone() {
+  return clinicConfig.timezone;
+}
+
+/**
+ * Check whether a value starts with a valid YYYY-MM-DD calendar date
+ * @param {string} value - Date string
+ * @returns {boolean} True if the date part is a real calendar day
+ */
+function isValidDateString(value) {
+  const match = typeof value === 'string' && value.match(DATE_STRING_PATTERN);
+  if (!match) {
+    return false;
+  }
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Get the calendar day a value refers to
+ * @param {string|Date} value - 'YYYY-MM-DD' (time part ignored) or a stored day Date
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function getDateString(value) {
+  if (typeof value === 'string') {
+    const match = value.match(DATE_STRING_PATTERN);
+    if (!match) {
+      throw new Error(`Invalid date string: ${value}`);
+    }
+    return `${match[1]}-${match[2]}-${match[3]}`;
+  }
+  return new Date(value).toISOString().split('T')[0];
+}
+
+const toUTCParts = (value) => getDateString(value).split('-').map(Number);
+
+/**
+ * Convert a calendar day to the Date stored on appointments (12:00 UTC)
+ * @param {string|Date} value - Calendar day
+ * @returns {Date} Stored appointment date
+ */
+function toStorageDate(value) {
+  const [year, month, day] = toUTCParts(value);
+  return new Date(Date.UTC(year, month - 1, day, 12, 0, 0, 0));
+}
+
+/**
+ * Convert a calendar day to 00:00 UTC (used for schedule weeks, leave and waitlist ranges)
+ * @param {string|Date} value - Calendar day
+ * @returns {Date} Start of the stored day
+ */
+function toDayStart(value) {
+  const [year, month, day] = toUTCParts(value);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Get the stored range covering a calendar day, for queries
+ * @param {string|Date} value - Calendar day
+ * @returns {{start: Date, end: Date}} Half-open range [start, end)
+ */
+function getDayRange(value) {
+  const start = toDayStart(value);
+  return { start, end: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+}
+
+/**
+ * Add days to a calendar day
+ * @param {string|Date} value - Calendar day
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function addDays(value, days) {
+  const date = toDayStart(value);
+  date.setUTCDate(date.getUTCDate() + days);
+  return getDateString(date);
+}
+
+/**
+ * Get the weekday name of a calendar day
+ * @param {string|Date} value - Calendar day
+ * @returns {string} Lowercase day name, e.g. 'monday'
+ */
+function getDayName(value) {
+  return DAY_NAMES[toDayStart(value).getUTCDay()];
+}
+
+/**
+ * Get the Monday of the week containing a calendar day
+ * @param {string|Date} value - Calendar day
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function getWeekStart(value) {
+  const date = toDayStart(value);
+  return addDays(date, -((date.getUTCDay() + 6) % 7));
+}
+
+/**
+ * Get the stored bounds of the Monday-Sunday week containing a calendar day
+ * @param {string|Date} value - Calendar day
+ * @returns {{weekStartDate: Date, weekEndDate: Date}} Monday 00:00 UTC and Sunday 23:59:59.999 UTC
+ */
+function getWeekBounds(value) {
+  const weekStartDate = toDayStart(getWeekStart(value));
+  const weekEndDate = new Date(weekStartDate.getTime() + 7 * 24 * 60 * 60 * 1000 - 1);
+  return { weekStartDate, weekEndDate };
+}
+
+/**
+ * Get the clinic-local calendar day of an instant
+ * @param {Date} instant - Point in time (default: now)
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function getClinicDateString(instant = new Date()) {
+  const parts = getZonedParts(instant, getClinicTimezone());
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Get today's calendar day at the clinic
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function getClinicToday() {
+  return getClinicDateString(new Date());
+}
+
+/**
+ * Get the clinic-local wall-clock time of an instant
+ * @param {Date} instant - Point in time (default: now)
+ * @returns {string} 'HH:MM'
+ */
+function getClinicTime(instant = new Date()) {
+  const parts = getZonedParts(instant, getClinicTimezone());
+  return `${parts.hour}:${parts.minute}`;
+}
+
+const getOffsetMinutes = (instant, timeZone) => {
+  const parts = getZonedParts(instant, timeZone);
+  const asUTC = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return Math.round((asUTC - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Convert a clinic-local calendar day and wall-clock time to an instant
+ * @param {string|Date} value - Calendar day
+ * @param {string} time - 'HH:MM' (24:00 allowed for end of day)
+ * @returns {Date} Instant
+ */
+function toClinicDateTime(value, time = '00:00') {
+  const [year, month, day] = toUTCParts(value);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClockAsUTC = Date.UTC(year, month - 1, day, hours, minutes);
+  const timeZone = getClinicTimezone();
+
+  // Re-check the offset at the resulting instant to land correctly around DST changes
+  const offset = getOffsetMinutes(new Date(wallClockAsUTC), timeZone);
+  let instant = wallClockAsUTC - offset * 60000;
+  const adjustedOffset = getOffsetMinutes(new Date(instant), timeZone);
+  if (adjustedOffset !== offset) {
+    instant = wallClockAsUTC - adjustedOffset * 60000;
+  }
+
+  return new Date(instant);
+}
+
+/**
+ * Check whether a calendar day is before today at the clinic
+ * @param {string|Date} value - Calendar day
+ * @returns {boolean} True for past days
+ */
+function isPastDate(value) {
+  return getDateString(value) < getClinicToday();
+}
+
+/**
+ * Format a calendar day for display, e.g. 'Monday, March 3, 2025'
+ * @param {string|Date} value - Calendar day
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string} Formatted date
+ */
+function formatDate(value, options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }) {
+  return toStorageDate(value).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+}
+
+module.exports = {
+  DAY_NAMES,
+  getClinicTimezone,
+  isValidDateString,
+  getDateString,
+  toStorageDate,
+  toDayStart,
+  getDayRange,
+  addDays,
+  getDayName,
+  getWeekStart,
+  getWeekBounds,
+  getClinicDateString,
+  getClinicToday,
+  getClinicTime,
+  toClinicDateTime,
+  isPastDate,
+  formatDate
+};
@@ -0,0 +1,152 @@
+const PRODUCT_ID = '-//Neurodent Clinic//Appointments//EN';
+const UID_DOMAIN = 'neurodent.com';
+
+/**
+ * Format a Date as an iCalendar UTC date-time (e.g. 20250314T093000Z)
+ * @param {Date} date - Date to format
+ * @returns {string} iCalendar date-time
+ */
+function formatICSDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeICSText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to the 75-octet limit required by RFC 5545
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Stable UID for an appointment so calendar clients replace the event on updates
+ * @param {Object} appointment - Appointment document
+ * @returns {string} Event UID
+ */
+function getAppointmentUID(appointment) {
+  return `appointment-${appointment._id}@${UID_DOMAIN}`;
+}
+
+/**
+ * Build a VEVENT for an appointment (doctorId and patientId should be populated)
+ * @param {Object} appointment - Appointment document
+ * @param {Object} options - { audience: 'patient' | 'doctor', method: 'REQUEST' | 'CANCEL' | 'PUBLISH' }
+ * @returns {string[]} VEVENT lines
+ */
+function buildAppointmentEvent(appointment, options = {}) {
+  const { audience = 'patient', method = 'PUBLISH' } = options;
+  const doctor = appointment.doctorId || {};
+  const patient = appointment.patientId || {};
+  const doctorName = doctor.firstName ? `Dr. ${doctor.firstName} ${doctor.lastName}` : 'your doctor';
+  const patientName = patient.firstName ? `${patient.firstName} ${patient.lastName}` : 'Patient';
+  const isCancelled = method === 'CANCEL' || appointment.status === 'cancelled';
+
+  const summary = audience === 'doctor'
+    ? `${patientName} - ${appointment.slotType}`
+    : `Dental appointment with ${doctorName}`;
+
+  const description = [
+    audience === 'doctor' ? `Patient: ${patientName}` : `Doctor: ${doctorName}`,
+    doctor.specialization && audience !== 'doctor' ? `Specialization: ${doctor.specialization}` : null,
+    `Type: ${appointment.slotType}`,
+    appointment.procedure ? `Procedure: ${appointment.procedure}` : null,
+    appointment.symptoms ? `Notes: ${appointment.symptoms}` : null
+  ].filter(Boolean).join('\n');
+
+  const organizerEmail = process.env.EMAIL_FROM || 'noreply@neurodent.com';
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getAppointmentUID(appointment)}`,
+    `SEQUENCE:${appointment.calendarSequence || 0}`,
+    `DTSTAMP:${formatICSDate(new Date())}`,
+    `DTSTART:${formatICSDate(appointment.getStartDateTime())}`,
+    `DTEND:${formatICSDate(appointment.getEndDateTime())}`,
+    `SUMMARY:${escapeICSText(summary)}`,
+    `DESCRIPTION:${escapeICSText(description)}`,
+    'LOCATION:Neurodent Clinic',
+    `ORGANIZER;CN=Neurodent Clinic:mailto:${organizerEmail}`
+  ];
+
+  if (audience === 'patient' && patient.email) {
+    lines.push(`ATTENDEE;CN=${escapeICSText(patientName)};ROLE=REQ-PARTICIPANT:mailto:${patient.email}`);
+  }
+
+  lines.push(`STATUS:${isCancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Build a complete VCALENDAR document from appointments
+ * @param {Object[]} appointments - Appointment documents
+ * @param {Object} options - { name, audience, method }
+ * @returns {string} iCalendar text
+ */
+function buildCalendar(appointments, options = {}) {
+  const { name = 'Neurodent Appointments', method = 'PUBLISH' } = options;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    `X-WR-CALNAME:${escapeICSText(name)}`,
+    ...appointments.flatMap(appointment => buildAppointmentEvent(appointment, options)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build the calendar invite attached to booking, reschedule and cancellation emails
+ * @param {Object} appointment - Appointment document with doctorId and patientId populated
+ * @param {string} method - 'REQUEST' for new or updated events, 'CANCEL' for cancellations
+ * @returns {{method: string, filename: string, content: string}} Invite for the email service
+ */
+function buildAppointmentInvite(appointment, method = 'REQUEST') {
+  return {
+    method,
+    filename: 'appointment.ics',
+    content: buildCalendar([appointment], { audience: 'patient', method })
+  };
+}
+
+module.exports = {
+  formatICSDate,
+  getAppointmentUID,
+  buildAppointmentEvent,
+  buildCalendar,
+  buildAppointmentInvite
+};
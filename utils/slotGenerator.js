@@ -0,0 +1,196 @@
+// Default appointment length (minutes) when neither the doctor nor the procedure specifies one
+const DEFAULT_SLOT_DURATION = 30;
+
+// Default gap (minutes) left between consecutive appointments
+const DEFAULT_BUFFER_MINUTES = 0;
+
+// Clinic-wide default durations (minutes) per procedure
+const PROCEDURE_DURATIONS = {
+  'checkup': 15,
+  'consultation': 30,
+  'cleaning': 45,
+  'filling': 45,
+  'extraction': 45,
+  'root-canal': 60,
+  'crown': 60,
+  'implant': 90,
+  'surgery': 90
+};
+
+/**
+ * Convert an HH:MM time string to minutes since midnight
+ * @param {string} time - Time in 24-hour HH:MM format
+ * @returns {number} Minutes since midnight
+ */
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to an HH:MM time string
+ * @param {number} totalMinutes - Minutes since midnight
+ * @returns {string} Time in 24-hour HH:MM format
+ */
+const minutesToTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Check whether two half-open time ranges [startA, endA) and [startB, endB) overlap
+ * @param {number} startA - Start of first range in minutes
+ * @param {number} endA - End of first range in minutes
+ * @param {number} startB - Start of second range in minutes
+ * @param {number} endB - End of second range in minutes
+ * @returns {boolean} True if the ranges overlap
+ */
+const rangesOverlap = (startA, endA, startB, endB) => {
+  return startA < endB && startB < endA;
+};
+
+/**
+ * Resolve slot duration and buffer for a doctor and optional procedure.
+ * Doctor-specific procedure durations win over clinic defaults, which win
+ * over the doctor's default slot duration.
+ * @param {object} doctor - Doctor document (or plain object) with optional appointmentSettings
+ * @param {object} options - { procedure }
+ * @returns {object} { duration, bufferMinutes, procedure }
+ */
+const resolveSlotSettings = (doctor, options = {}) => {
+  const settings = (doctor && doctor.appointmentSettings) || {};
+  const procedure = options.procedure ? options.procedure.toLowerCase() : null;
+
+  let duration = settings.defaultSlotDuration || DEFAULT_SLOT_DURATION;
+
+  if (procedure) {
+    const doctorDurations = settings.procedureDurations;
+    const doctorDuration = doctorDurations
+      ? (doctorDurations.get ? doctorDurations.get(procedure) : doctorDurations[procedure])
+      : undefined;
+
+    if (doctorDuration) {
+      duration = doctorDuration;
+    } else if (PROCEDURE_DURATIONS[procedure]) {
+      duration = PROCEDURE_DURATIONS[procedure];
+    }
+  }
+
+  const bufferMinutes = settings.bufferMinutes !== undefined && settings.bufferMinutes !== null
+    ? settings.bufferMinutes
+    : DEFAULT_BUFFER_MINUTES;
+
+  return { duration, bufferMinutes, procedure };
+};
+
+/**
+ * Split schedule blocks into bookable sub-slots
+ * @param {Array} blocks - Schedule slots ({ startTime, endTime, type, isAvailable })
+ * @param {object} settings - { duration, bufferMinutes }
+ * @returns {Array} Generated slots ({ startTime, endTime, type, blockStartTime, blockEndTime })
+ */
+const generateSlots = (blocks, { duration, bufferMinutes = 0 }) => {
+  const slots = [];
+
+  if (!duration || duration <= 0) {
+    return slots;
+  }
+
+  for (const block of blocks) {
+    if (block.type === 'Day Off' || block.isAvailable === false) {
+      continue;
+    }
+
+    const blockStart = timeToMinutes(block.startTime);
+    const blockEnd = timeToMinutes(block.endTime);
+
+    for (let start = blockStart; start + duration <= blockEnd; start += duration + bufferMinutes) {
+      slots.push({
+        startTime: minutesToTime(start),
+        endTime: minutesToTime(start + duration),
+        type: block.type,
+        blockStartTime: block.startTime,
+        blockEndTime: block.endTime
+      });
+    }
+  }
+
+  return slots;
+};
+
+/**
+ * Mark generated slots as booked when they overlap an existing appointment.
+ * The buffer is applied around each appointment so a new slot cannot start
+ * before the previous patient's buffer has elapsed.
+ * @param {Array} slots - Slots from generateSlots
+ * @param {Array} appointments - Existing appointments ({ startTime, endTime })
+ * @param {number} bufferMinutes - Buffer between appointments
+ * @returns {Array} Slots with isAvailable and status set
+ */
+const markBookedSlots = (slots, appointments, bufferMinutes = 0) => {
+  return slots.map(slot => {
+    const slotStart = timeToMinutes(slot.startTime);
+    const slotEnd = timeToMinutes(slot.endTime);
+
+    const isBooked = appointments.some(appointment => rangesOverlap(
+      slotStart,
+      slotEnd,
+      timeToMinutes(appointment.startTime) - bufferMinutes,
+      timeToMinutes(appointment.endTime) + bufferMinutes
+    ));
+
+    return {
+      ...slot,
+      isAvailable: !isBooked,
+      status: isBooked ? 'booked' : 'available'
+    };
+  });
+};
+
+/**
+ * Find a generated slot by its exact start and end time
+ * @param {Array} slots - Slots from generateSlots or markBookedSlots
+ * @param {string} startTime - HH:MM start time
+ * @param {string} endTime - HH:MM end time
+ * @returns {object|undefined} Matching slot
+ */
+const findSlot = (slots, startTime, endTime) => {
+  const start = timeToMinutes(startTime);
+  const end = timeToMinutes(endTime);
+  return slots.find(slot => timeToMinutes(slot.startTime) === start && timeToMinutes(slot.endTime) === end);
+};
+
+/**
+ * Map the generic "Available" schedule block type to the appointment slot type for its time of day
+ * @param {string} slotType - Schedule block type
+ * @param {string} startTime - HH:MM start time
+ * @returns {string} Appointment slot type
+ */
+const resolveAppointmentSlotType = (slotType, startTime) => {
+  if (slotType !== 'Available') {
+    return slotType;
+  }
+  const startHour = parseInt(startTime.split(':')[0], 10);
+  if (startHour < 12) {
+    return 'Morning Consultations';
+  }
+  if (startHour < 17) {
+    return 'Afternoon Procedures';
+  }
+  return 'Evening Consultations';
+};
+
+module.exports = {
+  DEFAULT_SLOT_DURATION,
+  DEFAULT_BUFFER_MINUTES,
+  PROCEDURE_DURATIONS,
+  timeToMinutes,
+  minutesToTime,
+  rangesOverlap,
+  resolveSlotSettings,
+  generateSlots,
+  markBookedSlots,
+  findSlot,
+  resolveAppointmentSlotType
+};
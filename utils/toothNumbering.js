@@ -0,0 +1,94 @@
+// Charts are stored with FDI (two-digit, ISO 3950) tooth numbers; Universal numbers are
+// accepted on input and returned alongside for US-trained staff.
+
+const PRIMARY_LETTERS = 'ABCDEFGHIJKLMNOPQRST';
+
+const PERMANENT_TEETH = [];
+const PRIMARY_TEETH = [];
+for (const quadrant of [1, 2, 3, 4]) {
+  for (let tooth = 1; tooth <= 8; tooth++) {
+    PERMANENT_TEETH.push(`${quadrant}${tooth}`);
+  }
+}
+for (const quadrant of [5, 6, 7, 8]) {
+  for (let tooth = 1; tooth <= 5; tooth++) {
+    PRIMARY_TEETH.push(`${quadrant}${tooth}`);
+  }
+}
+
+/**
+ * Check whether a value is a valid FDI tooth number (permanent 11-48, primary 51-85)
+ * @param {string|number} value - FDI tooth number
+ * @returns {boolean} True if valid
+ */
+function isValidFdi(value) {
+  const tooth = String(value);
+  return PERMANENT_TEETH.includes(tooth) || PRIMARY_TEETH.includes(tooth);
+}
+
+/**
+ * Check whether an FDI tooth number is a primary (deciduous) tooth
+ * @param {string|number} value - FDI tooth number
+ * @returns {boolean} True for primary teeth
+ */
+function isPrimaryTooth(value) {
+  return PRIMARY_TEETH.includes(String(value));
+}
+
+/**
+ * Convert an FDI tooth number to Universal numbering
+ * @param {string|number} value - FDI tooth number
+ * @returns {string|null} Universal number (1-32) or letter (A-T), or null if invalid
+ */
+function fdiToUniversal(value) {
+  if (!isValidFdi(value)) {
+    return null;
+  }
+
+  const quadrant = Number(String(value)[0]);
+  const tooth = Number(String(value)[1]);
+
+  switch (quadrant) {
+    case 1: return String(9 - tooth);
+    case 2: return String(8 + tooth);
+    case 3: return String(25 - tooth);
+    case 4: return String(24 + tooth);
+    case 5: return PRIMARY_LETTERS[5 - tooth];
+    case 6: return PRIMARY_LETTERS[4 + tooth];
+    case 7: return PRIMARY_LETTERS[15 - tooth];
+    default: return PRIMARY_LETTERS[14 + tooth];
+  }
+}
+
+/**
+ * Convert a Universal tooth number or letter to FDI numbering
+ * @param {string|number} value - Universal number (1-32) or letter (A-T)
+ * @returns {string|null} FDI tooth number, or null if invalid
+ */
+function universalToFdi(value) {
+  const universal = String(value).trim().toUpperCase();
+  return [...PERMANENT_TEETH, ...PRIMARY_TEETH].find(fdi => fdiToUniversal(fdi) === universal) || null;
+}
+
+/**
+ * Normalise a tooth number given in either system to FDI
+ * @param {string|number} value - Tooth number
+ * @param {string} numbering - 'fdi' (default) or 'universal'
+ * @returns {string|null} FDI tooth number, or null if invalid
+ */
+function toFdi(value, numbering = 'fdi') {
+  if (numbering === 'universal') {
+    return universalToFdi(value);
+  }
+  return isValidFdi(value) ? String(value) : null;
+}
+
+module.exports = {
+  PERMANENT_TEETH,
+  PRIMARY_TEETH,
+  isValidFdi,
+  isPrimaryTooth,
+  fdiToUniversal,
+  universalToFdi,
+  toFdi
+};